@@ -0,0 +1,220 @@
+/**
+ * Offline Queue - Scans and adds made without a connection, kept in IndexedDB until they can be sent
+ * Loaded by the scanner page and by the service worker, which replays the queue on Background Sync.
+ *
+ * Item: { id, type: 'lookup'|'add', payload, headers, status: 'pending'|'synced'|'failed',
+ *         attempts, batchKey, error?, result?, createdAt, syncedAt? }
+ *
+ * Pending items are grouped into batches and each batch gets an Idempotency-Key (batchKey) before it is
+ * first sent. A batch keeps its key and its members until the server answers, so resending it after a
+ * dropped connection replays the first response instead of writing the rows again.
+ */
+(function (global) {
+  const DB_NAME = 'quickslab';
+  const STORE = 'scanQueue';
+  const SYNC_TAG = 'quickslab-sync';
+  const BATCH_SIZE = 50;
+  const MAX_ATTEMPTS = 5;
+
+  let dbPromise = null;
+  let flushing = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const result = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function newId() {
+    return global.crypto && global.crypto.randomUUID
+      ? global.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Queues a lookup ({ certNumber }) or an add ({ psaData })
+   * @param {string} type - lookup | add
+   * @param {Object} payload
+   * @param {Object} [headers] - Sent with the replay (e.g. the station header)
+   * @returns {Promise<Object>} - The queued item
+   */
+  async function enqueue(type, payload, headers = {}) {
+    const item = {
+      id: newId(),
+      type,
+      payload,
+      headers,
+      status: 'pending',
+      attempts: 0,
+      batchKey: null,
+      createdAt: new Date().toISOString()
+    };
+    await withStore('readwrite', store => store.put(item));
+    return item;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} - All items, oldest first
+   */
+  async function list() {
+    const items = await withStore('readonly', store => store.getAll());
+    return (items || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function putAll(items) {
+    return withStore('readwrite', store => { items.forEach(item => store.put(item)); });
+  }
+
+  /**
+   * Removes a synced or failed item (pending items belong to a batch and stay until it is answered)
+   */
+  async function remove(id) {
+    const item = (await list()).find(i => i.id === id);
+    if (!item || item.status === 'pending') return false;
+    await withStore('readwrite', store => store.delete(id));
+    return true;
+  }
+
+  async function clearSynced() {
+    const synced = (await list()).filter(item => item.status === 'synced');
+    await withStore('readwrite', store => { synced.forEach(item => store.delete(item.id)); });
+    return synced.length;
+  }
+
+  // Failed items go back in the queue under a new batch; the old key would only replay the failure
+  async function retryFailed() {
+    const failed = (await list()).filter(item => item.status === 'failed');
+    failed.forEach(item => Object.assign(item, { status: 'pending', attempts: 0, batchKey: null, error: null }));
+    await putAll(failed);
+    return failed.length;
+  }
+
+  // Gives unbatched pending items a batch key; items only share a batch with the same type and headers.
+  // Runs in one transaction so the page and the service worker can't both batch the same item.
+  function assignBatches() {
+    return withStore('readwrite', store => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const groups = new Map();
+        request.result.filter(item => item.status === 'pending' && !item.batchKey).forEach(item => {
+          const group = `${item.type} ${JSON.stringify(item.headers || {})}`;
+          if (!groups.has(group)) groups.set(group, []);
+          groups.get(group).push(item);
+        });
+        for (const items of groups.values()) {
+          items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+          for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            const batchKey = newId();
+            items.slice(i, i + BATCH_SIZE).forEach(item => store.put({ ...item, batchKey }));
+          }
+        }
+      };
+    });
+  }
+
+  async function sendBatch(apiBase, batch) {
+    const first = batch[0];
+    const isLookup = first.type === 'lookup';
+    const response = await fetch(`${apiBase}/${isLookup ? 'certs/lookup' : 'add-to-sheets/bulk'}`, {
+      method: 'POST',
+      headers: { ...first.headers, 'Content-Type': 'application/json', 'Idempotency-Key': first.batchKey },
+      body: JSON.stringify(isLookup
+        ? { certNumbers: batch.map(item => item.payload.certNumber) }
+        // Cards already in inventory are left alone; a queued add never overwrites a row unasked
+        : { psaData: batch.map(item => item.payload.psaData), onDuplicate: 'skip' })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status >= 500) {
+      const error = new Error(data.error || `Server error: ${response.status}`);
+      error.transient = true;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    batch.forEach((item, index) => {
+      const outcome = response.ok && Array.isArray(data.results) ? data.results[index] : null;
+      if (outcome && outcome.success) {
+        item.status = 'synced';
+        item.syncedAt = now;
+        item.error = null;
+        item.result = isLookup
+          ? { PSACert: outcome.PSACert }
+          : { action: outcome.action, row: outcome.row || null };
+      } else {
+        item.status = 'failed';
+        item.error = (outcome && outcome.error) || data.error || `Request failed: ${response.status}`;
+      }
+    });
+  }
+
+  /**
+   * Sends every pending item. Safe to call from the page and the service worker at once:
+   * a batch resent with its key is answered from the server's saved response.
+   * @param {string} apiBase - e.g. '/api'
+   * @returns {Promise<Object>} - { synced, failed, pending, items: the items that were answered }
+   */
+  function flush(apiBase) {
+    if (!flushing) {
+      flushing = runFlush(apiBase).finally(() => { flushing = null; });
+    }
+    return flushing;
+  }
+
+  async function runFlush(apiBase) {
+    await assignBatches();
+    const pending = (await list()).filter(item => item.status === 'pending');
+
+    const batches = new Map();
+    pending.forEach(item => {
+      if (!batches.has(item.batchKey)) batches.set(item.batchKey, []);
+      batches.get(item.batchKey).push(item);
+    });
+
+    const answered = [];
+    for (const batch of batches.values()) {
+      try {
+        await sendBatch(apiBase, batch);
+        answered.push(...batch);
+      } catch (error) {
+        // Still offline (or the server is struggling): count the attempt and try again later
+        batch.forEach(item => {
+          item.attempts++;
+          item.error = error.message;
+          if (item.attempts >= MAX_ATTEMPTS) item.status = 'failed';
+        });
+        await putAll(batch);
+        if (!error.transient) break;
+        continue;
+      }
+      await putAll(batch);
+    }
+
+    const items = await list();
+    return {
+      synced: answered.filter(item => item.status === 'synced').length,
+      failed: answered.filter(item => item.status === 'failed').length,
+      pending: items.filter(item => item.status === 'pending').length,
+      items: answered
+    };
+  }
+
+  global.QuickSlabQueue = { SYNC_TAG, enqueue, list, remove, clearSynced, retryFailed, flush };
+})(self);
@@ -0,0 +1,54 @@
+/**
+ * Service Worker - Keeps the scanner page usable offline and replays the offline queue
+ * The page shell is served network-first with a cached fallback; API calls are never cached.
+ * When connectivity returns, Background Sync ('quickslab-sync') flushes the queue even if the page is closed.
+ */
+importScripts('offline-queue.js');
+
+const CACHE_NAME = 'quickslab-shell-v1';
+const SHELL = ['./', 'scanner-interface.html', 'offline-queue.js', 'manifest.webmanifest', 'icon.svg'];
+const API_BASE = new URL('api', self.registration.scope).href.replace(/\/$/, '');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  if (request.url.startsWith(`${API_BASE}/`)) return;
+
+  // Network first so deploys show up immediately; the cache (including the CDN QR library) covers outages
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || (request.mode === 'navigate' ? caches.match('scanner-interface.html') : Response.error())))
+  );
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== QuickSlabQueue.SYNC_TAG) return;
+  event.waitUntil(
+    QuickSlabQueue.flush(API_BASE).then(async (summary) => {
+      const pages = await self.clients.matchAll({ type: 'window' });
+      pages.forEach(page => page.postMessage({ type: 'queue-synced', summary: { ...summary, items: undefined } }));
+      // Rejecting asks the browser to schedule another sync attempt
+      if (summary.pending) throw new Error(`${summary.pending} queued item(s) still pending`);
+    })
+  );
+});
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Audit Store - Reconciliation sessions persisted to a local JSON file
+ * An audit records every slab scanned (e.g. the whole case at the end of a show)
+ * so it can later be diffed against the inventory. Sessions survive restarts.
+ */
+class AuditStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'audits.json');
+    this.audits = Object.create(null); // keyed by id; no prototype, so an id like "__proto__" is only ever a missing key
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.audits = Object.assign(Object.create(null), parsed.audits);
+    } catch (error) {
+      logger.warn('Audits load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, audits: this.audits }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Starts a new audit session
+   * @param {Object} [options] - { name?, destination? }
+   * @returns {Object} - The audit
+   */
+  create(options = {}) {
+    const now = new Date().toISOString();
+    const audit = {
+      id: crypto.randomUUID(),
+      name: (options.name || '').toString().trim() || `Audit ${now.slice(0, 10)}`,
+      destination: options.destination || null,
+      status: 'open',
+      createdAt: now,
+      closedAt: null,
+      scans: []
+    };
+    this.audits[audit.id] = audit;
+    this.persist();
+    return audit;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return Object.hasOwn(this.audits, id) ? this.audits[id] : null;
+  }
+
+  /**
+   * @returns {Array<Object>} - Audit summaries, newest first
+   */
+  list() {
+    return Object.values(this.audits)
+      .map(audit => this.summarize(audit))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Records scanned certs. Re-scanning a cert bumps its count instead of adding a row.
+   * @param {string} id
+   * @param {Array<string>} certNumbers
+   * @returns {Object|null} - { audit, added: [...], repeated: [...] }, or null if unknown
+   */
+  addScans(id, certNumbers) {
+    const audit = this.get(id);
+    if (!audit) return null;
+    if (audit.status !== 'open') {
+      throw new Error(`Invalid audit: "${audit.name}" is closed`);
+    }
+
+    const now = new Date().toISOString();
+    const added = [];
+    const repeated = [];
+    for (const certNumber of certNumbers) {
+      const existing = audit.scans.find(scan => scan.certNumber === certNumber);
+      if (existing) {
+        existing.count++;
+        existing.lastScannedAt = now;
+        repeated.push(certNumber);
+      } else {
+        audit.scans.push({ certNumber, count: 1, firstScannedAt: now, lastScannedAt: now });
+        added.push(certNumber);
+      }
+    }
+    this.persist();
+    return { audit, added, repeated };
+  }
+
+  /**
+   * Drops a mis-scanned cert from an open audit
+   * @returns {boolean|null} - False if the cert wasn't scanned, null if the audit is unknown
+   */
+  removeScan(id, certNumber) {
+    const audit = this.get(id);
+    if (!audit) return null;
+    if (audit.status !== 'open') {
+      throw new Error(`Invalid audit: "${audit.name}" is closed`);
+    }
+    const index = audit.scans.findIndex(scan => scan.certNumber === certNumber);
+    if (index < 0) return false;
+    audit.scans.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Stops accepting scans
+   * @returns {Object|null}
+   */
+  close(id) {
+    const audit = this.get(id);
+    if (!audit) return null;
+    if (audit.status === 'open') {
+      audit.status = 'closed';
+      audit.closedAt = new Date().toISOString();
+      this.persist();
+    }
+    return audit;
+  }
+
+  /**
+   * @returns {boolean} - False if no such audit
+   */
+  delete(id) {
+    if (!Object.hasOwn(this.audits, id)) return false;
+    delete this.audits[id];
+    this.persist();
+    return true;
+  }
+
+  summarize(audit) {
+    return {
+      id: audit.id,
+      name: audit.name,
+      destination: audit.destination || null,
+      status: audit.status,
+      createdAt: audit.createdAt,
+      closedAt: audit.closedAt,
+      scanned: audit.scans.length
+    };
+  }
+}
+
+module.exports = AuditStore;
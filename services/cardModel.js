@@ -0,0 +1,192 @@
+const CARD_SCHEMA = require('../schemas/card.schema.json');
+
+/**
+ * Card Model - The normalized card every grader lookup produces (documented in schemas/card.schema.json)
+ *
+ * Graders print grades as free text: "GEM MT 10", "NM-MT+ 8.5", "EX-MT 6 (OC)", "AUTHENTIC", "9.5 Gem Mint".
+ * parseGrade() reads the numeric grade, the words around it, any qualifier and whether the slab is
+ * authentic-only, so half grades and qualified grades survive instead of being cut down to a trailing number.
+ *
+ * Bump CARD_SCHEMA_VERSION (and the schema's own version) whenever a field changes meaning or is removed.
+ */
+const CARD_SCHEMA_VERSION = 1;
+
+// PSA qualifiers; a qualified grade is worth less than the same grade without one
+const QUALIFIERS = {
+  OC: 'Off Center',
+  ST: 'Staining',
+  PD: 'Print Defect',
+  OF: 'Out of Focus',
+  MK: 'Marks',
+  MC: 'Miscut'
+};
+
+// Grades run 1-10 in whole or half steps (PSA 1.5, BGS/CGC 9.5); "10.0" is written by some graders
+const GRADE_NUMBER = '10(?:\\.0)?|[1-9](?:\\.[05])?';
+const GRADE_NUMBER_PATTERN = new RegExp(`(?:^|[^\\d.])(${GRADE_NUMBER})(?![\\d.])`, 'g');
+
+// A qualifier is only read in parentheses ("MINT 9 (OC)") or right after the number ("NM-MT 8 OC", "8OC"),
+// never as a bare word: "EVIDENCE OF TRIMMING" has no OF qualifier
+const QUALIFIER_CODES = Object.keys(QUALIFIERS).join('|');
+const QUALIFIER_IN_PARENS_PATTERN = new RegExp(`\\(\\s*(${QUALIFIER_CODES})\\s*\\)`, 'i');
+const QUALIFIER_AFTER_GRADE_PATTERN = new RegExp(`(?<![\\d.])(?:${GRADE_NUMBER})\\s*(${QUALIFIER_CODES})\\b`, 'i');
+
+// Slabs that are authenticated but carry no numeric grade
+const AUTHENTIC_PATTERN = /\b(AUTH(?:ENTIC)?(?:\s+ALTERED)?|ALTERED)\b/i;
+
+/**
+ * Reads a grade string
+ * @param {string} text - e.g. "NM-MT+ 8.5", "MINT 9 (OC)", "AUTHENTIC"
+ * @returns {Object} - { numeric: number|null, label, qualifier, qualifierName, authentic, halfGrade, description }
+ */
+function parseGrade(text) {
+  const description = (text ?? '').toString().replace(/\s+/g, ' ').trim();
+  const result = {
+    numeric: null,
+    label: '',
+    qualifier: null,
+    qualifierName: null,
+    authentic: false,
+    halfGrade: false,
+    description
+  };
+  if (!description) return result;
+
+  let rest = description;
+  const inParens = rest.match(QUALIFIER_IN_PARENS_PATTERN);
+  const afterGrade = inParens ? null : rest.match(QUALIFIER_AFTER_GRADE_PATTERN);
+  if (inParens) {
+    rest = `${rest.slice(0, inParens.index)} ${rest.slice(inParens.index + inParens[0].length)}`;
+  } else if (afterGrade) {
+    // Keep the number, drop only the code after it
+    const end = afterGrade.index + afterGrade[0].length;
+    rest = `${rest.slice(0, end - afterGrade[1].length)} ${rest.slice(end)}`;
+  }
+  const qualifier = inParens || afterGrade;
+  if (qualifier) {
+    result.qualifier = qualifier[1].toUpperCase();
+    result.qualifierName = QUALIFIERS[result.qualifier];
+  }
+
+  // PSA prints the number last, CGC and BGS often first; the last one wins when a string has several
+  const numbers = Array.from(rest.matchAll(GRADE_NUMBER_PATTERN));
+  if (numbers.length) {
+    const match = numbers[numbers.length - 1];
+    result.numeric = Number(match[1]);
+    result.halfGrade = result.numeric % 1 !== 0;
+    const start = match.index + match[0].length - match[1].length;
+    rest = `${rest.slice(0, start)} ${rest.slice(start + match[1].length)}`;
+  } else if (AUTHENTIC_PATTERN.test(rest)) {
+    result.authentic = true;
+  }
+
+  result.label = rest.replace(/\s+/g, ' ').trim() || (result.authentic ? 'Authentic' : '');
+  return result;
+}
+
+/**
+ * Numeric grade as the flat records and sheets carry it ("10", "8.5"), or '' when there is none
+ * @param {Object} grade - From parseGrade()
+ * @returns {string}
+ */
+function formatNumericGrade(grade) {
+  return grade.numeric === null ? '' : grade.numeric.toString();
+}
+
+/**
+ * The first grade string that yields a numeric grade (or an authentic-only grade). PSA may print the
+ * qualifier in only one of its grade fields, so a qualified numeric grade is preferred.
+ * @param {...string} texts - Candidates in order of preference, e.g. CardGrade then GradeDescription
+ * @returns {Object} - From parseGrade()
+ */
+function parseFirstGrade(...texts) {
+  const parsed = texts.filter(text => text !== undefined && text !== null && text !== '').map(parseGrade);
+  return parsed.find(grade => grade.numeric !== null && grade.qualifier)
+    || parsed.find(grade => grade.numeric !== null)
+    || parsed.find(grade => grade.authentic)
+    || parsed[0]
+    || parseGrade('');
+}
+
+function toCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const count = Number.parseInt(value.toString().replace(/,/g, ''), 10);
+  return Number.isFinite(count) ? count : null;
+}
+
+function toBool(value) {
+  return value === true || /^(true|yes|y|1)$/i.test((value ?? '').toString().trim());
+}
+
+function toText(value) {
+  const text = (value ?? '').toString().trim();
+  return text || null;
+}
+
+/**
+ * Builds the normalized card from a grader's flat fields (PSA field names; see GraderProvider.buildCardRecord)
+ * @param {string} grader - PSA | BGS | CGC | SGC
+ * @param {Object} fields - { CertNumber, Subject, CardNumber, Year?, Brand?, Set?, Variety?, Category?, CardGrade?,
+ *   GradeDescription?, AutographGrade?, Subgrades?, TotalPopulation?, TotalPopulationWithQualifier?,
+ *   PopulationHigher?, LabelType?, IsPSADNA?, IsDualCert? }
+ * @returns {Object} - A card matching schemas/card.schema.json
+ */
+function normalizeCard(grader, fields = {}) {
+  const grade = parseFirstGrade(fields.CardGrade, fields.GradeDescription, fields.Grade);
+  const autograph = parseFirstGrade(fields.AutographGrade);
+  const labelType = toText(fields.LabelType);
+
+  const subgrades = fields.Subgrades && typeof fields.Subgrades === 'object'
+    ? Object.fromEntries(['Centering', 'Corners', 'Edges', 'Surface'].map(name => [
+      name.toLowerCase(),
+      parseGrade(fields.Subgrades[name]).numeric
+    ]))
+    : null;
+
+  const population = {
+    total: toCount(fields.TotalPopulation),
+    withQualifier: toCount(fields.TotalPopulationWithQualifier),
+    higher: toCount(fields.PopulationHigher)
+  };
+
+  return {
+    schemaVersion: CARD_SCHEMA_VERSION,
+    grader,
+    certNumber: (fields.CertNumber ?? '').toString().trim(),
+    subject: toText(fields.Subject),
+    cardNumber: toText(fields.CardNumber),
+    year: toText(fields.Year),
+    brand: toText(fields.Brand),
+    // PSA reports the set as part of Brand ("POKEMON JAPANESE SWORD & SHIELD"); other graders may name it separately
+    set: toText(fields.Set) || toText(fields.Brand),
+    variety: toText(fields.Variety),
+    category: toText(fields.Category),
+    grade: {
+      numeric: grade.numeric,
+      label: grade.label || null,
+      description: grade.description || null,
+      qualifier: grade.qualifier,
+      qualifierName: grade.qualifierName,
+      authentic: grade.authentic,
+      halfGrade: grade.halfGrade
+    },
+    subgrades,
+    autographGrade: autograph.description
+      ? { numeric: autograph.numeric, label: autograph.label || null, description: autograph.description }
+      : null,
+    population: Object.values(population).some(count => count !== null) ? population : null,
+    labelType,
+    isDna: toBool(fields.IsPSADNA) || /\bDNA\b/i.test(labelType || ''),
+    isDualCert: toBool(fields.IsDualCert)
+  };
+}
+
+module.exports = {
+  CARD_SCHEMA,
+  CARD_SCHEMA_VERSION,
+  QUALIFIERS,
+  parseGrade,
+  parseFirstGrade,
+  formatNumericGrade,
+  normalizeCard
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Cert Cache - Persistent TTL cache for PSA certificate responses
+ * Entries are kept in memory and flushed to a local JSON file so they survive restarts
+ */
+class CertCache {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'cert-cache.json');
+    this.ttlMs = Number(config.ttlMs) > 0 ? Number(config.ttlMs) : 30 * 24 * 60 * 60 * 1000;
+    this.flushDelayMs = config.flushDelayMs ?? 1000;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this._flushTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Loads cached entries from disk, dropping any that already expired
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(parsed.entries || {})) {
+        if (entry && entry.expiresAt > now) {
+          this.entries.set(key, entry);
+        }
+      }
+    } catch (error) {
+      logger.warn('Cert cache load skipped', { error: error.message });
+    }
+  }
+
+  /**
+   * Returns the cached value for a cert, or undefined on miss/expiry
+   * @param {string} certNumber - PSA certificate number
+   * @returns {Object|undefined}
+   */
+  get(certNumber) {
+    const entry = this.entries.get(certNumber);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++;
+      return entry.value;
+    }
+    if (entry) {
+      this.entries.delete(certNumber);
+      this.scheduleFlush();
+    }
+    this.misses++;
+    return undefined;
+  }
+
+  /**
+   * Stores a value for a cert and schedules a write to disk
+   * @param {string} certNumber - PSA certificate number
+   * @param {Object} value - Raw PSA response to cache
+   * @param {number} [ttlMs] - Overrides the cache TTL for this entry (e.g. population counts, which change daily)
+   */
+  set(certNumber, value, ttlMs) {
+    const now = Date.now();
+    this.entries.set(certNumber, { value, cachedAt: now, expiresAt: now + (Number(ttlMs) > 0 ? Number(ttlMs) : this.ttlMs) });
+    this.scheduleFlush();
+  }
+
+  /**
+   * @returns {Array<string>} - Every cached key, expired ones included
+   */
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Removes a cert from the cache
+   * @param {string} certNumber - PSA certificate number
+   */
+  delete(certNumber) {
+    if (this.entries.delete(certNumber)) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Debounces disk writes so a batch lookup results in a single flush
+   */
+  scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    if (this._flushTimer.unref) this._flushTimer.unref();
+  }
+
+  /**
+   * Writes all entries to disk atomically (temp file + rename)
+   */
+  flush() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      const payload = { version: 1, entries: Object.fromEntries(this.entries) };
+      fs.writeFileSync(tmpPath, JSON.stringify(payload));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.warn('Cert cache flush failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Gets cache counters for status reporting
+   * @returns {Object}
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : 0,
+      ttlHours: Math.round(this.ttlMs / (60 * 60 * 1000)),
+      filePath: this.filePath
+    };
+  }
+}
+
+module.exports = CertCache;
@@ -0,0 +1,105 @@
+/**
+ * Code 128 - Barcode encoder for labels
+ * Digit runs use code set C (two digits per symbol) and everything else code set B, so a PSA cert
+ * ("12345678") or a prefixed cert ("BGS 0012345678") stays short enough to print on a small label.
+ */
+
+// Bar/space widths (in modules) of symbol values 0-105; 106 is the stop symbol
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const START_C = 105;
+const CODE_B = 100;
+const CODE_C = 99;
+const STOP = 106;
+
+// Leading digits from `index`
+function digitRun(text, index) {
+  let end = index;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+  return end - index;
+}
+
+/**
+ * Symbol values for a text, start and check symbols included, stop excluded
+ * @param {string} text - Printable ASCII
+ * @returns {Array<number>}
+ */
+function encodeValues(text) {
+  if (!text || !/^[\x20-\x7e]+$/.test(text)) {
+    throw new Error('Invalid barcode text: use printable ASCII characters');
+  }
+
+  const values = [];
+  let set = null;
+  const switchTo = (target) => {
+    if (set === target) return;
+    values.push(set === null ? (target === 'C' ? START_C : START_B) : (target === 'C' ? CODE_C : CODE_B));
+    set = target;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const run = digitRun(text, i);
+    // Code set C pays off for 4+ digits, or for a text that is all digits
+    if (run >= 4 || (run >= 2 && run === text.length)) {
+      // An odd run keeps its first digit in code set B so the rest pairs up
+      if (run % 2 === 1) {
+        switchTo('B');
+        values.push(text.charCodeAt(i) - 32);
+        i++;
+      }
+      switchTo('C');
+      for (const end = i + run - (run % 2); i < end; i += 2) {
+        values.push(Number(text.slice(i, i + 2)));
+      }
+    } else {
+      switchTo('B');
+      values.push(text.charCodeAt(i) - 32);
+      i++;
+    }
+  }
+
+  const check = values.reduce((sum, value, index) => sum + value * (index || 1), 0) % 103;
+  return [...values, check];
+}
+
+/**
+ * Encodes a text as alternating bar/space widths, stop symbol included
+ * @param {string} text
+ * @returns {Array<number>} - Widths in modules, starting with a bar
+ */
+function encode(text) {
+  return [...encodeValues(text), STOP]
+    .flatMap(value => PATTERNS[value].split('').map(Number));
+}
+
+/**
+ * Bars to draw for a text
+ * @param {string} text
+ * @returns {Object} - { modules, bars: Array<{ x, width }> } with x and width in modules
+ */
+function toBars(text) {
+  const widths = encode(text);
+  const bars = [];
+  let x = 0;
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) bars.push({ x, width });
+    x += width;
+  });
+  return { modules: x, bars };
+}
+
+module.exports = { encode, encodeValues, toBars, PATTERNS };
@@ -0,0 +1,202 @@
+/**
+ * Column Mapping - Describes how processed PSA data becomes spreadsheet cells
+ *
+ * A profile is { name, description?, columns: [{ column?, letter?, key?, value }] }
+ * - column: header text to match in the sheet (case-insensitive)
+ * - letter: fixed column letter (e.g. "H"), used when there is no header to match
+ * - key:    optional canonical field (cardName, certNumber, ...) the column holds;
+ *           lets built-in header aliases match and drives duplicate/occupancy checks
+ * - value:  template; `{Field}` or `{Nested.Field}` pulls from the PSA record,
+ *           `{Field|fallback}` supplies a default, anything else is a constant
+ *
+ * An optional `soldColumns: [{ key: soldPrice|soldDate|soldChannel|soldBy, column?, letter? }]`
+ * names where sale details go when a card is marked sold in place
+ *
+ * A column keyed `addedBy` (or any "Added By" header) is stamped with the signed-in user on every write
+ *
+ * `population: true` fetches each PSA card's population report before writing, for `{Population.higher}`,
+ * `{Population.atGrade}` and `{Population.total}` (see withPopulation in src/lib/graders.js)
+ *
+ * Every write gives the card its SKU and storage location, for `{Inventory.sku}`, `{Inventory.location}` and
+ * `{Inventory.case}` / `box` / `row` / `slot`; "SKU" and "Location" headers are filled even when unmapped
+ * (see withLocations in src/lib/locations.js)
+ *
+ * `price: true` prices each card before writing, for `{Price.price}`, `{Price.low}` and `{Price.high}`
+ * (see withPrice in src/lib/pricing.js)
+ */
+
+// Header names we recognize for each canonical field
+const HEADER_ALIASES = {
+  cardName: ['card name', 'name', 'subject', 'title'],
+  cardNumber: ['card #', 'card number', 'number', 'no', '#'],
+  condition: ['condition', 'status', 'graded status'],
+  gradedFlag: ['graded?', 'authenticated', 'graded'],
+  company: ['company', 'grading company', 'grader'],
+  grade: ['grade', 'numeric grade', 'grade (num)'],
+  certNumber: ['cert', 'cert #', 'cert number', 'certification number'],
+  addedBy: ['added by', 'scanned by', 'entered by'],
+  population: ['pop', 'population', 'psa pop'],
+  populationHigher: ['pop higher', 'population higher', 'higher pop'],
+  marketPrice: ['market price', 'market value', 'est. value', 'estimated value'],
+  sku: ['sku', 'stock #', 'item #', 'inventory #'],
+  location: ['location', 'storage location', 'bin']
+};
+
+// Header names we recognize for the sale details of a sold card
+const SOLD_HEADER_ALIASES = {
+  soldPrice: ['sold price', 'sale price', 'sold for', 'price sold'],
+  soldDate: ['sold date', 'sale date', 'date sold'],
+  soldChannel: ['sold channel', 'sale channel', 'sold via', 'channel'],
+  soldBy: ['sold by']
+};
+
+// Column positions used when a sheet has no recognizable header row
+const LEGACY_INDEX = { cardName: 0, cardNumber: 1, company: 2, grade: 3, certNumber: 4 };
+
+const DEFAULT_PROFILE = {
+  name: 'default',
+  description: 'Built-in layout: Card Name, Card #, Condition, Graded?, Company, Grade, Cert #',
+  builtIn: true,
+  columns: [
+    { key: 'cardName', column: 'Card Name', value: '{GoogleSheetsData.Subject}' },
+    { key: 'cardNumber', column: 'Card #', value: '{GoogleSheetsData.CardNumber}' },
+    { key: 'condition', column: 'Condition', value: '{GoogleSheetsData.Status|Graded}' },
+    { key: 'gradedFlag', column: 'Graded?', value: '{GoogleSheetsData.Authenticated|Y}' },
+    { key: 'company', column: 'Company', value: '{GoogleSheetsData.Company|PSA}' },
+    { key: 'grade', column: 'Grade', value: '{GoogleSheetsData.Grade}' },
+    { key: 'certNumber', column: 'Cert #', value: '{GoogleSheetsData.CertNumber}' }
+  ]
+};
+
+// PSA record fields offered in the mapping editor (any other field name also works)
+const PSA_FIELDS = [
+  'CertNumber', 'Subject', 'CardNumber', 'Year', 'Brand', 'Variety', 'Category',
+  'CardGrade', 'GradeDescription', 'NumericGrade', 'GradeQualifier', 'AutographGrade', 'Grader', 'TotalPopulation',
+  'TotalPopulationWithQualifier', 'PopulationHigher', 'LabelType', 'SpecID',
+  'SpecNumber', 'IsDualCert', 'IsPSADNA', 'ReverseBarCode',
+  'Card.set', 'Card.grade.label', 'Card.grade.qualifierName', 'Card.population.higher',
+  'Population.higher', 'Population.atGrade', 'Population.total',
+  'Price.price', 'Price.low', 'Price.high', 'Price.currency',
+  'Inventory.sku', 'Inventory.location', 'Inventory.case', 'Inventory.box', 'Inventory.row', 'Inventory.slot'
+];
+
+// Record fields holding nested copies of the flat fields (the sheet-ready block and the normalized card);
+// exports and enriched imports list the flat fields only
+const NESTED_FIELDS = ['GoogleSheetsData', 'Card'];
+
+/**
+ * Reads a dotted path (e.g. "GoogleSheetsData.Company") from an object
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, part) => (acc === null || acc === undefined ? undefined : acc[part]), obj);
+}
+
+/**
+ * Renders a mapping template against a PSA record
+ * @param {string} template - e.g. "{Year} {Brand}", "{Variety|N/A}" or "Consignment"
+ * @param {Object} record - Processed PSA certificate data
+ * @returns {string}
+ */
+function renderTemplate(template, record) {
+  if (template === null || template === undefined) return '';
+  return template.toString().replace(/\{([^{}|]+)(?:\|([^{}]*))?\}/g, (match, path, fallback) => {
+    const value = getPath(record || {}, path.trim());
+    if (value === null || value === undefined || value === '') {
+      return fallback !== undefined ? fallback : '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+  });
+}
+
+/**
+ * Validates and normalizes a profile; throws on invalid input
+ * @param {Object} profile
+ * @returns {Object} - Normalized profile
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error('Invalid mapping profile: expected an object');
+  }
+  const name = (profile.name || '').toString().trim();
+  if (!/^[\w .-]{1,64}$/.test(name)) {
+    throw new Error('Invalid mapping profile: name must be 1-64 letters, digits, spaces, dots, dashes or underscores');
+  }
+  if (name in Object.prototype) {
+    throw new Error(`Invalid mapping profile: "${name}" is a reserved name`);
+  }
+  if (!Array.isArray(profile.columns) || !profile.columns.length) {
+    throw new Error('Invalid mapping profile: columns must be a non-empty array');
+  }
+
+  const columns = normalizeColumns(profile.columns, HEADER_ALIASES, 'column');
+
+  let soldColumns;
+  if (profile.soldColumns !== undefined && profile.soldColumns !== null) {
+    if (!Array.isArray(profile.soldColumns)) {
+      throw new Error('Invalid mapping profile: soldColumns must be an array');
+    }
+    // Sold columns only say where sale details go, so they carry no value template
+    soldColumns = normalizeColumns(profile.soldColumns, SOLD_HEADER_ALIASES, 'sold column').map(({ value, ...col }) => col);
+    const unkeyed = soldColumns.findIndex(col => !col.key);
+    if (unkeyed >= 0) {
+      throw new Error(`Invalid mapping profile: sold column ${unkeyed + 1} needs a key (${Object.keys(SOLD_HEADER_ALIASES).join(', ')})`);
+    }
+  }
+
+  const normalized = {
+    name,
+    description: (profile.description || '').toString(),
+    columns
+  };
+  if (soldColumns && soldColumns.length) normalized.soldColumns = soldColumns;
+  if (profile.population === true || profile.population === 'true') normalized.population = true;
+  if (profile.price === true || profile.price === 'true') normalized.price = true;
+  return normalized;
+}
+
+/**
+ * Validates a profile's column list against the keys it may use
+ * @param {Array<Object>} list - Raw columns
+ * @param {Object} aliases - Allowed keys (HEADER_ALIASES or SOLD_HEADER_ALIASES)
+ * @param {string} label - Used in error messages
+ * @returns {Array<Object>} - Normalized columns
+ */
+function normalizeColumns(list, aliases, label) {
+  const seenKeys = new Set();
+  return list.map((col, i) => {
+    const column = (col.column || '').toString().trim();
+    const letter = (col.letter || '').toString().trim().toUpperCase();
+    const key = (col.key || '').toString().trim();
+    if (!column && !letter) {
+      throw new Error(`Invalid mapping profile: ${label} ${i + 1} needs a header name or a column letter`);
+    }
+    if (letter && !/^[A-Z]{1,3}$/.test(letter)) {
+      throw new Error(`Invalid mapping profile: ${label} ${i + 1} has an invalid letter "${letter}"`);
+    }
+    if (key) {
+      if (!(key in aliases)) {
+        throw new Error(`Invalid mapping profile: unknown key "${key}" (use ${Object.keys(aliases).join(', ')})`);
+      }
+      if (seenKeys.has(key)) {
+        throw new Error(`Invalid mapping profile: key "${key}" is mapped more than once`);
+      }
+      seenKeys.add(key);
+    }
+    const normalized = { value: (col.value ?? '').toString() };
+    if (column) normalized.column = column;
+    if (letter) normalized.letter = letter;
+    if (key) normalized.key = key;
+    return normalized;
+  });
+}
+
+module.exports = {
+  HEADER_ALIASES,
+  SOLD_HEADER_ALIASES,
+  LEGACY_INDEX,
+  DEFAULT_PROFILE,
+  PSA_FIELDS,
+  NESTED_FIELDS,
+  renderTemplate,
+  validateProfile
+};
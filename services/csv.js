@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, embedded commas/quotes/newlines)
+ */
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Serializes rows to CSV text (CRLF line endings, quoting only when needed)
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const escape = (value) => {
+    const s = value === null || value === undefined ? '' : value.toString();
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
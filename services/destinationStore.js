@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_DESTINATION = 'default';
+
+/**
+ * Destination Store - Named spreadsheet targets (spreadsheet ID, tab and column profile) persisted to a local JSON file
+ * The "default" destination is read live from the app settings (config.getDefaults); every other destination
+ * is created by an admin, e.g. one per consignor.
+ *
+ * Destination: { name, spreadsheetId, sheetName, soldSheetName, profile, description, updatedAt }
+ */
+class DestinationStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'destinations.json');
+    this.getDefaults = config.getDefaults || (() => ({}));
+    this.destinations = Object.create(null); // no prototype, so a name like "constructor" is only ever a missing key
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.destinations = Object.assign(Object.create(null), parsed.destinations);
+    } catch (error) {
+      logger.warn('Destinations load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, destinations: this.destinations }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  builtIn() {
+    const defaults = this.getDefaults();
+    return {
+      name: DEFAULT_DESTINATION,
+      spreadsheetId: defaults.spreadsheetId || '',
+      sheetName: defaults.sheetName || 'Input Sheet',
+      soldSheetName: defaults.soldSheetName || 'Sold',
+      profile: null,
+      description: 'From settings'
+    };
+  }
+
+  /**
+   * @returns {Array<Object>} - All destinations, default first
+   */
+  list() {
+    const others = Object.values(this.destinations)
+      .filter(destination => destination.name !== DEFAULT_DESTINATION) // saved by older versions
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [this.builtIn(), ...others];
+  }
+
+  /**
+   * @param {string} [name] - Defaults to "default"
+   * @returns {Object|null}
+   */
+  get(name) {
+    if (!name || name === DEFAULT_DESTINATION) return this.builtIn();
+    return Object.hasOwn(this.destinations, name) ? this.destinations[name] : null;
+  }
+
+  /**
+   * Validates a create/replace without saving it (fields left out keep their current value)
+   * @param {Object} input - { name, spreadsheetId, sheetName?, soldSheetName?, profile?, description? }
+   * @returns {Object} - The destination as it would be stored
+   */
+  normalize(input = {}) {
+    const name = (input.name || '').toString().trim();
+    if (!/^[\w .-]{1,64}$/.test(name)) {
+      throw new Error('Invalid destination: name must be 1-64 letters, digits, spaces, dots, dashes or underscores');
+    }
+    if (name === DEFAULT_DESTINATION) {
+      throw new Error('Invalid destination: "default" is changed through the settings');
+    }
+    if (name in Object.prototype) {
+      throw new Error(`Invalid destination: "${name}" is a reserved name`);
+    }
+    const current = this.get(name) || {};
+    const text = (value, fallback) => (value === undefined ? fallback : (value || '').toString().trim());
+    const destination = {
+      name,
+      spreadsheetId: text(input.spreadsheetId, current.spreadsheetId || ''),
+      sheetName: text(input.sheetName, current.sheetName) || 'Input Sheet',
+      soldSheetName: text(input.soldSheetName, current.soldSheetName) || 'Sold',
+      profile: text(input.profile, current.profile) || null,
+      description: text(input.description, current.description || ''),
+      updatedAt: new Date().toISOString()
+    };
+    if (!/^[\w-]{10,}$/.test(destination.spreadsheetId)) {
+      throw new Error('Invalid destination: spreadsheetId must be a Google Sheets ID');
+    }
+    return destination;
+  }
+
+  /**
+   * Creates or replaces a destination
+   * @param {Object} input - Same as normalize()
+   * @returns {Object} - The stored destination
+   */
+  save(input = {}) {
+    const destination = this.normalize(input);
+    this.destinations[destination.name] = destination;
+    this.persist();
+    return destination;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} - False if no such destination
+   */
+  delete(name) {
+    if (name === DEFAULT_DESTINATION) {
+      throw new Error('Invalid destination: "default" is built in and cannot be deleted');
+    }
+    if (!Object.hasOwn(this.destinations, name)) return false;
+    delete this.destinations[name];
+    this.persist();
+    return true;
+  }
+}
+
+DestinationStore.DEFAULT_DESTINATION = DEFAULT_DESTINATION;
+
+module.exports = DestinationStore;
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * Events other tools can react to (see webhooks). Listeners of '*' get every event.
+ * - card.scanned: a cert lookup succeeded; data: { certNumber, grader, source, card }
+ * - lookup.failed: a cert lookup failed; data: { certNumber, source, error }
+ * - card.added: a card was written to a new inventory row; data: { certNumber, destination, row, card, inventory }
+ * - card.updated: an existing inventory row was overwritten; data: the same plus previousValues
+ * Webhook tests send 'webhook.test', which is never published on the bus.
+ */
+const EVENT_TYPES = ['card.scanned', 'lookup.failed', 'card.added', 'card.updated'];
+
+/**
+ * Wraps event data in the envelope every listener and webhook receives
+ * @param {string} type
+ * @param {Object} data
+ * @param {Object} [context] - { user?, station? }
+ * @returns {Object}
+ */
+function createEvent(type, data, context = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date().toISOString(),
+    user: context.user || null,
+    station: context.station || null,
+    data
+  };
+}
+
+/**
+ * Event Bus - In-process publish/subscribe for scan and inventory events
+ * Every event is wrapped in the same envelope, which is also the body webhooks receive.
+ *
+ * Event: { id, type, occurredAt, user, station, data }
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publishes an event to the listeners of its type and of '*'; a failing listener can't break the publisher
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data
+   * @param {Object} [context] - { user?, station? }
+   * @returns {Object} - The event
+   */
+  publish(type, data, context = {}) {
+    const event = createEvent(type, data, context);
+    [type, '*'].forEach(name => {
+      this.listeners(name).forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          logger.error('Event listener failed', { type, error: error.message });
+        }
+      });
+    });
+    return event;
+  }
+}
+
+EventBus.EVENT_TYPES = EVENT_TYPES;
+EventBus.createEvent = createEvent;
+
+module.exports = EventBus;
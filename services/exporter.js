@@ -0,0 +1,126 @@
+const { DEFAULT_PROFILE, NESTED_FIELDS, renderTemplate } = require('./columnMapping');
+const { toCsv } = require('./csv');
+const { toXlsx } = require('./xlsx');
+
+/**
+ * Exporter - Turns lookup results into CSV, XLSX or JSON files
+ * Columns follow the mapping profile exactly as the sheet writer renders them, followed by
+ * every field of the processed PSA record so nothing the lookup returned is lost.
+ *
+ * Record: { certNumber, status: success|error, error?, psa?, scannedAt?, user?, station? }
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Scan details shown before the mapped columns; the optional ones only when some record has them
+const META_COLUMNS = [
+  { field: 'certNumber', header: 'Scanned Cert' },
+  { field: 'status', header: 'Status' },
+  { field: 'error', header: 'Error', optional: true },
+  { field: 'scannedAt', header: 'Scanned At', optional: true },
+  { field: 'user', header: 'User', optional: true },
+  { field: 'station', header: 'Station', optional: true }
+];
+
+/**
+ * Builds the header row and one row per record
+ * @param {Array<Object>} records
+ * @param {Object} [options] - { profile }
+ * @returns {Object} - { columns: Array<{ header, source, field }>, rows: Array<Array<string>> }
+ */
+function buildExportTable(records, options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  const columns = [];
+  const taken = new Set();
+  const addColumn = (header, source, field) => {
+    columns.push({ header, source, field });
+    taken.add(header.toLowerCase());
+  };
+
+  META_COLUMNS
+    .filter(col => !col.optional || records.some(record => record[col.field]))
+    .forEach(col => addColumn(col.header, 'scan', col.field));
+
+  profile.columns.forEach((col, i) => {
+    addColumn(col.column || (col.letter ? `Column ${col.letter}` : col.key || `Column ${i + 1}`), 'mapping', i);
+  });
+
+  // Every flat PSA field in the order first seen; the nested copies repeat them
+  const psaFields = [];
+  records.forEach(record => {
+    Object.keys(record.psa || {}).forEach(field => {
+      if (!NESTED_FIELDS.includes(field) && !psaFields.includes(field)) psaFields.push(field);
+    });
+  });
+  psaFields.forEach(field => addColumn(taken.has(field.toLowerCase()) ? `PSA ${field}` : field, 'psa', field));
+
+  const rows = records.map(record => columns.map(col => {
+    if (col.source === 'scan') return stringify(record[col.field]);
+    if (!record.psa) return '';
+    if (col.source === 'mapping') return renderTemplate(profile.columns[col.field].value, record.psa);
+    return stringify(record.psa[col.field]);
+  }));
+
+  return { columns, rows };
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+}
+
+/**
+ * Serializes a header row and data rows as a CSV (with a BOM, so Excel opens it as UTF-8) or XLSX file
+ * @param {Array<Array<*>>} rows - First row is the header
+ * @param {string} format - csv | xlsx
+ * @param {Object} [options] - { sheetName }
+ * @returns {string|Buffer}
+ */
+function renderRows(rows, format, options = {}) {
+  return format === 'xlsx' ? toXlsx(rows, options) : `\uFEFF${toCsv(rows)}`;
+}
+
+/**
+ * Renders records in one of FORMATS
+ * @param {Array<Object>} records
+ * @param {Object} options - { format, profile, sheetName?, meta? } (meta is merged into the JSON envelope)
+ * @returns {Object} - { body: string|Buffer, contentType, extension }
+ */
+function renderExport(records, options = {}) {
+  const format = FORMATS[options.format];
+  if (!format) {
+    throw new Error(`Invalid format "${options.format}". Use ${Object.keys(FORMATS).join(', ')}.`);
+  }
+  const table = buildExportTable(records, options);
+  const header = table.columns.map(col => col.header);
+
+  let body;
+  if (options.format !== 'json') {
+    body = renderRows([header, ...table.rows], options.format, { sheetName: options.sheetName || 'QuickSlab Export' });
+  } else {
+    const mappingColumns = table.columns.filter(col => col.source === 'mapping');
+    body = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      ...(options.meta || {}),
+      profile: (options.profile || DEFAULT_PROFILE).name,
+      count: records.length,
+      columns: mappingColumns.map(col => col.header),
+      items: records.map((record, r) => {
+        const item = {};
+        META_COLUMNS.forEach(col => {
+          if (record[col.field]) item[col.field] = record[col.field];
+        });
+        item.mapped = Object.fromEntries(mappingColumns.map(col => [col.header, table.rows[r][table.columns.indexOf(col)]]));
+        item.psa = record.psa || null;
+        return item;
+      })
+    }, null, 2);
+  }
+  return { body, contentType: format.contentType, extension: format.extension };
+}
+
+module.exports = { FORMATS, buildExportTable, renderRows, renderExport };
@@ -1,19 +1,93 @@
 const { google } = require('googleapis');
+const InventoryStorage = require('./storage/inventoryStorage');
+const { HEADER_ALIASES, SOLD_HEADER_ALIASES, LEGACY_INDEX, DEFAULT_PROFILE, renderTemplate } = require('./columnMapping');
+const logger = require('./logger').child({ component: 'sheets' });
+
+// Tail of each spreadsheet's write queue (spreadsheetId -> promise), shared by every service instance
+const writeQueues = new Map();
+
+// Sheets API methods the service calls, wrapped for timing and metrics
+const INSTRUMENTED_METHODS = {
+  spreadsheets: ['get', 'batchUpdate'],
+  values: ['get', 'batchGet', 'batchUpdate', 'batchClear', 'update', 'append', 'clear']
+};
 
 /**
  * Google Sheets Service - Handles all Google Sheets interactions
  * Provides secure spreadsheet data insertion and management
  */
-class GoogleSheetsService {
+class GoogleSheetsService extends InventoryStorage {
   constructor(config = {}) {
+    super();
     this.spreadsheetId = config.spreadsheetId;
     this.sheetName = config.sheetName || 'Input Sheet';
+    this.soldSheetName = config.soldSheetName || 'Sold';
     this.serviceAccountKeyPath = config.serviceAccountKeyPath;
+    this.onCall = config.onCall || null; // optional ({ method, durationMs, error?, quota? }) => void, once per API call
     this.auth = null;
     this.sheets = null;
     this._sheetIdCache = {}; // cache for sheetName -> sheetId
   }
 
+  get backend() {
+    return 'sheets';
+  }
+
+  // Every Sheets API call goes through this.sheets; the client is wrapped as it is assigned, so each call is timed,
+  // logged with the request id and reported to onCall
+  get sheets() {
+    return this._sheets;
+  }
+
+  set sheets(client) {
+    this._sheets = client ? this.instrumentClient(client) : client;
+  }
+
+  /**
+   * @param {Object} client - googleapis sheets client
+   * @returns {Object} - The same calls ({ spreadsheets: { get, batchUpdate, values: {...} } }), instrumented
+   */
+  instrumentClient(client) {
+    const wrap = (resource, prefix, names) => Object.fromEntries(names
+      .filter(name => typeof resource?.[name] === 'function')
+      .map(name => [name, (...args) => this.observeCall(`${prefix}${name}`, () => resource[name](...args))]));
+    return {
+      spreadsheets: {
+        ...wrap(client.spreadsheets, 'spreadsheets.', INSTRUMENTED_METHODS.spreadsheets),
+        values: wrap(client.spreadsheets?.values, 'values.', INSTRUMENTED_METHODS.values)
+      }
+    };
+  }
+
+  async observeCall(method, call) {
+    const started = Date.now();
+    let failure = null;
+    try {
+      return await call();
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      const durationMs = Date.now() - started;
+      const status = failure ? (failure.code || failure.response?.status || null) : null;
+      const quota = !!failure && (status === 429 || /quota|rate limit/i.test(failure.message));
+      if (failure) {
+        logger.warn('Sheets API call failed', {
+          method, spreadsheetId: this.spreadsheetId, durationMs, status, quota, error: failure.message
+        });
+      } else {
+        logger.debug('Sheets API call', { method, spreadsheetId: this.spreadsheetId, durationMs });
+      }
+      if (this.onCall) {
+        try {
+          this.onCall({ method, durationMs, error: failure ? failure.message : null, quota });
+        } catch (hookError) {
+          logger.warn('Sheets call hook failed', { error: hookError.message });
+        }
+      }
+    }
+  }
+
   /**
    * Initializes Google Sheets authentication
    * @returns {Promise<void>}
@@ -79,9 +153,10 @@ class GoogleSheetsService {
   /**
    * Adds PSA card data to the Google Sheet with automatic row numbering
    * @param {Object} psaData - Processed PSA certificate data
+   * @param {Object} [options] - Same as addCardsData()
    * @returns {Promise<Object>} - Result of the insert operation
    */
-  async addCardData(psaData) {
+  async addCardData(psaData, options = {}) {
     if (!this.sheets) {
       throw new Error('Google Sheets not initialized. Call initialize() first.');
     }
@@ -90,166 +165,770 @@ class GoogleSheetsService {
       throw new Error('Invalid PSA data format');
     }
 
-    try {
-  // Ensure we're targeting the intended tab; enforce existence for reliability
-  await this.ensureActiveSheet(true);
-      const sheetsData = psaData.GoogleSheetsData;
-
-  // Build row using dynamic header mapping so we can adapt to new layouts
-  const headerMap = await this.getHeaderMap();
-
-      // Canonical field names we support from PSA data
-      const fieldToValue = {
-        cardName: sheetsData.Subject || '',
-        cardNumber: sheetsData.CardNumber || '',
-        condition: sheetsData.Status || 'Graded',
-        gradedFlag: sheetsData.Authenticated || 'Y',
-        company: sheetsData.Company || 'PSA',
-        grade: sheetsData.Grade || '',
-        certNumber: sheetsData.CertNumber || ''
-      };
+    const { results, profile, skippedColumns } = await this.addCardsData([psaData], options);
+    const result = results[0];
+    if (result.duplicate) {
+      throw this.duplicateError(result);
+    }
+    if (!result.success) {
+      throw new Error(`Failed to add data to Google Sheets: ${result.error}`);
+    }
+
+    const subject = psaData.GoogleSheetsData.Subject || 'card';
+    const messages = {
+      inserted: `Successfully added ${subject} to Google Sheets`,
+      updated: `Updated ${subject} in Google Sheets (row ${result.row})`,
+      skipped: `${subject} is already in Google Sheets at row ${result.row}; skipped`
+    };
+
+    return {
+      success: true,
+      action: result.action,
+      row: result.row,
+      updatedRange: result.updatedRange,
+      updatedRows: result.action === 'skipped' ? 0 : 1,
+      rowData: result.rowData,
+      previousValues: result.previousValues,
+      sheetName: this.sheetName,
+      spreadsheetId: this.spreadsheetId,
+      profile,
+      skippedColumns,
+      message: messages[result.action]
+    };
+  }
 
-      // Prepare row aligned to headers if found, else fallback to legacy A:G order
-      let valuesRow = [];
-      if (headerMap && headerMap.headers && headerMap.indexByCanonical) {
-        // Initialize array to header length
-        valuesRow = new Array(headerMap.headers.length).fill('');
-
-        // Fill only known columns if present
-        const setIfPresent = (canonical, value) => {
-          if (canonical in headerMap.indexByCanonical) {
-            const idx = headerMap.indexByCanonical[canonical];
-            valuesRow[idx] = value;
+  /**
+   * Serializes writes to this spreadsheet: a free row is picked from a scan and then written, so two
+   * overlapping writes could otherwise claim the same row
+   */
+  withWriteLock(fn) {
+    const key = this.spreadsheetId || '';
+    const run = (writeQueues.get(key) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    writeQueues.set(key, tail);
+    tail.then(() => { if (writeQueues.get(key) === tail) writeQueues.delete(key); });
+    return run;
+  }
+
+  /**
+   * Adds many PSA cards in one pass: one header read, one row scan, a single
+   * values.batchUpdate and one formatting/validation copy for the whole block
+   * @param {Array<Object>} psaDataList - Processed PSA certificate data
+   * @param {Object} [options]
+   * @param {Object} [options.profile] - Column mapping profile (defaults to the built-in layout)
+   * @param {string} [options.onDuplicate] - skip | update | error | append-anyway when the cert is already in the sheet
+   * @param {string} [options.user] - Written to the sheet's "Added By" column, if it has one
+   * @returns {Promise<Object>} - { success, results: per-card outcome in input order, each with
+   *   action inserted|updated|skipped, and previousValues when a row was overwritten }
+   */
+  async addCardsData(psaDataList, options = {}) {
+    if (!this.sheets) {
+      throw new Error('Google Sheets not initialized. Call initialize() first.');
+    }
+
+    const profile = options.profile || DEFAULT_PROFILE;
+    const onDuplicate = this.resolveDuplicatePolicy(options.onDuplicate);
+
+    return this.withWriteLock(async () => {
+      try {
+        // Ensure we're targeting the intended tab; enforce existence for reliability
+        await this.ensureActiveSheet(true);
+
+        // Build rows using dynamic header mapping so we can adapt to new layouts
+        const headerMap = await this.getHeaderMap(profile);
+        const layout = this.getWriteLayout(headerMap, profile);
+        if (!layout.columns.length) {
+          throw new Error(`Invalid mapping: none of the columns in profile "${profile.name}" were found in sheet "${this.sheetName}"`);
+        }
+        if (options.user) this.addAttributionColumn(layout, headerMap);
+        if (psaDataList.some(psaData => psaData?.Inventory)) this.addInventoryColumns(layout, headerMap);
+        const occupancy = await this.scanOccupiedRows(layout);
+        const preexistingRows = new Set(occupancy.certRows.values());
+        const cellsByRow = new Map(); // rows written earlier in this batch
+
+        const results = [];
+        const data = [];
+        for (const psaData of psaDataList) {
+          if (!psaData || !psaData.GoogleSheetsData) {
+            results.push({ certNumber: psaData?.CertNumber || null, success: false, error: 'Invalid PSA data format' });
+            continue;
           }
-        };
 
-        setIfPresent('cardName', fieldToValue.cardName);
-        setIfPresent('cardNumber', fieldToValue.cardNumber);
-        setIfPresent('condition', fieldToValue.condition);
-        setIfPresent('gradedFlag', fieldToValue.gradedFlag);
-        setIfPresent('company', fieldToValue.company);
-        setIfPresent('grade', fieldToValue.grade);
-        setIfPresent('certNumber', fieldToValue.certNumber);
-      } else {
-        // Fallback to legacy 7-column layout (A:G)
-        valuesRow = [
-          fieldToValue.cardName,
-          fieldToValue.cardNumber,
-          fieldToValue.condition,
-          fieldToValue.gradedFlag,
-          fieldToValue.company,
-          fieldToValue.grade,
-          fieldToValue.certNumber
-        ];
-      }
+          const cells = this.buildRowCells(layout, psaData, options.user);
+          const certCell = cells.find(c => c.key === 'certNumber');
+          const certNumber = (certCell ? certCell.value : psaData.GoogleSheetsData.CertNumber || '').toString().trim();
+          const existingRow = certNumber ? occupancy.certRows.get(certNumber) : undefined;
+
+          let targetRow;
+          let action;
+          if (existingRow !== undefined && onDuplicate !== 'append-anyway') {
+            if (onDuplicate === 'skip') {
+              results.push({ certNumber, success: true, action: 'skipped', row: existingRow });
+              continue;
+            }
+            if (onDuplicate === 'error') {
+              results.push({
+                certNumber,
+                success: false,
+                duplicate: true,
+                row: existingRow,
+                error: `Cert ${certNumber} is already in inventory at row ${existingRow}`
+              });
+              continue;
+            }
+            targetRow = existingRow;
+            action = 'updated';
+          } else {
+            targetRow = this.claimFreeRow(occupancy, certNumber);
+            action = 'inserted';
+          }
 
-      // Determine critical column indices for A–E style inputs we own
-      const idxCardName = headerMap?.indexByCanonical?.cardName ?? 0;
-      const idxCardNumber = headerMap?.indexByCanonical?.cardNumber ?? 1;
-      const idxCompany = headerMap?.indexByCanonical?.company ?? 2;
-      const idxGrade = headerMap?.indexByCanonical?.grade ?? 3;
-      const idxCert = headerMap?.indexByCanonical?.certNumber ?? 4;
-
-      // We'll only ever write the contiguous block covering these columns
-      const writeStartIdx = Math.min(idxCardName, idxCardNumber, idxCompany, idxGrade, idxCert);
-      const writeEndIdx = Math.max(idxCardName, idxCardNumber, idxCompany, idxGrade, idxCert);
-      const writeStartLetter = this.columnIndexToLetter(writeStartIdx);
-      const writeEndLetter = this.columnIndexToLetter(writeEndIdx);
-
-      // Find the correct target row:
-      // - Prefer a row whose cert matches the card we’re adding (update that row A–E)
-      // - Else pick the first row where BOTH card name and cert are empty (insert)
-      // - If a row has a name but no cert, treat it as occupied; skip it
-      const firstDataRow = (headerMap?.headerRow || 1) + 1;
-      const scanStartIdx = Math.min(idxCardName, idxCert);
-      const scanEndIdx = Math.max(idxCardName, idxCert);
-      const scanStartLetter = this.columnIndexToLetter(scanStartIdx);
-      const scanEndLetter = this.columnIndexToLetter(scanEndIdx);
-      const scanRange = `${this.sheetName}!${scanStartLetter}${firstDataRow}:${scanEndLetter}`;
-
-      const scanResp = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: scanRange,
-        majorDimension: 'ROWS'
-      });
-      const rows = scanResp.data.values || [];
-      const certToAdd = (fieldToValue.certNumber || '').toString().trim();
-
-      let targetRow = null;
-      let firstEmptyRow = null;
-
-      for (let i = 0; i < rows.length; i++) {
-        const relRow = rows[i] || [];
-        const nameCell = (relRow[idxCardName - scanStartIdx] || '').toString().trim();
-        const certCell = (relRow[idxCert - scanStartIdx] || '').toString().trim();
-
-        if (certCell) {
-          // Strong match on cert – prefer updating this row
-          if (certToAdd && certCell === certToAdd) {
-            targetRow = firstDataRow + i;
-            break;
+          // Only the mapped cells are written; unmapped columns in between are left untouched
+          for (const segment of this.groupContiguousCells(cells)) {
+            const range = `${this.sheetName}!${this.columnIndexToLetter(segment.start)}${targetRow}:${this.columnIndexToLetter(segment.end)}${targetRow}`;
+            data.push({ range, values: [segment.values] });
+          }
+
+          const first = this.columnIndexToLetter(cells[0].index);
+          const last = this.columnIndexToLetter(cells[cells.length - 1].index);
+          const result = {
+            certNumber,
+            success: true,
+            action,
+            row: targetRow,
+            updatedRange: `${this.sheetName}!${first}${targetRow}:${last}${targetRow}`,
+            rowData: cells.map(c => c.value)
+          };
+          if (action === 'updated' && cellsByRow.has(targetRow)) {
+            result.previousValues = this.cellsToValues(layout, cellsByRow.get(targetRow));
           }
-          // Different cert present → definitely occupied, skip
-          continue;
+          cellsByRow.set(targetRow, cells);
+          results.push(result);
         }
 
-        // No cert – if there is a name, treat as occupied (don’t overwrite)
-        if (nameCell) {
-          continue;
+        const written = results.filter(r => r.success && r.action !== 'skipped');
+        if (!written.length) {
+          return {
+            success: results.some(r => r.success),
+            updatedRows: 0,
+            sheetName: this.sheetName,
+            spreadsheetId: this.spreadsheetId,
+            profile: profile.name,
+            skippedColumns: layout.skipped,
+            results
+          };
         }
 
-        // Both empty – potential insert location (keep the first one)
-        if (!firstEmptyRow) {
-          firstEmptyRow = firstDataRow + i;
+        // Capture what we're about to overwrite so callers can see (and restore) hand-entered values
+        const overwritten = written.filter(r => r.action === 'updated' && !r.previousValues && preexistingRows.has(r.row));
+        if (overwritten.length) {
+          const previousByRow = await this.readRowValues(layout, overwritten.map(r => r.row));
+          overwritten.forEach(r => { r.previousValues = previousByRow.get(r.row) || null; });
         }
+
+        await this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: { valueInputOption: 'USER_ENTERED', data }
+        });
+
+        // Best effort: copy formatting and data validation from the row above each inserted block
+        try {
+          await this.applyFormattingAndValidation(headerMap, written.filter(r => r.action === 'inserted').map(r => r.row));
+        } catch (fmtErr) {
+          logger.warn('Formatting/validation copy skipped', { error: fmtErr.message });
+        }
+
+        return {
+          success: true,
+          updatedRows: new Set(written.map(r => r.row)).size,
+          sheetName: this.sheetName,
+          spreadsheetId: this.spreadsheetId,
+          profile: profile.name,
+          skippedColumns: layout.skipped,
+          results
+        };
+
+      } catch (error) {
+        if (error.code === 400) {
+          throw new Error(`Invalid sheet range or data format: ${error.message}`);
+        }
+        if (error.code === 404) {
+          throw new Error(`Sheet "${this.sheetName}" not found in the spreadsheet`);
+        }
+        throw new Error(`Failed to add data to Google Sheets: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Reads the mapped cells of existing rows in one values.batchGet
+   * @param {Object} layout - Result of getWriteLayout()
+   * @param {number[]} rows - 1-based row numbers
+   * @returns {Promise<Map<number, Object>>} - row -> { header: value }
+   */
+  async readRowValues(layout, rows) {
+    const unique = Array.from(new Set(rows));
+    const lastLetter = this.columnIndexToLetter(layout.columns[layout.columns.length - 1].index);
+    const resp = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId: this.spreadsheetId,
+      ranges: unique.map(row => `${this.sheetName}!A${row}:${lastLetter}${row}`),
+      majorDimension: 'ROWS'
+    });
+
+    const byRow = new Map();
+    (resp.data.valueRanges || []).forEach((vr, i) => {
+      const rowValues = (vr.values && vr.values[0]) || [];
+      byRow.set(unique[i], this.cellsToValues(layout, layout.columns.map(col => ({
+        index: col.index,
+        value: rowValues[col.index] ?? ''
+      }))));
+    });
+    return byRow;
+  }
+
+  /**
+   * Labels cell values with their column header (or letter)
+   * @returns {Object} - { header: value }
+   */
+  cellsToValues(layout, cells) {
+    const values = {};
+    cells.forEach((cell, i) => {
+      const col = layout.columns.find(c => c.index === cell.index) || layout.columns[i];
+      values[col.header] = cell.value;
+    });
+    return values;
+  }
+
+  /**
+   * Resolves each profile column to a sheet column index.
+   * Columns are matched by letter, then by header; when the sheet has no recognizable
+   * header row, keyed columns fall back to the legacy A–E order.
+   * @param {Object|null} headerMap - Result of getHeaderMap(profile)
+   * @param {Object} profile - Column mapping profile
+   * @returns {Object} - { columns, idx, firstDataRow, skipped }
+   */
+  getWriteLayout(headerMap, profile = DEFAULT_PROFILE) {
+    const columns = [];
+    const skipped = [];
+
+    profile.columns.forEach((col, i) => {
+      let index;
+      if (col.letter) {
+        index = this.columnLetterToIndex(col.letter);
+      } else if (headerMap && headerMap.indexByColumn) {
+        index = headerMap.indexByColumn[i];
+      } else if (col.key && col.key in LEGACY_INDEX) {
+        index = LEGACY_INDEX[col.key];
       }
 
-      if (!targetRow) {
-        // If we didn’t find a matching cert row, use first empty slot if discovered
-        targetRow = firstEmptyRow || (firstDataRow + rows.length);
+      if (index === undefined) {
+        skipped.push(col.column || col.letter);
+        return;
       }
+      columns.push({ index, key: col.key || null, value: col.value, header: col.column || col.letter });
+    });
+    columns.sort((a, b) => a.index - b.index);
 
-      // Build the write payload only for the columns we own (contiguous A–E style segment)
-      const writeRow = new Array(writeEndIdx - writeStartIdx + 1).fill('');
-      writeRow[idxCardName - writeStartIdx] = fieldToValue.cardName;
-      writeRow[idxCardNumber - writeStartIdx] = fieldToValue.cardNumber;
-      writeRow[idxCompany - writeStartIdx] = fieldToValue.company;
-      writeRow[idxGrade - writeStartIdx] = fieldToValue.grade;
-      writeRow[idxCert - writeStartIdx] = fieldToValue.certNumber;
+    // Canonical columns used to find rows; the scan falls back to legacy positions
+    const idx = { ...(headerMap?.indexByCanonical || {}) };
+    columns.forEach(c => { if (c.key) idx[c.key] = c.index; });
+    if (idx.cardName === undefined) idx.cardName = LEGACY_INDEX.cardName;
+    if (idx.certNumber === undefined) idx.certNumber = LEGACY_INDEX.certNumber;
 
-      const updateResult = await this.sheets.spreadsheets.values.update({
-        spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!${writeStartLetter}${targetRow}:${writeEndLetter}${targetRow}`,
-        valueInputOption: 'USER_ENTERED',
-        resource: { values: [writeRow] }
-      });
+    return {
+      columns,
+      idx,
+      firstDataRow: (headerMap?.headerRow || 1) + 1,
+      skipped
+    };
+  }
+
+  /**
+   * Reads the card name and cert columns to find which rows are taken.
+   * - A row whose cert matches the card we're adding is updated in place
+   * - A row where BOTH card name and cert are empty is free for insert
+   * - A row with a name but no cert is treated as occupied and skipped
+   * @param {Object} layout - Result of getWriteLayout()
+   * @returns {Promise<Object>} - { certRows: Map<cert,row>, emptyRows: number[], nextRow }
+   */
+  async scanOccupiedRows(layout) {
+    const { idx, firstDataRow } = layout;
+    const scanStartIdx = Math.min(idx.cardName, idx.certNumber);
+    const scanEndIdx = Math.max(idx.cardName, idx.certNumber);
+    const scanStartLetter = this.columnIndexToLetter(scanStartIdx);
+    const scanEndLetter = this.columnIndexToLetter(scanEndIdx);
+    const scanRange = `${this.sheetName}!${scanStartLetter}${firstDataRow}:${scanEndLetter}`;
+
+    const scanResp = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: scanRange,
+      majorDimension: 'ROWS'
+    });
+    const rows = scanResp.data.values || [];
+
+    const certRows = new Map();
+    const emptyRows = [];
+    for (let i = 0; i < rows.length; i++) {
+      const relRow = rows[i] || [];
+      const nameCell = (relRow[idx.cardName - scanStartIdx] || '').toString().trim();
+      const certCell = (relRow[idx.certNumber - scanStartIdx] || '').toString().trim();
+
+      if (certCell) {
+        // Keep the first row for a cert, matching the previous single-row search
+        if (!certRows.has(certCell)) certRows.set(certCell, firstDataRow + i);
+        continue;
+      }
+      if (!nameCell) {
+        emptyRows.push(firstDataRow + i);
+      }
+    }
+
+    return { certRows, emptyRows, nextRow: firstDataRow + rows.length };
+  }
+
+  /**
+   * Claims the row for a new card (first free slot, else after the data)
+   * and records the cert so later cards in the same batch see it as a duplicate
+   * @param {Object} occupancy - Result of scanOccupiedRows(), mutated in place
+   * @param {string} certNumber
+   * @returns {number} - 1-based row number
+   */
+  claimFreeRow(occupancy, certNumber) {
+    const row = occupancy.emptyRows.length ? occupancy.emptyRows.shift() : occupancy.nextRow++;
+    if (certNumber) occupancy.certRows.set(certNumber, row);
+    return row;
+  }
+
+  /**
+   * Renders every mapped column for one card; the "Added By" column gets the acting user
+   * @returns {Array<{index: number, key: string|null, value: string}>} - Sorted by column
+   */
+  buildRowCells(layout, psaData, user) {
+    return layout.columns.map(col => ({
+      index: col.index,
+      key: col.key,
+      value: user && col.index === layout.idx.addedBy ? user : renderTemplate(col.value, psaData)
+    }));
+  }
+
+  /**
+   * Writes also fill the sheet's "Added By" column when the profile doesn't map it
+   * @param {Object} layout - Result of getWriteLayout(); extended in place
+   * @param {Object|null} headerMap
+   */
+  addAttributionColumn(layout, headerMap) {
+    const index = layout.idx.addedBy;
+    if (index === undefined || layout.columns.some(col => col.index === index)) return;
+    layout.columns.push({ index, key: 'addedBy', value: '', header: headerMap?.headers?.[index] || 'Added By' });
+    layout.columns.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Writes also fill the sheet's SKU and Location columns (found by header) when the profile doesn't map them
+   * @param {Object} layout - Result of getWriteLayout(); extended in place
+   * @param {Object|null} headerMap
+   */
+  addInventoryColumns(layout, headerMap) {
+    const templates = { sku: '{Inventory.sku}', location: '{Inventory.location}' };
+    Object.entries(templates).forEach(([key, value]) => {
+      const index = layout.idx[key];
+      if (index === undefined || layout.columns.some(col => col.index === index)) return;
+      layout.columns.push({ index, key, value, header: headerMap?.headers?.[index] || key });
+    });
+    layout.columns.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Renders the profile's keyed columns so comparisons use the same templates as writes
+   * @param {Object} psaData - Processed PSA certificate data
+   * @param {Object} [options] - { profile? }
+   * @returns {Object}
+   */
+  expectedFieldValues(psaData, options = {}) {
+    const profile = options.profile || DEFAULT_PROFILE;
+    const values = super.expectedFieldValues(psaData, options);
+    profile.columns.forEach(col => {
+      if (col.key) values[col.key] = renderTemplate(col.value, psaData).trim();
+    });
+    return values;
+  }
+
+  /**
+   * Splits sorted cells into runs of adjacent columns so each run is one range write
+   */
+  groupContiguousCells(cells) {
+    const segments = [];
+    for (const cell of cells) {
+      const last = segments[segments.length - 1];
+      if (last && cell.index === last.end + 1) {
+        last.end = cell.index;
+        last.values.push(cell.value);
+      } else if (last && cell.index === last.end) {
+        last.values[last.values.length - 1] = cell.value; // same column mapped twice: last wins
+      } else {
+        segments.push({ start: cell.index, end: cell.index, values: [cell.value] });
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Reads every inventory row as a canonical card record (empty rows skipped)
+   * @param {Object} [options]
+   * @param {Object} [options.profile] - Column mapping profile used to locate keyed columns
+   * @returns {Promise<Array<Object>>} - Records with the 1-based sheet `row` they came from
+   *   (plus soldPrice/soldDate/soldChannel when the sheet has sold columns)
+   */
+  async listCards(options = {}) {
+    const profile = options.profile || DEFAULT_PROFILE;
+    if (!this.sheets) {
+      throw new Error('Google Sheets not initialized. Call initialize() first.');
+    }
+
+    await this.ensureActiveSheet(true);
+    const headerMap = await this.getHeaderMap(profile);
+    const layout = this.getWriteLayout(headerMap, profile);
+    // Profile/header-mapped columns; the legacy A–E positions cover sheets without headers
+    const indexByCanonical = layout.idx;
+    // Sale details, for rows marked sold in place
+    const soldIndex = this.getSoldColumns(headerMap, profile);
+    const lastIdx = Math.max(
+      headerMap?.headers?.length ? headerMap.headers.length - 1 : 0,
+      ...Object.values(indexByCanonical),
+      ...Object.values(soldIndex)
+    );
+
+    const resp = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A${layout.firstDataRow}:${this.columnIndexToLetter(lastIdx)}`,
+      majorDimension: 'ROWS'
+    });
+    const rows = resp.data.values || [];
+
+    const cards = [];
+    rows.forEach((row, i) => {
+      const card = { row: layout.firstDataRow + i };
+      for (const { key } of InventoryStorage.CARD_FIELDS) {
+        const idx = indexByCanonical[key];
+        card[key] = idx === undefined ? '' : (row[idx] ?? '').toString().trim();
+      }
+      for (const [key, idx] of Object.entries(soldIndex)) {
+        card[key] = (row[idx] ?? '').toString().trim();
+      }
+      if (card.cardName || card.certNumber) cards.push(card);
+    });
+    return cards;
+  }
 
-      // Best effort: copy formatting and data validation from the previous row (or row after header)
+  /**
+   * Clears a card's row so the slot can be reused by the next insert
+   * @param {string} certNumber
+   * @param {Object} [options]
+   * @param {Object} [options.profile] - Column mapping profile used to locate the cert column
+   * @returns {Promise<Object>} - { success, action: 'removed', row, previousValues, message }
+   */
+  async removeCard(certNumber, options = {}) {
+    if (!this.sheets) {
+      throw new Error('Google Sheets not initialized. Call initialize() first.');
+    }
+
+    const profile = options.profile || DEFAULT_PROFILE;
+    return this.withWriteLock(async () => {
       try {
-        await this.applyFormattingAndValidation(headerMap, updateResult.data.updatedRange);
-      } catch (fmtErr) {
-        console.warn('Formatting/validation copy skipped:', fmtErr.message);
+        const { row, snapshot } = await this.locateCardRow(certNumber, profile);
+        await this.clearRow(row, snapshot.values.length - 1);
+
+        return {
+          success: true,
+          action: 'removed',
+          certNumber: snapshot.certNumber,
+          row,
+          previousValues: snapshot.labeled,
+          sheetName: this.sheetName,
+          spreadsheetId: this.spreadsheetId,
+          message: `Removed cert ${snapshot.certNumber} from Google Sheets (row ${row})`
+        };
+      } catch (error) {
+        throw new Error(`Failed to remove card from Google Sheets: ${error.message}`);
       }
+    });
+  }
 
-      return {
-        success: true,
-        updatedRange: updateResult.data.updatedRange,
-        updatedRows: 1,
-        rowData: writeRow,
-        sheetName: this.sheetName,
-        spreadsheetId: this.spreadsheetId,
-        message: `Successfully added ${sheetsData.Subject || 'card'} to Google Sheets`
-      };
+  /**
+   * Overwrites some canonical fields of a card's row; fields without a column in the sheet are left out
+   * @param {string} certNumber
+   * @param {Object} values - { field: value }, e.g. { location: 'Case A / Box 3' }
+   * @param {Object} [options] - { profile? }
+   * @returns {Promise<Object>} - { success, action: 'updated'|'unchanged', row, fields, previousValues, message }
+   */
+  async updateCardFields(certNumber, values, options = {}) {
+    if (!this.sheets) {
+      throw new Error('Google Sheets not initialized. Call initialize() first.');
+    }
 
-    } catch (error) {
-      if (error.code === 400) {
-        throw new Error(`Invalid sheet range or data format: ${error.message}`);
+    const profile = options.profile || DEFAULT_PROFILE;
+    return this.withWriteLock(async () => {
+      try {
+        const { layout, row, snapshot } = await this.locateCardRow(certNumber, profile);
+        const cells = Object.keys(values)
+          .filter(field => layout.idx[field] !== undefined)
+          .map(field => ({ field, index: layout.idx[field], value: (values[field] ?? '').toString() }))
+          .sort((a, b) => a.index - b.index);
+        const result = {
+          success: true,
+          action: cells.length ? 'updated' : 'unchanged',
+          certNumber: snapshot.certNumber,
+          row,
+          fields: cells.map(cell => cell.field),
+          previousValues: snapshot.labeled,
+          sheetName: this.sheetName,
+          spreadsheetId: this.spreadsheetId
+        };
+        if (!cells.length) {
+          return { ...result, message: `Sheet "${this.sheetName}" has no ${Object.keys(values).join(' or ')} column; row ${row} left as is` };
+        }
+
+        await this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            valueInputOption: 'USER_ENTERED',
+            data: this.groupContiguousCells(cells).map(segment => ({
+              range: `${this.sheetName}!${this.columnIndexToLetter(segment.start)}${row}:${this.columnIndexToLetter(segment.end)}${row}`,
+              values: [segment.values]
+            }))
+          }
+        });
+        return { ...result, message: `Updated ${result.fields.join(', ')} of cert ${snapshot.certNumber} (row ${row})` };
+      } catch (error) {
+        throw new Error(`Failed to update card in Google Sheets: ${error.message}`);
       }
-      if (error.code === 404) {
-        throw new Error(`Sheet "${this.sheetName}" not found in the spreadsheet`);
+    });
+  }
+
+  /**
+   * Marks a card sold. Modes:
+   * - move:    append the row plus sale details to the Sold tab, then clear it
+   * - columns: write the sale details into the sold columns of the same row
+   * - clear:   clear the row
+   * @param {string} certNumber
+   * @param {Object} sale - { price?, date?, channel? }
+   * @param {Object} [options]
+   * @param {string} [options.mode] - move | columns | clear (defaults to SOLD_MODE)
+   * @param {Object} [options.profile] - Column mapping profile; its soldColumns pick the sold columns
+   * @returns {Promise<Object>} - { success, action: 'sold', mode, row, sale, previousValues, soldRange?, message }
+   */
+  async markCardSold(certNumber, sale, options = {}) {
+    if (!this.sheets) {
+      throw new Error('Google Sheets not initialized. Call initialize() first.');
+    }
+
+    const profile = options.profile || DEFAULT_PROFILE;
+    const mode = this.resolveSoldMode(options.mode);
+    const soldValues = this.normalizeSale(sale);
+
+    return this.withWriteLock(async () => {
+      try {
+        const { headerMap, row, snapshot } = await this.locateCardRow(certNumber, profile);
+        let soldRange;
+
+        if (mode === 'columns') {
+          const soldIndex = this.getSoldColumns(headerMap, profile);
+          if (!Object.keys(soldIndex).length) {
+            throw new Error(`Invalid sold columns: sheet "${this.sheetName}" has no Sold Price, Sold Date or Sold Channel column`);
+          }
+          const cells = Object.entries(soldIndex)
+            .map(([key, index]) => ({ index, value: soldValues[key] }))
+            .sort((a, b) => a.index - b.index);
+          const data = this.groupContiguousCells(cells).map(segment => ({
+            range: `${this.sheetName}!${this.columnIndexToLetter(segment.start)}${row}:${this.columnIndexToLetter(segment.end)}${row}`,
+            values: [segment.values]
+          }));
+          await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: { valueInputOption: 'USER_ENTERED', data }
+          });
+        } else {
+          if (mode === 'move') {
+            // Copy to the Sold tab before clearing so a failed append never loses the row
+            soldRange = await this.appendSoldRow(headerMap, snapshot.values, soldValues);
+          }
+          await this.clearRow(row, snapshot.values.length - 1);
+        }
+
+        const subject = snapshot.cardName || `cert ${snapshot.certNumber}`;
+        const where = mode === 'move' ? ` and moved it to "${this.soldSheetName}"` : '';
+        return {
+          success: true,
+          action: 'sold',
+          mode,
+          certNumber: snapshot.certNumber,
+          row,
+          sale: soldValues,
+          previousValues: snapshot.labeled,
+          soldRange,
+          sheetName: this.sheetName,
+          spreadsheetId: this.spreadsheetId,
+          message: `Marked ${subject} sold (row ${row})${where}`
+        };
+      } catch (error) {
+        throw new Error(`Failed to mark card sold in Google Sheets: ${error.message}`);
       }
-      throw new Error(`Failed to add data to Google Sheets: ${error.message}`);
+    });
+  }
+
+  /**
+   * Finds a card's row with the same cert scan addCardsData() uses and reads the whole row
+   * @param {string} certNumber
+   * @param {Object} profile - Column mapping profile
+   * @returns {Promise<Object>} - { headerMap, layout, row, snapshot: { values, labeled, cardName, certNumber } }
+   */
+  async locateCardRow(certNumber, profile) {
+    const key = (certNumber || '').toString().trim();
+    await this.ensureActiveSheet(true);
+    const headerMap = await this.getHeaderMap(profile);
+    const layout = this.getWriteLayout(headerMap, profile);
+    const occupancy = await this.scanOccupiedRows(layout);
+    const row = key ? occupancy.certRows.get(key) : undefined;
+    if (row === undefined) throw this.certNotFoundError(key);
+
+    const lastIdx = Math.max(
+      headerMap?.headers?.length ? headerMap.headers.length - 1 : 0,
+      ...layout.columns.map(c => c.index),
+      ...Object.values(layout.idx)
+    );
+    const resp = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A${row}:${this.columnIndexToLetter(lastIdx)}${row}`,
+      majorDimension: 'ROWS'
+    });
+    const rowValues = (resp.data.values && resp.data.values[0]) || [];
+    const values = Array.from({ length: lastIdx + 1 }, (_, i) => rowValues[i] ?? '');
+
+    // Label cells by header (or letter) so callers can see what was there
+    const labeled = {};
+    values.forEach((value, i) => {
+      const header = (headerMap?.headers?.[i] || '').toString().trim();
+      if (header || value !== '') labeled[header || this.columnIndexToLetter(i)] = value;
+    });
+
+    return {
+      headerMap,
+      layout,
+      row,
+      snapshot: {
+        values,
+        labeled,
+        cardName: (values[layout.idx.cardName] || '').toString().trim(),
+        certNumber: key
+      }
+    };
+  }
+
+  /**
+   * Clears the values of one row (formatting and validation stay for the next insert)
+   * @param {number} row - 1-based row number
+   * @param {number} lastIdx - Last zero-based column to clear
+   */
+  async clearRow(row, lastIdx) {
+    await this.sheets.spreadsheets.values.clear({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A${row}:${this.columnIndexToLetter(lastIdx)}${row}`
+    });
+  }
+
+  /**
+   * Resolves the sold columns of the inventory tab: the profile's soldColumns first,
+   * then any header matching the built-in sold aliases
+   * @param {Object|null} headerMap - Result of getHeaderMap(profile)
+   * @param {Object} profile - Column mapping profile
+   * @returns {Object} - soldPrice|soldDate|soldChannel -> column index (only the ones found)
+   */
+  getSoldColumns(headerMap, profile) {
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+    const normHeaders = (headerMap?.headers || []).map(norm);
+    const indexByKey = {};
+
+    (profile.soldColumns || []).forEach(col => {
+      const index = col.letter
+        ? this.columnLetterToIndex(col.letter)
+        : normHeaders.indexOf(norm(col.column));
+      if (index >= 0) indexByKey[col.key] = index;
+    });
+
+    for (const [key, names] of Object.entries(SOLD_HEADER_ALIASES)) {
+      if (key in indexByKey) continue;
+      const index = normHeaders.findIndex(h => names.includes(h));
+      if (index >= 0) indexByKey[key] = index;
     }
+    return indexByKey;
+  }
+
+  /**
+   * Appends a sold card to the Sold tab, creating it with the inventory headers
+   * plus the sale columns when missing. Existing Sold tabs are filled by header name.
+   * @param {Object|null} headerMap - Inventory header map
+   * @param {Array<string>} values - Full inventory row
+   * @param {Object} soldValues - Result of normalizeSale()
+   * @returns {Promise<string>} - Updated range on the Sold tab
+   */
+  async appendSoldRow(headerMap, values, soldValues) {
+    const inventoryHeaders = headerMap?.headers?.length
+      ? values.map((_, i) => (headerMap.headers[i] || '').toString())
+      : values.map((_, i) => {
+        const field = InventoryStorage.CARD_FIELDS.find(f => LEGACY_INDEX[f.key] === i);
+        return field ? field.header : '';
+      });
+
+    const info = await this.getSpreadsheetInfo();
+    let soldHeaders;
+    if (info.sheets.includes(this.soldSheetName)) {
+      const resp = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.soldSheetName}!A1:ZZ1`
+      });
+      soldHeaders = (resp.data.values && resp.data.values[0]) || [];
+    } else {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: { requests: [{ addSheet: { properties: { title: this.soldSheetName } } }] }
+      });
+      soldHeaders = [];
+    }
+
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+    const soldKeyOf = (header) => Object.keys(SOLD_HEADER_ALIASES).find(key => SOLD_HEADER_ALIASES[key].includes(norm(header)));
+
+    if (!soldHeaders.length) {
+      // Inventory columns first, then whichever sale columns the inventory tab doesn't already have
+      const present = new Set(inventoryHeaders.map(soldKeyOf).filter(Boolean));
+      soldHeaders = [
+        ...inventoryHeaders,
+        ...InventoryStorage.SOLD_FIELDS.filter(f => !present.has(f.key)).map(f => f.header)
+      ];
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.soldSheetName}!A1:${this.columnIndexToLetter(soldHeaders.length - 1)}1`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [soldHeaders] }
+      });
+    }
+
+    // Place each value under the matching Sold tab header; unnamed inventory columns keep their position
+    const soldRow = soldHeaders.map((header, i) => {
+      const soldKey = soldKeyOf(header);
+      if (soldKey) return soldValues[soldKey];
+      const h = norm(header);
+      const invIdx = h ? inventoryHeaders.findIndex(ih => norm(ih) === h) : (inventoryHeaders[i] ? -1 : i);
+      return invIdx >= 0 ? (values[invIdx] ?? '') : '';
+    });
+
+    const response = await this.sheets.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.soldSheetName}!A:${this.columnIndexToLetter(soldRow.length - 1)}`,
+      valueInputOption: 'USER_ENTERED',
+      resource: { values: [soldRow] }
+    });
+    return response.data.updates.updatedRange;
   }
 
   /**
@@ -307,10 +986,12 @@ class GoogleSheetsService {
    */
   getStatus() {
     return {
+      backend: this.backend,
       configured: !!(this.spreadsheetId && (this.serviceAccountKeyPath || process.env.GOOGLE_SERVICE_ACCOUNT_JSON)),
       initialized: !!this.sheets,
       spreadsheetId: this.spreadsheetId,
       sheetName: this.sheetName,
+      soldSheetName: this.soldSheetName,
       hasAuth: !!this.auth
     };
   }
@@ -348,9 +1029,10 @@ class GoogleSheetsService {
    * @param {Object} cardData - PSA card data
    * @param {string} status - success or error
    * @param {string} timestamp - scan timestamp
+   * @param {string} [user] - who scanned it
    * @returns {Promise<Object>} - Add result
    */
-  async saveScanHistory(certNumber, cardData, status, timestamp) {
+  async saveScanHistory(certNumber, cardData, status, timestamp, user) {
     if (!this.sheets) {
       await this.initialize();
     }
@@ -368,12 +1050,13 @@ class GoogleSheetsService {
         cardData ? cardData.Subject || cardData.CardName || 'Unknown' : 'Lookup Failed',
         cardData ? cardData.CardNumber || 'N/A' : 'N/A',
         cardData ? (cardData.NumericGrade || cardData.numericGrade || 'N/A') : 'N/A',
-        cardData ? JSON.stringify(cardData) : null // Store full data for recovery
+        cardData ? JSON.stringify(cardData) : null, // Store full data for recovery
+        user || ''
       ]];
 
       const response = await this.sheets.spreadsheets.values.append({
         spreadsheetId: this.spreadsheetId,
-        range: `${historySheetName}!A:G`,
+        range: `${historySheetName}!A:H`,
         valueInputOption: 'USER_ENTERED',
         resource: { values }
       });
@@ -411,7 +1094,7 @@ class GoogleSheetsService {
 
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${historySheetName}!A:G`
+        range: `${historySheetName}!A:H`
       });
 
       const rows = response.data.values || [];
@@ -421,7 +1104,7 @@ class GoogleSheetsService {
       const recentRows = dataRows.slice(-limit).reverse(); // Get last N entries, newest first
 
       return recentRows.map(row => {
-        const [timestamp, certNumber, status, cardName, cardNumber, grade, cardDataJson] = row;
+        const [timestamp, certNumber, status, cardName, cardNumber, grade, cardDataJson, user] = row;
         
         let cardData = null;
         if (cardDataJson && status === 'success') {
@@ -441,12 +1124,13 @@ class GoogleSheetsService {
           timestamp,
           certNumber,
           status,
-          cardData
+          cardData,
+          user: user || null
         };
       });
 
     } catch (error) {
-      console.error('Failed to load scan history:', error.message);
+      logger.error('Failed to load scan history', { error: error.message });
       return []; // Return empty array on error, don't break the app
     }
   }
@@ -479,15 +1163,15 @@ class GoogleSheetsService {
         // Add headers
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `${sheetName}!A1:G1`,
+          range: `${sheetName}!A1:H1`,
           valueInputOption: 'USER_ENTERED',
           resource: {
-            values: [['Timestamp', 'Cert Number', 'Status', 'Card Name', 'Card Number', 'Grade', 'Full Data']]
+            values: [['Timestamp', 'Cert Number', 'Status', 'Card Name', 'Card Number', 'Grade', 'Full Data', 'User']]
           }
         });
       }
     } catch (error) {
-      console.error('Failed to ensure scan history sheet:', error.message);
+      logger.error('Failed to ensure scan history sheet', { error: error.message });
       // Don't throw here - we want the app to continue working even if sheet creation fails
     }
   }
@@ -512,11 +1196,12 @@ class GoogleSheetsService {
   }
 
   /**
-   * Reads header row and builds a mapping from canonical field names to column indices.
-   * Adapts to different sheet layouts.
-   * @returns {Promise<{headers: string[], indexByCanonical: Object}>}
+   * Reads header row and builds a mapping from canonical field names (and from each
+   * profile column) to column indices. Adapts to different sheet layouts.
+   * @param {Object} [profile] - Column mapping profile; its headers are matched as well as the built-in aliases
+   * @returns {Promise<{headers: string[], indexByCanonical: Object, indexByColumn: Array, headerRow: number}|null>}
    */
-  async getHeaderMap() {
+  async getHeaderMap(profile = DEFAULT_PROFILE) {
     if (!this.sheets) {
       throw new Error('Google Sheets not initialized. Call initialize() first.');
     }
@@ -535,43 +1220,45 @@ class GoogleSheetsService {
       const norm = (s) => (s || '').toString().trim().toLowerCase();
 
       // Map possible header names to canonical fields we support
-      const candidates = [
-        { canonical: 'cardName', names: ['card name', 'name', 'subject', 'title'] },
-        { canonical: 'cardNumber', names: ['card #', 'card number', 'number', 'no', '#'] },
-        { canonical: 'condition', names: ['condition', 'status', 'graded status'] },
-        { canonical: 'gradedFlag', names: ['graded?', 'authenticated', 'graded'] },
-        { canonical: 'company', names: ['company', 'grading company', 'grader'] },
-        { canonical: 'grade', names: ['grade', 'numeric grade', 'grade (num)'] },
-        { canonical: 'certNumber', names: ['cert', 'cert #', 'cert number', 'certification number'] }
-      ];
-
-  // Score each row by how many candidate headers it matches; pick the best
-  let best = { idx: -1, score: -1, headers: [] };
+      const candidates = Object.entries(HEADER_ALIASES).map(([canonical, names]) => ({ canonical, names }));
+      // Each profile column matches its own header text, plus the aliases of its key
+      const profileCandidates = profile.columns.map(col => ({
+        names: [col.column ? norm(col.column) : null, ...(col.key ? HEADER_ALIASES[col.key] : [])].filter(Boolean)
+      }));
+      const allNames = new Set([...candidates, ...profileCandidates].flatMap(c => c.names));
+
+      // Score each row by how many candidate headers it matches; pick the best
+      let best = { idx: -1, score: 0, headers: [] };
       rows.forEach((row, rIdx) => {
         let score = 0;
         for (const cell of row) {
-          const hNorm = norm(cell);
-          if (candidates.some(c => c.names.some(n => hNorm === n))) score++;
+          if (allNames.has(norm(cell))) score++;
         }
         if (score > best.score) best = { idx: rIdx, score, headers: row };
       });
 
       const headers = best.headers || [];
       if (!headers.length) return null;
+      const normHeaders = headers.map(norm);
 
       const indexByCanonical = {};
-      headers.forEach((h, idx) => {
-        const hNorm = norm(h);
+      normHeaders.forEach((hNorm, idx) => {
         for (const c of candidates) {
-          if (c.names.some(n => hNorm === n)) {
-            if (!(c.canonical in indexByCanonical)) {
-              indexByCanonical[c.canonical] = idx;
-            }
+          if (c.names.includes(hNorm) && !(c.canonical in indexByCanonical)) {
+            indexByCanonical[c.canonical] = idx;
           }
         }
       });
 
-      return { headers, indexByCanonical, headerRow: best.idx + 1 };
+      // Exact header text wins over an alias match for profile columns
+      const indexByColumn = profile.columns.map((col, i) => {
+        const exact = col.column ? normHeaders.indexOf(norm(col.column)) : -1;
+        if (exact >= 0) return exact;
+        const alias = normHeaders.findIndex(h => profileCandidates[i].names.includes(h));
+        return alias >= 0 ? alias : undefined;
+      });
+
+      return { headers, indexByCanonical, indexByColumn, headerRow: best.idx + 1 };
     } catch (e) {
       // On any error, return null so caller can fallback to legacy order
       return null;
@@ -593,74 +1280,62 @@ class GoogleSheetsService {
   }
 
   /**
-   * Copy formatting and data validation from a template row to the appended row
-   * @param {Object|null} headerMap
-   * @param {string|null} updatedRange - A1 range returned by append e.g. `'Input Sheet'!A204:I204`
+   * Converts a Google Sheets column letter to a zero-based index (e.g., A -> 0, AB -> 27)
    */
-  async applyFormattingAndValidation(headerMap, updatedRange) {
-    if (!updatedRange || !headerMap || !headerMap.headers || !headerMap.headerRow) return;
+  columnLetterToIndex(letter) {
+    return letter.toUpperCase().split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+  }
 
-    // Extract start and end row from A1 notation
-    const match = updatedRange.match(/!(?:[A-Z]+)(\d+):(?:[A-Z]+)(\d+)/);
-    if (!match) return;
-    const startRow = parseInt(match[1], 10);
-    const endRow = parseInt(match[2], 10);
-    if (isNaN(startRow) || isNaN(endRow)) return;
+  /**
+   * Copy formatting and data validation from a template row to the written rows.
+   * Rows are grouped into contiguous blocks; each block copies from the row above it,
+   * and all copies go out in a single batchUpdate.
+   * @param {Object|null} headerMap
+   * @param {number[]} rows - 1-based row numbers that were written
+   */
+  async applyFormattingAndValidation(headerMap, rows) {
+    if (!rows || !rows.length || !headerMap || !headerMap.headers || !headerMap.headerRow) return;
 
-    // Determine a template row: previous row or first data row after header
     const firstDataRow = headerMap.headerRow + 1;
-    const templateRow = Math.max(firstDataRow, startRow - 1);
-    if (templateRow >= startRow) return; // nothing to copy from
+    const sorted = Array.from(new Set(rows)).sort((a, b) => a - b);
+    const blocks = [];
+    for (const row of sorted) {
+      const last = blocks[blocks.length - 1];
+      if (last && row === last.endRow + 1) last.endRow = row;
+      else blocks.push({ startRow: row, endRow: row });
+    }
 
     const sheetId = await this.getSheetIdByName(this.sheetName);
     const startCol = 0;
     const endCol = headerMap.headers.length; // exclusive
 
     const requests = [];
+    for (const { startRow, endRow } of blocks) {
+      // Determine a template row: previous row or first data row after header
+      const templateRow = Math.max(firstDataRow, startRow - 1);
+      if (templateRow >= startRow) continue; // nothing to copy from
+
+      const source = {
+        sheetId,
+        startRowIndex: templateRow - 1,
+        endRowIndex: templateRow,
+        startColumnIndex: startCol,
+        endColumnIndex: endCol
+      };
+      const destination = {
+        sheetId,
+        startRowIndex: startRow - 1,
+        endRowIndex: endRow,
+        startColumnIndex: startCol,
+        endColumnIndex: endCol
+      };
 
-    // Paste formatting
-    requests.push({
-      copyPaste: {
-        source: {
-          sheetId,
-          startRowIndex: templateRow - 1,
-          endRowIndex: templateRow,
-          startColumnIndex: startCol,
-          endColumnIndex: endCol
-        },
-        destination: {
-          sheetId,
-          startRowIndex: startRow - 1,
-          endRowIndex: endRow,
-          startColumnIndex: startCol,
-          endColumnIndex: endCol
-        },
-        pasteType: 'PASTE_FORMAT',
-        pasteOrientation: 'NORMAL'
-      }
-    });
+      // Paste formatting, then data validations (dropdowns)
+      requests.push({ copyPaste: { source, destination, pasteType: 'PASTE_FORMAT', pasteOrientation: 'NORMAL' } });
+      requests.push({ copyPaste: { source, destination, pasteType: 'PASTE_DATA_VALIDATION', pasteOrientation: 'NORMAL' } });
+    }
 
-    // Paste data validations (dropdowns)
-    requests.push({
-      copyPaste: {
-        source: {
-          sheetId,
-          startRowIndex: templateRow - 1,
-          endRowIndex: templateRow,
-          startColumnIndex: startCol,
-          endColumnIndex: endCol
-        },
-        destination: {
-          sheetId,
-          startRowIndex: startRow - 1,
-          endRowIndex: endRow,
-          startColumnIndex: startCol,
-          endColumnIndex: endCol
-        },
-        pasteType: 'PASTE_DATA_VALIDATION',
-        pasteOrientation: 'NORMAL'
-      }
-    });
+    if (!requests.length) return;
 
     await this.sheets.spreadsheets.batchUpdate({
       spreadsheetId: this.spreadsheetId,
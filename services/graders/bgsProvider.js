@@ -0,0 +1,54 @@
+const GraderProvider = require('./graderProvider');
+
+const { buildCardRecord, pick } = GraderProvider;
+
+/**
+ * BGS Provider - Beckett Grading Services cert lookups
+ * Expects GET {BGS_API_URL}/cert/{serial} to answer with the card as JSON (optionally wrapped in `data`):
+ * { serialNumber, cardName|playerName, cardNumber, year, setName, finalGrade, gradeDescription?,
+ *   subgrades?: { centering, corners, edges, surface }, autographGrade?, label? }
+ */
+class BGSProvider extends GraderProvider {
+  constructor(config = {}) {
+    super({ ...config, name: 'BGS', label: 'Beckett (BGS)' });
+    this.certPattern = /^\d{7,10}$/;
+    this.certHint = 'BGS serial numbers are 7-10 digits.';
+    this.qrPatterns = [
+      /beckett\.com\/.*?(?:item_id|serial|cert(?:_?number)?)[=/](\d{7,10})/i,
+      /beckett\.com\/.*?\b(\d{7,10})\b/i
+    ];
+  }
+
+  async fetchCertificateData(certNumber) {
+    return this.request(`/cert/${encodeURIComponent(certNumber)}`);
+  }
+
+  processCertificateData(rawData) {
+    const card = rawData?.data || rawData;
+    if (!card || typeof card !== 'object' || !pick(card, 'serialNumber', 'serial', 'certNumber')) {
+      throw new Error('Invalid response format from BGS lookup');
+    }
+    const subgrades = card.subgrades || {};
+    return buildCardRecord('BGS', {
+      CertNumber: pick(card, 'serialNumber', 'serial', 'certNumber'),
+      Subject: pick(card, 'cardName', 'playerName', 'subject', 'description'),
+      CardNumber: pick(card, 'cardNumber', 'cardNo'),
+      Year: pick(card, 'year'),
+      Brand: pick(card, 'setName', 'set', 'brand'),
+      Variety: pick(card, 'variety', 'parallel'),
+      Category: pick(card, 'sport', 'category'),
+      CardGrade: pick(card, 'finalGrade', 'grade', 'overallGrade'),
+      GradeDescription: pick(card, 'gradeDescription', 'finalGradeDescription'),
+      LabelType: pick(card, 'label', 'labelType'),
+      AutographGrade: pick(card, 'autographGrade', 'autoGrade'),
+      Subgrades: {
+        Centering: pick(subgrades, 'centering'),
+        Corners: pick(subgrades, 'corners'),
+        Edges: pick(subgrades, 'edges'),
+        Surface: pick(subgrades, 'surface')
+      }
+    });
+  }
+}
+
+module.exports = BGSProvider;
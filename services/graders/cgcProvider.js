@@ -0,0 +1,49 @@
+const GraderProvider = require('./graderProvider');
+
+const { buildCardRecord, pick } = GraderProvider;
+
+/**
+ * CGC Provider - CGC Cards cert lookups
+ * Expects GET {CGC_API_URL}/certs/{cert} to answer with the card as JSON (optionally wrapped in `data`):
+ * { certNumber, cardName|title, cardNumber, year, setName, grade, gradeDescription?, autographGrade?,
+ *   label?, variant?, game? }
+ * Labels print certs as 1234567-001; the dash is dropped before lookup.
+ */
+class CGCProvider extends GraderProvider {
+  constructor(config = {}) {
+    super({ ...config, name: 'CGC', label: 'CGC Cards' });
+    this.certPattern = /^\d{7,10}$/;
+    this.certHint = 'CGC cert numbers are 7-10 digits.';
+    // The dashed label form is tried first, or its first seven digits would match on their own
+    this.qrPatterns = [
+      /cgc(?:cards|comics)?\.com\/.*?certlookup\/(\d{7}-\d{3}|\d{7,10})/i,
+      /cgc(?:cards|comics)?\.com\/.*?cert(?:Number|_number)?=(\d{7}-\d{3}|\d{7,10})/i
+    ];
+  }
+
+  async fetchCertificateData(certNumber) {
+    return this.request(`/certs/${encodeURIComponent(certNumber)}`);
+  }
+
+  processCertificateData(rawData) {
+    const card = rawData?.data || rawData;
+    if (!card || typeof card !== 'object' || !pick(card, 'certNumber', 'cert')) {
+      throw new Error('Invalid response format from CGC lookup');
+    }
+    return buildCardRecord('CGC', {
+      CertNumber: this.normalizeCertNumber(pick(card, 'certNumber', 'cert')),
+      Subject: pick(card, 'cardName', 'title', 'subject', 'name'),
+      CardNumber: pick(card, 'cardNumber', 'number'),
+      Year: pick(card, 'year'),
+      Brand: pick(card, 'setName', 'set', 'brand'),
+      Variety: pick(card, 'variant', 'variety'),
+      Category: pick(card, 'game', 'category'),
+      CardGrade: pick(card, 'grade', 'numericGrade'),
+      GradeDescription: pick(card, 'gradeDescription', 'gradeTitle'),
+      LabelType: pick(card, 'label', 'labelType'),
+      AutographGrade: pick(card, 'autographGrade', 'autoGrade')
+    });
+  }
+}
+
+module.exports = CGCProvider;
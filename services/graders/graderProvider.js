@@ -0,0 +1,321 @@
+const { normalizeCard, formatNumericGrade } = require('../cardModel');
+const logger = require('../logger');
+
+/**
+ * Grader Provider - Base class for grading-company cert lookups (PSA, BGS, CGC, SGC)
+ * A provider validates its cert format, recognizes its own slab QR codes, fetches a cert over HTTP
+ * from a configurable base URL (through an optional shared cache and scheduler) and turns the
+ * response into the common card record built by buildCardRecord().
+ *
+ * Subclasses set `name`, `certPattern` and `qrPatterns`, and implement fetchCertificateData() and
+ * processCertificateData()
+ */
+class GraderProvider {
+  constructor(config = {}) {
+    this.name = config.name;
+    this.label = config.label || config.name;
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.cache = config.cache || null; // optional CertCache, shared by all providers (keys are prefixed)
+    this.scheduler = config.scheduler || null; // optional PSAScheduler for this provider's calls
+    this.timeoutMs = config.timeoutMs || 10000;
+    this.onRequest = config.onRequest || null; // optional ({ grader, status, durationMs }) => void, once per attempt
+    this.certPattern = /^\d+$/;
+    this.certHint = 'Must contain only digits.';
+    this.qrPatterns = []; // regexes whose first group is the cert in a slab QR payload
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Strips the separators people type or labels print (spaces, dashes)
+   * @param {string} certNumber
+   * @returns {string}
+   */
+  normalizeCertNumber(certNumber) {
+    return (certNumber ?? '').toString().trim().replace(/[\s-]/g, '');
+  }
+
+  validateCertNumber(certNumber) {
+    if (!certNumber || typeof certNumber !== 'string') {
+      return false;
+    }
+    return this.certPattern.test(certNumber.trim());
+  }
+
+  /**
+   * Finds this grader's cert in a scanned QR payload (usually a cert verification URL)
+   * @param {string} text
+   * @returns {string|null}
+   */
+  extractCert(text) {
+    for (const pattern of this.qrPatterns) {
+      const match = (text || '').match(pattern);
+      if (match) return this.normalizeCertNumber(match[1]);
+    }
+    return null;
+  }
+
+  cacheKey(certNumber) {
+    return `${this.name}:${certNumber}`;
+  }
+
+  /**
+   * Gets certificate data, served from the cache when available
+   * @param {string} certNumber
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - Bypass the cache and refetch
+   * @returns {Promise<Object>} - The normalized card record
+   */
+  async getCertificateData(certNumber, options = {}) {
+    const key = this.normalizeCertNumber(certNumber);
+    if (!this.validateCertNumber(key)) {
+      throw new Error(`Invalid certificate number format. ${this.certHint}`);
+    }
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} lookups are not configured: set ${this.name}_API_URL`);
+    }
+
+    if (this.cache && !options.fresh) {
+      const cached = this.cache.get(this.cacheKey(key));
+      if (cached) {
+        return this.processCertificateData(cached);
+      }
+    }
+
+    const rawData = await this.fetchCertificateData(key);
+    const processed = this.processCertificateData(rawData);
+    if (this.cache) {
+      this.cache.set(this.cacheKey(key), rawData);
+    }
+    return processed;
+  }
+
+  /**
+   * @param {string} certNumber
+   * @returns {Promise<Object>} - The raw response body
+   */
+  async fetchCertificateData(certNumber) {
+    throw new Error(`${this.name} provider does not implement fetchCertificateData`);
+  }
+
+  /**
+   * @param {Object} rawData
+   * @returns {Object} - Card record (see buildCardRecord)
+   */
+  processCertificateData(rawData) {
+    throw new Error(`${this.name} provider does not implement processCertificateData`);
+  }
+
+  /**
+   * Population report for a cert's card; only some graders publish one
+   * @param {string} certNumber
+   * @param {Object} [options] - { fresh? }
+   * @returns {Promise<Object>}
+   */
+  async getPopulation(certNumber, options = {}) {
+    throw new Error(`Invalid grader: population reports are not available for ${this.name} certs`);
+  }
+
+  /**
+   * Slab photos for a cert; only some graders publish them
+   * @param {string} certNumber
+   * @param {Object} [options] - { fresh? }
+   * @returns {Promise<Object>}
+   */
+  async getImages(certNumber, options = {}) {
+    throw new Error(`Invalid grader: slab images are not available for ${this.name} certs`);
+  }
+
+  /**
+   * Performs a GET against the provider, through its scheduler when configured
+   * @param {string} path - Path relative to the base URL
+   * @param {string} [baseUrl] - Another base URL of the same API (e.g. PSA's population endpoints)
+   * @returns {Promise<Object>}
+   */
+  async request(path, baseUrl) {
+    if (this.scheduler) {
+      return this.scheduler.schedule(() => this.observedRequest(path, baseUrl));
+    }
+    return this.observedRequest(path, baseUrl);
+  }
+
+  /**
+   * One attempt of requestOnce(), timed, logged and reported to onRequest
+   * @returns {Promise<Object>}
+   */
+  async observedRequest(path, baseUrl) {
+    const started = Date.now();
+    let status = 200;
+    try {
+      return await this.requestOnce(path, baseUrl);
+    } catch (error) {
+      status = error.status || (/timeout/i.test(error.message) ? 'timeout' : 'network');
+      throw error;
+    } finally {
+      const durationMs = Date.now() - started;
+      const fields = { grader: this.name, path, status, durationMs };
+      if (status === 200 || status === 404) {
+        logger.debug(`${this.name} API call`, fields);
+      } else {
+        logger.warn(`${this.name} API call failed`, fields);
+      }
+      if (this.onRequest) {
+        try {
+          this.onRequest({ grader: this.name, status: status.toString(), durationMs });
+        } catch (hookError) {
+          logger.warn('Grader request hook failed', { error: hookError.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * The X-Request-Id header of the request being handled, so a lookup can be traced in the provider's logs too
+   * @returns {Object}
+   */
+  traceHeaders() {
+    const { requestId } = logger.getContext();
+    return requestId ? { 'X-Request-Id': requestId } : {};
+  }
+
+  /**
+   * Performs a single call. Errors carry `status` and `retryAfter` so the scheduler can decide whether to retry.
+   * @param {string} path
+   * @param {string} [baseUrl]
+   * @returns {Promise<Object>}
+   */
+  async requestOnce(path, baseUrl = this.baseUrl) {
+    const fetch = (await import('node-fetch')).default;
+    const headers = { Accept: 'application/json', ...this.traceHeaders() };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    try {
+      // node-fetch 3 has no `timeout` option; the signal is what ends a call to a hanging endpoint
+      response = await fetch(`${baseUrl}${path}`, { method: 'GET', headers, signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error(`Request timeout: ${this.name} lookup took too long to respond.`);
+      }
+      throw new Error(`Network error: Unable to reach the ${this.name} lookup service (${error.message})`);
+    }
+
+    if (!response.ok) {
+      const errorMessages = {
+        401: 'Invalid API key or authentication failed',
+        403: 'Invalid API key or authentication failed',
+        404: 'Certificate not found',
+        429: 'Rate limit exceeded - too many requests'
+      };
+      const message = errorMessages[response.status] || (response.status >= 500 ? `${this.name} server error` : `HTTP ${response.status}`);
+      const error = new Error(`${this.name} API error: ${message}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    return response.json();
+  }
+
+  /**
+   * Checks the API answers at all, without looking up a cert (so it costs no rate limit budget): any HTTP answer
+   * short of 401/403 or a 5xx counts as reachable
+   * @returns {Promise<Object>} - { ok, status?, latencyMs, error? }
+   */
+  async ping() {
+    if (!this.isConfigured()) {
+      return { ok: false, latencyMs: 0, error: `${this.name} lookups are not configured` };
+    }
+    const fetch = (await import('node-fetch')).default;
+    const started = Date.now();
+    try {
+      const headers = { ...this.traceHeaders() };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+      const response = await fetch(this.baseUrl, { method: 'GET', headers, signal: AbortSignal.timeout(this.timeoutMs) });
+      await response.arrayBuffer().catch(() => null);
+      const latencyMs = Date.now() - started;
+      if (response.status === 401 || response.status === 403) {
+        return { ok: false, status: response.status, latencyMs, error: 'Invalid API key or authentication failed' };
+      }
+      if (response.status >= 500) {
+        return { ok: false, status: response.status, latencyMs, error: `${this.name} server error` };
+      }
+      return { ok: true, status: response.status, latencyMs };
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      return {
+        ok: false,
+        latencyMs: Date.now() - started,
+        error: timedOut ? `Timed out after ${this.timeoutMs} ms` : `Network error: ${error.message}`
+      };
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      label: this.label,
+      configured: this.isConfigured(),
+      baseUrl: this.baseUrl || null,
+      rateLimit: this.scheduler ? this.scheduler.getStatus() : null
+    };
+  }
+}
+
+/**
+ * First non-empty value among several possible response field names
+ * @param {Object} source
+ * @param {...string} names
+ * @returns {string}
+ */
+function pick(source, ...names) {
+  for (const name of names) {
+    const value = source?.[name];
+    if (value !== undefined && value !== null && value !== '') return value.toString().trim();
+  }
+  return '';
+}
+
+/**
+ * Builds the card record every grader returns. The field names follow PSA's, which the column
+ * mappings, inventory backends and the scanner already use; `Grader` names the company and `Card`
+ * holds the normalized card (see services/cardModel.js).
+ * @param {string} company - PSA | BGS | CGC | SGC
+ * @param {Object} fields - { CertNumber, Subject, CardNumber, Year?, Brand?, Variety?, Category?,
+ *   CardGrade?, GradeDescription?, AutographGrade?, LabelType? } plus any grader-specific extras
+ * @returns {Object}
+ */
+function buildCardRecord(company, fields) {
+  const card = normalizeCard(company, fields);
+  const numericGrade = formatNumericGrade(card.grade);
+  return {
+    ...fields,
+    Grader: company,
+    NumericGrade: numericGrade,
+    GradeQualifier: card.grade.qualifier || '',
+    Card: card,
+    GoogleSheetsData: {
+      Subject: fields.Subject || '',
+      CardNumber: fields.CardNumber || '',
+      Status: 'Graded',
+      Authenticated: 'Y',
+      Company: company,
+      Grade: numericGrade || (card.grade.authentic ? card.grade.label : ''),
+      CertNumber: fields.CertNumber || '',
+      Qualifier: card.grade.qualifier || '',
+      AutographGrade: card.autographGrade ? formatNumericGrade(card.autographGrade) || card.autographGrade.label || '' : '',
+      Year: card.year || '',
+      Brand: card.brand || '',
+      Variety: card.variety || '',
+      Category: card.category || '',
+      LabelType: card.labelType || ''
+    }
+  };
+}
+
+GraderProvider.buildCardRecord = buildCardRecord;
+GraderProvider.pick = pick;
+
+module.exports = GraderProvider;
@@ -0,0 +1,107 @@
+// Prefixes people type or labels print before a cert ("BGS 0012345678", "cgc-4123456001")
+const PREFIX_ALIASES = { PSA: 'PSA', BGS: 'BGS', BECKETT: 'BGS', CGC: 'CGC', SGC: 'SGC' };
+
+/**
+ * Grader Registry - The grader providers and the rules that route a typed or scanned cert to one of them
+ * Providers are created on first use, so a grader without credentials only fails when it is asked for.
+ */
+class GraderRegistry {
+  /**
+   * @param {Object} config
+   * @param {Object<string, Function>} config.providers - Grader name -> factory returning a GraderProvider
+   * @param {string} [config.defaultGrader] - Grader for bare numbers and unrecognized QR codes (default PSA)
+   */
+  constructor(config = {}) {
+    this.factories = config.providers || {};
+    this.defaultGrader = (config.defaultGrader || 'PSA').toUpperCase();
+    this.instances = new Map();
+  }
+
+  names() {
+    return Object.keys(this.factories);
+  }
+
+  /**
+   * @param {string} name - PSA | BGS | CGC | SGC (any case)
+   * @returns {Object} - The provider
+   */
+  get(name) {
+    const key = PREFIX_ALIASES[(name || '').toString().trim().toUpperCase()] || (name || '').toString().trim().toUpperCase();
+    if (!this.factories[key]) {
+      throw new Error(`Invalid grader "${name}". Use ${this.names().join(', ')}.`);
+    }
+    if (!this.instances.has(key)) {
+      this.instances.set(key, this.factories[key]());
+    }
+    return this.instances.get(key);
+  }
+
+  /**
+   * Works out which grader a cert belongs to and the bare cert number:
+   * an explicit grader wins, then a prefix ("SGC 1234567"), then a grader's QR URL, then the default grader
+   * @param {string} input - Cert number, prefixed cert or QR payload
+   * @param {string} [grader] - Explicit grader
+   * @returns {Object} - { grader, certNumber, provider }
+   */
+  resolve(input, grader) {
+    const text = (input ?? '').toString().trim();
+    if (!text) {
+      throw new Error('Invalid certificate number format. Must contain only digits.');
+    }
+
+    let name = grader ? grader.toString().trim().toUpperCase() : null;
+    let cert = text;
+
+    const prefixed = text.match(/^([a-z]+)[\s:#-]*(\d[\d\s-]*)$/i);
+    if (prefixed && PREFIX_ALIASES[prefixed[1].toUpperCase()]) {
+      if (!name) name = PREFIX_ALIASES[prefixed[1].toUpperCase()];
+      cert = prefixed[2];
+    } else if (!/^\d[\d\s-]*$/.test(text)) {
+      const found = this.detectQr(text, name);
+      if (found) {
+        name = found.grader;
+        cert = found.certNumber;
+      }
+    }
+
+    const provider = this.get(name || this.defaultGrader);
+    return { grader: provider.name, certNumber: provider.normalizeCertNumber(cert), provider };
+  }
+
+  /**
+   * Finds the grader whose QR pattern matches a scanned payload
+   * @param {string} text
+   * @param {string} [only] - Restrict to one grader
+   * @returns {Object|null} - { grader, certNumber }
+   */
+  detectQr(text, only) {
+    for (const name of only ? [only] : this.names()) {
+      let provider;
+      try {
+        provider = this.get(name);
+      } catch (error) {
+        continue; // e.g. PSA without an API key can still be skipped while matching
+      }
+      const certNumber = provider.extractCert(text);
+      if (certNumber) return { grader: provider.name, certNumber };
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Array<Object>} - Each grader's status; one that can't be created reports the reason
+   */
+  getStatus() {
+    return this.names().map(name => {
+      try {
+        return this.get(name).getStatus();
+      } catch (error) {
+        return { name, configured: false, error: error.message };
+      }
+    });
+  }
+}
+
+GraderRegistry.PREFIX_ALIASES = PREFIX_ALIASES;
+
+module.exports = GraderRegistry;
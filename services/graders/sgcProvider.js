@@ -0,0 +1,46 @@
+const GraderProvider = require('./graderProvider');
+
+const { buildCardRecord, pick } = GraderProvider;
+
+/**
+ * SGC Provider - SGC cert lookups
+ * Expects GET {SGC_API_URL}/cert/{cert} to answer with the card as JSON (optionally wrapped in `data`):
+ * { certNumber, description|cardName, cardNumber, year, setName, grade (e.g. "10 PRI", "9.5"),
+ *   gradeDescription?, autographGrade? }
+ */
+class SGCProvider extends GraderProvider {
+  constructor(config = {}) {
+    super({ ...config, name: 'SGC', label: 'SGC' });
+    this.certPattern = /^\d{7,10}$/;
+    this.certHint = 'SGC cert numbers are 7-10 digits.';
+    this.qrPatterns = [
+      /gosgc\.com\/.*?(?:cert(?:Code|Number|_number)?|card-lookup)[=/](\d{7,10}|\d{1,3}-\d{4,7})/i,
+      /gosgc\.com\/.*?\b(\d{7,10})\b/i
+    ];
+  }
+
+  async fetchCertificateData(certNumber) {
+    return this.request(`/cert/${encodeURIComponent(certNumber)}`);
+  }
+
+  processCertificateData(rawData) {
+    const card = rawData?.data || rawData;
+    if (!card || typeof card !== 'object' || !pick(card, 'certNumber', 'cert')) {
+      throw new Error('Invalid response format from SGC lookup');
+    }
+    return buildCardRecord('SGC', {
+      CertNumber: this.normalizeCertNumber(pick(card, 'certNumber', 'cert')),
+      Subject: pick(card, 'description', 'cardName', 'subject', 'name'),
+      CardNumber: pick(card, 'cardNumber', 'number'),
+      Year: pick(card, 'year'),
+      Brand: pick(card, 'setName', 'set', 'brand'),
+      Variety: pick(card, 'variety'),
+      Category: pick(card, 'sport', 'category'),
+      CardGrade: pick(card, 'grade'),
+      GradeDescription: pick(card, 'gradeDescription'),
+      AutographGrade: pick(card, 'autographGrade', 'autoGrade')
+    });
+  }
+}
+
+module.exports = SGCProvider;
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Idempotency Store - Responses saved by Idempotency-Key so a retried request replays instead of re-running
+ * The offline scan queue resends whole batches after a dropped connection; the first response for a key is
+ * kept (on disk, so a restart between attempts is fine) and handed back for every retry within the TTL.
+ * Saves are debounced into one write per `flushDelayMs`, so the scan path never waits on a full-file rewrite.
+ *
+ * Entry: { fingerprint, status, body, createdAt }
+ */
+class IdempotencyStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'idempotency.json');
+    this.ttlMs = (config.ttlHours || 24) * 60 * 60 * 1000;
+    this.maxEntries = config.maxEntries || 2000;
+    this.flushDelayMs = config.flushDelayMs ?? 1000;
+    this.entries = Object.create(null);
+    this._flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = Object.assign(Object.create(null), parsed.entries);
+      this.prune();
+    } catch (error) {
+      logger.warn('Idempotency keys load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    this.prune();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries: this.entries }));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Debounces writes (a response saved less than `flushDelayMs` before a crash is lost; its retry runs again)
+   */
+  scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      try {
+        this.persist();
+      } catch (error) {
+        logger.warn('Idempotency keys flush failed', { error: error.message });
+      }
+    }, this.flushDelayMs);
+    if (this._flushTimer.unref) this._flushTimer.unref();
+  }
+
+  // Drops expired entries, then the oldest ones beyond maxEntries
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    let ids = Object.keys(this.entries).filter(id => {
+      if (Date.parse(this.entries[id].createdAt) >= cutoff) return true;
+      delete this.entries[id];
+      return false;
+    });
+    if (ids.length > this.maxEntries) {
+      ids.sort((a, b) => this.entries[a].createdAt.localeCompare(this.entries[b].createdAt));
+      ids.slice(0, ids.length - this.maxEntries).forEach(id => delete this.entries[id]);
+    }
+  }
+
+  /**
+   * @param {string} scope - Caller plus endpoint, e.g. "<user id> POST /api/add-to-sheets/bulk"
+   * @param {string} key - Client-chosen Idempotency-Key
+   * @returns {Object|null} - Saved entry, or null if unknown or expired
+   */
+  get(scope, key) {
+    const id = `${scope} ${key}`;
+    const entry = Object.hasOwn(this.entries, id) ? this.entries[id] : null;
+    if (!entry) return null;
+    if (Date.parse(entry.createdAt) < Date.now() - this.ttlMs) return null;
+    return entry;
+  }
+
+  /**
+   * Saves the response for a key; written to disk on the next flush
+   * @param {string} scope
+   * @param {string} key
+   * @param {Object} response - { fingerprint, status, body }
+   */
+  save(scope, key, response) {
+    this.entries[`${scope} ${key}`] = {
+      fingerprint: response.fingerprint,
+      status: response.status,
+      body: response.body,
+      createdAt: new Date().toISOString()
+    };
+    this.scheduleFlush();
+  }
+
+  getStats() {
+    return {
+      entries: Object.keys(this.entries).length,
+      ttlHours: this.ttlMs / (60 * 60 * 1000),
+      filePath: this.filePath
+    };
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,171 @@
+const { HEADER_ALIASES, NESTED_FIELDS } = require('./columnMapping');
+const { parseCsv } = require('./csv');
+const { fromXlsx } = require('./xlsx');
+
+/**
+ * Importer - Reads an uploaded inventory spreadsheet (CSV or XLSX), finds its cert column and merges
+ * PSA lookups back into the rows. Every other column of the upload is kept as it was.
+ *
+ * Table: { format: csv|xlsx, header: string[], rows: string[][], certColumn, hasHeader }
+ */
+
+// A cert inside a cell: "12345678", "PSA 12345678", "BGS 0012345678", "#12345678" or "12345678.0" from a
+// number-formatted column
+const CERT_PATTERN = /^(psa|bgs|beckett|cgc|sgc)?\s*(?:cert)?\s*#?\s*(\d{5,12}|\d{7}-\d{3})(?:\.0+)?$/i;
+
+// Certs of other graders keep their prefix so the lookup goes to the right provider
+function extractCert(value) {
+  const match = (value ?? '').toString().trim().replace(/,/g, '').match(CERT_PATTERN);
+  if (!match) return null;
+  const grader = (match[1] || '').toUpperCase();
+  return grader && grader !== 'PSA' ? `${grader} ${match[2]}` : match[2];
+}
+
+function columnIndex(letter) {
+  return letter.toUpperCase().split('').reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function columnName(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return `Column ${letter}`;
+}
+
+/**
+ * Parses an upload; a zip signature means XLSX, anything else is read as UTF-8 CSV
+ * @param {Buffer} buffer
+ * @returns {Object} - { format, rows } with blank rows dropped
+ */
+function readUpload(buffer) {
+  if (!buffer || !buffer.length) {
+    throw new Error('Invalid import: the file is empty');
+  }
+  const isXlsx = buffer.readUInt32LE(0) === 0x04034b50;
+  const rows = isXlsx ? fromXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  return {
+    format: isXlsx ? 'xlsx' : 'csv',
+    rows: rows.filter(row => row.some(cell => (cell ?? '').toString().trim()))
+  };
+}
+
+/**
+ * Finds the cert column: the one named by `certColumn` (header text or letter), else a header that
+ * looks like a cert header, else the column where most values look like cert numbers
+ * @param {Array<Array<string>>} rows
+ * @param {string} [certColumn]
+ * @returns {Object} - { index, hasHeader }
+ */
+function detectCertColumn(rows, certColumn) {
+  const first = rows[0] || [];
+  const headerText = first.map(cell => (cell ?? '').toString().trim().toLowerCase());
+  const hasHeaderAt = (index) => index >= 0 && !extractCert(first[index]);
+
+  if (certColumn) {
+    const wanted = certColumn.toString().trim();
+    const byHeader = headerText.indexOf(wanted.toLowerCase());
+    if (byHeader >= 0) return { index: byHeader, hasHeader: true };
+    if (/^[A-Z]{1,3}$/i.test(wanted)) {
+      const index = columnIndex(wanted);
+      return { index, hasHeader: hasHeaderAt(index) };
+    }
+    throw new Error(`Invalid certColumn "${wanted}": no such header or column letter`);
+  }
+
+  const aliases = HEADER_ALIASES.certNumber;
+  let index = headerText.findIndex(text => aliases.includes(text));
+  if (index < 0) index = headerText.findIndex(text => /\bcert/.test(text));
+  if (index >= 0) return { index, hasHeader: true };
+
+  const sample = rows.slice(0, 200);
+  const width = Math.max(...sample.map(row => row.length));
+  let best = { index: -1, hits: 0 };
+  for (let c = 0; c < width; c++) {
+    const hits = sample.filter(row => extractCert(row[c])).length;
+    if (hits > best.hits) best = { index: c, hits };
+  }
+  if (best.hits < Math.ceil((sample.length - 1) / 2) || best.index < 0) {
+    throw new Error('Invalid import: could not find a cert number column (name it "Cert #" or pass certColumn)');
+  }
+  return { index: best.index, hasHeader: hasHeaderAt(best.index) };
+}
+
+/**
+ * Reads an upload into a table with a header row and the cert of every row
+ * @param {Buffer} buffer
+ * @param {Object} [options] - { certColumn?, maxRows? }
+ * @returns {Object} - { format, header, rows, certColumn: { index, header }, certs: Array<string|null> }
+ */
+function parseImport(buffer, options = {}) {
+  const upload = readUpload(buffer);
+  if (!upload.rows.length) {
+    throw new Error('Invalid import: the file has no rows');
+  }
+  const { index, hasHeader } = detectCertColumn(upload.rows, options.certColumn);
+  const dataRows = hasHeader ? upload.rows.slice(1) : upload.rows;
+  if (options.maxRows && dataRows.length > options.maxRows) {
+    throw new Error(`Invalid import: ${dataRows.length} rows is more than the ${options.maxRows} allowed per file`);
+  }
+
+  const width = Math.max(index + 1, ...upload.rows.map(row => row.length));
+  const header = Array.from({ length: width }, (_, c) => {
+    const text = hasHeader ? (upload.rows[0][c] ?? '').toString().trim() : '';
+    return text || columnName(c);
+  });
+  const rows = dataRows.map(row => Array.from({ length: width }, (_, c) => (row[c] ?? '').toString()));
+
+  return {
+    format: upload.format,
+    header,
+    rows,
+    certColumn: { index, header: header[index] },
+    certs: rows.map(row => extractCert(row[index]))
+  };
+}
+
+/**
+ * The upload's own values for one row, keyed by header; mapping templates can use them as {Import.<header>}
+ */
+function rowValues(table, rowIndex) {
+  return Object.fromEntries(table.header.map((name, c) => [name, table.rows[rowIndex][c]]));
+}
+
+/**
+ * Appends the lookup outcome and every PSA field to each row
+ * @param {Object} table - From parseImport()
+ * @param {Map<string, Object>} results - cert -> { success, PSACert?, error? }
+ * @returns {Object} - { header, rows }
+ */
+function enrichRows(table, results) {
+  const taken = new Set(table.header.map(name => name.toLowerCase()));
+  const label = (name) => (taken.has(name.toLowerCase()) ? `PSA ${name}` : name);
+
+  const psaFields = [];
+  results.forEach(result => {
+    Object.keys(result?.PSACert || {}).forEach(field => {
+      if (!NESTED_FIELDS.includes(field) && !psaFields.includes(field)) psaFields.push(field);
+    });
+  });
+
+  const header = [...table.header, label('PSA Status'), label('PSA Error'), ...psaFields.map(label)];
+  const rows = table.rows.map((row, r) => {
+    const cert = table.certs[r];
+    const result = cert ? results.get(cert) : null;
+    const status = !cert ? 'no cert' : !result ? 'not looked up' : result.success ? 'found' : 'error';
+    const psa = result?.success ? result.PSACert : {};
+    return [
+      ...row,
+      status,
+      result && !result.success ? result.error || '' : '',
+      ...psaFields.map(field => {
+        const value = psa[field];
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+      })
+    ];
+  });
+  return { header, rows };
+}
+
+module.exports = { extractCert, detectCertColumn, parseImport, rowValues, enrichRows };
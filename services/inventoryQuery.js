@@ -0,0 +1,146 @@
+const { parseLocation, locationMatches } = require('./locationStore');
+
+/**
+ * Inventory Query - Search, filter, sort and paginate canonical card records
+ * Works on the output of any storage backend's listCards(), so every backend answers queries alike
+ */
+
+const SORT_FIELDS = ['row', 'cardName', 'cardNumber', 'company', 'grade', 'certNumber', 'condition', 'soldDate', 'soldPrice', 'sku', 'location'];
+const NUMERIC_FIELDS = new Set(['row', 'grade', 'certNumber', 'soldPrice']);
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+const norm = (s) => (s ?? '').toString().trim().toLowerCase();
+
+// Locations typed into the sheet by hand may not parse; such cards just don't match a location filter
+function cardLocation(card) {
+  try {
+    return parseLocation(card.location || null);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses query-string style options into a validated query; throws on invalid input
+ * @param {Object} params - e.g. req.query: { q, grade, minGrade, maxGrade, company, cardNumber, sku, location, sold, sort,
+ *   order, page, pageSize }
+ * @returns {Object}
+ */
+function parseInventoryQuery(params = {}) {
+  const sort = (params.sort || 'row').toString().trim();
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`Invalid sort field "${sort}". Use ${SORT_FIELDS.join(', ')}.`);
+  }
+  const order = norm(params.order || 'asc');
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('Invalid sort order. Use asc or desc.');
+  }
+
+  const toNumber = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`Invalid ${name} "${value}"`);
+    return n;
+  };
+  const page = toNumber(params.page, 'page') ?? 1;
+  const pageSize = toNumber(params.pageSize, 'pageSize') ?? DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(page) || page < 1) throw new Error('Invalid page: must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid pageSize: must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  let sold = null;
+  if (params.sold !== undefined && params.sold !== '') {
+    const value = norm(params.sold);
+    if (!['true', 'false', '1', '0'].includes(value)) throw new Error('Invalid sold filter. Use true or false.');
+    sold = value === 'true' || value === '1';
+  }
+
+  // Comma-separated lists act as "any of" (e.g. company=PSA,BGS)
+  const list = (value) => (value === undefined || value === '' ? null : value.toString().split(',').map(norm).filter(Boolean));
+
+  return {
+    terms: norm(params.q).split(/\s+/).filter(Boolean),
+    grade: list(params.grade),
+    minGrade: toNumber(params.minGrade, 'minGrade'),
+    maxGrade: toNumber(params.maxGrade, 'maxGrade'),
+    company: list(params.company),
+    cardNumber: list(params.cardNumber),
+    sku: list(params.sku),
+    location: parseLocation(params.location || null),
+    sold,
+    sort,
+    order,
+    page,
+    pageSize
+  };
+}
+
+/**
+ * Applies a parsed query to card records
+ * @param {Array<Object>} cards - Canonical card records (from listCards)
+ * @param {Object} query - Result of parseInventoryQuery()
+ * @returns {Object} - { items, total, page, pageSize, totalPages }
+ */
+function queryInventory(cards, query) {
+  const matches = cards.filter(card => {
+    if (query.terms.length) {
+      // Every word must appear in the name (or the cert or SKU, so a partial cert also finds the card)
+      const haystack = `${norm(card.cardName)} ${norm(card.certNumber)} ${norm(card.sku)}`;
+      if (!query.terms.every(term => haystack.includes(term))) return false;
+    }
+    if (query.grade && !query.grade.includes(norm(card.grade))) return false;
+    if (query.minGrade !== null || query.maxGrade !== null) {
+      const grade = parseFloat(card.grade);
+      if (Number.isNaN(grade)) return false;
+      if (query.minGrade !== null && grade < query.minGrade) return false;
+      if (query.maxGrade !== null && grade > query.maxGrade) return false;
+    }
+    if (query.company && !query.company.includes(norm(card.company))) return false;
+    if (query.cardNumber && !query.cardNumber.includes(norm(card.cardNumber).replace(/^#/, ''))) return false;
+    if (query.sku && !query.sku.includes(norm(card.sku))) return false;
+    // A partial location (e.g. case A, box 3) takes in every slot inside it
+    if (query.location && !locationMatches(cardLocation(card), query.location)) return false;
+    if (query.sold !== null && query.sold !== !!card.soldDate) return false;
+    return true;
+  });
+
+  const direction = query.order === 'desc' ? -1 : 1;
+  const numeric = NUMERIC_FIELDS.has(query.sort);
+  matches.sort((a, b) => {
+    const av = a[query.sort];
+    const bv = b[query.sort];
+    let cmp;
+    if (numeric) {
+      // Blank or non-numeric values (e.g. "Authentic" grades) sort last in either direction
+      const an = parseFloat(av);
+      const bn = parseFloat(bv);
+      if (Number.isNaN(an) || Number.isNaN(bn)) {
+        if (Number.isNaN(an) && Number.isNaN(bn)) return (a.row || 0) - (b.row || 0);
+        return Number.isNaN(an) ? 1 : -1;
+      }
+      cmp = an - bn;
+    } else {
+      cmp = norm(av).localeCompare(norm(bv), undefined, { numeric: true });
+    }
+    return cmp * direction || (a.row || 0) - (b.row || 0);
+  });
+
+  const total = matches.length;
+  const start = (query.page - 1) * query.pageSize;
+  return {
+    items: matches.slice(start, start + query.pageSize),
+    total,
+    page: query.page,
+    pageSize: query.pageSize,
+    totalPages: Math.max(1, Math.ceil(total / query.pageSize))
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  parseInventoryQuery,
+  queryInventory
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Job Manager - Tracks long-running background jobs in memory
+ * Each job processes a list of items, records per-item results in input order
+ * and emits progress so clients can poll or stream it
+ */
+class JobManager {
+  constructor(config = {}) {
+    this.ttlMs = config.ttlMs ?? 60 * 60 * 1000; // keep finished jobs around for an hour
+    this.jobs = new Map();
+  }
+
+  /**
+   * Creates and starts a job
+   * @param {string} type - Job type label (e.g. 'lookup')
+   * @param {Array} items - Items to process
+   * @param {Function} run - async (job, handleResult) => void; must call
+   *   handleResult(index, result) for each item and honor job.cancelled
+   * @returns {Object} - The job record
+   */
+  create(type, items, run) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'running',
+      items,
+      results: new Array(items.length).fill(null),
+      total: items.length,
+      completed: 0,
+      succeeded: 0,
+      failed: 0,
+      cancelled: false,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      emitter: new EventEmitter()
+    };
+    job.emitter.setMaxListeners(0);
+    this.jobs.set(job.id, job);
+
+    const handleResult = (index, result) => {
+      job.results[index] = result;
+      job.completed++;
+      if (result && result.success) job.succeeded++; else job.failed++;
+      job.emitter.emit('result', { index, ...result });
+      job.emitter.emit('progress', this.getProgress(job));
+    };
+
+    Promise.resolve()
+      .then(() => run(job, handleResult))
+      .then(() => this.finish(job, job.cancelled ? 'cancelled' : 'completed'))
+      .catch((error) => {
+        job.error = error.message;
+        this.finish(job, 'failed');
+      });
+
+    return job;
+  }
+
+  /**
+   * Gets a job by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Requests cancellation; items already in flight still report their results
+   * @param {string} id
+   * @returns {Object|null} - The job, or null if unknown
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (job && job.status === 'running') {
+      job.cancelled = true;
+      job.status = 'cancelling';
+    }
+    return job;
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.emitter.emit('done', this.getProgress(job));
+    job.emitter.removeAllListeners();
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.ttlMs);
+    if (timer.unref) timer.unref();
+  }
+
+  isFinished(job) {
+    return ['completed', 'cancelled', 'failed'].includes(job.status);
+  }
+
+  /**
+   * Gets the progress summary of a job
+   * @param {Object} job
+   * @returns {Object}
+   */
+  getProgress(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      total: job.total,
+      completed: job.completed,
+      succeeded: job.succeeded,
+      failed: job.failed,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Gets the results recorded so far, in input order
+   * @param {Object} job
+   * @returns {Array<Object>}
+   */
+  getResults(job) {
+    return job.results
+      .map((result, index) => (result ? { index, ...result } : null))
+      .filter(Boolean);
+  }
+}
+
+module.exports = JobManager;
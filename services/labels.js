@@ -0,0 +1,178 @@
+const PdfDocument = require('./pdf');
+const { toBars } = require('./code128');
+
+const { fitText } = PdfDocument;
+
+const INCH = 72;
+const MM = 72 / 25.4;
+
+/**
+ * Label sheet templates. Sizes are in points; sheets place `columns` x `rows` labels from the top-left,
+ * rolls (thermal printers) print one label per page.
+ */
+const LABEL_TEMPLATES = {
+  avery5160: {
+    description: 'Avery 5160 / 8160 address labels, Letter, 30 per sheet (2 5/8" x 1")',
+    pageWidth: 8.5 * INCH, pageHeight: 11 * INCH,
+    labelWidth: 2.625 * INCH, labelHeight: 1 * INCH,
+    columns: 3, rows: 10,
+    marginLeft: 0.1875 * INCH, marginTop: 0.5 * INCH, gapX: 0.125 * INCH, gapY: 0
+  },
+  avery5163: {
+    description: 'Avery 5163 / 8163 shipping labels, Letter, 10 per sheet (4" x 2")',
+    pageWidth: 8.5 * INCH, pageHeight: 11 * INCH,
+    labelWidth: 4 * INCH, labelHeight: 2 * INCH,
+    columns: 2, rows: 5,
+    marginLeft: 0.15625 * INCH, marginTop: 0.5 * INCH, gapX: 0.1875 * INCH, gapY: 0
+  },
+  l7159: {
+    description: 'Avery L7159, A4, 24 per sheet (63.5 x 33.9 mm)',
+    pageWidth: 210 * MM, pageHeight: 297 * MM,
+    labelWidth: 63.5 * MM, labelHeight: 33.9 * MM,
+    columns: 3, rows: 8,
+    marginLeft: 6.4 * MM, marginTop: 12.9 * MM, gapX: 2.5 * MM, gapY: 0
+  },
+  dymo30252: {
+    description: 'DYMO 30252 address roll (1 1/8" x 3 1/2"), one label per page',
+    pageWidth: 3.5 * INCH, pageHeight: 1.125 * INCH,
+    labelWidth: 3.5 * INCH, labelHeight: 1.125 * INCH,
+    columns: 1, rows: 1,
+    marginLeft: 0, marginTop: 0, gapX: 0, gapY: 0
+  },
+  roll2x1: {
+    description: 'Thermal roll 2" x 1" (Zebra, Rollo), one label per page',
+    pageWidth: 2 * INCH, pageHeight: 1 * INCH,
+    labelWidth: 2 * INCH, labelHeight: 1 * INCH,
+    columns: 1, rows: 1,
+    marginLeft: 0, marginTop: 0, gapX: 0, gapY: 0
+  }
+};
+
+const DEFAULT_TEMPLATE = 'avery5160';
+
+/**
+ * @param {string} [name] - Key of LABEL_TEMPLATES (default avery5160)
+ * @returns {Object|null} - The template, or null for an unknown name (inherited Object members included)
+ */
+function getTemplate(name) {
+  const key = name || DEFAULT_TEMPLATE;
+  return Object.hasOwn(LABEL_TEMPLATES, key) ? LABEL_TEMPLATES[key] : null;
+}
+
+/**
+ * The text and barcode for one slab's label, from its lookup record
+ * @param {Object} record - Processed card record (PSACert)
+ * @param {Object} [extras] - { sku?, price?, currency? }
+ * @returns {Object} - { title, details, grade, certNumber, barcode, sku, price }
+ */
+function buildLabel(record, extras = {}) {
+  const card = record.Card || {};
+  const grader = record.Grader || card.grader || 'PSA';
+  const certNumber = (record.CertNumber || card.certNumber || '').toString();
+  const gradeText = card.grade
+    ? [card.grade.numeric ?? '', card.grade.label || '', card.grade.qualifier ? `(${card.grade.qualifier})` : ''].join(' ')
+    : record.CardGrade || record.GradeDescription || record.NumericGrade || '';
+  const details = [card.year || record.Year, card.set || record.Brand, (card.cardNumber || record.CardNumber) ? `#${card.cardNumber || record.CardNumber}` : '']
+    .filter(Boolean).join(' ');
+
+  const price = extras.price === undefined || extras.price === null || extras.price === '' ? null : Number(extras.price);
+  return {
+    title: card.subject || record.Subject || '',
+    details,
+    grade: `${grader} ${gradeText}`.replace(/\s+/g, ' ').trim(),
+    certNumber,
+    // Scans straight back into the scanner: bare PSA certs, prefixed certs for the other graders
+    barcode: grader === 'PSA' ? certNumber : `${grader} ${certNumber}`,
+    sku: (extras.sku ?? '').toString(),
+    price: Number.isFinite(price) ? `${extras.currency && extras.currency !== 'USD' ? `${extras.currency} ` : '$'}${price.toFixed(2)}` : ''
+  };
+}
+
+/**
+ * Draws one label inside its box
+ * @param {Object} page - PdfPage
+ * @param {Object} label - From buildLabel()
+ * @param {Object} box - { x, y, width, height } (y is the bottom edge)
+ */
+function drawLabel(page, label, box) {
+  const pad = Math.min(6, box.height * 0.08);
+  const inner = { x: box.x + pad, y: box.y + pad, width: box.width - pad * 2, height: box.height - pad * 2 };
+  // Text sizes follow the label height so the same layout works from 1" stickers to 2" shipping labels
+  const titleSize = Math.max(6, Math.min(11, inner.height * 0.14));
+  const smallSize = titleSize * 0.78;
+  let top = inner.y + inner.height;
+
+  top -= titleSize;
+  page.text(fitText(label.title, inner.width, titleSize, true), inner.x, top, { size: titleSize, bold: true });
+  top -= smallSize + 1.5;
+  page.text(fitText(label.grade, inner.width, smallSize, true), inner.x, top, { size: smallSize, bold: true });
+  if (label.details) {
+    top -= smallSize + 1;
+    page.text(fitText(label.details, inner.width, smallSize), inner.x, top, { size: smallSize });
+  }
+
+  // Price and SKU on the right, barcode with the cert under it on the left
+  const sideWidth = label.price || label.sku ? Math.min(inner.width * 0.32, 80) : 0;
+  const priceSize = titleSize * 1.15;
+  if (label.price) {
+    const text = fitText(label.price, sideWidth, priceSize, true);
+    page.text(text, inner.x + inner.width - PdfDocument.textWidth(text, priceSize, true), inner.y + smallSize + 3, { size: priceSize, bold: true });
+  }
+  if (label.sku) {
+    const text = fitText(label.sku, sideWidth, smallSize);
+    page.text(text, inner.x + inner.width - PdfDocument.textWidth(text, smallSize), inner.y, { size: smallSize });
+  }
+
+  const barcodeTop = top - 2;
+  const barcodeBottom = inner.y + smallSize + 1;
+  const barcodeWidth = inner.width - (sideWidth ? sideWidth + 4 : 0);
+  if (label.barcode && barcodeTop - barcodeBottom >= 8) {
+    const { modules, bars } = toBars(label.barcode);
+    // 10-module quiet zone each side; never wider than 1.2pt per module
+    const moduleWidth = Math.min(1.2, barcodeWidth / (modules + 20));
+    const x0 = inner.x + moduleWidth * 10;
+    bars.forEach(bar => page.rect(x0 + bar.x * moduleWidth, barcodeBottom, bar.width * moduleWidth, barcodeTop - barcodeBottom));
+  }
+  page.text(fitText(label.barcode, barcodeWidth, smallSize), inner.x, inner.y, { size: smallSize });
+}
+
+/**
+ * Lays labels out on a template's sheets
+ * @param {Array<Object>} labels - From buildLabel()
+ * @param {Object} [options]
+ * @param {string} [options.template] - Key of LABEL_TEMPLATES (default avery5160)
+ * @param {number} [options.startAt] - 1-based position of the first label on the first sheet, to reuse a
+ *   partly used sheet
+ * @returns {Buffer} - PDF
+ */
+function renderLabels(labels, options = {}) {
+  const templateName = options.template || DEFAULT_TEMPLATE;
+  const t = getTemplate(templateName);
+  if (!t) {
+    throw new Error(`Invalid label template "${templateName}". Use ${Object.keys(LABEL_TEMPLATES).join(', ')}.`);
+  }
+  const perPage = t.columns * t.rows;
+  const startAt = Number(options.startAt) || 1;
+  if (!Number.isInteger(startAt) || startAt < 1 || startAt > perPage) {
+    throw new Error(`Invalid startAt: use 1-${perPage} for ${templateName}`);
+  }
+
+  const pdf = new PdfDocument();
+  let page = null;
+  labels.forEach((label, i) => {
+    const slot = i + startAt - 1;
+    const position = slot % perPage;
+    if (!page || position === 0) page = pdf.addPage(t.pageWidth, t.pageHeight);
+    const column = position % t.columns;
+    const row = Math.floor(position / t.columns);
+    drawLabel(page, label, {
+      x: t.marginLeft + column * (t.labelWidth + t.gapX),
+      y: t.pageHeight - t.marginTop - (row + 1) * t.labelHeight - row * t.gapY,
+      width: t.labelWidth,
+      height: t.labelHeight
+    });
+  });
+  return pdf.toBuffer();
+}
+
+module.exports = { LABEL_TEMPLATES, DEFAULT_TEMPLATE, getTemplate, buildLabel, renderLabels };
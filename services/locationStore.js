@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Storage hierarchy, outermost first: a case holds boxes, a box holds rows, a row holds slots
+const LOCATION_PARTS = ['case', 'box', 'row', 'slot'];
+
+// Moves kept per slab
+const MOVE_HISTORY_LIMIT = 20;
+
+/**
+ * Reads a location from an object ({ case, box, row, slot }) or text. Text may name the parts
+ * ("Case A / Box 3 / Row 2 / Slot 14", "box 3 slot 14") or list them in order ("A/3/2/14").
+ * @param {Object|string} input
+ * @returns {Object|null} - { case, box, row, slot } with the parts given (others null), or null for an empty input
+ */
+function parseLocation(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  let parts = {};
+  if (typeof input === 'object') {
+    LOCATION_PARTS.forEach(part => { parts[part] = input[part]; });
+  } else {
+    const text = input.toString().trim();
+    const labeled = Array.from(text.matchAll(/\b(case|box|row|slot)\b\s*:?\s*([^,/]+?)\s*(?=,|\/|\b(?:case|box|row|slot)\b|$)/gi));
+    if (labeled.length) {
+      labeled.forEach(match => { parts[match[1].toLowerCase()] = match[2]; });
+    } else {
+      const positional = text.split('/').map(value => value.trim());
+      if (positional.length > LOCATION_PARTS.length) {
+        throw new Error(`Invalid location "${text}": use case/box/row/slot`);
+      }
+      parts = Object.fromEntries(positional.map((value, i) => [LOCATION_PARTS[i], value]));
+    }
+  }
+
+  const location = {};
+  LOCATION_PARTS.forEach(part => {
+    const value = (parts[part] ?? '').toString().trim();
+    if (value && !/^[\w .#-]{1,32}$/.test(value)) {
+      throw new Error(`Invalid location ${part} "${value}": use up to 32 letters, digits, spaces, dots, dashes or #`);
+    }
+    location[part] = value || null;
+  });
+  if (!LOCATION_PARTS.some(part => location[part])) {
+    if (typeof input === 'object') return null;
+    throw new Error(`Invalid location "${input}": name a case, box, row or slot`);
+  }
+  return location;
+}
+
+/**
+ * Location as one line of text, e.g. "Case A / Box 3 / Slot 14" (parseLocation reads it back)
+ * @param {Object|null} location
+ * @returns {string}
+ */
+function formatLocation(location) {
+  if (!location) return '';
+  return LOCATION_PARTS
+    .filter(part => location[part])
+    .map(part => `${part[0].toUpperCase()}${part.slice(1)} ${location[part]}`)
+    .join(' / ');
+}
+
+/**
+ * Whether a location lies inside a filter, e.g. { case: 'A', box: '3' } takes in every row and slot of that box
+ * @param {Object|null} location
+ * @param {Object} filter - From parseLocation()
+ * @returns {boolean}
+ */
+function locationMatches(location, filter) {
+  if (!location) return false;
+  const norm = (s) => (s ?? '').toString().trim().toLowerCase();
+  return LOCATION_PARTS.every(part => !filter[part] || norm(location[part]) === norm(filter[part]));
+}
+
+/**
+ * The location `steps` slots further along; a numeric slot counts up keeping its zero padding ("09" -> "10")
+ * @param {Object|null} location
+ * @param {number} [steps]
+ * @returns {Object|null} - Unchanged when there is no numeric slot
+ */
+function advanceSlot(location, steps = 1) {
+  if (!location || !/^\d+$/.test(location.slot || '')) return location;
+  const next = (Number(location.slot) + steps).toString().padStart(location.slot.length, '0');
+  return { ...location, slot: next };
+}
+
+/**
+ * Renders a SKU pattern. Tokens: {seq} or {seq:5} (sequence, zero-padded to 5), {cert}, {grader}, {grade},
+ * {year} (the card's), {yyyy}, {yy} and {mm} (today)
+ * @param {string} pattern - e.g. "QS-{seq:5}" or "{grader}{cert}"
+ * @param {Object} values - { seq, record? }
+ * @returns {string}
+ */
+function formatSku(pattern, { seq, record = {} }) {
+  const card = record.Card || {};
+  const today = new Date().toISOString();
+  const tokens = {
+    cert: (record.CertNumber || card.certNumber || '').toString(),
+    grader: record.Grader || card.grader || 'PSA',
+    grade: (record.NumericGrade || card.grade?.numeric || '').toString(),
+    year: (record.Year || card.year || '').toString(),
+    yyyy: today.slice(0, 4),
+    yy: today.slice(2, 4),
+    mm: today.slice(5, 7)
+  };
+  return pattern
+    .replace(/\{seq(?::(\d{1,2}))?\}/gi, (match, width) => seq.toString().padStart(Number(width) || 0, '0'))
+    .replace(/\{(cert|grader|grade|year|yyyy|yy|mm)\}/gi, (match, token) => tokens[token.toLowerCase()])
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Location Store - Internal SKUs and storage locations (case / box / row / slot) of slabs, persisted to a
+ * local JSON file and keyed by the cert number the inventory holds. SKUs come from a pattern and a
+ * sequence that only moves forward (past a number reserved for a write that didn't happen, it steps back),
+ * so a saved SKU is never handed out twice. Slabs are only saved once their inventory row is written.
+ *
+ * Slab: { certNumber, grader, sku, location: { case, box, row, slot } | null, updatedAt, updatedBy,
+ *   moves: [{ from, to, at, by }] }
+ */
+class LocationStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'locations.json');
+    this.getSkuPattern = config.getSkuPattern || (() => 'QS-{seq:5}');
+    this.getSequenceStart = config.getSequenceStart || (() => 1);
+    this.sequence = 0;
+    this.slabs = Object.create(null); // keyed by cert number; no prototype, so "__proto__" is just a key
+    this.reserved = new Set(); // lower-cased SKUs of writes still in progress
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.sequence = parsed.sequence || 0;
+      this.slabs = Object.assign(Object.create(null), parsed.slabs);
+    } catch (error) {
+      logger.warn('Locations load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, sequence: this.sequence, slabs: this.slabs }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  key(certNumber) {
+    return (certNumber || '').toString().trim();
+  }
+
+  /**
+   * Key of a slab about to be saved
+   * @param {string} certNumber
+   * @returns {string}
+   */
+  requireKey(certNumber) {
+    const key = this.key(certNumber);
+    if (!key) {
+      throw new Error('Invalid slab: cert number is required');
+    }
+    if (!/^\d+$/.test(key)) {
+      throw new Error(`Invalid slab: cert number "${key}" must contain only digits`);
+    }
+    return key;
+  }
+
+  /**
+   * @param {string} certNumber
+   * @returns {Object|null}
+   */
+  get(certNumber) {
+    const key = this.key(certNumber);
+    return Object.hasOwn(this.slabs, key) ? this.slabs[key] : null;
+  }
+
+  /**
+   * @param {string} sku - Matched ignoring case
+   * @returns {Object|null}
+   */
+  findBySku(sku) {
+    const wanted = (sku || '').toString().trim().toLowerCase();
+    if (!wanted) return null;
+    return Object.values(this.slabs).find(slab => (slab.sku || '').toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Slabs stored at a location (or anywhere inside it), in slot order
+   * @param {Object|string} location
+   * @returns {Array<Object>}
+   */
+  listAt(location) {
+    const filter = parseLocation(location);
+    if (!filter) {
+      throw new Error('Invalid location: name a case, box, row or slot');
+    }
+    return Object.values(this.slabs)
+      .filter(slab => locationMatches(slab.location, filter))
+      .sort((a, b) => formatLocation(a.location).localeCompare(formatLocation(b.location), undefined, { numeric: true }));
+  }
+
+  /**
+   * Works out the SKU (kept if the slab already has one) and location of slabs about to be written to
+   * inventory, without saving anything: the write can still be refused (a duplicate) or fail. New SKUs are
+   * held back from other writes until confirm() saves the slabs that were written and releases the rest.
+   * @param {Array<Object>} items - { certNumber, grader?, record?, location? }
+   * @returns {Array<Object>} - Reservations { certNumber, grader, sku, location, moveTo, sequence }, in input order
+   */
+  reserve(items) {
+    return items.map(item => {
+      const certNumber = this.requireKey(item.certNumber);
+      const current = this.get(certNumber);
+      let sku = current?.sku || null;
+      let sequence = null;
+      if (!sku) {
+        sku = this.nextSku(item.record);
+        sequence = this.sequence;
+        this.reserved.add(sku.toLowerCase());
+      }
+      return {
+        certNumber,
+        grader: item.grader || current?.grader || null,
+        sku,
+        location: item.location || current?.location || null,
+        moveTo: item.location || null,
+        sequence
+      };
+    });
+  }
+
+  /**
+   * Saves the reserved slabs whose rows were written, in a single save, and releases the others' SKUs
+   * @param {Array<Object>} reservations - From reserve()
+   * @param {Array<boolean>} written - Per reservation, whether its row was inserted or updated
+   * @param {Object} [options] - { user? }
+   * @returns {Array<Object|null>} - The saved slabs (null where nothing was written), in input order
+   */
+  confirm(reservations, written, options = {}) {
+    const slabs = reservations.map((reservation, i) => {
+      if (reservation.sequence !== null) this.reserved.delete(reservation.sku.toLowerCase());
+      if (!written[i]) return null;
+      const { certNumber } = reservation;
+      const slab = this.get(certNumber) || { certNumber, grader: null, sku: null, location: null, moves: [] };
+      if (reservation.grader) slab.grader = reservation.grader;
+      if (!slab.sku) slab.sku = reservation.sku;
+      if (reservation.moveTo) this.applyMove(slab, reservation.moveTo, options.user);
+      slab.updatedAt = new Date().toISOString();
+      slab.updatedBy = options.user || null;
+      this.slabs[certNumber] = slab;
+      return slab;
+    });
+
+    // Unused sequence numbers go back when no other write has taken a later one, so SKUs stay consecutive
+    reservations
+      .filter((reservation, i) => reservation.sequence !== null && !written[i])
+      .map(reservation => reservation.sequence)
+      .sort((a, b) => b - a)
+      .forEach(sequence => { if (sequence === this.sequence) this.sequence--; });
+
+    if (slabs.some(Boolean)) this.persist();
+    return slabs;
+  }
+
+  /**
+   * Moves a slab; a slab not seen before is recorded without a SKU (it gets one when written to inventory)
+   * @param {string} certNumber
+   * @param {Object|string|null} location - null takes the slab out of storage (e.g. out for a show)
+   * @param {Object} [options] - { user? }
+   * @returns {Object} - { slab, from }
+   */
+  move(certNumber, location, options = {}) {
+    const key = this.requireKey(certNumber);
+    const to = parseLocation(location);
+    const slab = this.get(key) || { certNumber: key, grader: null, sku: null, location: null, moves: [] };
+    const from = slab.location;
+    this.applyMove(slab, to, options.user);
+    slab.updatedAt = new Date().toISOString();
+    slab.updatedBy = options.user || null;
+    this.slabs[key] = slab;
+    this.persist();
+    return { slab, from };
+  }
+
+  applyMove(slab, location, user) {
+    if (formatLocation(slab.location) === formatLocation(location)) return;
+    slab.moves = [
+      ...(slab.moves || []),
+      { from: slab.location, to: location, at: new Date().toISOString(), by: user || null }
+    ].slice(-MOVE_HISTORY_LIMIT);
+    slab.location = location;
+  }
+
+  /**
+   * Takes the next sequence number and renders the SKU pattern with it
+   * @param {Object} [record] - Processed card record, for {cert}, {grader}, {grade} and {year}
+   * @returns {string}
+   */
+  nextSku(record = {}) {
+    this.sequence = Math.max(this.sequence + 1, Number(this.getSequenceStart()) || 1);
+    const sku = formatSku(this.getSkuPattern(), { seq: this.sequence, record });
+    // A pattern without {seq} (e.g. "{grader}{cert}") can repeat; suffix the sequence to keep SKUs unique
+    return this.findBySku(sku) || this.reserved.has(sku.toLowerCase()) ? `${sku}-${this.sequence}` : sku;
+  }
+}
+
+LocationStore.LOCATION_PARTS = LOCATION_PARTS;
+LocationStore.parseLocation = parseLocation;
+LocationStore.formatLocation = formatLocation;
+LocationStore.locationMatches = locationMatches;
+LocationStore.advanceSlot = advanceSlot;
+LocationStore.formatSku = formatSku;
+
+module.exports = LocationStore;
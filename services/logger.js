@@ -0,0 +1,109 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * Logger - Structured logging, one JSON object per line
+ * Entry: { time, level, msg, requestId?, ...fields }. The request id comes from the request context, which
+ * follows a request through every await (PSA and Sheets calls included), so any line logged while handling
+ * a request carries it without passing it around. Errors in fields are logged as { message, status?, stack? }.
+ *
+ * LOG_LEVEL=error|warn|info|debug (default info); LOG_FORMAT=text prints plain lines for local development.
+ */
+class Logger {
+  constructor(config = {}) {
+    const level = (config.level || 'info').toString().toLowerCase();
+    this.level = LEVELS[level] === undefined ? 'info' : level;
+    this.format = config.format === 'text' ? 'text' : 'json';
+    this.fields = config.fields || {};
+    this.context = config.context || new AsyncLocalStorage();
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Runs `fn` with a request context ({ requestId, ... }) that every log line inside it picks up
+   * @param {Object} context
+   * @param {Function} fn
+   * @returns {*} - What fn returns
+   */
+  runWithContext(context, fn) {
+    return this.context.run(context, fn);
+  }
+
+  /**
+   * @returns {Object} - The current request context, or {} outside a request
+   */
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  /**
+   * A logger that adds `fields` to every line (e.g. { component: 'sheets' })
+   * @param {Object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    const child = new Logger({ level: this.level, format: this.format, context: this.context });
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  /**
+   * @param {string} level - error | warn | info | debug
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const { requestId } = this.getContext();
+    const entry = { time: new Date().toISOString(), level, msg: message };
+    if (requestId) entry.requestId = requestId;
+    Object.entries({ ...this.fields, ...fields }).forEach(([key, value]) => {
+      if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    let line;
+    try {
+      line = this.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    } catch (error) {
+      // e.g. a circular object in fields
+      line = JSON.stringify({ time: entry.time, level, msg: message, requestId, logError: error.message });
+    }
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  error(message, fields) { this.log('error', message, fields); }
+
+  warn(message, fields) { this.log('warn', message, fields); }
+
+  info(message, fields) { this.log('info', message, fields); }
+
+  debug(message, fields) { this.log('debug', message, fields); }
+}
+
+function serializeError(error) {
+  const serialized = { message: error.message };
+  if (error.status || error.code) serialized.status = error.status || error.code;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+// "12:00:00.000 WARN  Cert cache load skipped requestId=... error=..."
+function formatText(entry) {
+  const { time, level, msg, ...rest } = entry;
+  const extras = Object.entries(rest).map(([key, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...extras].join(' ');
+}
+
+// The app's logger; services log through it directly, like they used console before
+const logger = new Logger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
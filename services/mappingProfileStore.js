@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROFILE, validateProfile } = require('./columnMapping');
+const logger = require('./logger');
+
+/**
+ * Mapping Profile Store - Named column mapping profiles persisted to a local JSON file
+ * The built-in "default" profile always exists and cannot be changed or deleted
+ */
+class MappingProfileStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'mapping-profiles.json');
+    this.profiles = Object.create(null); // no prototype, so a name like "constructor" is only ever a missing key
+    this.active = DEFAULT_PROFILE.name;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.profiles = Object.assign(Object.create(null), parsed.profiles);
+      this.active = parsed.active && Object.hasOwn(this.profiles, parsed.active) ? parsed.active : DEFAULT_PROFILE.name;
+    } catch (error) {
+      logger.warn('Mapping profiles load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, active: this.active, profiles: this.profiles }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @returns {Array<Object>} - All profiles, built-in first, with an `active` flag
+   */
+  list() {
+    return [DEFAULT_PROFILE, ...Object.values(this.profiles)]
+      .map(profile => ({ ...profile, active: profile.name === this.active }));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  get(name) {
+    if (!name || name === DEFAULT_PROFILE.name) return DEFAULT_PROFILE;
+    return Object.hasOwn(this.profiles, name) ? this.profiles[name] : null;
+  }
+
+  /**
+   * Creates or replaces a profile
+   * @param {Object} profile
+   * @returns {Object} - The stored (normalized) profile
+   */
+  save(profile) {
+    const normalized = validateProfile(profile);
+    if (normalized.name === DEFAULT_PROFILE.name) {
+      throw new Error('Invalid mapping profile: "default" is built in and cannot be changed');
+    }
+    normalized.updatedAt = new Date().toISOString();
+    this.profiles[normalized.name] = normalized;
+    this.persist();
+    return normalized;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} - False if no such profile
+   */
+  delete(name) {
+    if (name === DEFAULT_PROFILE.name) {
+      throw new Error('Invalid mapping profile: "default" is built in and cannot be deleted');
+    }
+    if (!Object.hasOwn(this.profiles, name)) return false;
+    delete this.profiles[name];
+    if (this.active === name) this.active = DEFAULT_PROFILE.name;
+    this.persist();
+    return true;
+  }
+
+  getActiveName() {
+    return this.active;
+  }
+
+  getActive() {
+    return this.get(this.active);
+  }
+
+  /**
+   * Makes a profile the default for writes that don't name one
+   * @param {string} name
+   * @returns {Object|null} - The profile, or null if unknown
+   */
+  setActive(name) {
+    const profile = this.get(name);
+    if (!profile) return null;
+    this.active = profile.name;
+    this.persist();
+    return profile;
+  }
+}
+
+module.exports = MappingProfileStore;
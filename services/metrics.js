@@ -0,0 +1,183 @@
+/**
+ * Metrics - A small in-process registry of counters, gauges and histograms, rendered in the Prometheus text
+ * exposition format (version 0.0.4) for GET /metrics
+ * Metrics are registered once with fixed label names; a metric can also take a `collect` function that
+ * reports values read at scrape time (e.g. cache counters kept by another service).
+ */
+
+// Latency buckets in seconds, from a cached lookup to a slow Sheets batch write
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return (value ?? '').toString().replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? value.toString() : 'NaN';
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, options = {}) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = options.labelNames || [];
+    this.collectFn = options.collect || null;
+    this.values = new Map(); // label key -> { labels, value }
+  }
+
+  // Only the declared labels, in declared order, so the same series always gets the same key
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, (labels[name] ?? '').toString()]));
+  }
+
+  series(labels, init) {
+    const normalized = this.labelsFor(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.values.has(key)) this.values.set(key, { labels: normalized, ...init() });
+    return this.values.get(key);
+  }
+
+  samples() {
+    const collected = this.collectFn
+      ? (this.collectFn() || []).map(sample => ({ labels: this.labelsFor(sample.labels), value: sample.value }))
+      : [];
+    return [...this.values.values(), ...collected];
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    this.samples().forEach(sample => lines.push(`${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`));
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [value] - Must not be negative
+   */
+  inc(labels, value = 1) {
+    if (value < 0) throw new Error(`Invalid counter increment for ${this.name}: counters only go up`);
+    this.series(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels, value) {
+    this.series(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    if (this.labelNames.includes('le')) {
+      throw new Error(`Invalid histogram ${name}: "le" is a reserved label`);
+    }
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.series(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    this.values.forEach(series => {
+      // Bucket counts are cumulative: each one includes every smaller bucket
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Invalid metric: ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Object} [options] - { labelNames?, collect?: () => Array<{ labels, value }> }
+   * @returns {Counter}
+   */
+  counter(name, help, options) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Object} [options] - { labelNames?, buckets? (upper bounds, default DEFAULT_BUCKETS) }
+   * @returns {Histogram}
+   */
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  /**
+   * @returns {string} - Every metric in the Prometheus text format
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => {
+      try {
+        lines.push(...metric.render());
+      } catch (error) {
+        // A failing collect function drops its own metric, not the whole scrape
+        lines.push(`# ${metric.name} unavailable: ${error.message.replace(/\n/g, ' ')}`);
+      }
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = MetricsRegistry;
@@ -0,0 +1,148 @@
+/**
+ * Minimal PDF writer - Pages of text (the standard Helvetica fonts) and filled rectangles, which is all
+ * label sheets need. Coordinates are PDF points (1/72 inch) from the bottom-left corner of the page.
+ */
+
+// Helvetica advance widths (per 1000 units of font size) for printable ASCII, from the standard font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+  556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778,
+  722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Bold glyphs run about 5% wider than regular ones; close enough for fitting text to a label
+const BOLD_FACTOR = 1.05;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+/**
+ * Width of a text in points
+ * @param {string} text
+ * @param {number} size - Font size
+ * @param {boolean} [bold]
+ * @returns {number}
+ */
+function textWidth(text, size, bold = false) {
+  const units = Array.from(toLatin1(text)).reduce((sum, ch) => {
+    const code = ch.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size / 1000) * (bold ? BOLD_FACTOR : 1);
+}
+
+/**
+ * Shortens a text with an ellipsis so it fits a width
+ * @param {string} text
+ * @param {number} maxWidth - Points
+ * @param {number} size
+ * @param {boolean} [bold]
+ * @returns {string}
+ */
+function fitText(text, maxWidth, size, bold = false) {
+  let value = (text ?? '').toString();
+  if (textWidth(value, size, bold) <= maxWidth) return value;
+  while (value.length && textWidth(`${value}...`, size, bold) > maxWidth) {
+    value = value.slice(0, -1);
+  }
+  return value ? `${value.trimEnd()}...` : '';
+}
+
+// The standard fonts use WinAnsi encoding; characters outside Latin-1 are printed as "?"
+function toLatin1(text) {
+  return (text ?? '').toString().replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function escapeText(text) {
+  return toLatin1(text).replace(/[\\()]/g, ch => `\\${ch}`);
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+class PdfPage {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.ops = [];
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} x - Left edge of the text
+   * @param {number} y - Baseline
+   * @param {Object} [options] - { size = 10, bold = false }
+   */
+  text(text, x, y, options = {}) {
+    const size = options.size || 10;
+    const font = options.bold ? FONTS.bold : FONTS.regular;
+    this.ops.push(`BT /${font} ${num(size)} Tf ${num(x)} ${num(y)} Td (${escapeText(text)}) Tj ET`);
+    return this;
+  }
+
+  /**
+   * Filled black rectangle
+   */
+  rect(x, y, width, height) {
+    this.ops.push(`${num(x)} ${num(y)} ${num(width)} ${num(height)} re f`);
+    return this;
+  }
+}
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+  }
+
+  /**
+   * @param {number} width - Points
+   * @param {number} height - Points
+   * @returns {PdfPage}
+   */
+  addPage(width, height) {
+    const page = new PdfPage(width, height);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * @returns {Buffer} - The PDF file
+   */
+  toBuffer() {
+    // 1: catalog, 2: page tree, 3-4: fonts, then a page and its content stream per page
+    const objects = [];
+    const pageIds = this.pages.map((_, i) => 5 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    this.pages.forEach((page, i) => {
+      const id = pageIds[i];
+      const content = page.ops.join('\n');
+      objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+        `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${id + 1} 0 R >>`;
+      objects[id + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(body, 'latin1');
+      body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+  }
+}
+
+PdfDocument.textWidth = textWidth;
+PdfDocument.fitText = fitText;
+
+module.exports = PdfDocument;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../csv');
+const PriceProvider = require('./priceProvider');
+
+const { parsePrice } = PriceProvider;
+
+// Header names recognized in the comps file
+const COMPS_HEADERS = {
+  subject: ['card name', 'name', 'subject', 'title', 'card'],
+  cardNumber: ['card #', 'card number', 'number', 'no', '#'],
+  company: ['company', 'grader', 'grading company'],
+  grade: ['grade', 'numeric grade'],
+  price: ['price', 'sold price', 'sale price', 'sold for', 'amount'],
+  date: ['date', 'sold date', 'sale date']
+};
+
+// Names compare without case, punctuation or spacing ("Charizard-Holo" matches "CHARIZARD HOLO")
+function matchKey(value) {
+  return (value ?? '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round(((sorted[mid - 1] + sorted[mid]) / 2) * 100) / 100;
+}
+
+/**
+ * Comps CSV Provider - Prices cards from our own sold comps, kept in a CSV file
+ * Columns (any order, matched by header): Card Name, Card #, Company, Grade, Price, Date (optional).
+ * A card's estimate is the median of its most recent comps at the same company and grade.
+ * The file is re-read whenever it changes on disk.
+ */
+class CompsCsvProvider extends PriceProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.filePath] - Comps file (default data/comps.csv)
+   * @param {number} [config.maxComps] - Most recent comps used per estimate (default 10)
+   * @param {string} [config.currency]
+   */
+  constructor(config = {}) {
+    super({ ...config, name: 'comps-csv' });
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'comps.csv');
+    this.maxComps = Number(config.maxComps) > 0 ? Number(config.maxComps) : 10;
+    this.comps = [];
+    this.loadedMtime = null;
+  }
+
+  isConfigured() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Reads the comps file if it changed since the last read
+   */
+  load() {
+    if (!this.isConfigured()) {
+      throw new Error(`Pricing is not configured: add comps to ${this.filePath} or set PRICE_API_URL`);
+    }
+    const mtime = fs.statSync(this.filePath).mtimeMs;
+    if (mtime === this.loadedMtime) return;
+
+    const [header = [], ...rows] = parseCsv(fs.readFileSync(this.filePath, 'utf8'));
+    const names = header.map(cell => cell.toString().trim().toLowerCase());
+    const index = Object.fromEntries(Object.entries(COMPS_HEADERS).map(([field, aliases]) => [
+      field,
+      names.findIndex(name => aliases.includes(name))
+    ]));
+    if (index.subject < 0 || index.grade < 0 || index.price < 0) {
+      throw new Error(`Invalid comps file ${this.filePath}: it needs Card Name, Grade and Price columns`);
+    }
+
+    const cell = (row, field) => (index[field] >= 0 ? (row[index[field]] ?? '').toString().trim() : '');
+    this.comps = rows
+      .map(row => ({
+        subject: matchKey(cell(row, 'subject')),
+        cardNumber: matchKey(cell(row, 'cardNumber')),
+        company: cell(row, 'company').toUpperCase() || 'PSA',
+        grade: Number.parseFloat(cell(row, 'grade')),
+        price: parsePrice(cell(row, 'price')),
+        date: cell(row, 'date')
+      }))
+      .filter(comp => comp.subject && Number.isFinite(comp.grade) && comp.price !== null);
+    this.loadedMtime = mtime;
+  }
+
+  async fetchEstimate(query) {
+    this.load();
+    const subject = matchKey(query.subject);
+    const cardNumber = matchKey(query.cardNumber);
+    const company = (query.company || 'PSA').toUpperCase();
+
+    // A comp without a card number matches any printing of the card
+    const matches = this.comps
+      .filter(comp => comp.subject === subject && comp.company === company && comp.grade === query.grade
+        && (!comp.cardNumber || !cardNumber || comp.cardNumber === cardNumber))
+      .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))
+      .slice(0, this.maxComps);
+    if (!matches.length) return null;
+
+    const prices = matches.map(comp => comp.price);
+    return {
+      price: median(prices),
+      low: Math.min(...prices),
+      high: Math.max(...prices),
+      sampleSize: matches.length,
+      asOf: matches.find(comp => Date.parse(comp.date))?.date || null
+    };
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), filePath: this.filePath, comps: this.loadedMtime === null ? null : this.comps.length };
+  }
+}
+
+CompsCsvProvider.COMPS_HEADERS = COMPS_HEADERS;
+
+module.exports = CompsCsvProvider;
@@ -0,0 +1,78 @@
+const PriceProvider = require('./priceProvider');
+
+const { parsePrice } = PriceProvider;
+
+/**
+ * HTTP Price Provider - Asks a pricing service configured by URL
+ * Sends GET {baseUrl}?subject=&cardNumber=&grade=&company=&qualifier= (with a bearer token when set) and expects
+ * { price|estimate, low?, high?, currency?, sampleSize|count?, asOf? }. A 404 or a missing price means "no price".
+ */
+class HttpPriceProvider extends PriceProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.baseUrl
+   * @param {string} [config.apiKey]
+   * @param {number} [config.timeoutMs]
+   * @param {string} [config.currency] - Used when the service doesn't say
+   */
+  constructor(config = {}) {
+    super({ ...config, name: 'http' });
+    this.baseUrl = (config.baseUrl || '').trim();
+    this.apiKey = config.apiKey || null;
+    this.timeoutMs = config.timeoutMs || 10000;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async fetchEstimate(query) {
+    if (!this.isConfigured()) {
+      throw new Error('Pricing is not configured: set PRICE_API_URL');
+    }
+    const fetch = (await import('node-fetch')).default;
+    const url = new URL(this.baseUrl);
+    Object.entries(query).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== '') url.searchParams.set(name, value);
+    });
+    const headers = { Accept: 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    // The signal covers the body too, so a service that stalls mid-answer fails the lookup instead of hanging it
+    const signal = AbortSignal.timeout(this.timeoutMs);
+    let response;
+    let body;
+    try {
+      response = await fetch(url.toString(), { method: 'GET', headers, signal });
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw Object.assign(new Error(`Price service error: HTTP ${response.status}`), { status: 502 });
+      }
+      body = await response.json();
+    } catch (error) {
+      if (error.status) throw error;
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw Object.assign(new Error(`Price service timeout: no answer within ${this.timeoutMs} ms`), { status: 504 });
+      }
+      throw Object.assign(new Error(`Network error: Unable to reach the price service (${error.message})`), { status: 502 });
+    }
+
+    const data = body?.data || body;
+    const price = parsePrice(data?.price ?? data?.estimate);
+    if (price === null) return null;
+    return {
+      price,
+      low: parsePrice(data.low),
+      high: parsePrice(data.high),
+      ...(data.currency ? { currency: data.currency.toString().toUpperCase() } : {}),
+      sampleSize: Number.parseInt(data.sampleSize ?? data.count, 10) || null,
+      asOf: data.asOf || null
+    };
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), baseUrl: this.baseUrl || null };
+  }
+}
+
+module.exports = HttpPriceProvider;
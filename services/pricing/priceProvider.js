@@ -0,0 +1,81 @@
+/**
+ * Price Provider - Base class for market price sources
+ * A provider takes a price query built from a normalized card (see services/cardModel.js) and returns a
+ * price estimate, or null when it has nothing for that card.
+ *
+ * Query:    { subject, cardNumber, grade, company, qualifier }
+ * Estimate: { price, low, high, currency, sampleSize, asOf, source }
+ *
+ * Subclasses set `name` and implement fetchEstimate()
+ */
+class PriceProvider {
+  constructor(config = {}) {
+    this.name = config.name;
+    this.currency = config.currency || 'USD';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {Object} query - From PriceProvider.queryFromCard()
+   * @returns {Promise<Object|null>} - The estimate, or null when there is no price for the card
+   */
+  async getPrice(query) {
+    if (!query || !query.subject || query.grade === null || query.grade === undefined) {
+      throw new Error('Invalid price query: the card needs a name and a numeric grade');
+    }
+    const estimate = await this.fetchEstimate(query);
+    return estimate ? { currency: this.currency, ...estimate, source: this.name } : null;
+  }
+
+  /**
+   * @param {Object} query
+   * @returns {Promise<Object|null>}
+   */
+  async fetchEstimate(query) {
+    throw new Error(`${this.name} price provider does not implement fetchEstimate`);
+  }
+
+  getStatus() {
+    return { provider: this.name, configured: this.isConfigured(), currency: this.currency };
+  }
+}
+
+/**
+ * Builds the price query for a card record (the normalized `Card` when present, else the flat PSA fields)
+ * @param {Object} record - A processed lookup record
+ * @returns {Object} - { subject, cardNumber, grade, company, qualifier }
+ */
+function queryFromCard(record) {
+  const card = record?.Card;
+  if (card) {
+    return {
+      subject: card.subject || '',
+      cardNumber: card.cardNumber || '',
+      grade: card.grade.numeric,
+      company: card.grader,
+      qualifier: card.grade.qualifier
+    };
+  }
+  const grade = Number.parseFloat(record?.NumericGrade);
+  return {
+    subject: (record?.Subject || '').toString(),
+    cardNumber: (record?.CardNumber || '').toString(),
+    grade: Number.isFinite(grade) ? grade : null,
+    company: record?.Grader || 'PSA',
+    qualifier: record?.GradeQualifier || null
+  };
+}
+
+// "$1,234.50" -> 1234.5; null when the text isn't a price
+function parsePrice(value) {
+  const number = Number.parseFloat((value ?? '').toString().replace(/[^\d.-]/g, ''));
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+}
+
+PriceProvider.queryFromCard = queryFromCard;
+PriceProvider.parsePrice = parsePrice;
+
+module.exports = PriceProvider;
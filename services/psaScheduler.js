@@ -0,0 +1,191 @@
+const { AsyncResource } = require('async_hooks');
+
+/**
+ * PSA Scheduler - Shared request scheduler for the PSA API
+ * Enforces a per-minute token bucket and a daily budget, and retries
+ * 429/5xx responses with exponential backoff (honoring Retry-After)
+ */
+class PSAScheduler {
+  constructor(config = {}) {
+    this.perMinute = Number(config.perMinute) > 0 ? Number(config.perMinute) : 60;
+    this.dailyLimit = Number(config.dailyLimit) > 0 ? Number(config.dailyLimit) : 0; // 0 = no local daily cap
+    this.maxConcurrent = Number(config.maxConcurrent) > 0 ? Number(config.maxConcurrent) : 4;
+    this.maxRetries = Number.isInteger(Number(config.maxRetries)) ? Number(config.maxRetries) : 4;
+    this.baseDelayMs = config.baseDelayMs ?? 1000;
+    this.maxDelayMs = config.maxDelayMs ?? 60000;
+
+    this.tokens = this.perMinute;
+    this.lastRefill = Date.now();
+    this.dailyUsed = 0;
+    this.dailyResetAt = this.nextUtcMidnight();
+    this.pausedUntil = 0;
+    this.retries = 0;
+
+    this.queue = [];
+    this.active = 0;
+    this._timer = null;
+  }
+
+  /**
+   * Queues a PSA call. The task is invoked once a token is available and is
+   * retried on rate-limit/server errors (errors carrying a `status` field).
+   * @param {Function} task - Async function performing a single PSA request
+   * @returns {Promise<*>} - Resolves with the task result
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      // Queued tasks are started from whichever call frees a slot; binding keeps the caller's request context
+      this.queue.push({ task: AsyncResource.bind(task), resolve, reject, attempt: 0 });
+      this.drain();
+    });
+  }
+
+  /**
+   * Starts as many queued jobs as budget and concurrency allow
+   */
+  drain() {
+    while (this.queue.length && this.active < this.maxConcurrent) {
+      const now = Date.now();
+      this.refill(now);
+
+      if (this.dailyLimit && this.dailyUsed >= this.dailyLimit) {
+        // Nothing will succeed until the daily window resets; fail fast
+        const error = new Error('PSA API error: Rate limit exceeded - daily request budget exhausted');
+        error.status = 429;
+        this.queue.splice(0).forEach(job => job.reject(error));
+        return;
+      }
+
+      if (this.pausedUntil > now) {
+        this.wakeAt(this.pausedUntil - now);
+        return;
+      }
+
+      if (this.tokens < 1) {
+        const msPerToken = 60000 / this.perMinute;
+        this.wakeAt(Math.ceil((1 - this.tokens) * msPerToken));
+        return;
+      }
+
+      this.tokens -= 1;
+      this.dailyUsed += 1;
+      this.run(this.queue.shift());
+    }
+  }
+
+  /**
+   * Runs a single job, re-queueing it with backoff when the error is retryable
+   */
+  async run(job) {
+    this.active++;
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      if (this.isRetryable(error) && job.attempt < this.maxRetries) {
+        const delay = this.retryDelay(error, job.attempt);
+        job.attempt++;
+        this.retries++;
+        if (error.status === 429) {
+          // PSA throttles per key, so every queued call has to wait
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+          this.queue.unshift(job);
+        } else {
+          const timer = setTimeout(() => {
+            this.queue.unshift(job);
+            this.drain();
+          }, delay);
+          if (timer.unref) timer.unref();
+        }
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Only rate limiting and server-side failures are worth retrying
+   */
+  isRetryable(error) {
+    return error && (error.status === 429 || (error.status >= 500 && error.status <= 599));
+  }
+
+  /**
+   * Computes the wait before the next attempt: Retry-After if given, else
+   * exponential backoff with equal jitter (half fixed, half random)
+   */
+  retryDelay(error, attempt) {
+    const retryAfterMs = this.parseRetryAfter(error.retryAfter);
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, this.maxDelayMs);
+    }
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Parses a Retry-After header (delta seconds or HTTP date) into milliseconds
+   * @param {string|null|undefined} value
+   * @returns {number|null}
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+  }
+
+  /**
+   * Refills the per-minute bucket and rolls the daily window over at UTC midnight
+   */
+  refill(now) {
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.perMinute, this.tokens + elapsed * this.perMinute / 60000);
+      this.lastRefill = now;
+    }
+    if (now >= this.dailyResetAt) {
+      this.dailyUsed = 0;
+      this.dailyResetAt = this.nextUtcMidnight();
+    }
+  }
+
+  wakeAt(delay) {
+    if (this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.drain();
+    }, Math.max(delay, 10));
+  }
+
+  nextUtcMidnight() {
+    const d = new Date();
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  }
+
+  /**
+   * Gets the remaining budget for status reporting
+   * @returns {Object}
+   */
+  getStatus() {
+    this.refill(Date.now());
+    return {
+      perMinute: this.perMinute,
+      minuteRemaining: Math.floor(this.tokens),
+      dailyLimit: this.dailyLimit || null,
+      dailyUsed: this.dailyUsed,
+      dailyRemaining: this.dailyLimit ? Math.max(0, this.dailyLimit - this.dailyUsed) : null,
+      dailyResetAt: new Date(this.dailyResetAt).toISOString(),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      queued: this.queue.length,
+      active: this.active,
+      retries: this.retries
+    };
+  }
+}
+
+module.exports = PSAScheduler;
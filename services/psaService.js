@@ -1,17 +1,29 @@
 const https = require('https');
+const GraderProvider = require('./graders/graderProvider');
 
 /**
  * PSA Service - Handles all PSA API interactions
- * Provides secure certificate lookup and data processing
+ * Provides secure certificate lookup and data processing; the PSA grader provider
  */
-class PSAService {
-  constructor(apiKey) {
+class PSAService extends GraderProvider {
+  constructor(apiKey, options = {}) {
     if (!apiKey) {
       throw new Error('PSA API key is required');
     }
     
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.psacard.com/publicapi/cert';
+    super({
+      name: 'PSA',
+      baseUrl: options.baseUrl || 'https://api.psacard.com/publicapi/cert',
+      apiKey,
+      cache: options.cache, // optional CertCache for raw PSA responses
+      scheduler: options.scheduler, // optional PSAScheduler shared by all PSA calls
+      onRequest: options.onRequest // optional per-call hook for metrics
+    });
+    this.qrPatterns = [/psacard\.com\/.*?(?:cert\/|certificate[=\/])(\d{5,12})/i];
+    // Population reports live beside the cert API (.../publicapi/pop) and are keyed by the card's SpecID
+    this.popBaseUrl = (options.popBaseUrl || this.baseUrl.replace(/\/cert$/, '/pop')).replace(/\/+$/, '');
+    this.popTtlMs = Number(options.popTtlMs) > 0 ? Number(options.popTtlMs) : 24 * 60 * 60 * 1000;
+    this.lookupCache = options.lookupCache || null; // optional CertCache for population reports and slab images
     
     // HTTPS agent configuration for development
     this.httpsAgent = new https.Agent({
@@ -21,42 +33,144 @@ class PSAService {
     });
   }
 
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // PSA entries predate the other graders, so their cache keys stay unprefixed
+  cacheKey(certNumber) {
+    return certNumber;
+  }
+
   /**
-   * Validates a PSA certificate number format
-   * @param {string} certNumber - The certificate number to validate
-   * @returns {boolean} - True if valid format
+   * Fetches raw certificate data from PSA API
+   * @param {string} certNumber - The PSA certificate number
+   * @returns {Promise<Object>} - Promise resolving to the raw PSA response body
    */
-  validateCertNumber(certNumber) {
-    if (!certNumber || typeof certNumber !== 'string') {
-      return false;
+  async fetchCertificateData(certNumber) {
+    return this.request(`/GetByCertNumber/${certNumber}`);
+  }
+
+  /**
+   * Gets the population report for a cert's card (every grade, plus how many graded higher than this cert)
+   * @param {string} certNumber
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - Refetch the report (the cert itself still comes from the cache)
+   * @returns {Promise<Object>} - See processPopulationData()
+   */
+  async getPopulation(certNumber, options = {}) {
+    const card = await this.getCertificateData(certNumber);
+    if (!card.SpecID) {
+      throw new Error(`Population report not found: cert ${card.CertNumber} has no PSA SpecID`);
     }
-    
-    // PSA cert numbers should contain only digits
-    return /^\d+$/.test(certNumber.trim());
+    const key = `pop:${card.SpecID}`;
+    let rawData = this.lookupCache && !options.fresh ? this.lookupCache.get(key) : undefined;
+    if (!rawData) {
+      rawData = await this.request(`/GetPSASpecPopulation/${encodeURIComponent(card.SpecID)}`, this.popBaseUrl);
+      if (this.lookupCache) this.lookupCache.set(key, rawData, this.popTtlMs);
+    }
+    return this.processPopulationData(rawData, card);
   }
 
   /**
-   * Fetches certificate data from PSA API
-   * @param {string} certNumber - The PSA certificate number
-   * @returns {Promise<Object>} - Promise resolving to processed PSA certificate data
+   * Gets the front and back slab photos of a cert
+   * @param {string} certNumber
+   * @param {Object} [options] - { fresh? }
+   * @returns {Promise<Object>} - { certNumber, front, back, images: [{ side, url }] }
+   */
+  async getImages(certNumber, options = {}) {
+    const key = this.normalizeCertNumber(certNumber);
+    if (!this.validateCertNumber(key)) {
+      throw new Error(`Invalid certificate number format. ${this.certHint}`);
+    }
+    const cacheKey = `images:${key}`;
+    let rawData = this.lookupCache && !options.fresh ? this.lookupCache.get(cacheKey) : undefined;
+    if (!rawData) {
+      rawData = await this.request(`/GetImagesByCertNumber/${key}`);
+      if (this.lookupCache) this.lookupCache.set(cacheKey, rawData);
+    }
+    return this.processImageData(rawData, key);
+  }
+
+  /**
+   * Reads a GetPSASpecPopulation response. Grade keys look like Grade10, Grade8_5 (8.5) and Grade9Q (qualified).
+   * @param {Object} rawData
+   * @param {Object} card - The cert's processed record, for its grade
+   * @returns {Object} - { certNumber, specId, description, grade, total, authentic, atGrade, atGradeQualified,
+   *   higher, lower, grades: [{ grade, count, qualified }] } (grades highest first)
    */
-  async getCertificateData(certNumber) {
-    if (!this.validateCertNumber(certNumber)) {
-      throw new Error('Invalid certificate number format. Must contain only digits.');
+  processPopulationData(rawData, card) {
+    const report = rawData?.PSAPop?.PSAPop || rawData?.PSAPop || rawData;
+    if (!report || typeof report !== 'object') {
+      throw new Error('Invalid response format from PSA population API');
     }
 
+    const grades = Object.entries(report)
+      .map(([name, count]) => {
+        const match = name.match(/^Grade(\d+)(?:_(5))?(Q)?$/);
+        return match && { grade: Number(`${match[1]}.${match[2] || 0}`), count: Number(count) || 0, qualified: !!match[3] };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.grade - a.grade || a.qualified - b.qualified);
+
+    const numeric = card.Card ? card.Card.grade.numeric : null;
+    const sum = (list) => list.reduce((total, entry) => total + entry.count, 0);
+    const at = grades.filter(entry => entry.grade === numeric);
+    return {
+      certNumber: card.CertNumber,
+      specId: card.SpecID,
+      description: (rawData?.PSAPop?.Description || rawData?.Description || '').toString(),
+      grade: numeric,
+      total: Number(report.Total) || sum(grades),
+      authentic: Number(report.Auth) || 0,
+      atGrade: numeric === null ? null : sum(at.filter(entry => !entry.qualified)),
+      atGradeQualified: numeric === null ? null : sum(at.filter(entry => entry.qualified)),
+      higher: numeric === null ? null : sum(grades.filter(entry => entry.grade > numeric)),
+      lower: numeric === null ? null : sum(grades.filter(entry => entry.grade < numeric)),
+      grades
+    };
+  }
+
+  /**
+   * Reads a GetImagesByCertNumber response: [{ IsFrontImage, ImageURL }]
+   * @param {Array<Object>} rawData
+   * @param {string} certNumber
+   * @returns {Object}
+   */
+  processImageData(rawData, certNumber) {
+    const list = Array.isArray(rawData) ? rawData : rawData?.Images || [];
+    const images = list
+      .filter(image => image && image.ImageURL)
+      .map(image => ({ side: image.IsFrontImage ? 'front' : 'back', url: image.ImageURL }));
+    return {
+      certNumber,
+      front: images.find(image => image.side === 'front')?.url || null,
+      back: images.find(image => image.side === 'back')?.url || null,
+      images
+    };
+  }
+
+  /**
+   * Performs a single PSA API call. Errors carry `status` and `retryAfter`
+   * so the scheduler can decide whether to retry.
+   * @param {string} path - Path relative to the base URL
+   * @param {string} [baseUrl] - The cert API unless given (population calls use popBaseUrl)
+   * @returns {Promise<Object>}
+   */
+  async requestOnce(path, baseUrl = this.baseUrl) {
     try {
       const fetch = (await import('node-fetch')).default;
-      const url = `${this.baseUrl}/GetByCertNumber/${certNumber}`;
+      const url = `${baseUrl}${path}`;
       
       const response = await fetch(url, {
         method: 'GET',
         headers: {
           'authorization': `bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...this.traceHeaders()
         },
-        agent: this.httpsAgent,
-        timeout: 10000
+        agent: url.startsWith('https:') ? this.httpsAgent : undefined, // a local mock runs on plain http
+        signal: AbortSignal.timeout(this.timeoutMs)
       });
 
       if (!response.ok) {
@@ -68,17 +182,19 @@ class PSAService {
         };
         
         const message = errorMessages[response.status] || `HTTP ${response.status}`;
-        throw new Error(`PSA API error: ${message}`);
+        const error = new Error(`PSA API error: ${message}`);
+        error.status = response.status;
+        error.retryAfter = response.headers.get('retry-after');
+        throw error;
       }
 
-      const rawData = await response.json();
-      return this.processCertificateData(rawData);
+      return await response.json();
 
     } catch (error) {
       if (error.code === 'ENOTFOUND') {
         throw new Error('Network error: Unable to reach PSA API. Check internet connection.');
       }
-      if (error.name === 'AbortError') {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
         throw new Error('Request timeout: PSA API took too long to respond.');
       }
       throw error;
@@ -95,37 +211,8 @@ class PSAService {
       throw new Error('Invalid response format from PSA API');
     }
 
-    const cert = rawData.PSACert;
-    
-    // Extract numeric grade from grade string (e.g., "GEM MT 10" -> "10")
-    const gradeField = cert.GradeDescription || cert.CardGrade || cert.Grade;
-    let numericGrade = '';
-    
-    if (gradeField) {
-      const gradeMatch = gradeField.match(/(\d+(?:\.\d+)?)$/);
-      if (gradeMatch) {
-        numericGrade = gradeMatch[1];
-      }
-    }
-
-    return {
-      // Original data
-      ...cert,
-      
-      // Enhanced data
-      NumericGrade: numericGrade,
-      
-      // Formatted for Google Sheets
-      GoogleSheetsData: {
-        Subject: cert.Subject || '',
-        CardNumber: cert.CardNumber || '',
-        Status: 'Graded',
-        Authenticated: 'Y',
-        Company: 'PSA',
-        Grade: numericGrade,
-        CertNumber: cert.CertNumber || ''
-      }
-    };
+    // Original data plus the normalized card (grade, qualifier, population...) and the block formatted for Google Sheets
+    return GraderProvider.buildCardRecord('PSA', rawData.PSACert);
   }
 
   /**
@@ -135,7 +222,7 @@ class PSAService {
   async testConnectivity() {
     try {
       const testCert = '82513373'; // Known test certificate
-      await this.getCertificateData(testCert);
+      await this.getCertificateData(testCert, { fresh: true });
       
       return {
         success: true,
@@ -155,9 +242,14 @@ class PSAService {
    */
   getStatus() {
     return {
+      name: this.name,
       configured: !!this.apiKey,
       baseUrl: this.baseUrl,
-      sslVerification: false // Development mode
+      popBaseUrl: this.popBaseUrl,
+      sslVerification: false, // Development mode
+      cache: this.cache ? this.cache.getStats() : null,
+      lookupCache: this.lookupCache ? this.lookupCache.getStats() : null,
+      rateLimit: this.scheduler ? this.scheduler.getStatus() : null
     };
   }
 }
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Scan History Store - Server-side record of every cert lookup
+ * Entries are appended to a JSON Lines file (one scan per line) and kept in memory
+ * for querying. The file is compacted once it grows well past `maxEntries`.
+ *
+ * Entry: { seq, timestamp, certNumber, status: success|error, error?, cardData?, user?, station?, source }
+ */
+class ScanHistoryStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'scan-history.jsonl');
+    this.maxEntries = config.maxEntries || 50000;
+    this.entries = [];
+    this.nextSeq = 1;
+    this._writes = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch (e) {
+          // A torn last line from a crash mid-append; skip it
+        }
+      }
+      this.nextSeq = this.entries.reduce((max, entry) => Math.max(max, entry.seq || 0), 0) + 1;
+    } catch (error) {
+      logger.warn('Scan history load skipped', { error: error.message });
+    }
+  }
+
+  /**
+   * Records a scan
+   * @param {Object} scan - { certNumber, status, cardData?, error?, user?, station?, source?, timestamp? }
+   * @returns {Object} - The stored entry
+   */
+  record(scan) {
+    const entry = {
+      seq: this.nextSeq++,
+      timestamp: scan.timestamp || new Date().toISOString(),
+      certNumber: (scan.certNumber || '').toString().trim(),
+      status: scan.status === 'success' ? 'success' : 'error',
+      source: scan.source || 'lookup'
+    };
+    if (scan.error) entry.error = scan.error;
+    if (scan.cardData) entry.cardData = scan.cardData;
+    if (scan.user) entry.user = scan.user;
+    if (scan.station) entry.station = scan.station;
+
+    this.entries.push(entry);
+    const line = `${JSON.stringify(entry)}\n`;
+    this.enqueueWrite(() => {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, line);
+    });
+
+    if (this.entries.length > this.maxEntries * 1.1) {
+      this.entries = this.entries.slice(-this.maxEntries);
+      const snapshot = this.entries.map(e => `${JSON.stringify(e)}\n`).join('');
+      this.enqueueWrite(() => {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, snapshot);
+        fs.renameSync(tmpPath, this.filePath);
+      });
+    }
+    return entry;
+  }
+
+  // File writes run one at a time, off the request path
+  enqueueWrite(fn) {
+    this._writes = this._writes
+      .then(fn)
+      .catch(error => logger.error('Failed to write scan history', { error: error.message }));
+    return this._writes;
+  }
+
+  /**
+   * Queries history, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.from] - ISO date/time, inclusive
+   * @param {string} [filters.to] - ISO date/time, inclusive (a bare date covers the whole day)
+   * @param {string} [filters.status] - success | error
+   * @param {string} [filters.user]
+   * @param {string} [filters.station]
+   * @param {string} [filters.certNumber]
+   * @param {number} [filters.limit] - Page size (default 50)
+   * @param {string} [filters.cursor] - nextCursor from the previous page
+   * @returns {Object} - { history, nextCursor }
+   */
+  query(filters = {}) {
+    const limit = filters.limit || 50;
+    const from = filters.from ? Date.parse(filters.from) : null;
+    let to = filters.to ? Date.parse(filters.to) : null;
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+      to += 24 * 60 * 60 * 1000 - 1;
+    }
+    const before = filters.cursor ? Number(filters.cursor) : Infinity;
+
+    const history = [];
+    let nextCursor = null;
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (entry.seq >= before) continue;
+      const time = Date.parse(entry.timestamp);
+      if (from !== null && time < from) continue;
+      if (to !== null && time > to) continue;
+      if (filters.status && entry.status !== filters.status) continue;
+      if (filters.user && entry.user !== filters.user) continue;
+      if (filters.station && entry.station !== filters.station) continue;
+      if (filters.certNumber && entry.certNumber !== filters.certNumber) continue;
+
+      if (history.length === limit) {
+        nextCursor = String(history[history.length - 1].seq);
+        break;
+      }
+      history.push(entry);
+    }
+    return { history, nextCursor };
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.length,
+      filePath: this.filePath
+    };
+  }
+}
+
+module.exports = ScanHistoryStore;
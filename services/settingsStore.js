@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// What can be changed at runtime. Each value comes from the settings file, else its env var, else the default.
+const SCHEMA = {
+  spreadsheetId: {
+    env: 'GOOGLE_SPREADSHEET_ID',
+    type: 'string',
+    default: '',
+    pattern: /^[\w-]{10,}$/,
+    hint: 'a Google Sheets ID (the part of the URL after /d/)'
+  },
+  sheetName: { env: 'GOOGLE_SHEET_NAME', type: 'string', default: 'Input Sheet', maxLength: 100 },
+  soldSheetName: { env: 'SOLD_SHEET_NAME', type: 'string', default: 'Sold', maxLength: 100 },
+  batchConcurrency: { env: 'BATCH_LOOKUP_CONCURRENCY', type: 'integer', default: 5, min: 1, max: 20 },
+  duplicatePolicy: { env: 'DUPLICATE_POLICY', type: 'enum', default: 'update', values: ['skip', 'update', 'error', 'append-anyway'] },
+  soldMode: { env: 'SOLD_MODE', type: 'enum', default: 'move', values: ['move', 'columns', 'clear'] },
+  scanHistoryMirror: { env: 'SCAN_HISTORY_MIRROR', type: 'boolean', default: false },
+  skuPattern: {
+    env: 'SKU_PATTERN',
+    type: 'string',
+    default: 'QS-{seq:5}',
+    pattern: /\{(?:seq(?::\d{1,2})?|cert)\}/i,
+    maxLength: 40,
+    hint: 'a pattern with {seq} or {cert}, e.g. QS-{seq:5}'
+  },
+  skuSequenceStart: { env: 'SKU_SEQUENCE_START', type: 'integer', default: 1, min: 1, max: 999999999 }
+};
+
+/**
+ * Settings Store - Runtime configuration persisted to a local JSON file and merged over env vars
+ * Saved values win over the environment, so a change made in the app survives a restart.
+ */
+class SettingsStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'settings.json');
+    this.env = config.env || process.env;
+    this.saved = {};
+    this.warned = new Set(); // env vars already reported as malformed
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.saved = parsed.settings || {};
+    } catch (error) {
+      logger.warn('Settings load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, settings: this.saved }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Checks one value against the schema
+   * @returns {*} - The normalized value
+   */
+  validateValue(key, value) {
+    const rule = SCHEMA[key];
+    if (!rule) {
+      throw new Error(`Invalid setting "${key}". Use ${Object.keys(SCHEMA).join(', ')}.`);
+    }
+    if (rule.type === 'boolean') {
+      if (typeof value === 'boolean') return value;
+      const text = (value ?? '').toString().trim().toLowerCase();
+      if (['1', 'true', 'on', 'yes'].includes(text)) return true;
+      if (['0', 'false', 'off', 'no', ''].includes(text)) return false;
+      throw new Error(`Invalid ${key}: use true or false`);
+    }
+    if (rule.type === 'integer') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+        throw new Error(`Invalid ${key}: use a whole number from ${rule.min} to ${rule.max}`);
+      }
+      return number;
+    }
+    const text = (value ?? '').toString().trim();
+    if (rule.type === 'enum') {
+      const lower = text.toLowerCase();
+      if (!rule.values.includes(lower)) {
+        throw new Error(`Invalid ${key} "${text}". Use ${rule.values.join(', ')}.`);
+      }
+      return lower;
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      throw new Error(`Invalid ${key}: use ${rule.hint}`);
+    }
+    if (!text || text.length > (rule.maxLength || Infinity)) {
+      throw new Error(`Invalid ${key}: use 1-${rule.maxLength} characters`);
+    }
+    return text;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*} - Saved value, else the env var, else the default
+   */
+  get(key) {
+    return this.describe(key).value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} [saved] - Saved values to resolve against (defaults to the stored ones)
+   * @returns {Object} - { value, source: 'saved'|'env'|'default' }; a malformed env var falls back to the default
+   */
+  describe(key, saved = this.saved) {
+    const rule = SCHEMA[key];
+    if (key in saved) return { value: saved[key], source: 'saved' };
+    const raw = this.env[rule.env];
+    if (raw !== undefined && raw !== '') {
+      try {
+        return { value: this.validateValue(key, raw), source: 'env' };
+      } catch (error) {
+        if (!this.warned.has(rule.env)) logger.warn(`Ignoring ${rule.env}`, { error: error.message });
+        this.warned.add(rule.env);
+      }
+    }
+    return { value: rule.default, source: 'default' };
+  }
+
+  /**
+   * @returns {Object} - { values: { key: value }, sources: { key: source } }
+   */
+  getAll() {
+    const values = {};
+    const sources = {};
+    Object.keys(SCHEMA).forEach(key => {
+      const { value, source } = this.describe(key);
+      values[key] = value;
+      sources[key] = source;
+    });
+    return { values, sources };
+  }
+
+  /**
+   * Validates every field of a change without saving it
+   * @param {Object} changes - { key: value }; null resets a key to its env var / default
+   * @returns {Object} - Normalized changes
+   */
+  validate(changes = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Invalid settings: send an object of { setting: value }');
+    }
+    const normalized = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      normalized[key] = value === null && SCHEMA[key] ? null : this.validateValue(key, value);
+    });
+    return normalized;
+  }
+
+  /**
+   * The values that would be in effect after a change, for checks that need the whole picture
+   * @param {Object} normalized - From validate()
+   * @returns {Object} - { key: value }
+   */
+  preview(normalized) {
+    const saved = this.applyChanges({ ...this.saved }, normalized);
+    return Object.fromEntries(Object.keys(SCHEMA).map(key => [key, this.describe(key, saved).value]));
+  }
+
+  /**
+   * Saves already-validated changes
+   * @param {Object} normalized - From validate()
+   */
+  save(normalized) {
+    this.applyChanges(this.saved, normalized);
+    this.persist();
+  }
+
+  applyChanges(saved, normalized) {
+    Object.entries(normalized).forEach(([key, value]) => {
+      if (value === null) delete saved[key];
+      else saved[key] = value;
+    });
+    return saved;
+  }
+}
+
+SettingsStore.SCHEMA = SCHEMA;
+
+module.exports = SettingsStore;
@@ -0,0 +1,137 @@
+const fs = require('fs/promises');
+const path = require('path');
+const LocalInventoryStorage = require('./localInventoryStorage');
+const InventoryStorage = require('./inventoryStorage');
+const { parseCsv, toCsv } = require('../csv');
+
+const HISTORY_HEADERS = ['Timestamp', 'Cert Number', 'Status', 'Card Name', 'Card Number', 'Grade', 'Full Data', 'User'];
+
+/**
+ * CSV File Storage - Keeps inventory in a CSV laid out like the inventory sheet,
+ * scan history in a second CSV laid out like the "Scan History" tab,
+ * and sold cards in a third CSV with the sale details appended
+ */
+class CsvFileStorage extends LocalInventoryStorage {
+  constructor(config = {}) {
+    super(config);
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'inventory.csv');
+    this.historyPath = config.historyPath || path.join(path.dirname(this.filePath), 'scan-history.csv');
+    this.soldPath = config.soldPath || path.join(path.dirname(this.filePath), 'sold.csv');
+    this.initialized = false;
+  }
+
+  get backend() {
+    return 'csv';
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+    await fs.mkdir(path.dirname(this.soldPath), { recursive: true });
+    this.initialized = true;
+  }
+
+  async readRows(filePath) {
+    try {
+      return parseCsv(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  async readCards() {
+    const [headers = [], ...rows] = await this.readRows(this.filePath);
+    // Match columns by header label so hand-reordered files keep working
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+    const indexByKey = {};
+    InventoryStorage.CARD_FIELDS.forEach(({ key, header }, fallbackIdx) => {
+      const idx = headers.findIndex(h => norm(h) === norm(header));
+      indexByKey[key] = idx >= 0 ? idx : (headers.length ? -1 : fallbackIdx);
+    });
+    // Sold columns only exist once a card has been marked sold in place
+    const soldFields = InventoryStorage.SOLD_FIELDS.filter(({ key, header }) => {
+      indexByKey[key] = headers.findIndex(h => norm(h) === norm(header));
+      return indexByKey[key] >= 0;
+    });
+    const fields = [...InventoryStorage.CARD_FIELDS, ...soldFields];
+
+    return rows
+      .filter(row => row.some(cell => cell.trim() !== ''))
+      .map(row => Object.fromEntries(
+        fields.map(({ key }) => [key, indexByKey[key] >= 0 ? (row[indexByKey[key]] || '') : ''])
+      ));
+  }
+
+  async writeCards(cards) {
+    const hasSold = cards.some(card => InventoryStorage.SOLD_FIELDS.some(({ key }) => card[key]));
+    const fields = hasSold ? [...InventoryStorage.CARD_FIELDS, ...InventoryStorage.SOLD_FIELDS] : InventoryStorage.CARD_FIELDS;
+    const rows = [
+      fields.map(f => f.header),
+      ...cards.map(card => fields.map(({ key }) => card[key] ?? ''))
+    ];
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, toCsv(rows));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async appendSold(card) {
+    const fields = [...InventoryStorage.CARD_FIELDS, ...InventoryStorage.SOLD_FIELDS];
+    const row = fields.map(({ key }) => card[key] ?? '');
+    const exists = await this.fileExists(this.soldPath);
+    await fs.appendFile(this.soldPath, toCsv(exists ? [row] : [fields.map(f => f.header), row]));
+  }
+
+  async readHistory() {
+    const [, ...rows] = await this.readRows(this.historyPath);
+    return rows.map(([timestamp, certNumber, status, cardName, cardNumber, grade, cardDataJson, user]) => {
+      let cardData = null;
+      if (status === 'success') {
+        try {
+          cardData = JSON.parse(cardDataJson);
+        } catch (e) {
+          // If JSON parsing fails, reconstruct basic card data
+          cardData = { Subject: cardName, CardNumber: cardNumber, NumericGrade: grade };
+        }
+      }
+      return { timestamp, certNumber, status, cardData, user: user || null };
+    });
+  }
+
+  async appendHistory({ timestamp, certNumber, status, cardData, user }) {
+    const row = [
+      timestamp,
+      certNumber,
+      status,
+      cardData ? cardData.Subject || cardData.CardName || 'Unknown' : 'Lookup Failed',
+      cardData ? cardData.CardNumber || 'N/A' : 'N/A',
+      cardData ? (cardData.NumericGrade || cardData.numericGrade || 'N/A') : 'N/A',
+      cardData ? JSON.stringify(cardData) : '',
+      user || ''
+    ];
+    const exists = await this.fileExists(this.historyPath);
+    await fs.appendFile(this.historyPath, toCsv(exists ? [row] : [HISTORY_HEADERS, row]));
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      configured: true,
+      initialized: this.initialized,
+      filePath: this.filePath,
+      historyPath: this.historyPath,
+      soldPath: this.soldPath
+    };
+  }
+}
+
+module.exports = CsvFileStorage;
@@ -0,0 +1,251 @@
+/**
+ * Inventory Storage - Base interface for places a scanned card can be stored
+ *
+ * Every backend works with the same canonical card record:
+ *   { certNumber, cardName, cardNumber, condition, gradedFlag, company, grade, addedBy, sku, location, row? }
+ * and the same history entry: { timestamp, certNumber, status, cardData, user }.
+ *
+ * Implementations: GoogleSheetsService, JsonFileStorage, CsvFileStorage
+ */
+class InventoryStorage {
+  /**
+   * Short backend identifier reported in status (e.g. 'sheets', 'json', 'csv')
+   */
+  get backend() {
+    throw new Error(`${this.constructor.name} must define a backend name`);
+  }
+
+  /**
+   * Prepares the backend (auth, files, etc.)
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Adds or updates a single card
+   * @param {Object} psaData - Processed PSA certificate data
+   * @param {Object} [options] - { onDuplicate?, profile?, user? }
+   * @returns {Promise<Object>} - { success, action: inserted|updated|skipped, row, previousValues?, message, ... }
+   */
+  async addCardData(psaData, options = {}) {
+    throw new Error(`${this.constructor.name}.addCardData is not implemented`);
+  }
+
+  /**
+   * Adds or updates many cards in one pass
+   * @param {Array<Object>} psaDataList - Processed PSA certificate data
+   * @param {Object} [options] - { onDuplicate?: skip|update|error|append-anyway, profile?, user?: recorded as addedBy }
+   * @returns {Promise<Object>} - { success, updatedRows, results: per-card outcome in input order }
+   */
+  async addCardsData(psaDataList, options = {}) {
+    throw new Error(`${this.constructor.name}.addCardsData is not implemented`);
+  }
+
+  /**
+   * Removes a card from inventory
+   * @param {string} certNumber
+   * @param {Object} [options] - { profile? }
+   * @returns {Promise<Object>} - { success, action: 'removed', row, previousValues, message }
+   */
+  async removeCard(certNumber, options = {}) {
+    throw new Error(`${this.constructor.name}.removeCard is not implemented`);
+  }
+
+  /**
+   * Marks a card as sold
+   * @param {string} certNumber
+   * @param {Object} sale - { price?, date?, channel?, by? }
+   * @param {Object} [options] - { mode?: move|columns|clear, profile? }
+   * @returns {Promise<Object>} - { success, action: 'sold', mode, row, sale, previousValues, message }
+   */
+  async markCardSold(certNumber, sale, options = {}) {
+    throw new Error(`${this.constructor.name}.markCardSold is not implemented`);
+  }
+
+  /**
+   * Overwrites some canonical fields of a stored card (e.g. its location after a move)
+   * @param {string} certNumber
+   * @param {Object} values - { field: value } for fields of CARD_FIELDS
+   * @param {Object} [options] - { profile? }
+   * @returns {Promise<Object>} - { success, action: 'updated', row, fields: the ones written, previousValues, message }
+   */
+  async updateCardFields(certNumber, values, options = {}) {
+    throw new Error(`${this.constructor.name}.updateCardFields is not implemented`);
+  }
+
+  /**
+   * Finds a stored card by cert number
+   * @param {string} certNumber
+   * @param {Object} [options] - Passed to listCards() (e.g. { profile })
+   * @returns {Promise<Object|null>} - Canonical card record or null
+   */
+  async findCardByCert(certNumber, options = {}) {
+    const key = (certNumber || '').toString().trim();
+    const cards = await this.listCards(options);
+    return cards.find(card => card.certNumber === key) || null;
+  }
+
+  /**
+   * Lists every stored card
+   * @param {Object} [options] - { profile? }
+   * @returns {Promise<Array<Object>>} - Canonical card records with their `row`
+   */
+  async listCards(options = {}) {
+    throw new Error(`${this.constructor.name}.listCards is not implemented`);
+  }
+
+  /**
+   * Saves a scan history entry
+   * @param {string} [user] - Who scanned it
+   * @returns {Promise<Object>}
+   */
+  async saveScanHistory(certNumber, cardData, status, timestamp, user) {
+    throw new Error(`${this.constructor.name}.saveScanHistory is not implemented`);
+  }
+
+  /**
+   * Loads recent scan history, newest first
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadScanHistory(limit = 50) {
+    throw new Error(`${this.constructor.name}.loadScanHistory is not implemented`);
+  }
+
+  /**
+   * Gets the backend configuration status
+   * @returns {Object} - Must include `initialized`
+   */
+  getStatus() {
+    return { backend: this.backend, initialized: true };
+  }
+
+  /**
+   * Validates an onDuplicate policy, falling back to DUPLICATE_POLICY / 'update'
+   * @param {string} [policy] - skip | update | error | append-anyway
+   * @returns {string}
+   */
+  resolveDuplicatePolicy(policy) {
+    const resolved = (policy || process.env.DUPLICATE_POLICY || 'update').toString().trim().toLowerCase();
+    if (!InventoryStorage.DUPLICATE_POLICIES.includes(resolved)) {
+      throw new Error(`Invalid onDuplicate policy "${resolved}". Use ${InventoryStorage.DUPLICATE_POLICIES.join(', ')}.`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Validates a sold mode, falling back to SOLD_MODE / 'move'
+   * @param {string} [mode] - move | columns | clear
+   * @returns {string}
+   */
+  resolveSoldMode(mode) {
+    const resolved = (mode || process.env.SOLD_MODE || 'move').toString().trim().toLowerCase();
+    if (!InventoryStorage.SOLD_MODES.includes(resolved)) {
+      throw new Error(`Invalid sold mode "${resolved}". Use ${InventoryStorage.SOLD_MODES.join(', ')}.`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Normalizes sale details into the canonical sold fields; the date defaults to today
+   * @param {Object} [sale] - { price?, date?, channel?, by? }
+   * @returns {Object} - { soldPrice, soldDate, soldChannel, soldBy }
+   */
+  normalizeSale(sale = {}) {
+    const price = (sale.price ?? '').toString().trim().replace(/^\$/, '');
+    if (price !== '' && !Number.isFinite(Number(price))) {
+      throw new Error(`Invalid sale price "${sale.price}"`);
+    }
+    const date = (sale.date || '').toString().trim() || new Date().toISOString().slice(0, 10);
+    if (Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid sale date "${sale.date}"`);
+    }
+    return {
+      soldPrice: price,
+      soldDate: date,
+      soldChannel: (sale.channel || '').toString().trim(),
+      soldBy: (sale.by || '').toString().trim()
+    };
+  }
+
+  /**
+   * Builds the error thrown when a cert isn't in inventory
+   * @param {string} certNumber
+   * @returns {Error}
+   */
+  certNotFoundError(certNumber) {
+    const error = new Error(`Cert ${certNumber} not found in inventory`);
+    error.status = 404;
+    return error;
+  }
+
+  /**
+   * Builds the error thrown by addCardData when the 'error' policy rejects a duplicate
+   * @param {Object} result - Per-card result flagged `duplicate`
+   * @returns {Error} - Carries status 409 and the existing row
+   */
+  duplicateError(result) {
+    const error = new Error(result.error);
+    error.status = 409;
+    error.row = result.row;
+    error.previousValues = result.previousValues || null;
+    return error;
+  }
+
+  /**
+   * The canonical values this backend would store for a PSA record (used to spot drift)
+   * @param {Object} psaData - Processed PSA certificate data
+   * @param {Object} [options] - { profile? }
+   * @returns {Object}
+   */
+  expectedFieldValues(psaData, options = {}) {
+    return this.buildFieldValues(psaData.GoogleSheetsData || {});
+  }
+
+  /**
+   * Canonical field values we support from PSA data
+   * @param {Object} sheetsData - GoogleSheetsData block of processed PSA data
+   * @returns {Object}
+   */
+  buildFieldValues(sheetsData) {
+    return {
+      cardName: sheetsData.Subject || '',
+      cardNumber: sheetsData.CardNumber || '',
+      condition: sheetsData.Status || 'Graded',
+      gradedFlag: sheetsData.Authenticated || 'Y',
+      company: sheetsData.Company || 'PSA',
+      grade: sheetsData.Grade || '',
+      certNumber: (sheetsData.CertNumber || '').toString().trim()
+    };
+  }
+}
+
+// Canonical card fields, in the legacy column order, with their default header labels
+InventoryStorage.CARD_FIELDS = [
+  { key: 'cardName', header: 'Card Name' },
+  { key: 'cardNumber', header: 'Card #' },
+  { key: 'condition', header: 'Condition' },
+  { key: 'gradedFlag', header: 'Graded?' },
+  { key: 'company', header: 'Company' },
+  { key: 'grade', header: 'Grade' },
+  { key: 'certNumber', header: 'Cert #' },
+  { key: 'addedBy', header: 'Added By' },
+  { key: 'sku', header: 'SKU' },
+  { key: 'location', header: 'Location' }
+];
+
+// Sale details recorded when a card is marked sold
+InventoryStorage.SOLD_FIELDS = [
+  { key: 'soldPrice', header: 'Sold Price' },
+  { key: 'soldDate', header: 'Sold Date' },
+  { key: 'soldChannel', header: 'Sold Channel' },
+  { key: 'soldBy', header: 'Sold By' }
+];
+
+// How a sold card leaves inventory: moved to a sold list, annotated in place, or cleared
+InventoryStorage.SOLD_MODES = ['move', 'columns', 'clear'];
+
+// What to do when a card's cert is already in inventory
+InventoryStorage.DUPLICATE_POLICIES = ['skip', 'update', 'error', 'append-anyway'];
+
+module.exports = InventoryStorage;
@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+const LocalInventoryStorage = require('./localInventoryStorage');
+
+/**
+ * JSON File Storage - Keeps inventory, sold cards and scan history in a single local JSON file
+ * Needs no credentials, so it works offline and in tests
+ */
+class JsonFileStorage extends LocalInventoryStorage {
+  constructor(config = {}) {
+    super(config);
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'inventory.json');
+    this.initialized = false;
+  }
+
+  get backend() {
+    return 'json';
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.initialized = true;
+  }
+
+  async readFile() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return { cards: parsed.cards || [], history: parsed.history || [], sold: parsed.sold || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { cards: [], history: [], sold: [] };
+      throw new Error(`Failed to read inventory file: ${error.message}`);
+    }
+  }
+
+  async writeFile(data) {
+    // Write to a temp file and rename so a crash never leaves half a file behind
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ version: 1, ...data }, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async readCards() {
+    return (await this.readFile()).cards;
+  }
+
+  async writeCards(cards) {
+    const data = await this.readFile();
+    await this.writeFile({ ...data, cards });
+  }
+
+  async appendSold(card) {
+    const data = await this.readFile();
+    await this.writeFile({ ...data, sold: data.sold.concat(card) });
+  }
+
+  async readHistory() {
+    return (await this.readFile()).history;
+  }
+
+  async appendHistory(entry) {
+    const data = await this.readFile();
+    const history = data.history.concat(entry).slice(-this.historyLimit);
+    await this.writeFile({ ...data, history });
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      configured: true,
+      initialized: this.initialized,
+      filePath: this.filePath
+    };
+  }
+}
+
+module.exports = JsonFileStorage;
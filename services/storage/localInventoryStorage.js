@@ -0,0 +1,241 @@
+const InventoryStorage = require('./inventoryStorage');
+const logger = require('../logger');
+
+/**
+ * Local Inventory Storage - Shared logic for file-backed backends
+ * Subclasses only implement readCards/writeCards, readHistory/appendHistory and appendSold;
+ * upsert, lookup, sell/remove and history trimming live here so every local backend behaves alike.
+ */
+class LocalInventoryStorage extends InventoryStorage {
+  constructor(config = {}) {
+    super();
+    this.historyLimit = config.historyLimit || 5000;
+    this._lock = Promise.resolve();
+  }
+
+  /** @returns {Promise<Array<Object>>} */
+  async readCards() {
+    throw new Error(`${this.constructor.name}.readCards is not implemented`);
+  }
+
+  /** @param {Array<Object>} cards */
+  async writeCards(cards) {
+    throw new Error(`${this.constructor.name}.writeCards is not implemented`);
+  }
+
+  /** @returns {Promise<Array<Object>>} - Oldest first */
+  async readHistory() {
+    throw new Error(`${this.constructor.name}.readHistory is not implemented`);
+  }
+
+  /** @param {Object} entry */
+  async appendHistory(entry) {
+    throw new Error(`${this.constructor.name}.appendHistory is not implemented`);
+  }
+
+  /** @param {Object} card - Card record including its sold fields */
+  async appendSold(card) {
+    throw new Error(`${this.constructor.name}.appendSold is not implemented`);
+  }
+
+  /**
+   * Serializes read-modify-write cycles so concurrent requests don't clobber the file
+   */
+  withLock(fn) {
+    const run = this._lock.then(fn, fn);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  async addCardData(psaData, options = {}) {
+    if (!psaData || !psaData.GoogleSheetsData) {
+      throw new Error('Invalid PSA data format');
+    }
+
+    const { results } = await this.addCardsData([psaData], options);
+    const result = results[0];
+    if (result.duplicate) {
+      throw this.duplicateError(result);
+    }
+
+    const subject = psaData.GoogleSheetsData.Subject || 'card';
+    const messages = {
+      inserted: `Successfully added ${subject} to ${this.backend} inventory`,
+      updated: `Updated ${subject} in ${this.backend} inventory (row ${result.row})`,
+      skipped: `${subject} is already in ${this.backend} inventory at row ${result.row}; skipped`
+    };
+
+    return {
+      success: true,
+      action: result.action,
+      row: result.row,
+      updatedRows: result.action === 'skipped' ? 0 : 1,
+      previousValues: result.previousValues,
+      storage: this.backend,
+      message: messages[result.action]
+    };
+  }
+
+  async addCardsData(psaDataList, options = {}) {
+    const onDuplicate = this.resolveDuplicatePolicy(options.onDuplicate);
+
+    return this.withLock(async () => {
+      const cards = await this.readCards();
+      const results = [];
+
+      for (const psaData of psaDataList) {
+        const sheetsData = psaData && psaData.GoogleSheetsData;
+        if (!sheetsData) {
+          results.push({ certNumber: psaData?.CertNumber || null, success: false, error: 'Invalid PSA data format' });
+          continue;
+        }
+
+        const record = this.buildFieldValues(sheetsData);
+        if (options.user) record.addedBy = options.user;
+        if (psaData.Inventory) {
+          record.sku = psaData.Inventory.sku;
+          record.location = psaData.Inventory.location;
+        }
+        // Same rules as the sheet: a matching cert follows the duplicate policy, otherwise append
+        const index = record.certNumber ? cards.findIndex(card => card.certNumber === record.certNumber) : -1;
+        if (index >= 0 && onDuplicate !== 'append-anyway') {
+          const row = index + 1;
+          if (onDuplicate === 'skip') {
+            results.push({ certNumber: record.certNumber, success: true, action: 'skipped', row });
+          } else if (onDuplicate === 'error') {
+            results.push({
+              certNumber: record.certNumber,
+              success: false,
+              duplicate: true,
+              row,
+              error: `Cert ${record.certNumber} is already in inventory at row ${row}`
+            });
+          } else {
+            const previousValues = cards[index];
+            cards[index] = { ...cards[index], ...record };
+            results.push({ certNumber: record.certNumber, success: true, action: 'updated', row, previousValues });
+          }
+          continue;
+        }
+
+        cards.push(record);
+        results.push({ certNumber: record.certNumber, success: true, action: 'inserted', row: cards.length });
+      }
+
+      const updatedRows = results.filter(r => r.success && r.action !== 'skipped').length;
+      if (updatedRows) {
+        await this.writeCards(cards);
+      }
+
+      return { success: results.some(r => r.success), updatedRows, storage: this.backend, results };
+    });
+  }
+
+  async removeCard(certNumber, options = {}) {
+    const key = (certNumber || '').toString().trim();
+
+    return this.withLock(async () => {
+      const cards = await this.readCards();
+      const index = cards.findIndex(card => card.certNumber === key);
+      if (index < 0) throw this.certNotFoundError(key);
+
+      const [previousValues] = cards.splice(index, 1);
+      await this.writeCards(cards);
+      return {
+        success: true,
+        action: 'removed',
+        certNumber: key,
+        row: index + 1,
+        previousValues,
+        storage: this.backend,
+        message: `Removed cert ${key} from ${this.backend} inventory (row ${index + 1})`
+      };
+    });
+  }
+
+  async updateCardFields(certNumber, values, options = {}) {
+    const key = (certNumber || '').toString().trim();
+    const fields = InventoryStorage.CARD_FIELDS.map(f => f.key).filter(field => field in values);
+
+    return this.withLock(async () => {
+      const cards = await this.readCards();
+      const index = cards.findIndex(card => card.certNumber === key);
+      if (index < 0) throw this.certNotFoundError(key);
+
+      const previousValues = cards[index];
+      cards[index] = { ...previousValues, ...Object.fromEntries(fields.map(field => [field, (values[field] ?? '').toString()])) };
+      await this.writeCards(cards);
+      return {
+        success: true,
+        action: 'updated',
+        certNumber: key,
+        row: index + 1,
+        fields,
+        previousValues,
+        storage: this.backend,
+        message: `Updated ${fields.join(', ')} of cert ${key} in ${this.backend} inventory (row ${index + 1})`
+      };
+    });
+  }
+
+  async markCardSold(certNumber, sale, options = {}) {
+    const key = (certNumber || '').toString().trim();
+    const mode = this.resolveSoldMode(options.mode);
+    const soldValues = this.normalizeSale(sale);
+
+    return this.withLock(async () => {
+      const cards = await this.readCards();
+      const index = cards.findIndex(card => card.certNumber === key);
+      if (index < 0) throw this.certNotFoundError(key);
+
+      const previousValues = cards[index];
+      if (mode === 'columns') {
+        cards[index] = { ...previousValues, ...soldValues };
+      } else {
+        if (mode === 'move') {
+          // Record the sale before the card leaves inventory so a failed write never loses it
+          await this.appendSold({ ...previousValues, ...soldValues });
+        }
+        cards.splice(index, 1);
+      }
+      await this.writeCards(cards);
+
+      const subject = previousValues.cardName || `cert ${key}`;
+      return {
+        success: true,
+        action: 'sold',
+        mode,
+        certNumber: key,
+        row: index + 1,
+        sale: soldValues,
+        previousValues,
+        storage: this.backend,
+        message: `Marked ${subject} sold in ${this.backend} inventory (row ${index + 1})`
+      };
+    });
+  }
+
+  async listCards() {
+    const cards = await this.readCards();
+    return cards.map((card, i) => ({ ...card, row: i + 1 }));
+  }
+
+  async saveScanHistory(certNumber, cardData, status, timestamp, user) {
+    return this.withLock(async () => {
+      await this.appendHistory({ timestamp, certNumber, status, cardData: cardData || null, user: user || null });
+      return { success: true, storage: this.backend };
+    });
+  }
+
+  async loadScanHistory(limit = 50) {
+    try {
+      const history = await this.readHistory();
+      return history.slice(-limit).reverse(); // Get last N entries, newest first
+    } catch (error) {
+      logger.error('Failed to load scan history', { error: error.message });
+      return []; // Return empty array on error, don't break the app
+    }
+  }
+}
+
+module.exports = LocalInventoryStorage;
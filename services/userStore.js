@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const ROLES = ['viewer', 'scanner', 'admin'];
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * User Store - Local accounts, login sessions and API tokens persisted to a JSON file
+ * Passwords are stored as salted scrypt hashes; session ids and API tokens only as SHA-256 hashes,
+ * so a copy of the file can't be used to sign in.
+ *
+ * User: { id, username, role: viewer|scanner|admin, passwordHash, disabled, createdAt }
+ * Roles are ordered: a scanner can do everything a viewer can, an admin everything a scanner can.
+ */
+class UserStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'users.json');
+    this.sessionTtlMs = (config.sessionTtlHours || 12) * 60 * 60 * 1000;
+    // Keyed by user id and by hashed secret; no prototype, so ids like "__proto__" are only ever missing keys
+    this.users = Object.create(null);
+    this.sessions = Object.create(null);
+    this.tokens = Object.create(null);
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.users = Object.assign(Object.create(null), parsed.users);
+      this.sessions = Object.assign(Object.create(null), parsed.sessions);
+      this.tokens = Object.assign(Object.create(null), parsed.tokens);
+    } catch (error) {
+      logger.warn('Users load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    const data = { version: 1, users: this.users, sessions: this.sessions, tokens: this.tokens };
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+  }
+
+  verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  validateUsername(username) {
+    const name = (username || '').toString().trim().toLowerCase();
+    if (!/^[a-z0-9._-]{2,32}$/.test(name)) {
+      throw new Error('Invalid username: use 2-32 letters, digits, dots, dashes or underscores');
+    }
+    return name;
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new Error('Invalid password: use at least 8 characters');
+    }
+    return password;
+  }
+
+  validateRole(role) {
+    const resolved = (role || '').toString().trim().toLowerCase();
+    if (!ROLES.includes(resolved)) {
+      throw new Error(`Invalid role "${role}". Use ${ROLES.join(', ')}.`);
+    }
+    return resolved;
+  }
+
+  /**
+   * @param {string} role
+   * @param {string} required
+   * @returns {boolean} - True if `role` is at least `required`
+   */
+  hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(required);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return Object.hasOwn(this.users, id) ? this.users[id] : null;
+  }
+
+  count() {
+    return Object.keys(this.users).length;
+  }
+
+  findByUsername(username) {
+    const name = (username || '').toString().trim().toLowerCase();
+    return Object.values(this.users).find(user => user.username === name) || null;
+  }
+
+  /**
+   * Creates an account
+   * @param {Object} input - { username, password, role }
+   * @returns {Object} - Public user record
+   */
+  create(input = {}) {
+    const username = this.validateUsername(input.username);
+    if (this.findByUsername(username)) {
+      throw new Error(`Invalid username: "${username}" is already taken`);
+    }
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role: this.validateRole(input.role || 'scanner'),
+      passwordHash: this.hashPassword(this.validatePassword(input.password)),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+    this.users[user.id] = user;
+    this.persist();
+    return this.toPublic(user);
+  }
+
+  /**
+   * Changes role, password or disabled flag. Disabling or re-passwording signs the user out everywhere.
+   * @param {string} id
+   * @param {Object} changes - { role?, password?, disabled? }
+   * @returns {Object|null} - Public user record, or null if unknown
+   */
+  update(id, changes = {}) {
+    const user = this.get(id);
+    if (!user) return null;
+    const role = changes.role !== undefined ? this.validateRole(changes.role) : user.role;
+    if (role !== 'admin' || changes.disabled) this.assertOtherAdmin(id);
+    user.role = role;
+    if (changes.password !== undefined) {
+      user.passwordHash = this.hashPassword(this.validatePassword(changes.password));
+      this.revokeSessions(id);
+    }
+    if (changes.disabled !== undefined) {
+      user.disabled = !!changes.disabled;
+      if (user.disabled) {
+        this.revokeSessions(id);
+        this.revokeTokens(id);
+      }
+    }
+    this.persist();
+    return this.toPublic(user);
+  }
+
+  /**
+   * @returns {boolean} - False if no such user
+   */
+  delete(id) {
+    if (!this.get(id)) return false;
+    this.assertOtherAdmin(id);
+    delete this.users[id];
+    this.revokeSessions(id);
+    this.revokeTokens(id);
+    this.persist();
+    return true;
+  }
+
+  // Refuses changes that would leave no active admin to manage accounts
+  assertOtherAdmin(id) {
+    const user = this.get(id);
+    if (!user || user.role !== 'admin' || user.disabled) return;
+    const others = Object.values(this.users).filter(u => u.id !== id && u.role === 'admin' && !u.disabled);
+    if (!others.length) {
+      throw new Error('Invalid change: at least one active admin must remain');
+    }
+  }
+
+  list() {
+    return Object.values(this.users)
+      .map(user => this.toPublic(user))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  toPublic(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+
+  /**
+   * Checks a username/password pair
+   * @returns {Object|null} - The user, or null on any mismatch (unknown, disabled or wrong password)
+   */
+  authenticate(username, password) {
+    const user = this.findByUsername(username);
+    // Hash anyway for unknown users so response time doesn't reveal which usernames exist
+    const ok = this.verifyPassword((password || '').toString(), user ? user.passwordHash : `scrypt:00:${'0'.repeat(128)}`);
+    if (!user || !ok || user.disabled) return null;
+    return user;
+  }
+
+  /**
+   * Starts a login session
+   * @param {string} userId
+   * @returns {Object} - { sessionId (only returned here), expiresAt }
+   */
+  createSession(userId) {
+    this.pruneSessions();
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+    this.sessions[this.hashSecret(sessionId)] = { userId, createdAt: new Date().toISOString(), expiresAt };
+    const user = this.get(userId);
+    if (user) user.lastLoginAt = new Date().toISOString();
+    this.persist();
+    return { sessionId, expiresAt };
+  }
+
+  endSession(sessionId) {
+    const key = this.hashSecret(sessionId);
+    if (!Object.hasOwn(this.sessions, key)) return false;
+    delete this.sessions[key];
+    this.persist();
+    return true;
+  }
+
+  revokeSessions(userId) {
+    Object.keys(this.sessions).forEach(key => {
+      if (this.sessions[key].userId === userId) delete this.sessions[key];
+    });
+  }
+
+  pruneSessions() {
+    const now = Date.now();
+    Object.keys(this.sessions).forEach(key => {
+      if (Date.parse(this.sessions[key].expiresAt) <= now) delete this.sessions[key];
+    });
+  }
+
+  /**
+   * Resolves a session id to its active user
+   * @returns {Object|null}
+   */
+  getSessionUser(sessionId) {
+    const key = this.hashSecret(sessionId);
+    const session = Object.hasOwn(this.sessions, key) ? this.sessions[key] : null;
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+    const user = this.get(session.userId);
+    return user && !user.disabled ? user : null;
+  }
+
+  /**
+   * Issues an API token for scripts and scanners that can't hold a login cookie
+   * @param {string} userId
+   * @param {string} [name] - Label shown in token lists
+   * @returns {Object} - { id, name, token (only returned here), createdAt }
+   */
+  createToken(userId, name) {
+    const token = `qs_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      userId,
+      name: (name || '').toString().trim().slice(0, 64) || 'API token',
+      createdAt: new Date().toISOString()
+    };
+    this.tokens[this.hashSecret(token)] = record;
+    this.persist();
+    return { id: record.id, name: record.name, token, createdAt: record.createdAt };
+  }
+
+  listTokens(userId) {
+    return Object.values(this.tokens)
+      .filter(token => token.userId === userId)
+      .map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+  }
+
+  /**
+   * @returns {boolean} - False if the user has no such token
+   */
+  revokeToken(userId, tokenId) {
+    const key = Object.keys(this.tokens).find(k => this.tokens[k].id === tokenId && this.tokens[k].userId === userId);
+    if (!key) return false;
+    delete this.tokens[key];
+    this.persist();
+    return true;
+  }
+
+  revokeTokens(userId) {
+    Object.keys(this.tokens).forEach(key => {
+      if (this.tokens[key].userId === userId) delete this.tokens[key];
+    });
+  }
+
+  /**
+   * Resolves an API token to its active user
+   * @returns {Object|null}
+   */
+  getTokenUser(token) {
+    const key = this.hashSecret(token);
+    const record = Object.hasOwn(this.tokens, key) ? this.tokens[key] : null;
+    if (!record) return null;
+    const user = this.get(record.userId);
+    return user && !user.disabled ? user : null;
+  }
+}
+
+UserStore.ROLES = ROLES;
+
+module.exports = UserStore;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Webhook Dispatcher - POSTs events to the webhooks subscribed to them
+ * Each delivery is signed with the webhook's secret:
+ *   X-QuickSlab-Signature: sha256=<hex HMAC-SHA256 of "<X-QuickSlab-Timestamp>.<raw body>">
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff (honoring
+ * Retry-After) up to `maxRetries` times; any other non-2xx response fails the delivery right away.
+ * Every attempt is written to the store's delivery log.
+ */
+class WebhookDispatcher {
+  constructor(config = {}) {
+    this.store = config.store;
+    this.maxRetries = Number.isInteger(Number(config.maxRetries)) ? Number(config.maxRetries) : 5;
+    this.baseDelayMs = config.baseDelayMs ?? 2000;
+    this.maxDelayMs = config.maxDelayMs ?? 10 * 60 * 1000;
+    this.timeoutMs = config.timeoutMs ?? 10000;
+  }
+
+  /**
+   * Sends an event to every active webhook subscribed to it, in the background
+   * @param {Object} event - From EventBus.publish()
+   * @returns {Array<Object>} - The deliveries started
+   */
+  dispatch(event) {
+    return this.store.subscribers(event.type).map(webhook => {
+      const delivery = this.createDelivery(webhook, event);
+      this.attempt(webhook, event, delivery).catch(error => logger.error('Webhook delivery failed', { webhookId: webhook.id, error: error.message }));
+      return delivery;
+    });
+  }
+
+  /**
+   * Sends an event to one webhook and waits for the first attempt (retries, if any, carry on in the background)
+   * @param {Object} webhook - Stored webhook, secret included
+   * @param {Object} event
+   * @param {Object} [options] - { retry = true }
+   * @returns {Promise<Object>} - The delivery after its first attempt
+   */
+  deliver(webhook, event, options = {}) {
+    return this.attempt(webhook, event, this.createDelivery(webhook, event), options);
+  }
+
+  createDelivery(webhook, event) {
+    return this.store.saveDelivery({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      eventId: event.id,
+      event: event.type,
+      certNumber: event.data?.certNumber || null,
+      url: webhook.url,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      durationMs: null,
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    });
+  }
+
+  async attempt(webhook, event, delivery, options = {}) {
+    const fetch = (await import('node-fetch')).default;
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    let responseStatus = null;
+    let retryAfter = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'QuickSlab-Webhooks/1.0',
+          'X-QuickSlab-Event': event.type,
+          'X-QuickSlab-Delivery': delivery.id,
+          'X-QuickSlab-Timestamp': timestamp,
+          'X-QuickSlab-Signature': WebhookDispatcher.sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      responseStatus = response.status;
+      retryAfter = response.headers.get('retry-after');
+      if (!response.ok) error = `Receiver answered HTTP ${response.status}`;
+      await response.arrayBuffer().catch(() => null);
+    } catch (fetchError) {
+      error = fetchError.name === 'TimeoutError' || fetchError.name === 'AbortError'
+        ? `Timed out after ${this.timeoutMs} ms`
+        : `Network error: ${fetchError.message}`;
+    }
+
+    delivery.attempts++;
+    delivery.responseStatus = responseStatus;
+    delivery.error = error;
+    delivery.durationMs = Date.now() - started;
+    delivery.nextAttemptAt = null;
+
+    const retryable = responseStatus === null || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.completedAt = new Date().toISOString();
+    } else if (retryable && options.retry !== false && delivery.attempts <= this.maxRetries) {
+      const delay = this.retryDelay(delivery.attempts - 1, retryAfter);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      const timer = setTimeout(() => {
+        // Deleted or paused since: give up
+        const current = this.store.get(webhook.id);
+        if (!current || !current.active) {
+          delivery.status = 'failed';
+          delivery.error = `${delivery.error} (webhook ${current ? 'paused' : 'deleted'} before the retry)`;
+          delivery.nextAttemptAt = null;
+          delivery.completedAt = new Date().toISOString();
+          this.store.saveDelivery(delivery);
+          return;
+        }
+        this.attempt(current, event, delivery).catch(retryError => logger.error('Webhook retry failed', { webhookId: webhook.id, error: retryError.message }));
+      }, delay);
+      if (timer.unref) timer.unref();
+    } else {
+      delivery.status = 'failed';
+      delivery.completedAt = new Date().toISOString();
+    }
+    this.store.saveDelivery(delivery);
+    return delivery;
+  }
+
+  /**
+   * Wait before the next attempt: Retry-After (seconds) if given, else exponential backoff with equal jitter
+   * (half the backoff, plus a random share of the other half, so a retry never comes right away)
+   */
+  retryDelay(attempt, retryAfter) {
+    const seconds = Number(retryAfter);
+    if (retryAfter !== null && retryAfter !== '' && Number.isFinite(seconds)) {
+      return Math.min(Math.max(0, seconds * 1000), this.maxDelayMs);
+    }
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+}
+
+/**
+ * Signature of a delivery, as sent in X-QuickSlab-Signature
+ * @param {string} secret
+ * @param {string} timestamp - Unix seconds, as sent in X-QuickSlab-Timestamp
+ * @param {string} body - The raw request body
+ * @returns {string} - "sha256=<hex>"
+ */
+WebhookDispatcher.sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+module.exports = WebhookDispatcher;
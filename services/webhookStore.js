@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES } = require('./eventBus');
+const logger = require('./logger');
+
+/**
+ * Webhook Store - Outbound webhooks and a log of their deliveries, persisted to a local JSON file
+ * The signing secret is kept as is (it is needed to sign every delivery) and only shown when a webhook
+ * is created. The delivery log keeps the newest `maxDeliveries` entries across all webhooks.
+ * Webhook changes are saved right away; delivery log updates are debounced into one write per `flushDelayMs`,
+ * so a batch of events doesn't rewrite the file for every attempt.
+ *
+ * Webhook: { id, url, events: ['*'] | string[], description, active, secretHint, createdAt, createdBy }
+ * Delivery: { id, webhookId, eventId, event, certNumber, url, status: pending|delivered|failed, attempts,
+ *   responseStatus, error, durationMs, nextAttemptAt, createdAt, completedAt }
+ */
+class WebhookStore {
+  constructor(config = {}) {
+    this.filePath = config.filePath || path.join(process.cwd(), 'data', 'webhooks.json');
+    this.maxDeliveries = config.maxDeliveries || 500;
+    this.flushDelayMs = config.flushDelayMs ?? 1000;
+    this.webhooks = Object.create(null); // keyed by id; no prototype, so an id like "__proto__" is only ever a missing key
+    this.deliveries = [];
+    this._flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.webhooks = Object.assign(Object.create(null), parsed.webhooks);
+      // Retries are timers; the ones waiting when the server stopped are gone
+      this.deliveries = (parsed.deliveries || []).map(delivery => (delivery.status === 'pending'
+        ? { ...delivery, status: 'failed', error: delivery.error || 'Interrupted by a server restart', nextAttemptAt: null }
+        : delivery));
+    } catch (error) {
+      logger.warn('Webhooks load skipped', { error: error.message });
+    }
+  }
+
+  persist() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    // Owner-only, like the user store: the file holds every webhook's signing secret
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, webhooks: this.webhooks, deliveries: this.deliveries }), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Debounces delivery log writes (a delivery still pending at a crash is lost, like one waiting for a retry)
+   */
+  scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      try {
+        this.persist();
+      } catch (error) {
+        logger.warn('Webhook delivery log flush failed', { error: error.message });
+      }
+    }, this.flushDelayMs);
+    if (this._flushTimer.unref) this._flushTimer.unref();
+  }
+
+  /**
+   * @returns {Array<Object>} - Every webhook, oldest first, without secrets
+   */
+  list() {
+    return Object.values(this.webhooks)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(webhook => this.toPublic(webhook));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} - The stored webhook, secret included
+   */
+  get(id) {
+    return Object.hasOwn(this.webhooks, id) ? this.webhooks[id] : null;
+  }
+
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  /**
+   * Adds a webhook
+   * @param {Object} input - { url, events?: string[] | "a,b" (default every event), secret?, description?, active? }
+   * @param {Object} [options] - { user? }
+   * @returns {Object} - The webhook with its secret (only returned here)
+   */
+  create(input = {}, options = {}) {
+    const url = (input.url || '').toString().trim();
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error('Invalid webhook: url must be an http:// or https:// address');
+    }
+
+    const events = this.normalizeEvents(input.events);
+    const secret = input.secret === undefined || input.secret === null || input.secret === ''
+      ? `whsec_${crypto.randomBytes(24).toString('base64url')}`
+      : input.secret.toString();
+    if (secret.length < 16 || secret.length > 256) {
+      throw new Error('Invalid webhook: secret must be 16-256 characters');
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: parsedUrl.toString(),
+      events,
+      description: (input.description || '').toString().trim().slice(0, 200),
+      active: input.active !== false && input.active !== 'false',
+      secret,
+      secretHint: `...${secret.slice(-4)}`,
+      createdAt: new Date().toISOString(),
+      createdBy: options.user || null
+    };
+    this.webhooks[webhook.id] = webhook;
+    this.persist();
+    return { ...this.toPublic(webhook), secret };
+  }
+
+  // Event filter: a list (or comma-separated text) of EVENT_TYPES, or '*' for all
+  normalizeEvents(input) {
+    const list = (Array.isArray(input) ? input : (input || '*').toString().split(','))
+      .map(event => (event ?? '').toString().trim())
+      .filter(Boolean);
+    if (!list.length || list.includes('*')) return ['*'];
+    const unknown = list.filter(event => !EVENT_TYPES.includes(event));
+    if (unknown.length) {
+      throw new Error(`Invalid webhook events: ${unknown.join(', ')}. Use * or ${EVENT_TYPES.join(', ')}.`);
+    }
+    return Array.from(new Set(list));
+  }
+
+  /**
+   * @returns {boolean} - False if there is no such webhook
+   */
+  delete(id) {
+    if (!this.get(id)) return false;
+    delete this.webhooks[id];
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Active webhooks subscribed to an event type
+   * @param {string} type
+   * @returns {Array<Object>} - Stored webhooks, secrets included
+   */
+  subscribers(type) {
+    return Object.values(this.webhooks)
+      .filter(webhook => webhook.active && (webhook.events.includes('*') || webhook.events.includes(type)));
+  }
+
+  /**
+   * Adds a delivery to the log, or replaces it after another attempt; written to disk on the next flush
+   * @param {Object} delivery
+   * @returns {Object}
+   */
+  saveDelivery(delivery) {
+    const index = this.deliveries.findIndex(d => d.id === delivery.id);
+    if (index === -1) {
+      this.deliveries.push(delivery);
+      if (this.deliveries.length > this.maxDeliveries) {
+        this.deliveries = this.deliveries.slice(-this.maxDeliveries);
+      }
+    } else {
+      this.deliveries[index] = delivery;
+    }
+    this.scheduleFlush();
+    return delivery;
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} [filters] - { webhookId?, status?, event?, limit? (default 50, max 500) }
+   * @returns {Array<Object>}
+   */
+  listDeliveries(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+    return this.deliveries
+      .filter(d => !filters.webhookId || d.webhookId === filters.webhookId)
+      .filter(d => !filters.status || d.status === filters.status)
+      .filter(d => !filters.event || d.event === filters.event)
+      .slice()
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+WebhookStore.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = WebhookStore;
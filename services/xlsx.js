@@ -0,0 +1,300 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal XLSX reader and writer without extra dependencies
+ * - toXlsx: one worksheet, text cells, bold frozen header row
+ * - fromXlsx: the values of the first worksheet (no formulas, styles or dates, which come back as serial numbers)
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds a zip archive (deflated entries, UTF-8 names)
+ * @param {Array<{name: string, data: string|Buffer}>} files
+ * @returns {Buffer}
+ */
+function zip(files) {
+  const DOS_DATE = (1 << 5) | 1; // 1980-01-01; Excel doesn't care about entry times
+  const UTF8_FLAG = 0x0800;
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(UTF8_FLAG, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(0, 12);
+    header.writeUInt16LE(DOS_DATE, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+
+    parts.push(local, name, compressed);
+    central.push(header, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+// Largest a single workbook part may inflate to; a 10 MB upload of well-packed XML could otherwise expand to gigabytes
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Indexes the entries of a zip archive (stored or deflated) from its central directory; nothing is inflated
+ * until an entry is read, and each read stops at `maxBytes`
+ * @param {Buffer} buffer
+ * @param {Object} [options] - { maxBytes = MAX_PART_BYTES }
+ * @returns {Object} - { has(name), read(name) => Buffer|null }
+ */
+function unzip(buffer, options = {}) {
+  const maxBytes = options.maxBytes || MAX_PART_BYTES;
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error('Invalid XLSX file: not a zip archive');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid XLSX file: damaged zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, size, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const tooLarge = (name) => new Error(`Invalid XLSX file: ${name} is larger than ${Math.round(maxBytes / (1024 * 1024))} MB unpacked`);
+  return {
+    has: (name) => entries.has(name),
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      // The declared size can lie, so it only saves inflating an entry that admits to being too big
+      if (entry.size > maxBytes) throw tooLarge(name);
+      const dataStart = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+      if (entry.method === 0) return data;
+      if (entry.method !== 8) throw new Error(`Invalid XLSX file: unsupported compression in ${name}`);
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(name);
+        throw new Error(`Invalid XLSX file: ${name} is damaged (${error.message})`);
+      }
+    }
+  };
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+}
+
+// Concatenates every <t> run inside a shared string or inline string
+function readRuns(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) text += decodeXml(match[1]);
+  return text;
+}
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '').toUpperCase();
+  return letters.split('').reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Reads the first worksheet of an .xlsx workbook. Only the parts needed for it are unpacked (workbook, its rels,
+ * shared strings and the sheet), each capped at `maxBytes`.
+ * @param {Buffer} buffer
+ * @param {Object} [options] - { maxBytes? } (default 64 MB per part)
+ * @returns {Array<Array<string>>} - Rows of cell text; gaps are filled with ''
+ */
+function fromXlsx(buffer, options = {}) {
+  const entries = unzip(buffer, options);
+  const read = (name) => entries.read(name)?.toString('utf8') ?? null;
+
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('Invalid XLSX file: no workbook');
+  const firstSheet = workbook.match(/<sheet\s[^>]*?r:id="([^"]+)"/);
+  const rels = read('xl/_rels/workbook.xml.rels') || '';
+  const target = firstSheet && [...rels.matchAll(/<Relationship\s[^>]*>/g)]
+    .map(match => match[0])
+    .find(rel => rel.includes(`Id="${firstSheet[1]}"`))
+    ?.match(/Target="([^"]+)"/)?.[1];
+  const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+  const sheet = read(sheetPath);
+  if (!sheet) throw new Error('Invalid XLSX file: first worksheet is missing');
+
+  const shared = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readRuns(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(rowMatch[1].match(/\br="(\d+)"/)?.[1]) || rows.length + 1;
+    const row = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/i)?.[1];
+      const type = attrs.match(/\bt="(\w+)"/)?.[1] || 'n';
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = readRuns(body);
+      else if (raw !== undefined) value = decodeXml(raw);
+      // Big whole numbers (cert numbers) can be stored in exponent form
+      if (type === 'n' && /e/i.test(value) && Number.isFinite(Number(value))) value = Number(value).toString();
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows[rowNumber - 1] = Array.from(row, cell => cell ?? '');
+  }
+  return Array.from(rows, row => row || []);
+}
+
+// Drops characters XML 1.0 can't carry, then escapes markup
+function xmlText(value) {
+  return (value === null || value === undefined ? '' : value.toString())
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Serializes rows to an .xlsx workbook. Every cell is text, so cert numbers keep their digits.
+ * @param {Array<Array<*>>} rows - First row is the header
+ * @param {Object} [options] - { sheetName }
+ * @returns {Buffer}
+ */
+function toXlsx(rows, options = {}) {
+  const sheetName = (options.sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const style = r === 0 ? ' s="1"' : '';
+      return `<c r="${columnLetter(c)}${r + 1}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const pkg = 'http://schemas.openxmlformats.org/package/2006';
+  const type = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data: `${xml}<Types xmlns="${pkg}/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        `<Override PartName="/xl/workbook.xml" ContentType="${type}.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${type}.worksheet+xml"/>` +
+        `<Override PartName="/xl/styles.xml" ContentType="${type}.styles+xml"/>` +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xml}<Relationships xmlns="${pkg}/relationships">` +
+        `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xml}<workbook xmlns="${main}" xmlns:r="${rel}">` +
+        `<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xml}<Relationships xmlns="${pkg}/relationships">` +
+        `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${xml}<styleSheet xmlns="${main}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xml}<worksheet xmlns="${main}">` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+    }
+  ]);
+}
+
+module.exports = { toXlsx, fromXlsx };
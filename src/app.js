@@ -9,23 +9,44 @@ const apiRouter = require('./routes');
 // Middlewares
 const { notFound } = require('./middlewares/notFound');
 const { errorHandler } = require('./middlewares/errorHandler');
+const { requestContext } = require('./middlewares/requestContext');
+const { getHealth, getReadiness, getMetrics } = require('./controllers/health.controller');
 
 const app = express();
 
-// CORS + JSON + Static
-app.use(cors({ origin: true, credentials: true }));
-app.use(express.json());
-
-// Serve static assets (keep current project root so scanner-interface.html continues to work)
-app.use(express.static(path.join(__dirname, '..')));
+// Behind a reverse proxy (e.g. Railway) every request arrives from the proxy's address; TRUST_PROXY makes req.ip
+// the client's, for the sign-in throttle. A hop count ("1"), "true", or addresses/subnets ("loopback, 10.0.0.0/8").
+// Off by default, so a client can't pick its own address with X-Forwarded-For
+function trustProxySetting(value) {
+  const text = (value || '').trim();
+  if (!text || ['0', 'false', 'off'].includes(text.toLowerCase())) return false;
+  if (['true', 'on'].includes(text.toLowerCase())) return true;
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+// The scanner page is served from this origin; other origins (e.g. a page opened from disk) must be listed
+// in CORS_ORIGINS (comma-separated; "null" allows file://). Nothing cross-origin is allowed by default.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
 
-// Health first (fast path)
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString(), uptime: process.uptime() });
+// CORS + JSON + Static
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true }));
+app.use(express.json({ limit: '5mb' })); // bulk writes carry full PSA records
+
+// Static assets: only the scanner page and its PWA files. The project root also holds data/ (accounts, webhook
+// secrets, inventory), .env and the service account key, so it is never served as a directory
+const PUBLIC_FILES = ['scanner-interface.html', 'service-worker.js', 'offline-queue.js', 'manifest.webmanifest', 'icon.svg'];
+PUBLIC_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, '..', file)));
 });
 
-// API routes
-app.use('/api', apiRouter);
+// Health first (fast path): /health is liveness only, /health/ready checks PSA and the inventory backend
+app.get('/health', getHealth);
+app.get('/health/ready', getReadiness);
+app.get('/metrics', getMetrics);
+
+// API routes; each request gets an id for the logs (X-Request-Id) and is counted in /metrics
+app.use('/api', requestContext, apiRouter);
 
 // Web UI route (scanner)
 app.get('/', (req, res) => {
@@ -0,0 +1,106 @@
+const { getAudits, buildAuditReport } = require('../lib/audits');
+const { normalizeCertList } = require('../lib/psa');
+const { resolveProfile } = require('../lib/mappings');
+const { resolveDestination } = require('../lib/destinations');
+
+function notFound(res) {
+  return res.status(404).json({ success: false, error: 'Audit not found' });
+}
+
+/**
+ * Start an audit session against a destination's inventory
+ * - POST body: { name?, destination? }
+ */
+exports.createAudit = (req, res) => {
+  try {
+    const destination = resolveDestination(req);
+    const audit = getAudits().create({ name: req.body?.name, destination: destination.name });
+    res.status(201).json({ success: true, audit });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.listAudits = (req, res) => {
+  res.json({ success: true, audits: getAudits().list() });
+};
+
+exports.getAudit = (req, res) => {
+  const audit = getAudits().get(req.params.id);
+  if (!audit) return notFound(res);
+  res.json({ success: true, audit });
+};
+
+/**
+ * Record scanned slabs
+ * - POST body: { certNumber } or { certNumbers: string[] }
+ * Returns: { success, added, repeated, scanned }
+ */
+exports.addScans = (req, res) => {
+  try {
+    const { certNumber, certNumbers } = req.body || {};
+    const certs = normalizeCertList(Array.isArray(certNumbers) ? certNumbers : [certNumber]);
+    if (!certs.length) {
+      return res.status(400).json({ success: false, error: 'certNumber or certNumbers is required' });
+    }
+    const invalid = certs.find(c => !/^\d+$/.test(c));
+    if (invalid) {
+      return res.status(400).json({ success: false, error: `Invalid certificate number "${invalid}"` });
+    }
+
+    const result = getAudits().addScans(req.params.id, certs);
+    if (!result) return notFound(res);
+    res.json({ success: true, added: result.added, repeated: result.repeated, scanned: result.audit.scans.length });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.removeScan = (req, res) => {
+  try {
+    const removed = getAudits().removeScan(req.params.id, req.params.certNumber);
+    if (removed === null) return notFound(res);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: `Cert ${req.params.certNumber} was not scanned in this audit` });
+    }
+    res.json({ success: true, scanned: getAudits().get(req.params.id).scans.length });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.closeAudit = (req, res) => {
+  const audit = getAudits().close(req.params.id);
+  if (!audit) return notFound(res);
+  res.json({ success: true, audit: getAudits().summarize(audit) });
+};
+
+exports.deleteAudit = (req, res) => {
+  if (!getAudits().delete(req.params.id)) return notFound(res);
+  res.json({ success: true });
+};
+
+/**
+ * Diff the scans against inventory
+ * - GET /audits/:id/report?verify=0 skips the PSA name/grade check; ?profile= picks the mapping
+ * The audit's own destination is used unless ?destination= names another
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const audit = getAudits().get(req.params.id);
+    if (!audit) return notFound(res);
+    const verify = !['0', 'false'].includes((req.query.verify || '').toString().toLowerCase());
+    const destination = resolveDestination(req, audit.destination);
+    const profile = resolveProfile(req, destination);
+    const report = await buildAuditReport(audit, { destination, profile, verify });
+    res.json({ success: true, report });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('access denied') ? 403 :
+                      error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,184 @@
+const { getUsers, isAuthRequired, getRequestCredentials, sessionCookie } = require('../lib/auth');
+
+// Failed logins per username and client address; a burst of wrong passwords gets a cool-down. Keyed on both so
+// one client guessing can't lock everyone else out (behind a proxy, req.ip needs TRUST_PROXY)
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_MAX_TRACKED = 10000;
+const loginFailures = new Map(); // "username|ip" -> failure times, oldest key first
+
+function loginKey(req, username) {
+  return `${(username || '').toString().trim().toLowerCase()}|${req.ip}`;
+}
+
+// Drops keys whose failures have all aged out, then the oldest keys beyond LOGIN_MAX_TRACKED
+function pruneLoginFailures(now) {
+  for (const [key, times] of loginFailures) {
+    if (!times.some(time => now - time < LOGIN_WINDOW_MS)) loginFailures.delete(key);
+  }
+  for (const key of loginFailures.keys()) {
+    if (loginFailures.size <= LOGIN_MAX_TRACKED) break;
+    loginFailures.delete(key);
+  }
+}
+
+function errorStatus(error) {
+  return error.message.includes('not found') ? 404 :
+    error.message.includes('access denied') ? 403 :
+    error.message.includes('Invalid') ? 400 : 500;
+}
+
+/**
+ * Signs in with a username and password
+ * - POST body: { username, password }
+ * Sets the session cookie and returns { success, user, expiresAt }
+ */
+exports.login = (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const key = loginKey(req, username);
+    const now = Date.now();
+    const failures = (loginFailures.get(key) || []).filter(time => now - time < LOGIN_WINDOW_MS);
+    if (failures.length >= LOGIN_MAX_FAILURES) {
+      return res.status(429).json({ success: false, error: 'Too many failed sign-ins. Try again in a few minutes.' });
+    }
+
+    const users = getUsers();
+    const user = users.authenticate(username, password);
+    if (!user) {
+      loginFailures.delete(key);
+      loginFailures.set(key, failures.concat(now));
+      pruneLoginFailures(now);
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+    loginFailures.delete(key);
+
+    const { sessionId, expiresAt } = users.createSession(user.id);
+    res.set('Set-Cookie', sessionCookie(req, sessionId, expiresAt));
+    res.json({ success: true, user: users.toPublic(user), expiresAt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+exports.logout = (req, res) => {
+  try {
+    const { sessionId } = getRequestCredentials(req);
+    if (sessionId) getUsers().endSession(sessionId);
+    res.set('Set-Cookie', sessionCookie(req, ''));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Who am I: { success, authRequired, user } (user is null when signed out)
+ */
+exports.getCurrentUser = (req, res) => {
+  res.json({ success: true, authRequired: isAuthRequired(), user: req.user });
+};
+
+exports.listUsers = (req, res) => {
+  try {
+    res.json({ success: true, users: getUsers().list() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Creates an account (admin)
+ * - POST body: { username, password, role: viewer|scanner|admin }
+ */
+exports.createUser = (req, res) => {
+  try {
+    const user = getUsers().create(req.body || {});
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Changes an account (admin)
+ * - PATCH body: { role?, password?, disabled? }
+ */
+exports.updateUser = (req, res) => {
+  try {
+    const { role, password, disabled } = req.body || {};
+    const user = getUsers().update(req.params.id, { role, password, disabled });
+    if (!user) {
+      return res.status(404).json({ success: false, error: `User ${req.params.id} not found` });
+    }
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+exports.deleteUser = (req, res) => {
+  try {
+    if (!getUsers().delete(req.params.id)) {
+      return res.status(404).json({ success: false, error: `User ${req.params.id} not found` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Changes the signed-in user's own password
+ * - POST body: { currentPassword, newPassword }
+ */
+exports.changePassword = (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const users = getUsers();
+    users.validatePassword(newPassword);
+    if (!users.authenticate(req.user.username, currentPassword)) {
+      return res.status(400).json({ success: false, error: 'Invalid current password' });
+    }
+    users.update(req.user.id, { password: newPassword });
+    // Changing the password ends every session, including this one; start a fresh one
+    const { sessionId, expiresAt } = users.createSession(req.user.id);
+    res.set('Set-Cookie', sessionCookie(req, sessionId, expiresAt));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+exports.listTokens = (req, res) => {
+  try {
+    res.json({ success: true, tokens: getUsers().listTokens(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Issues an API token for the signed-in user (sent as `Authorization: Bearer <token>`)
+ * - POST body: { name? }
+ * The token is only shown in this response.
+ */
+exports.createToken = (req, res) => {
+  try {
+    const token = getUsers().createToken(req.user.id, req.body?.name);
+    res.status(201).json({ success: true, ...token });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+exports.revokeToken = (req, res) => {
+  try {
+    if (!getUsers().revokeToken(req.user.id, req.params.id)) {
+      return res.status(404).json({ success: false, error: `Token ${req.params.id} not found` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -1,17 +1,92 @@
-const PSAService = require('../../services/psaService');
+const { isFreshRequested, normalizeCertList } = require('../lib/psa');
+const { getRequestedGrader, lookupCert, lookupCertResult, lookupPopulation, lookupImages } = require('../lib/graders');
+const { runPool, getBatchConcurrency } = require('../lib/concurrency');
+const { recordScan } = require('../lib/history');
+const { publishLookup } = require('../lib/events');
+const { observeBatchSize } = require('../lib/metrics');
+const { lookupPrice } = require('../lib/pricing');
+const { CARD_SCHEMA } = require('../../services/cardModel');
 
-const psaService = new PSAService(process.env.PSA_API_KEY);
+// HTTP status for a failed single-cert lookup
+function lookupErrorStatus(error) {
+  return error.message.includes('not found') ? 404 :
+    error.message.includes('authentication') ? 401 :
+    (error.status === 429 || error.message.includes('rate limit')) ? 429 :
+    error.message.includes('not configured') ? 503 :
+    (error.status === 502 || error.status === 504) ? error.status : // an upstream service (e.g. the price service) failed
+    error.message.includes('Invalid') ? 400 : 500;
+}
 
+/**
+ * Look up one cert with the grader it belongs to
+ * - GET /cert/:certNumber, where certNumber may carry a prefix ("BGS 0012345678"); ?grader=bgs|cgc|sgc|psa
+ *   picks the grader for a bare number (default: DEFAULT_GRADER, else PSA)
+ * Returns: { success, grader, certNumber, PSACert } — PSACert is the card record for every grader
+ */
 exports.getCertificate = async (req, res) => {
   try {
-    const { certNumber } = req.params;
-    const data = await psaService.getCertificateData(certNumber);
-    res.json({ success: true, PSACert: data });
+    const { grader, certNumber, data } = await lookupCert(req.params.certNumber, {
+      grader: getRequestedGrader(req),
+      fresh: isFreshRequested(req)
+    });
+    recordScan(req, certNumber, { success: true, PSACert: data });
+    publishLookup(req, certNumber, { success: true, grader, PSACert: data });
+    res.json({ success: true, grader, certNumber, PSACert: data });
+  } catch (error) {
+    recordScan(req, req.params.certNumber, { success: false, error: error.message });
+    publishLookup(req, req.params.certNumber, { success: false, error: error.message });
+    res.status(lookupErrorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Population report for a cert's card (PSA)
+ * - GET /cert/:certNumber/pop; ?fresh=1 refetches the report (cached for PSA_POP_CACHE_TTL_HOURS)
+ * Returns: { success, grader, certNumber, population: { grade, total, atGrade, atGradeQualified, higher, lower, grades } }
+ */
+exports.getPopulation = async (req, res) => {
+  try {
+    const result = await lookupPopulation(req.params.certNumber, {
+      grader: getRequestedGrader(req),
+      fresh: isFreshRequested(req)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(lookupErrorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Front and back slab photos of a cert (PSA)
+ * - GET /cert/:certNumber/images
+ * Returns: { success, grader, certNumber, images: { front, back, images: [{ side, url }] } }
+ */
+exports.getImages = async (req, res) => {
+  try {
+    const result = await lookupImages(req.params.certNumber, {
+      grader: getRequestedGrader(req),
+      fresh: isFreshRequested(req)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(lookupErrorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Market price estimate for a cert's card, from the configured price source (comps CSV or HTTP service)
+ * - GET /cert/:certNumber/price; ?fresh=1 reprices (estimates are cached for PRICE_CACHE_TTL_HOURS)
+ * Returns: { success, grader, certNumber, price: { price, low, high, currency, sampleSize, asOf, source, pricedAt } }
+ */
+exports.getPrice = async (req, res) => {
+  try {
+    const result = await lookupPrice(req.params.certNumber, {
+      grader: getRequestedGrader(req),
+      fresh: isFreshRequested(req)
+    });
+    res.json({ success: true, ...result });
   } catch (error) {
-    const statusCode = error.message.includes('not found') ? 404 :
-                      error.message.includes('authentication') ? 401 :
-                      error.message.includes('rate limit') ? 429 : 500;
-    res.status(statusCode).json({ success: false, error: error.message });
+    res.status(lookupErrorStatus(error)).json({ success: false, error: error.message });
   }
 };
 
@@ -19,6 +94,7 @@ exports.getCertificate = async (req, res) => {
  * Batch lookup PSA certificates
  * - POST body: { certNumbers: string[] }
  * - GET query:  /api/certs?ids=123,456
+ * - Optional ?fresh=1 (or body.fresh) bypasses the cert cache; ?grader= (or body.grader) applies to unprefixed certs
  * Returns: { success: true, results: Array<{ certNumber, success, PSACert?, error? }> }
  */
 exports.batchGetCertificates = async (req, res) => {
@@ -33,28 +109,19 @@ exports.batchGetCertificates = async (req, res) => {
     }
 
     // Normalize to strings, preserve original order, and build a unique set for caching
-    const normalized = certNumbers.map(c => c?.toString().trim()).filter(Boolean);
+    const normalized = normalizeCertList(certNumbers);
+    observeBatchSize('lookup', normalized.length);
     const unique = Array.from(new Set(normalized));
-
-    // Simple concurrency limiter without extra deps
-    const limit = Number(process.env.BATCH_LOOKUP_CONCURRENCY || 5);
-    const queue = unique.slice();
     const cache = new Map();
+    const fresh = isFreshRequested(req);
+    const grader = getRequestedGrader(req);
 
-    async function worker() {
-      while (queue.length) {
-        const cert = queue.shift();
-        try {
-          const data = await psaService.getCertificateData(cert);
-          cache.set(cert, { success: true, PSACert: data });
-        } catch (error) {
-          cache.set(cert, { success: false, error: error.message });
-        }
-      }
-    }
-
-    const workers = Array.from({ length: Math.min(limit, unique.length || 1) }, () => worker());
-    await Promise.all(workers);
+    await runPool(unique, getBatchConcurrency(), async (cert) => {
+      const result = await lookupCertResult(cert, { fresh, grader });
+      recordScan(req, cert, result, 'batch');
+      publishLookup(req, cert, result, 'batch');
+      cache.set(cert, result);
+    });
 
     // Map back to input order, including duplicates
     const results = normalized.map(cert => ({ certNumber: cert, ...(cache.get(cert) || { success: false, error: 'Unknown error' }) }));
@@ -64,3 +131,11 @@ exports.batchGetCertificates = async (req, res) => {
     res.status(500).json({ success: false, error: error.message });
   }
 };
+
+/**
+ * The JSON Schema of the normalized card found under PSACert.Card in every lookup result
+ * - GET /card-schema
+ */
+exports.getCardSchema = (req, res) => {
+  res.json(CARD_SCHEMA);
+};
@@ -0,0 +1,57 @@
+const { getDestinations } = require('../lib/destinations');
+const { getMappingProfiles } = require('../lib/mappings');
+const { releaseSheets } = require('../lib/sheets');
+const { verifySpreadsheetTab } = require('../lib/settings');
+
+exports.listDestinations = (req, res) => {
+  res.json({ success: true, destinations: getDestinations().list() });
+};
+
+exports.getDestination = (req, res) => {
+  const destination = getDestinations().get(req.params.name);
+  if (!destination) {
+    return res.status(404).json({ success: false, error: 'Destination not found' });
+  }
+  res.json({ success: true, destination });
+};
+
+/**
+ * Create or replace a destination; the spreadsheet and tab are opened first to make sure they exist
+ * - PUT body: { spreadsheetId, sheetName?, soldSheetName?, profile?, description? }
+ */
+exports.saveDestination = async (req, res) => {
+  try {
+    const { spreadsheetId, sheetName, soldSheetName, profile, description } = req.body || {};
+    if (profile && !getMappingProfiles().get(profile)) {
+      return res.status(400).json({ success: false, error: `Invalid destination: mapping profile "${profile}" does not exist` });
+    }
+    const store = getDestinations();
+    const destination = store.normalize({
+      name: req.params.name,
+      spreadsheetId,
+      sheetName,
+      soldSheetName,
+      profile,
+      description
+    });
+    await verifySpreadsheetTab(destination);
+    store.save(destination);
+    res.json({ success: true, destination });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.deleteDestination = (req, res) => {
+  try {
+    if (!getDestinations().delete(req.params.name)) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+    releaseSheets(req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,65 @@
+const { collectExportRecords } = require('../lib/export');
+const { resolveDestination } = require('../lib/destinations');
+const { resolveProfile } = require('../lib/mappings');
+const { getUsers, isAuthRequired } = require('../lib/auth');
+const { FORMATS, renderExport } = require('../../services/exporter');
+
+/**
+ * Download lookup results as a file, with the columns the sheet writer would fill plus every PSA field
+ * - GET /export?format=csv|xlsx|json and one source:
+ *   ?jobId=<batch-lookup job>, ?certs=123,456 (looked up, scanner role) or
+ *   scan history filtered by ?from=&to=&status=&user=&station=&certNumber= (the default)
+ * - ?profile= / ?destination= pick the mapping, as for writes
+ * History exports stop at EXPORT_MAX_ROWS rows, newest first; X-Export-Truncated says when that happened
+ */
+exports.exportScans = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toString().toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success: false, error: `Invalid format "${format}". Use ${Object.keys(FORMATS).join(', ')}.` });
+    }
+
+    const { jobId, certs, from, to, status, user, station, certNumber } = req.query;
+    if (jobId && certs) {
+      return res.status(400).json({ success: false, error: 'Invalid export: use either jobId or certs, not both' });
+    }
+    if (certs && isAuthRequired() && !getUsers().hasRole(req.user.role, 'scanner')) {
+      return res.status(403).json({ success: false, error: 'Access denied: looking up certs requires the scanner role' });
+    }
+    if (status && !['success', 'error'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status. Use success or error.' });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `Invalid ${name} date "${value}"` });
+      }
+    }
+
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const { source, records, truncated, job } = await collectExportRecords({
+      jobId,
+      certs: certs ? certs.toString().split(',') : null,
+      history: { from, to, status, user, station, certNumber }
+    });
+
+    const file = renderExport(records, {
+      format,
+      profile,
+      sheetName: destination.sheetName,
+      meta: { source, destination: destination.name, truncated, ...(job ? { job } : {}) }
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="quickslab-${source}-${date}.${file.extension}"`,
+      'X-Export-Count': String(records.length),
+      'X-Export-Truncated': String(truncated)
+    });
+    res.send(file.body);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const MetricsRegistry = require('../../services/metrics');
+const { getPSA, isFreshRequested } = require('../lib/psa');
+const { getDestinations } = require('../lib/destinations');
+const { ensureStorageReady, getStorageBackend } = require('../lib/storage');
+const { getMetricsRegistry } = require('../lib/metrics');
+
+// Probes can come every few seconds; the checks behind them are real API calls
+const READINESS_TTL_MS = 10000;
+let readiness = null; // { at, promise }
+
+/**
+ * Liveness: the process is up and serving requests
+ * - GET /health
+ */
+exports.getHealth = (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), uptime: process.uptime() });
+};
+
+async function checkPSA() {
+  try {
+    return await getPSA().ping();
+  } catch (error) {
+    // No PSA_API_KEY
+    return { ok: false, latencyMs: 0, error: error.message };
+  }
+}
+
+// Opens the default destination's inventory; on Sheets that is a spreadsheet metadata read
+async function checkStorage() {
+  const backend = getStorageBackend();
+  const started = Date.now();
+  try {
+    const storage = await ensureStorageReady(getDestinations().get());
+    const spreadsheet = backend === 'sheets' ? (await storage.getSpreadsheetInfo()).title : undefined;
+    return { ok: true, backend, latencyMs: Date.now() - started, spreadsheet };
+  } catch (error) {
+    return { ok: false, backend, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+async function runChecks() {
+  const [psa, storage] = await Promise.all([checkPSA(), checkStorage()]);
+  const ready = psa.ok && storage.ok;
+  return { ready, body: { status: ready ? 'ready' : 'not ready', checks: { psa, storage }, timestamp: new Date().toISOString() } };
+}
+
+/**
+ * Readiness: PSA answers and the inventory (Google Sheets, or the local file) can be opened
+ * - GET /health/ready; results are reused for 10 seconds unless ?fresh=1
+ * Returns: 200 { status: 'ready', checks: { psa, storage }, timestamp }, or 503 with status 'not ready'
+ */
+exports.getReadiness = async (req, res) => {
+  if (!readiness || isFreshRequested(req) || Date.now() - readiness.at > READINESS_TTL_MS) {
+    readiness = { at: Date.now(), promise: runChecks() };
+  }
+  const { ready, body } = await readiness.promise;
+  res.status(ready ? 200 : 503).json(body);
+};
+
+function tokenMatches(given, expected) {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Prometheus metrics, in the text exposition format
+ * - GET /metrics; with METRICS_TOKEN set, scrapers must send `Authorization: Bearer <METRICS_TOKEN>`
+ */
+exports.getMetrics = (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!given || !tokenMatches(given, token)) {
+      return res.status(401).json({ success: false, error: 'Authentication required: send the metrics token' });
+    }
+  }
+  res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+  res.send(getMetricsRegistry().render());
+};
@@ -0,0 +1,56 @@
+const { getScanHistory, recordScan } = require('../lib/history');
+
+const MAX_LIMIT = 500;
+
+/**
+ * Query scan history, newest first
+ * - GET /scan-history?from=&to=&status=success|error&user=&station=&certNumber=&limit=50&cursor=
+ * Returns: { success, history, nextCursor } — pass nextCursor back as ?cursor= for the next page
+ */
+exports.loadScanHistory = (req, res) => {
+  try {
+    const { from, to, status, user, station, certNumber, cursor } = req.query;
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ success: false, error: `Invalid limit: must be between 1 and ${MAX_LIMIT}` });
+    }
+    if (status && !['success', 'error'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status. Use success or error.' });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `Invalid ${name} date "${value}"` });
+      }
+    }
+    if (cursor && !/^\d+$/.test(cursor)) {
+      return res.status(400).json({ success: false, error: 'Invalid cursor' });
+    }
+
+    const result = getScanHistory().query({ from, to, status, user, station, certNumber, limit, cursor });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, history: [] });
+  }
+};
+
+/**
+ * Record a scan the server didn't see (lookups through /api/cert are recorded automatically)
+ * - POST body: { certNumber, status: success|error, cardData?, error? }
+ */
+exports.saveScanHistory = (req, res) => {
+  try {
+    const { certNumber, cardData, status, error } = req.body || {};
+    if (!certNumber || !status) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: certNumber, status' });
+    }
+    const success = status === 'success';
+    const entry = recordScan(req, certNumber, success ? { success, PSACert: cardData } : { success, error }, 'client');
+    if (!entry) {
+      return res.status(500).json({ success: false, error: 'Failed to record scan' });
+    }
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,128 @@
+const { startImport, getImport, buildEnrichedTable, buildImportCards, MAX_IMPORT_ROWS } = require('../lib/imports');
+const { getJobs } = require('../lib/jobs');
+const { isFreshRequested } = require('../lib/psa');
+const { ensureStorageReady } = require('../lib/storage');
+const { resolveProfile } = require('../lib/mappings');
+const { resolveDestination } = require('../lib/destinations');
+const { getSettings } = require('../lib/settings');
+const { getScanContext } = require('../lib/history');
+const { enrichForProfile } = require('../lib/enrichment');
+const { publishWrite } = require('../lib/events');
+const { observeBatchSize } = require('../lib/metrics');
+const { FORMATS, renderRows } = require('../../services/exporter');
+
+function errorStatus(error) {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('access denied') ? 403 :
+         error.message.includes('Invalid') ? 400 : 500;
+}
+
+// Download and write need every lookup in; a running import answers 409
+function findFinishedImport(req, res) {
+  const job = getImport(req.params.id);
+  if (!job) {
+    res.status(404).json({ success: false, error: 'Import not found' });
+    return null;
+  }
+  if (!getJobs().isFinished(job)) {
+    res.status(409).json({ success: false, error: 'Import is still running', job: getJobs().getProgress(job) });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Upload a CSV or XLSX inventory file and look up every cert in it
+ * - POST /import with the file as the raw request body (any content type)
+ * - ?certColumn= names the cert column (header or letter) when it can't be detected; ?filename= is echoed back
+ * Returns 202: { success, jobId, job, import: { format, rows, certs, certColumn, header } };
+ * follow progress with GET /api/jobs/:id or /api/jobs/:id/events like a batch lookup
+ */
+exports.uploadImport = (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ success: false, error: 'Send the CSV or XLSX file as the request body' });
+    }
+    const job = startImport(req.body, {
+      filename: (req.query.filename || '').toString().slice(0, 200) || null,
+      certColumn: req.query.certColumn,
+      fresh: isFreshRequested(req)
+    });
+    const { format, header, rows, certColumn } = job.import;
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: getJobs().getProgress(job),
+      import: { format, rows: rows.length, certs: job.total, certColumn, header, maxRows: MAX_IMPORT_ROWS }
+    });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Download the uploaded rows with the PSA columns appended
+ * - GET /import/:id/download?format=csv|xlsx|json (defaults to the format that was uploaded)
+ */
+exports.downloadImport = (req, res) => {
+  try {
+    const job = findFinishedImport(req, res);
+    if (!job) return;
+    const format = (req.query.format || job.import.format).toString().toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success: false, error: `Invalid format "${format}". Use ${Object.keys(FORMATS).join(', ')}.` });
+    }
+
+    const table = buildEnrichedTable(job);
+    let body;
+    if (format !== 'json') {
+      body = renderRows([table.header, ...table.rows], format, { sheetName: 'Enriched' });
+    } else {
+      body = JSON.stringify({
+        filename: job.import.filename,
+        certColumn: job.import.certColumn.header,
+        count: table.rows.length,
+        items: table.rows.map(row => Object.fromEntries(table.header.map((name, c) => [name, row[c]])))
+      }, null, 2);
+    }
+
+    const base = (job.import.filename || 'inventory').replace(/\.[^.]*$/, '').replace(/[^\w .-]/g, '_');
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${base}-enriched.${FORMATS[format].extension}"`
+    });
+    res.send(body);
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Bulk-write the found rows to a destination through its column mapping
+ * - POST /import/:id/write body: { destination?, profile?, onDuplicate?, location? }
+ * The upload's own columns are available to the mapping as {Import.<header>}
+ * Returns: the bulk write result plus skipped: Array<{ row, certNumber, error }> for rows that weren't found
+ */
+exports.writeImport = async (req, res) => {
+  try {
+    const job = findFinishedImport(req, res);
+    if (!job) return;
+    const { cards, skipped } = buildImportCards(job);
+    if (!cards.length) {
+      return res.status(400).json({ success: false, error: 'Invalid import: no rows were found on PSA', skipped });
+    }
+
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const { user } = getScanContext(req);
+    const onDuplicate = req.body?.onDuplicate || getSettings().get('duplicatePolicy');
+    observeBatchSize('import', cards.length);
+    const { cards: enriched, settle } = await enrichForProfile(cards, profile, { location: req.body?.location, user });
+    const result = await settle(storage.addCardsData(enriched, { profile, onDuplicate, user }));
+    result.results.forEach((r, i) => publishWrite(req, enriched[i], r, destination));
+    res.json({ ...result, skipped });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
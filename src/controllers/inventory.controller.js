@@ -0,0 +1,143 @@
+const { ensureStorageReady } = require('../lib/storage');
+const { resolveProfile } = require('../lib/mappings');
+const { resolveDestination } = require('../lib/destinations');
+const { getSettings } = require('../lib/settings');
+const { getScanContext } = require('../lib/history');
+const { getLocations, attachLocations } = require('../lib/locations');
+const { parseLocation, formatLocation } = require('../../services/locationStore');
+const { parseInventoryQuery, queryInventory } = require('../../services/inventoryQuery');
+const logger = require('../../services/logger');
+
+function errorStatus(error) {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('access denied') ? 403 :
+         error.message.includes('Invalid') ? 400 : 500;
+}
+
+// A slab that left inventory no longer has a place in storage; its SKU stays reserved
+function releaseLocation(certNumber, user) {
+  const store = getLocations();
+  if (store.get(certNumber)?.location) store.move(certNumber, null, { user });
+}
+
+/**
+ * Search inventory
+ * - GET /inventory?destination=&q=charizard&grade=10&company=PSA&cardNumber=4&minGrade=&maxGrade=&sold=false
+ *     &sku=QS-00042&location=Case A / Box 3&sort=row|cardName|cardNumber|company|grade|certNumber|sku|location|...
+ *     &order=asc|desc&page=1&pageSize=25
+ * SKU and location come from the sheet's own columns, else from the location store
+ * Returns: { success, items, total, page, pageSize, totalPages }
+ */
+exports.listInventory = async (req, res) => {
+  try {
+    const query = parseInventoryQuery(req.query);
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const cards = attachLocations(await storage.listCards({ profile }));
+    res.json({ success: true, ...queryInventory(cards, query) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+exports.getInventoryCard = async (req, res) => {
+  try {
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const card = await storage.findCardByCert(req.params.certNumber, { profile });
+    if (!card) {
+      return res.status(404).json({ success: false, error: `Cert ${req.params.certNumber} not found in inventory` });
+    }
+    const [withLocation] = attachLocations([card]);
+    res.json({ success: true, card: withLocation });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Remove a card from inventory (its sheet row is cleared for reuse)
+ * - DELETE /inventory/:certNumber?destination=&profile=
+ */
+exports.removeFromInventory = async (req, res) => {
+  try {
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const result = await storage.removeCard(req.params.certNumber, { profile });
+    const { user } = getScanContext(req);
+    releaseLocation(result.certNumber, user);
+    logger.info('Card removed from inventory', { user: user || null, certNumber: result.certNumber, row: result.row });
+    res.json({ ...result, removedBy: user });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Mark a card as sold (the signed-in user is recorded as soldBy)
+ * - POST body: { price?, date?: 'YYYY-MM-DD' (default today), channel?, mode?: 'move'|'columns'|'clear', destination?, profile? }
+ */
+exports.markSold = async (req, res) => {
+  try {
+    const { price, date, channel, mode } = req.body || {};
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const { user } = getScanContext(req);
+    const result = await storage.markCardSold(req.params.certNumber, { price, date, channel, by: user }, {
+      profile,
+      mode: mode || getSettings().get('soldMode')
+    });
+    releaseLocation(result.certNumber, user);
+    res.json(result);
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Move a slab to another storage location; the inventory row's Location column follows when the sheet has one
+ * - POST /inventory/:certNumber/move body: { location: { case?, box?, row?, slot? } | "Case A / Box 3 / Slot 14" | null,
+ *   destination?, profile? } (null takes the slab out of storage)
+ * Returns: { success, certNumber, sku, from, to, location, inventory: row update or null when the cert isn't in inventory }
+ */
+exports.moveCard = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!/^\d+$/.test(req.params.certNumber)) {
+      return res.status(400).json({ success: false, error: 'Invalid certificate number format. Must contain only digits.' });
+    }
+    if (!('location' in body)) {
+      return res.status(400).json({ success: false, error: 'Invalid move: location is required (null to take the slab out of storage)' });
+    }
+    const to = parseLocation(body.location);
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const { user } = getScanContext(req);
+
+    // The row first, so a failed sheet write leaves the store as it was
+    let inventory = null;
+    try {
+      inventory = await storage.updateCardFields(req.params.certNumber, { location: formatLocation(to) }, { profile });
+    } catch (error) {
+      if (!error.message.includes('not found in inventory')) throw error;
+    }
+    const { slab, from } = getLocations().move(req.params.certNumber, to, { user });
+    logger.info('Slab moved', { user: user || null, certNumber: slab.certNumber, from: formatLocation(from) || null, to: formatLocation(to) || null });
+    res.json({
+      success: true,
+      certNumber: slab.certNumber,
+      sku: slab.sku,
+      from,
+      to,
+      location: formatLocation(to),
+      inventory
+    });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,123 @@
+const { getJobs } = require('../lib/jobs');
+const { isFreshRequested, normalizeCertList } = require('../lib/psa');
+const { getRequestedGrader, lookupCertResult } = require('../lib/graders');
+const { runPool, getBatchConcurrency } = require('../lib/concurrency');
+const { recordScan } = require('../lib/history');
+const { publishLookup } = require('../lib/events');
+const { observeBatchSize } = require('../lib/metrics');
+
+/**
+ * Start an asynchronous batch lookup
+ * - POST body: { certNumbers: string[], fresh?: boolean, grader?: string }
+ * Returns: { success: true, jobId, job } immediately; poll GET /api/jobs/:id
+ * or stream GET /api/jobs/:id/events for per-cert results
+ */
+exports.createLookupJob = async (req, res) => {
+  try {
+    const certNumbers = normalizeCertList(Array.isArray(req.body?.certNumbers) ? req.body.certNumbers : []);
+    if (!certNumbers.length) {
+      return res.status(400).json({ success: false, error: 'Provide certNumbers array' });
+    }
+
+    const fresh = isFreshRequested(req);
+    const grader = getRequestedGrader(req);
+    const jobs = getJobs();
+    observeBatchSize('job', certNumbers.length);
+
+    const job = jobs.create('lookup', certNumbers, async (job, handleResult) => {
+      // Duplicate certs in one paste share a single lookup
+      const inFlight = new Map();
+      await runPool(job.items, getBatchConcurrency(), async (cert, index) => {
+        if (!inFlight.has(cert)) {
+          inFlight.set(cert, lookupCertResult(cert, { fresh, grader }).then(result => {
+            recordScan(req, cert, result, 'job');
+            publishLookup(req, cert, result, 'job');
+            return result;
+          }));
+        }
+        handleResult(index, { certNumber: cert, ...(await inFlight.get(cert)) });
+      }, { shouldStop: () => job.cancelled });
+    });
+
+    res.status(202).json({ success: true, jobId: job.id, job: jobs.getProgress(job) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Job progress and the results recorded so far
+ * - Optional ?since=N returns only results with index >= N
+ */
+exports.getJob = (req, res) => {
+  const jobs = getJobs();
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  const since = parseInt(req.query.since) || 0;
+  const results = jobs.getResults(job).filter(r => r.index >= since);
+  res.json({ success: true, job: jobs.getProgress(job), results });
+};
+
+exports.cancelJob = (req, res) => {
+  const jobs = getJobs();
+  const job = jobs.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job: jobs.getProgress(job) });
+};
+
+/**
+ * Server-Sent Events stream of a job
+ * - `result` per item (replays results recorded before the client connected)
+ * - `progress` after each item, `done` once the job finishes
+ */
+exports.streamJobEvents = (req, res) => {
+  const jobs = getJobs();
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  for (const result of jobs.getResults(job)) send('result', result);
+  send('progress', jobs.getProgress(job));
+
+  if (jobs.isFinished(job)) {
+    send('done', jobs.getProgress(job));
+    return res.end();
+  }
+
+  const onResult = (result) => send('result', result);
+  const onProgress = (progress) => send('progress', progress);
+  const onDone = (progress) => {
+    send('done', progress);
+    cleanup();
+    res.end();
+  };
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    job.emitter.off('result', onResult);
+    job.emitter.off('progress', onProgress);
+    job.emitter.off('done', onDone);
+  }
+
+  job.emitter.on('result', onResult);
+  job.emitter.on('progress', onProgress);
+  job.emitter.on('done', onDone);
+  req.on('close', cleanup);
+};
@@ -0,0 +1,95 @@
+const { collectExportRecords } = require('../lib/export');
+const { priceCard } = require('../lib/pricing');
+const { getLocations } = require('../lib/locations');
+const { runPool, getBatchConcurrency } = require('../lib/concurrency');
+const { LABEL_TEMPLATES, DEFAULT_TEMPLATE, getTemplate, buildLabel, renderLabels } = require('../../services/labels');
+
+exports.listTemplates = (req, res) => {
+  res.json({
+    success: true,
+    default: DEFAULT_TEMPLATE,
+    templates: Object.entries(LABEL_TEMPLATES).map(([name, t]) => ({
+      name,
+      description: t.description,
+      perPage: t.columns * t.rows
+    }))
+  });
+};
+
+/**
+ * Render printable labels for slabs as a PDF
+ * - POST body, one source: { certs: string[] } | { items: [{ certNumber, sku?, price? }] } | { jobId } |
+ *   { history: { from?, to?, status?, user?, station? } } (each cert once, newest scan first)
+ * - The SKU defaults to the slab's inventory SKU
+ * - { template?: avery5160|avery5163|l7159|dymo30252|roll2x1, startAt?: 1-based first position on the sheet,
+ *   price?: 'market' } — 'market' fills labels without an item price from the price source
+ * Certs that failed to look up get no label; X-Label-Count and X-Label-Skipped report both counts
+ */
+exports.createLabels = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const items = Array.isArray(body.items) ? body.items.filter(item => item && (item.certNumber ?? '').toString().trim()) : null;
+    const certs = items ? items.map(item => item.certNumber.toString())
+      : Array.isArray(body.certs) ? body.certs
+      : typeof body.certs === 'string' ? body.certs.split(',') : null;
+    const sources = [certs, body.jobId, body.history].filter(Boolean).length;
+    if (sources !== 1) {
+      return res.status(400).json({ success: false, error: 'Invalid labels request: send exactly one of certs, items, jobId or history' });
+    }
+    if (!getTemplate(body.template)) {
+      return res.status(400).json({ success: false, error: `Invalid label template "${body.template}". Use ${Object.keys(LABEL_TEMPLATES).join(', ')}.` });
+    }
+
+    const { source, records } = await collectExportRecords({
+      jobId: body.jobId,
+      certs,
+      history: { ...(body.history || {}), status: 'success' }
+    });
+
+    const seen = new Set();
+    const found = [];
+    records.forEach((record, index) => {
+      if (!record.psa) return;
+      if (source === 'history') {
+        if (seen.has(record.certNumber)) return;
+        seen.add(record.certNumber);
+      }
+      // Slabs already in inventory print their SKU unless the item names another
+      const slab = getLocations().get(record.psa.GoogleSheetsData?.CertNumber || record.psa.CertNumber);
+      found.push({ record: record.psa, item: { sku: slab?.sku || '', ...(items ? items[index] : {}) } });
+    });
+
+    if (body.price === 'market') {
+      await runPool(found, getBatchConcurrency(), async (entry) => {
+        if (entry.item.price !== undefined && entry.item.price !== null && entry.item.price !== '') return;
+        try {
+          const estimate = await priceCard(entry.record);
+          if (estimate) entry.item = { ...entry.item, price: estimate.price, currency: estimate.currency };
+        } catch (error) {
+          // Unpriced labels still print, just without a price
+        }
+      });
+    }
+
+    if (!found.length) {
+      return res.status(404).json({ success: false, error: 'No cards found to label' });
+    }
+    const pdf = renderLabels(found.map(entry => buildLabel(entry.record, entry.item)), {
+      template: body.template,
+      startAt: body.startAt
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="quickslab-labels-${date}.pdf"`,
+      'X-Label-Count': String(found.length),
+      'X-Label-Skipped': String(records.length - found.length)
+    });
+    res.send(pdf);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
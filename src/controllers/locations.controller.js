@@ -0,0 +1,48 @@
+const { getLocations } = require('../lib/locations');
+const { formatLocation } = require('../../services/locationStore');
+
+function errorStatus(error) {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Invalid') ? 400 : 500;
+}
+
+function describeSlab(slab) {
+  return { ...slab, locationText: formatLocation(slab.location) };
+}
+
+/**
+ * Slabs in storage, found by place or SKU
+ * - GET /locations?location=Case A / Box 3 (everything inside it, in slot order) or ?sku=QS-00042
+ * Returns: { success, slabs: Array<{ certNumber, grader, sku, location, locationText, updatedAt, updatedBy, moves }> }
+ */
+exports.listLocations = (req, res) => {
+  try {
+    const store = getLocations();
+    let slabs;
+    if (req.query.sku) {
+      const slab = store.findBySku(req.query.sku);
+      slabs = slab ? [slab] : [];
+    } else {
+      slabs = store.listAt(req.query.location);
+    }
+    res.json({ success: true, slabs: slabs.map(describeSlab) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Where one slab is kept
+ * - GET /locations/:certNumber
+ */
+exports.getLocation = (req, res) => {
+  try {
+    const slab = getLocations().get(req.params.certNumber);
+    if (!slab) {
+      return res.status(404).json({ success: false, error: `Cert ${req.params.certNumber} not found in storage` });
+    }
+    res.json({ success: true, slab: describeSlab(slab) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
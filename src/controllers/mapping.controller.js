@@ -0,0 +1,61 @@
+const { getMappingProfiles } = require('../lib/mappings');
+const { HEADER_ALIASES, PSA_FIELDS } = require('../../services/columnMapping');
+
+exports.listProfiles = (req, res) => {
+  const store = getMappingProfiles();
+  res.json({
+    success: true,
+    active: store.getActiveName(),
+    profiles: store.list(),
+    keys: Object.keys(HEADER_ALIASES),
+    fields: PSA_FIELDS
+  });
+};
+
+exports.getProfile = (req, res) => {
+  const profile = getMappingProfiles().get(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+  }
+  res.json({ success: true, profile });
+};
+
+/**
+ * Create or replace a profile
+ * - PUT body: { description?, columns: [{ column?, letter?, key?, value }],
+ *   soldColumns?: [{ key: soldPrice|soldDate|soldChannel, column?, letter? }] }
+ */
+exports.saveProfile = (req, res) => {
+  try {
+    const profile = getMappingProfiles().save({ ...(req.body || {}), name: req.params.name });
+    res.json({ success: true, profile });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.deleteProfile = (req, res) => {
+  try {
+    const deleted = getMappingProfiles().delete(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.activateProfile = (req, res) => {
+  try {
+    const profile = getMappingProfiles().setActive(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+    }
+    res.json({ success: true, active: profile.name });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,57 @@
+const { getSettings, updateSettings, verifySpreadsheetTab } = require('../lib/settings');
+const SettingsStore = require('../../services/settingsStore');
+
+function errorStatus(error) {
+  return error.message.includes('Invalid') ? 400 : 500;
+}
+
+// The schema as the UI needs it: type, env var, default and allowed values per setting
+function describeSchema() {
+  return Object.fromEntries(Object.entries(SettingsStore.SCHEMA).map(([key, rule]) => {
+    const { pattern, hint, ...rest } = rule;
+    return [key, rest];
+  }));
+}
+
+/**
+ * Current settings: { success, settings, sources: saved|env|default per setting, schema }
+ */
+exports.getSettings = (req, res) => {
+  try {
+    const { values, sources } = getSettings().getAll();
+    res.json({ success: true, settings: values, sources, schema: describeSchema() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Change settings; applies to the next request, no restart needed
+ * - PUT body: { spreadsheetId?, sheetName?, soldSheetName?, batchConcurrency?, duplicatePolicy?, soldMode?,
+ *   scanHistoryMirror?, skuPattern?, skuSequenceStart? } (null resets a setting to its env var / default)
+ */
+exports.updateSettings = async (req, res) => {
+  try {
+    const { values, sources } = await updateSettings(req.body);
+    res.json({ success: true, settings: values, sources });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Tabs of a spreadsheet, for picking sheetName
+ * - GET /settings/sheet-tabs?spreadsheetId= (defaults to the configured spreadsheet)
+ */
+exports.listSheetTabs = async (req, res) => {
+  try {
+    const spreadsheetId = (req.query.spreadsheetId || getSettings().get('spreadsheetId') || '').toString().trim();
+    if (!spreadsheetId) {
+      return res.status(400).json({ success: false, error: 'Spreadsheet ID is required' });
+    }
+    const info = await verifySpreadsheetTab({ spreadsheetId });
+    res.json({ success: true, spreadsheetId, title: info.title, tabs: info.sheets });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+};
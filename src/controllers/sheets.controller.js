@@ -1,4 +1,11 @@
-const { ensureInitialized, getSheets } = require('../lib/sheets');
+const { ensureStorageReady } = require('../lib/storage');
+const { resolveProfile } = require('../lib/mappings');
+const { resolveDestination } = require('../lib/destinations');
+const { getSettings } = require('../lib/settings');
+const { getScanContext } = require('../lib/history');
+const { enrichForProfile } = require('../lib/enrichment');
+const { publishWrite } = require('../lib/events');
+const { observeBatchSize } = require('../lib/metrics');
 
 exports.addToSheets = async (req, res) => {
   try {
@@ -6,10 +13,19 @@ exports.addToSheets = async (req, res) => {
     if (!psaData) {
       return res.status(400).json({ success: false, error: 'PSA data is required' });
     }
-    const sheets = await ensureInitialized();
-    const result = await sheets.addCardData(psaData);
-    res.json(result);
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const { user } = getScanContext(req);
+    const onDuplicate = req.body.onDuplicate || getSettings().get('duplicatePolicy');
+    const { cards: [card], settle } = await enrichForProfile([psaData], profile, { location: req.body.location, user });
+    const result = await settle(storage.addCardData(card, { profile, onDuplicate, user }));
+    publishWrite(req, card, result, destination);
+    res.json({ ...result, inventory: result.action === 'skipped' ? null : card.Inventory || null });
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ success: false, duplicate: true, row: error.row, error: error.message });
+    }
     const statusCode = error.message.includes('not found') ? 404 :
                       error.message.includes('access denied') ? 403 :
                       error.message.includes('Invalid') ? 400 : 500;
@@ -17,41 +33,37 @@ exports.addToSheets = async (req, res) => {
   }
 };
 
-exports.updateSpreadsheetConfig = async (req, res) => {
+/**
+ * Bulk add cards in one pass (a single batchUpdate on the Sheets backend)
+ * - POST body: { psaData: Object[], destination?: string, profile?: string,
+ *   onDuplicate?: 'skip'|'update'|'error'|'append-anyway', location?: { case, box, row, slot } | string }
+ *   (with a numeric slot, the cards fill consecutive slots from it)
+ * Returns: { success, updatedRows, sheetName, spreadsheetId,
+ *   results: Array<{ certNumber, success, action?, row?, updatedRange?, previousValues?, duplicate?, error?, inventory? }> }
+ */
+exports.addManyToSheets = async (req, res) => {
   try {
-    const { id: spreadsheetId, sheet: sheetName } = req.query;
-    if (!spreadsheetId) {
-      return res.status(400).json({ success: false, error: 'Spreadsheet ID is required' });
-    }
-    const sheets = getSheets();
-    sheets.updateConfig(spreadsheetId, sheetName);
-    res.json({ success: true, message: 'Spreadsheet configuration updated', spreadsheetId, sheetName: sheetName || 'Input Sheet' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-};
-
-exports.saveScanHistory = async (req, res) => {
-  try {
-    const { certNumber, cardData, status, timestamp } = req.body || {};
-    if (!certNumber || !status || !timestamp) {
-      return res.status(400).json({ success: false, error: 'Missing required fields: certNumber, status, timestamp' });
+    const { psaData } = req.body || {};
+    if (!Array.isArray(psaData) || !psaData.length) {
+      return res.status(400).json({ success: false, error: 'psaData must be a non-empty array' });
     }
-    const sheets = await ensureInitialized();
-    const result = await sheets.saveScanHistory(certNumber, cardData, status, timestamp);
+    const destination = resolveDestination(req);
+    const profile = resolveProfile(req, destination);
+    const storage = await ensureStorageReady(destination);
+    const { user } = getScanContext(req);
+    const onDuplicate = req.body.onDuplicate || getSettings().get('duplicatePolicy');
+    observeBatchSize('sheets', psaData.length);
+    const { cards, settle } = await enrichForProfile(psaData, profile, { location: req.body.location, user });
+    const result = await settle(storage.addCardsData(cards, { profile, onDuplicate, user }));
+    result.results.forEach((r, i) => {
+      if (cards[i]?.Inventory && r.success && r.action !== 'skipped') r.inventory = cards[i].Inventory;
+      publishWrite(req, cards[i], r, destination);
+    });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-};
-
-exports.loadScanHistory = async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 50;
-    const sheets = await ensureInitialized();
-    const history = await sheets.loadScanHistory(limit);
-    res.json({ success: true, history });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message, history: [] });
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('access denied') ? 403 :
+                      error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
   }
 };
@@ -1,17 +1,42 @@
-const PSAService = require('../../services/psaService');
-const { ensureInitialized, getSheets } = require('../lib/sheets');
+const { getPSA } = require('../lib/psa');
+const { getGraders } = require('../lib/graders');
+const { getPriceProvider } = require('../lib/pricing');
+const { ensureInitialized, getSheets, getPoolStatus } = require('../lib/sheets');
+const { getStorage, getStorageBackend } = require('../lib/storage');
+const { getMappingProfiles } = require('../lib/mappings');
+const { getScanHistory, isMirrorEnabled } = require('../lib/history');
+const { getIdempotencyStore } = require('../lib/idempotency');
+const { getUsers, isAuthRequired } = require('../lib/auth');
+const { resolveDestination } = require('../lib/destinations');
 
-const psaService = new PSAService(process.env.PSA_API_KEY);
+function pricingStatus() {
+  try {
+    return getPriceProvider().getStatus();
+  } catch (error) {
+    return { configured: false, error: error.message };
+  }
+}
 
+/**
+ * Service status; the Google Sheets section describes the requested destination (?destination= or
+ * X-QuickSlab-Destination, else "default")
+ */
 exports.getStatus = async (req, res) => {
   try {
-    const psaStatus = psaService.getStatus();
-    const googleSheetsStatus = getSheets().getStatus();
+    const psaStatus = getPSA().getStatus();
+    const destination = resolveDestination(req);
+    const googleSheetsStatus = getSheets(destination).getStatus();
+    let storageStatus;
+    try {
+      storageStatus = getStorage(destination).getStatus();
+    } catch (e) {
+      storageStatus = { backend: getStorageBackend(), configured: false, error: e.message };
+    }
 
     let spreadsheetInfo = null;
     if (googleSheetsStatus.configured && googleSheetsStatus.spreadsheetId) {
       try {
-        const sheets = await ensureInitialized();
+        const sheets = await ensureInitialized(destination);
         spreadsheetInfo = await sheets.getSpreadsheetInfo();
       } catch (e) {
         // ignore metadata fetch errors in status
@@ -21,18 +46,28 @@ exports.getStatus = async (req, res) => {
     const enhancedGoogleSheetsStatus = {
       ...googleSheetsStatus,
       spreadsheetName: spreadsheetInfo?.title || null,
-      sheetNames: spreadsheetInfo?.sheets || null
+      sheetNames: spreadsheetInfo?.sheets || null,
+      destination: destination.name,
+      mappingProfile: destination.profile || getMappingProfiles().getActiveName(),
+      pool: getPoolStatus()
     };
 
     res.json({
       success: true,
       services: {
         psa: psaStatus,
-        googleSheets: enhancedGoogleSheetsStatus
+        graders: getGraders().getStatus(),
+        pricing: pricingStatus(),
+        googleSheets: enhancedGoogleSheetsStatus,
+        storage: storageStatus,
+        scanHistory: { ...getScanHistory().getStats(), mirror: isMirrorEnabled() },
+        idempotency: getIdempotencyStore().getStats(),
+        auth: { required: isAuthRequired(), accounts: getUsers().count() }
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
   }
 };
@@ -0,0 +1,84 @@
+const EventBus = require('../../services/eventBus');
+const { getWebhooks, getWebhookDispatcher } = require('../lib/webhooks');
+const { getScanContext } = require('../lib/history');
+
+/**
+ * Webhooks and the events they can subscribe to
+ * Returns: { success, events, webhooks }
+ */
+exports.listWebhooks = (req, res) => {
+  res.json({ success: true, events: EventBus.EVENT_TYPES, webhooks: getWebhooks().list() });
+};
+
+exports.getWebhook = (req, res) => {
+  const store = getWebhooks();
+  const webhook = store.get(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: store.toPublic(webhook) });
+};
+
+/**
+ * Adds a webhook
+ * - POST body: { url, events?: string[] (default ["*"]), secret? (generated when left out), description?, active? }
+ * Returns: { success, webhook } with the signing secret, which is only shown in this response
+ */
+exports.createWebhook = (req, res) => {
+  try {
+    const webhook = getWebhooks().create(req.body || {}, { user: getScanContext(req).user });
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+};
+
+exports.deleteWebhook = (req, res) => {
+  try {
+    if (!getWebhooks().delete(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Delivery log, newest first
+ * - GET /webhooks/deliveries?webhook=<id>&status=pending|delivered|failed&event=<type>&limit=50
+ * - GET /webhooks/:id/deliveries (same filters, for one webhook)
+ */
+exports.listDeliveries = (req, res) => {
+  const webhookId = req.params.id || req.query.webhook;
+  const store = getWebhooks();
+  if (req.params.id && !store.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  const deliveries = store.listDeliveries({
+    webhookId,
+    status: req.query.status,
+    event: req.query.event,
+    limit: req.query.limit
+  });
+  res.json({ success: true, count: deliveries.length, deliveries });
+};
+
+/**
+ * Sends a webhook.test event to one webhook (even a paused one) once, without retries
+ * Returns: { success, delivery } where success is whether the receiver answered 2xx
+ */
+exports.testWebhook = async (req, res) => {
+  try {
+    const webhook = getWebhooks().get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const event = EventBus.createEvent('webhook.test', { webhookId: webhook.id }, getScanContext(req));
+    const delivery = await getWebhookDispatcher().deliver(webhook, event, { retry: false });
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,117 @@
+const path = require('path');
+const AuditStore = require('../../services/auditStore');
+const { ensureStorageReady } = require('./storage');
+const { lookupCertResult } = require('./graders');
+const { runPool, getBatchConcurrency } = require('./concurrency');
+
+// Fields compared between the inventory row and the current PSA record
+const AUDIT_FIELDS = ['cardName', 'grade'];
+
+let auditsInstance = null;
+
+function getAudits() {
+  if (!auditsInstance) {
+    auditsInstance = new AuditStore({
+      filePath: process.env.AUDITS_PATH || path.join(__dirname, '..', '..', 'data', 'audits.json')
+    });
+  }
+  return auditsInstance;
+}
+
+// Grades compare numerically ("10" == "10.0"); everything else ignores case and spacing
+function sameValue(field, a, b) {
+  const norm = (s) => (s ?? '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  if (field === 'grade') {
+    const an = parseFloat(a);
+    const bn = parseFloat(b);
+    if (!Number.isNaN(an) && !Number.isNaN(bn)) return an === bn;
+  }
+  return norm(a) === norm(b);
+}
+
+/**
+ * Diffs an audit's scans against the inventory:
+ * - missingFromSheet: scanned certs with no inventory row
+ * - notScanned: inventory rows (not marked sold) whose slab was never scanned
+ * - mismatched: scanned rows whose name/grade no longer match PSA (when verify is on)
+ * @param {Object} audit - From AuditStore
+ * @param {Object} [options] - { destination?, profile?, verify?: boolean (default true) }
+ * @returns {Promise<Object>}
+ */
+async function buildAuditReport(audit, { destination, profile, verify = true } = {}) {
+  const storage = await ensureStorageReady(destination);
+  const cards = await storage.listCards({ profile });
+
+  const cardByCert = new Map();
+  cards.forEach(card => {
+    if (card.certNumber && !cardByCert.has(card.certNumber)) cardByCert.set(card.certNumber, card);
+  });
+  const scannedCerts = new Set(audit.scans.map(scan => scan.certNumber));
+
+  const missingFromSheet = [];
+  const mismatched = [];
+  const lookupErrors = [];
+  let matched = 0;
+
+  await runPool(audit.scans, verify ? getBatchConcurrency() : 1, async (scan) => {
+    const card = cardByCert.get(scan.certNumber);
+    // Cached lookups are free; PSA is only hit for certs not seen recently
+    const lookup = verify ? await lookupCertResult(scan.certNumber) : null;
+    if (lookup && !lookup.success) {
+      lookupErrors.push({ certNumber: scan.certNumber, error: lookup.error });
+    }
+
+    if (!card) {
+      const entry = { certNumber: scan.certNumber, count: scan.count, lastScannedAt: scan.lastScannedAt };
+      if (lookup && lookup.success) {
+        const expected = storage.expectedFieldValues(lookup.PSACert, { profile });
+        entry.psa = Object.fromEntries(AUDIT_FIELDS.map(field => [field, expected[field]]));
+      }
+      missingFromSheet.push(entry);
+      return;
+    }
+
+    if (lookup && !lookup.success) return; // can't confirm it; reported under lookupErrors
+    if (lookup) {
+      const expected = storage.expectedFieldValues(lookup.PSACert, { profile });
+      const differences = AUDIT_FIELDS
+        .filter(field => !sameValue(field, card[field], expected[field]))
+        .map(field => ({ field, sheet: card[field], psa: expected[field] }));
+      if (differences.length) {
+        mismatched.push({ certNumber: scan.certNumber, row: card.row, cardName: card.cardName, differences });
+        return;
+      }
+    }
+    matched++;
+  });
+
+  const notScanned = cards
+    .filter(card => !card.soldDate && !(card.certNumber && scannedCerts.has(card.certNumber)))
+    .map(card => ({ row: card.row, certNumber: card.certNumber, cardName: card.cardName, grade: card.grade }));
+
+  const byCert = (a, b) => a.certNumber.localeCompare(b.certNumber, undefined, { numeric: true });
+  missingFromSheet.sort(byCert);
+  lookupErrors.sort(byCert);
+  mismatched.sort((a, b) => a.row - b.row);
+
+  return {
+    audit: getAudits().summarize(audit),
+    generatedAt: new Date().toISOString(),
+    verified: verify,
+    totals: {
+      scanned: audit.scans.length,
+      inventory: cards.length,
+      matched,
+      missingFromSheet: missingFromSheet.length,
+      notScanned: notScanned.length,
+      mismatched: mismatched.length,
+      lookupErrors: lookupErrors.length
+    },
+    missingFromSheet,
+    notScanned,
+    mismatched,
+    lookupErrors
+  };
+}
+
+module.exports = { getAudits, buildAuditReport };
@@ -0,0 +1,78 @@
+const path = require('path');
+const UserStore = require('../../services/userStore');
+const logger = require('../../services/logger');
+
+const SESSION_COOKIE = 'quickslab_session';
+
+let usersInstance = null;
+
+function getUsers() {
+  if (!usersInstance) {
+    usersInstance = new UserStore({
+      filePath: process.env.USERS_PATH || path.join(__dirname, '..', '..', 'data', 'users.json'),
+      sessionTtlHours: Number(process.env.SESSION_TTL_HOURS) || undefined
+    });
+    seedAdmin(usersInstance);
+  }
+  return usersInstance;
+}
+
+// First run: ADMIN_USERNAME / ADMIN_PASSWORD create the initial admin when there are no accounts yet
+function seedAdmin(users) {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (users.count() || !username || !password) return;
+  try {
+    const admin = users.create({ username, password, role: 'admin' });
+    logger.info('Created admin account', { username: admin.username });
+  } catch (error) {
+    logger.error('Failed to create admin account', { error: error.message });
+  }
+}
+
+// AUTH_REQUIRED=false turns login off (e.g. a single-user local install); on by default
+function isAuthRequired() {
+  return !['0', 'false', 'off'].includes((process.env.AUTH_REQUIRED || '').trim().toLowerCase());
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq < 0) return;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (e) {
+      // ignore malformed cookie values
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Reads the caller's credentials: an `Authorization: Bearer` API token, or the session cookie
+ * @returns {Object} - { token?, sessionId? }
+ */
+function getRequestCredentials(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (match) return { token: match[1] };
+  const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  return sessionId ? { sessionId } : {};
+}
+
+/**
+ * Session cookie: HttpOnly so scripts can't read it, SameSite=Lax so other sites can't post with it
+ * @param {Object} req
+ * @param {string} value - Session id, or '' to clear
+ * @param {string} [expiresAt] - ISO date
+ * @returns {string} - Set-Cookie header value
+ */
+function sessionCookie(req, value, expiresAt) {
+  const parts = [`${SESSION_COOKIE}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (req.secure || req.get('X-Forwarded-Proto') === 'https') parts.push('Secure');
+  parts.push(value ? `Expires=${new Date(expiresAt).toUTCString()}` : 'Max-Age=0');
+  return parts.join('; ');
+}
+
+module.exports = { getUsers, isAuthRequired, getRequestCredentials, sessionCookie };
@@ -0,0 +1,28 @@
+const { getSettings } = require('./settings');
+
+/**
+ * Simple concurrency limiter without extra deps.
+ * Runs `worker(item, index)` over `items` with at most `limit` calls in flight.
+ * Pass `shouldStop` to stop pulling new items (e.g. when a job is cancelled).
+ */
+async function runPool(items, limit, worker, { shouldStop } = {}) {
+  let next = 0;
+
+  async function drain() {
+    while (next < items.length) {
+      if (shouldStop && shouldStop()) return;
+      const index = next++;
+      await worker(items[index], index);
+    }
+  }
+
+  const size = Math.max(1, Math.min(Number(limit) || 1, items.length || 1));
+  await Promise.all(Array.from({ length: size }, () => drain()));
+}
+
+// Read per batch, so a change in the settings applies to the next batch
+function getBatchConcurrency() {
+  return getSettings().get('batchConcurrency');
+}
+
+module.exports = { runPool, getBatchConcurrency };
@@ -0,0 +1,37 @@
+const path = require('path');
+const DestinationStore = require('../../services/destinationStore');
+const { getSettings } = require('./settings');
+
+let storeInstance = null;
+
+function getDestinations() {
+  if (!storeInstance) {
+    storeInstance = new DestinationStore({
+      filePath: process.env.DESTINATIONS_PATH || path.join(__dirname, '..', '..', 'data', 'destinations.json'),
+      getDefaults: () => {
+        const settings = getSettings();
+        return {
+          spreadsheetId: settings.get('spreadsheetId'),
+          sheetName: settings.get('sheetName'),
+          soldSheetName: settings.get('soldSheetName')
+        };
+      }
+    });
+  }
+  return storeInstance;
+}
+
+// Picks the destination named by ?destination= / body.destination / the X-QuickSlab-Destination header,
+// else `fallback` (e.g. the one an audit was started against), else "default"
+function resolveDestination(req, fallback) {
+  const store = getDestinations();
+  const name = (req.query?.destination || req.body?.destination || req.get?.('X-QuickSlab-Destination') || fallback || '')
+    .toString().trim();
+  const destination = store.get(name);
+  if (!destination) {
+    throw new Error(`Invalid destination: "${name}" not found`);
+  }
+  return destination;
+}
+
+module.exports = { getDestinations, resolveDestination };
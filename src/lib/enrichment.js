@@ -0,0 +1,18 @@
+const { withPopulation } = require('./graders');
+const { withPrice } = require('./pricing');
+const { withLocations } = require('./locations');
+
+/**
+ * Adds the extra data a write needs to cards about to be written: the population report and market price when
+ * the mapping profile asks for them, and always the slab's SKU and storage location
+ * @param {Array<Object>} cards - Processed card records
+ * @param {Object} profile - Mapping profile
+ * @param {Object} [options] - { location?, user? } (see withLocations in src/lib/locations.js)
+ * @returns {Promise<Object>} - { cards, settle }: pass the write to settle() so the locations of the rows it
+ *   wrote are saved
+ */
+async function enrichForProfile(cards, profile, options = {}) {
+  return withLocations(await withPrice(await withPopulation(cards, profile), profile), options);
+}
+
+module.exports = { enrichForProfile };
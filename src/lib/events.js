@@ -0,0 +1,73 @@
+const EventBus = require('../../services/eventBus');
+const { getScanContext } = require('./history');
+const { getWebhookDispatcher } = require('./webhooks');
+const logger = require('../../services/logger');
+
+let busInstance = null;
+
+// The bus every controller publishes to; webhooks are its first subscriber
+function getEventBus() {
+  if (!busInstance) {
+    busInstance = new EventBus();
+    busInstance.on('*', event => getWebhookDispatcher().dispatch(event));
+  }
+  return busInstance;
+}
+
+/**
+ * Publishes an event with the user and station of the request; never throws so a webhook problem can't
+ * break a scan or a sheet write
+ * @param {Object} req - Request the event came from
+ * @param {string} type - One of EventBus.EVENT_TYPES
+ * @param {Object} data
+ * @returns {Object|null} - The event
+ */
+function publishEvent(req, type, data) {
+  try {
+    return getEventBus().publish(type, data, getScanContext(req));
+  } catch (error) {
+    logger.error('Failed to publish event', { type, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Publishes card.scanned or lookup.failed for a lookup result
+ * @param {Object} req
+ * @param {string} certNumber
+ * @param {Object} result - { success, grader?, PSACert?, error? } as returned by lookupCertResult()
+ * @param {string} [source] - lookup | batch | job
+ */
+function publishLookup(req, certNumber, result, source = 'lookup') {
+  if (result.success) {
+    publishEvent(req, 'card.scanned', {
+      certNumber,
+      grader: result.grader || result.PSACert?.Grader || 'PSA',
+      source,
+      card: result.PSACert
+    });
+  } else {
+    publishEvent(req, 'lookup.failed', { certNumber, source, error: result.error });
+  }
+}
+
+/**
+ * Publishes card.added or card.updated for a sheet write (skipped duplicates and failures publish nothing)
+ * @param {Object} req
+ * @param {Object} card - The card as written (with Inventory)
+ * @param {Object} result - Per-card write result { success, action, row, previousValues? }
+ * @param {Object} destination
+ */
+function publishWrite(req, card, result, destination) {
+  if (!result?.success || !['inserted', 'updated'].includes(result.action)) return;
+  publishEvent(req, result.action === 'inserted' ? 'card.added' : 'card.updated', {
+    certNumber: (card.CertNumber || card.GoogleSheetsData?.CertNumber || '').toString(),
+    destination: destination.name,
+    row: result.row ?? null,
+    card,
+    inventory: card.Inventory || null,
+    ...(result.action === 'updated' ? { previousValues: result.previousValues || null } : {})
+  });
+}
+
+module.exports = { getEventBus, publishEvent, publishLookup, publishWrite };
@@ -0,0 +1,61 @@
+const { getJobs } = require('./jobs');
+const { getScanHistory } = require('./history');
+const { normalizeCertList } = require('./psa');
+const { lookupCertResult } = require('./graders');
+const { runPool, getBatchConcurrency } = require('./concurrency');
+
+// Upper bound for one export, so a wide history range can't build an unbounded file
+const MAX_EXPORT_ROWS = Number(process.env.EXPORT_MAX_ROWS) || 10000;
+
+function fromResult(certNumber, result) {
+  return {
+    certNumber,
+    status: result.success ? 'success' : 'error',
+    error: result.success ? null : result.error,
+    psa: result.success ? result.PSACert : null
+  };
+}
+
+/**
+ * Gathers the records to export from exactly one source
+ * @param {Object} filters
+ * @param {string} [filters.jobId] - A batch-lookup job (results recorded so far)
+ * @param {Array<string>} [filters.certs] - Certs to look up (served from the cert cache when possible)
+ * @param {Object} [filters.history] - Scan-history filters: { from, to, status, user, station, certNumber }
+ * @returns {Promise<Object>} - { source, records, truncated, job? }
+ */
+async function collectExportRecords(filters = {}) {
+  if (filters.jobId) {
+    const jobs = getJobs();
+    const job = jobs.get(filters.jobId);
+    if (!job) throw new Error(`Job "${filters.jobId}" not found`);
+    const records = jobs.getResults(job).map(result => fromResult(result.certNumber, result));
+    return { source: 'job', records, truncated: false, job: jobs.getProgress(job) };
+  }
+
+  if (filters.certs) {
+    const certs = normalizeCertList(filters.certs);
+    if (!certs.length) throw new Error('Invalid certs: list at least one cert number');
+    if (certs.length > MAX_EXPORT_ROWS) throw new Error(`Invalid certs: at most ${MAX_EXPORT_ROWS} per export`);
+    const unique = Array.from(new Set(certs));
+    const results = new Map();
+    await runPool(unique, getBatchConcurrency(), async (cert) => {
+      results.set(cert, await lookupCertResult(cert));
+    });
+    return { source: 'certs', records: certs.map(cert => fromResult(cert, results.get(cert))), truncated: false };
+  }
+
+  const { history, nextCursor } = getScanHistory().query({ ...filters.history, limit: MAX_EXPORT_ROWS });
+  const records = history.map(entry => ({
+    certNumber: entry.certNumber,
+    status: entry.status,
+    error: entry.error || null,
+    psa: entry.cardData || null,
+    scannedAt: entry.timestamp,
+    user: entry.user || null,
+    station: entry.station || null
+  }));
+  return { source: 'history', records, truncated: !!nextCursor };
+}
+
+module.exports = { collectExportRecords, MAX_EXPORT_ROWS };
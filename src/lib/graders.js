@@ -0,0 +1,112 @@
+const GraderRegistry = require('../../services/graders/graderRegistry');
+const BGSProvider = require('../../services/graders/bgsProvider');
+const CGCProvider = require('../../services/graders/cgcProvider');
+const SGCProvider = require('../../services/graders/sgcProvider');
+const PSAScheduler = require('../../services/psaScheduler');
+const { getPSA, getCertCache } = require('./psa');
+const { runPool, getBatchConcurrency } = require('./concurrency');
+const { observeGraderRequest } = require('./metrics');
+const logger = require('../../services/logger');
+
+let gradersInstance = null;
+
+// BGS, CGC and SGC are each configured by <NAME>_API_URL (and optional <NAME>_API_KEY / <NAME>_RATE_PER_MINUTE)
+function httpProvider(Provider, name) {
+  return () => new Provider({
+    baseUrl: process.env[`${name}_API_URL`],
+    apiKey: process.env[`${name}_API_KEY`],
+    cache: getCertCache(),
+    scheduler: new PSAScheduler({ perMinute: process.env[`${name}_RATE_PER_MINUTE`] }),
+    onRequest: observeGraderRequest
+  });
+}
+
+function getGraders() {
+  if (!gradersInstance) {
+    gradersInstance = new GraderRegistry({
+      providers: {
+        PSA: () => getPSA(),
+        BGS: httpProvider(BGSProvider, 'BGS'),
+        CGC: httpProvider(CGCProvider, 'CGC'),
+        SGC: httpProvider(SGCProvider, 'SGC')
+      },
+      defaultGrader: process.env.DEFAULT_GRADER
+    });
+  }
+  return gradersInstance;
+}
+
+// Accepts ?grader=bgs (or the same in a JSON body) for certs typed without a prefix
+function getRequestedGrader(req) {
+  return (req.query?.grader || req.body?.grader || '').toString().trim() || undefined;
+}
+
+/**
+ * Looks up one cert with whichever grader it belongs to
+ * @param {string} input - Cert number, prefixed cert ("BGS 0012345678") or slab QR payload
+ * @param {Object} [options] - { grader?, fresh? }
+ * @returns {Promise<Object>} - { grader, certNumber, data }; throws on lookup errors
+ */
+async function lookupCert(input, options = {}) {
+  const { grader, certNumber, provider } = getGraders().resolve(input, options.grader);
+  const data = await provider.getCertificateData(certNumber, options);
+  return { grader, certNumber, data };
+}
+
+/**
+ * Population report for one cert's card (PSA only)
+ * @param {string} input - As for lookupCert()
+ * @param {Object} [options] - { grader?, fresh? }
+ * @returns {Promise<Object>} - { grader, certNumber, population }
+ */
+async function lookupPopulation(input, options = {}) {
+  const { grader, certNumber, provider } = getGraders().resolve(input, options.grader);
+  return { grader, certNumber, population: await provider.getPopulation(certNumber, options) };
+}
+
+/**
+ * Front and back slab photos for one cert (PSA only)
+ * @param {string} input - As for lookupCert()
+ * @param {Object} [options] - { grader?, fresh? }
+ * @returns {Promise<Object>} - { grader, certNumber, images }
+ */
+async function lookupImages(input, options = {}) {
+  const { grader, certNumber, provider } = getGraders().resolve(input, options.grader);
+  return { grader, certNumber, images: await provider.getImages(certNumber, options) };
+}
+
+/**
+ * For profiles with `population: true`, adds each PSA card's population report as `Population` so columns can
+ * use {Population.higher}, {Population.atGrade} or {Population.total}. A card whose report can't be fetched is
+ * written without it.
+ * @param {Array<Object>} cards - Processed card records about to be written
+ * @param {Object} profile - Mapping profile
+ * @returns {Promise<Array<Object>>}
+ */
+async function withPopulation(cards, profile) {
+  if (!profile?.population) return cards;
+  const enriched = cards.slice();
+  await runPool(cards, getBatchConcurrency(), async (card, index) => {
+    if (!card?.CertNumber || (card.Grader && card.Grader !== 'PSA')) return;
+    try {
+      const { grades, ...population } = await getPSA().getPopulation(card.CertNumber.toString());
+      enriched[index] = { ...card, Population: population };
+    } catch (error) {
+      logger.warn('Population skipped', { certNumber: card.CertNumber, error: error.message });
+    }
+  });
+  return enriched;
+}
+
+// Looks up one cert and folds any error into a per-item result (used by batch lookups and jobs).
+// The card record stays under `PSACert` whichever grader it came from, for existing clients.
+async function lookupCertResult(input, options = {}) {
+  try {
+    const { grader, data } = await lookupCert(input, options);
+    return { success: true, grader, PSACert: data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { getGraders, getRequestedGrader, lookupCert, lookupCertResult, lookupPopulation, lookupImages, withPopulation };
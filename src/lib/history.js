@@ -0,0 +1,70 @@
+const path = require('path');
+const ScanHistoryStore = require('../../services/scanHistoryStore');
+const { ensureStorageReady } = require('./storage');
+const { isAuthRequired } = require('./auth');
+const { resolveDestination } = require('./destinations');
+const { getSettings } = require('./settings');
+const logger = require('../../services/logger');
+
+let historyInstance = null;
+
+function getScanHistory() {
+  if (!historyInstance) {
+    historyInstance = new ScanHistoryStore({
+      filePath: process.env.SCAN_HISTORY_PATH || path.join(__dirname, '..', '..', 'data', 'scan-history.jsonl'),
+      maxEntries: Number(process.env.SCAN_HISTORY_MAX_ENTRIES) || undefined
+    });
+  }
+  return historyInstance;
+}
+
+// Who scanned and where: the signed-in user, and the X-QuickSlab-Station header (or ?station=).
+// The X-QuickSlab-User header (or ?user=) is only trusted when login is turned off.
+function getScanContext(req) {
+  const pick = (header, param) => (req.get?.(header) || req.query?.[param] || '').toString().trim().slice(0, 64) || null;
+  return {
+    user: req.user ? req.user.username : isAuthRequired() ? null : pick('X-QuickSlab-User', 'user'),
+    station: pick('X-QuickSlab-Station', 'station')
+  };
+}
+
+// The scanHistoryMirror setting (SCAN_HISTORY_MIRROR=1) also appends each scan to the inventory backend's history
+// (the "Scan History" tab on Sheets)
+function isMirrorEnabled() {
+  return getSettings().get('scanHistoryMirror');
+}
+
+/**
+ * Records a lookup result; never throws so history problems can't break a lookup
+ * @param {Object} req - Request the lookup came from (for user/station)
+ * @param {string} certNumber
+ * @param {Object} result - { success, PSACert?, error? } as returned by lookupCertResult()
+ * @param {string} [source] - lookup | batch | job | client
+ * @returns {Object|null} - The stored entry
+ */
+function recordScan(req, certNumber, result, source = 'lookup') {
+  try {
+    const entry = getScanHistory().record({
+      certNumber,
+      status: result.success ? 'success' : 'error',
+      cardData: result.success ? result.PSACert : null,
+      error: result.success ? null : result.error,
+      source,
+      ...getScanContext(req)
+    });
+
+    if (isMirrorEnabled()) {
+      // Mirrored into the history tab of the destination the scan was made for
+      Promise.resolve()
+        .then(() => ensureStorageReady(resolveDestination(req)))
+        .then(storage => storage.saveScanHistory(entry.certNumber, entry.cardData || null, entry.status, entry.timestamp, entry.user))
+        .catch(error => logger.warn('Scan history mirror skipped', { error: error.message }));
+    }
+    return entry;
+  } catch (error) {
+    logger.error('Failed to record scan', { certNumber, error: error.message });
+    return null;
+  }
+}
+
+module.exports = { getScanHistory, getScanContext, recordScan, isMirrorEnabled };
@@ -0,0 +1,16 @@
+const path = require('path');
+const IdempotencyStore = require('../../services/idempotencyStore');
+
+let idempotencyInstance = null;
+
+function getIdempotencyStore() {
+  if (!idempotencyInstance) {
+    idempotencyInstance = new IdempotencyStore({
+      filePath: process.env.IDEMPOTENCY_PATH || path.join(__dirname, '..', '..', 'data', 'idempotency.json'),
+      ttlHours: Number(process.env.IDEMPOTENCY_TTL_HOURS) || undefined
+    });
+  }
+  return idempotencyInstance;
+}
+
+module.exports = { getIdempotencyStore };
@@ -0,0 +1,73 @@
+const { getJobs } = require('./jobs');
+const { lookupCertResult } = require('./graders');
+const { runPool, getBatchConcurrency } = require('./concurrency');
+const { parseImport, rowValues, enrichRows } = require('../../services/importer');
+
+const MAX_IMPORT_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 10000;
+
+/**
+ * Parses an upload and starts an "import" job that looks up each distinct cert once.
+ * The parsed table stays on the job, so the enriched file can be built or written once the job is done.
+ * @param {Buffer} buffer - CSV or XLSX bytes
+ * @param {Object} [options] - { filename?, certColumn?, fresh? }
+ * @returns {Object} - The job
+ */
+function startImport(buffer, options = {}) {
+  const table = parseImport(buffer, { certColumn: options.certColumn, maxRows: MAX_IMPORT_ROWS });
+  const certs = Array.from(new Set(table.certs.filter(Boolean)));
+  if (!certs.length) {
+    throw new Error(`Invalid import: no cert numbers found in column "${table.certColumn.header}"`);
+  }
+
+  const job = getJobs().create('import', certs, async (job, handleResult) => {
+    await runPool(job.items, getBatchConcurrency(), async (cert, index) => {
+      handleResult(index, { certNumber: cert, ...(await lookupCertResult(cert, { fresh: options.fresh })) });
+    }, { shouldStop: () => job.cancelled });
+  });
+  job.import = { filename: options.filename || null, ...table };
+  return job;
+}
+
+/**
+ * @param {string} id - Job id
+ * @returns {Object|null} - The import job, or null if unknown (or not an import)
+ */
+function getImport(id) {
+  const job = getJobs().get(id);
+  return job && job.type === 'import' ? job : null;
+}
+
+function getLookupResults(job) {
+  return new Map(job.results.filter(Boolean).map(result => [result.certNumber, result]));
+}
+
+/**
+ * @param {Object} job - From getImport()
+ * @returns {Object} - { header, rows } with the PSA columns appended
+ */
+function buildEnrichedTable(job) {
+  return enrichRows(job.import, getLookupResults(job));
+}
+
+/**
+ * The PSA records to write for each found row, with the upload's own values under `Import`
+ * so a mapping profile can carry them over (e.g. "{Import.Price Paid}")
+ * @param {Object} job - From getImport()
+ * @returns {Object} - { cards: Object[], skipped: Array<{ row, certNumber, error }> } (row is 1-based, data rows only)
+ */
+function buildImportCards(job) {
+  const results = getLookupResults(job);
+  const cards = [];
+  const skipped = [];
+  job.import.certs.forEach((cert, r) => {
+    const result = cert ? results.get(cert) : null;
+    if (result?.success) {
+      cards.push({ ...result.PSACert, Import: rowValues(job.import, r) });
+    } else {
+      skipped.push({ row: r + 1, certNumber: cert, error: !cert ? 'No cert number' : result ? result.error : 'Not looked up' });
+    }
+  });
+  return { cards, skipped };
+}
+
+module.exports = { startImport, getImport, buildEnrichedTable, buildImportCards, MAX_IMPORT_ROWS };
@@ -0,0 +1,14 @@
+const JobManager = require('../../services/jobManager');
+
+let jobsInstance = null;
+
+function getJobs() {
+  if (!jobsInstance) {
+    jobsInstance = new JobManager({
+      ttlMs: Number(process.env.JOB_TTL_MINUTES || 60) * 60 * 1000
+    });
+  }
+  return jobsInstance;
+}
+
+module.exports = { getJobs };
@@ -0,0 +1,107 @@
+const path = require('path');
+const LocationStore = require('../../services/locationStore');
+const { getSettings } = require('./settings');
+
+const { parseLocation, formatLocation, advanceSlot } = LocationStore;
+
+let storeInstance = null;
+
+function getLocations() {
+  if (!storeInstance) {
+    storeInstance = new LocationStore({
+      filePath: process.env.LOCATIONS_PATH || path.join(__dirname, '..', '..', 'data', 'locations.json'),
+      getSkuPattern: () => getSettings().get('skuPattern'),
+      getSequenceStart: () => getSettings().get('skuSequenceStart')
+    });
+  }
+  return storeInstance;
+}
+
+/**
+ * SKU and location as the record carries them for mapping templates ({Inventory.sku}, {Inventory.location}, ...)
+ * @param {Object} slab - From the location store
+ * @returns {Object} - { sku, location, case, box, row, slot }
+ */
+function inventoryFields(slab) {
+  const location = slab.location || {};
+  return {
+    sku: slab.sku || '',
+    location: formatLocation(slab.location),
+    ...Object.fromEntries(LocationStore.LOCATION_PARTS.map(part => [part, location[part] || '']))
+  };
+}
+
+/**
+ * Gives cards about to be written to inventory their SKU and location, as `Inventory`. Nothing is saved yet:
+ * run the write through `settle`, which keeps the slabs whose row was inserted or updated and releases the
+ * rest, so a refused duplicate doesn't move its slab and a failed row doesn't use up a SKU.
+ * @param {Array<Object>} cards - Processed card records
+ * @param {Object} [options]
+ * @param {Object|string} [options.location] - Where the cards go; with a numeric slot, each card takes the next slot
+ * @param {string} [options.user]
+ * @returns {Object} - { cards, settle(write: Promise<Object>) => Promise<Object> } where write resolves to an
+ *   addCardData() result or an addCardsData() result ({ results }, in card order)
+ */
+function withLocations(cards, options = {}) {
+  const start = parseLocation(options.location);
+  const items = [];
+  const placed = cards.map(card => {
+    const certNumber = card?.GoogleSheetsData?.CertNumber || card?.CertNumber;
+    if (!certNumber) return null;
+    items.push({
+      certNumber,
+      grader: card.Grader || 'PSA',
+      record: card,
+      location: start ? advanceSlot(start, items.length) : null
+    });
+    return items.length - 1;
+  });
+  const store = getLocations();
+  const reservations = store.reserve(items);
+
+  const settle = async (write) => {
+    let result;
+    try {
+      result = await write;
+    } catch (error) {
+      store.confirm(reservations, [], { user: options.user });
+      throw error;
+    }
+    const results = Array.isArray(result?.results) ? result.results : [result];
+    const written = new Array(reservations.length).fill(false);
+    placed.forEach((index, i) => {
+      const r = results[i];
+      if (index !== null && r?.success !== false && (r?.action === 'inserted' || r?.action === 'updated')) {
+        written[index] = true;
+      }
+    });
+    store.confirm(reservations, written, { user: options.user });
+    return result;
+  };
+
+  return {
+    cards: cards.map((card, i) => (placed[i] === null ? card : { ...card, Inventory: inventoryFields(reservations[placed[i]]) })),
+    settle
+  };
+}
+
+/**
+ * Fills in SKU and location of inventory cards from the location store, for sheets without those columns
+ * (a value in the sheet wins)
+ * @param {Array<Object>} cards - Canonical card records from listCards()
+ * @returns {Array<Object>}
+ */
+function attachLocations(cards) {
+  const store = getLocations();
+  return cards.map(card => {
+    const slab = store.get(card.certNumber);
+    if (!slab) return card;
+    return {
+      ...card,
+      sku: card.sku || slab.sku || '',
+      location: card.location || formatLocation(slab.location)
+    };
+  });
+}
+
+module.exports = { getLocations, inventoryFields, withLocations, attachLocations };
@@ -0,0 +1,27 @@
+const path = require('path');
+const MappingProfileStore = require('../../services/mappingProfileStore');
+
+let storeInstance = null;
+
+function getMappingProfiles() {
+  if (!storeInstance) {
+    storeInstance = new MappingProfileStore({
+      filePath: process.env.MAPPING_PROFILES_PATH || path.join(__dirname, '..', '..', 'data', 'mapping-profiles.json')
+    });
+  }
+  return storeInstance;
+}
+
+// Picks the profile named by ?profile= / body.profile, else the destination's profile, else the active one
+function resolveProfile(req, destination) {
+  const store = getMappingProfiles();
+  const name = req.query?.profile || req.body?.profile || destination?.profile;
+  if (!name) return store.getActive();
+  const profile = store.get(name);
+  if (!profile) {
+    throw new Error(`Invalid mapping profile: "${name}" not found`);
+  }
+  return profile;
+}
+
+module.exports = { getMappingProfiles, resolveProfile };
@@ -0,0 +1,145 @@
+const MetricsRegistry = require('../../services/metrics');
+
+let registryInstance = null;
+let metrics = null;
+
+// Batch sizes: one slab up to a full import
+const BATCH_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000];
+
+function getMetricsRegistry() {
+  if (!registryInstance) {
+    const registry = new MetricsRegistry();
+    metrics = {
+      httpRequests: registry.counter('quickslab_http_requests_total', 'API requests by route and response status', {
+        labelNames: ['method', 'route', 'status']
+      }),
+      httpDuration: registry.histogram('quickslab_http_request_duration_seconds', 'API response time', {
+        labelNames: ['method', 'route']
+      }),
+      graderRequests: registry.counter('quickslab_grader_requests_total',
+        'Calls to the grader APIs (PSA, BGS, CGC, SGC) by outcome: the HTTP status, "timeout" or "network"', {
+          labelNames: ['grader', 'status']
+        }),
+      graderDuration: registry.histogram('quickslab_grader_request_duration_seconds', 'Grader API latency, per attempt', {
+        labelNames: ['grader']
+      }),
+      sheetsCalls: registry.counter('quickslab_sheets_calls_total', 'Google Sheets API calls by method and outcome (ok or error)', {
+        labelNames: ['method', 'outcome']
+      }),
+      sheetsQuotaErrors: registry.counter('quickslab_sheets_quota_errors_total', 'Google Sheets calls refused for quota or rate limits', {
+        labelNames: ['method']
+      }),
+      sheetsDuration: registry.histogram('quickslab_sheets_call_duration_seconds', 'Google Sheets API latency', {
+        labelNames: ['method']
+      }),
+      batchSize: registry.histogram('quickslab_batch_size', 'Certs per batch lookup, lookup job, bulk sheet write or import write', {
+        labelNames: ['kind'],
+        buckets: BATCH_BUCKETS
+      })
+    };
+
+    // Read from the services that already keep these counters, at scrape time. psa.js reports into this module,
+    // so it is required here rather than at the top
+    const { getCertCache, getLookupCache } = require('./psa');
+    registry.counter('quickslab_cert_cache_lookups_total', 'Cert cache lookups by result', {
+      labelNames: ['result'],
+      collect: () => {
+        const stats = getCertCache().getStats();
+        return [{ labels: { result: 'hit' }, value: stats.hits }, { labels: { result: 'miss' }, value: stats.misses }];
+      }
+    });
+    registry.gauge('quickslab_cert_cache_hit_ratio', 'Share of cert cache lookups served from the cache since start', {
+      collect: () => [{ value: getCertCache().getStats().hitRate }]
+    });
+    registry.gauge('quickslab_cert_cache_entries', 'Entries in the cert cache', {
+      collect: () => [{ value: getCertCache().getStats().entries }]
+    });
+    registry.counter('quickslab_lookup_cache_lookups_total', 'Population, image and price cache lookups by result', {
+      labelNames: ['result'],
+      collect: () => {
+        const stats = getLookupCache().getStats();
+        return [{ labels: { result: 'hit' }, value: stats.hits }, { labels: { result: 'miss' }, value: stats.misses }];
+      }
+    });
+    registry.gauge('quickslab_lookup_cache_entries', 'Entries in the population, image and price cache', {
+      collect: () => [{ value: getLookupCache().getStats().entries }]
+    });
+    registry.gauge('quickslab_psa_daily_remaining', 'PSA calls left in the local daily budget (absent without PSA_DAILY_LIMIT)', {
+      collect: () => {
+        const remaining = psaRateLimit()?.dailyRemaining;
+        return remaining === null || remaining === undefined ? [] : [{ value: remaining }];
+      }
+    });
+    registry.counter('quickslab_psa_retries_total', 'PSA calls retried after a 429 or 5xx', {
+      collect: () => {
+        const status = psaRateLimit();
+        return status ? [{ value: status.retries }] : [];
+      }
+    });
+    registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+      collect: () => [{ value: process.memoryUsage().rss }]
+    });
+    registry.gauge('process_uptime_seconds', 'Seconds since the server started', {
+      collect: () => [{ value: Math.round(process.uptime()) }]
+    });
+    registryInstance = registry;
+  }
+  return registryInstance;
+}
+
+function getAppMetrics() {
+  getMetricsRegistry();
+  return metrics;
+}
+
+// Without a PSA_API_KEY there is no PSA service (and no rate limit to report)
+function psaRateLimit() {
+  try {
+    return require('./psa').getPSA().getStatus().rateLimit;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} method
+ * @param {string} route - The matched route pattern (e.g. /api/cert/:certNumber), never the raw path
+ * @param {number} status
+ * @param {number} seconds
+ */
+function observeHttpRequest(method, route, status, seconds) {
+  const m = getAppMetrics();
+  m.httpRequests.inc({ method, route, status });
+  m.httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * Hook for GraderProvider's onRequest
+ * @param {Object} call - { grader, status, durationMs }
+ */
+function observeGraderRequest({ grader, status, durationMs }) {
+  const m = getAppMetrics();
+  m.graderRequests.inc({ grader, status });
+  m.graderDuration.observe({ grader }, durationMs / 1000);
+}
+
+/**
+ * Hook for GoogleSheetsService's onCall
+ * @param {Object} call - { method, durationMs, error?, quota? }
+ */
+function observeSheetsCall({ method, durationMs, error, quota }) {
+  const m = getAppMetrics();
+  m.sheetsCalls.inc({ method, outcome: error ? 'error' : 'ok' });
+  if (quota) m.sheetsQuotaErrors.inc({ method });
+  m.sheetsDuration.observe({ method }, durationMs / 1000);
+}
+
+/**
+ * @param {string} kind - lookup | job | sheets | import
+ * @param {number} size
+ */
+function observeBatchSize(kind, size) {
+  getAppMetrics().batchSize.observe({ kind }, size);
+}
+
+module.exports = { getMetricsRegistry, observeHttpRequest, observeGraderRequest, observeSheetsCall, observeBatchSize };
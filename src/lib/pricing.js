@@ -0,0 +1,96 @@
+const path = require('path');
+const PriceProvider = require('../../services/pricing/priceProvider');
+const CompsCsvProvider = require('../../services/pricing/compsCsvProvider');
+const HttpPriceProvider = require('../../services/pricing/httpPriceProvider');
+const { getLookupCache } = require('./psa');
+const { lookupCert } = require('./graders');
+const { runPool, getBatchConcurrency } = require('./concurrency');
+const logger = require('../../services/logger');
+
+let providerInstance = null;
+
+const PRICE_TTL_MS = Number(process.env.PRICE_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+// PRICE_PROVIDER=csv|http picks the source; with it unset, a PRICE_API_URL means http, else the comps CSV
+function getPriceProvider() {
+  if (!providerInstance) {
+    const kind = (process.env.PRICE_PROVIDER || (process.env.PRICE_API_URL ? 'http' : 'csv')).toLowerCase();
+    const currency = process.env.PRICE_CURRENCY;
+    if (kind === 'http') {
+      providerInstance = new HttpPriceProvider({
+        baseUrl: process.env.PRICE_API_URL,
+        apiKey: process.env.PRICE_API_KEY,
+        timeoutMs: Number(process.env.PRICE_API_TIMEOUT_SECONDS || 10) * 1000,
+        currency
+      });
+    } else if (kind === 'csv') {
+      providerInstance = new CompsCsvProvider({
+        filePath: process.env.PRICE_COMPS_CSV_PATH || path.join(__dirname, '..', '..', 'data', 'comps.csv'),
+        maxComps: process.env.PRICE_COMPS_MAX,
+        currency
+      });
+    } else {
+      throw new Error(`Invalid PRICE_PROVIDER "${kind}": use csv or http`);
+    }
+  }
+  return providerInstance;
+}
+
+/**
+ * Prices a processed card record, through the lookup cache (entries keyed "price:<grader>:<cert>")
+ * @param {Object} record - A lookup record (PSACert)
+ * @param {Object} [options] - { fresh? }
+ * @returns {Promise<Object|null>} - The estimate, or null when the source has no price for the card
+ */
+async function priceCard(record, options = {}) {
+  const cache = getLookupCache();
+  const key = `price:${record.Grader || 'PSA'}:${record.CertNumber}`;
+  if (!options.fresh) {
+    const cached = cache.get(key);
+    if (cached) return cached;
+  }
+  const estimate = await getPriceProvider().getPrice(PriceProvider.queryFromCard(record));
+  if (!estimate) return null;
+  const entry = { ...estimate, pricedAt: new Date().toISOString() };
+  cache.set(key, entry, PRICE_TTL_MS);
+  return entry;
+}
+
+/**
+ * Looks up a cert and prices it
+ * @param {string} input - Cert number, prefixed cert or slab QR payload
+ * @param {Object} [options] - { grader?, fresh? } (fresh reprices; the cert itself still comes from the cache)
+ * @returns {Promise<Object>} - { grader, certNumber, price }; throws "Price not found" when there is no estimate
+ */
+async function lookupPrice(input, options = {}) {
+  const { grader, certNumber, data } = await lookupCert(input, { grader: options.grader });
+  const price = await priceCard(data, options);
+  if (!price) {
+    throw new Error(`Price not found: no comps for ${data.Subject || 'this card'} at ${data.Grader} ${data.NumericGrade || 'this grade'}`);
+  }
+  return { grader, certNumber, price };
+}
+
+/**
+ * For profiles with `price: true`, adds each card's estimate as `Price` so columns can use {Price.price},
+ * {Price.low} or {Price.high}. A card without a price is written without it.
+ * @param {Array<Object>} cards - Processed card records about to be written
+ * @param {Object} profile - Mapping profile
+ * @returns {Promise<Array<Object>>}
+ */
+async function withPrice(cards, profile) {
+  if (!profile?.price) return cards;
+  const enriched = cards.slice();
+  await runPool(cards, getBatchConcurrency(), async (card, index) => {
+    if (!card?.CertNumber) return;
+    try {
+      const price = await priceCard(card);
+      if (price) enriched[index] = { ...card, Price: price };
+    } catch (error) {
+      logger.warn('Price skipped', { certNumber: card.CertNumber, error: error.message });
+    }
+  });
+  return enriched;
+}
+
+module.exports = { getPriceProvider, priceCard, lookupPrice, withPrice };
@@ -0,0 +1,71 @@
+const path = require('path');
+const PSAService = require('../../services/psaService');
+const CertCache = require('../../services/certCache');
+const PSAScheduler = require('../../services/psaScheduler');
+const { observeGraderRequest } = require('./metrics');
+
+let psaInstance = null;
+let cacheInstance = null;
+let lookupCacheInstance = null;
+
+// Keys of the entries that live in the lookup cache; older cert cache files may still hold some
+const LOOKUP_KEY_PATTERN = /^(pop|images|price):/;
+
+// One cert cache for every grader; non-PSA entries are keyed "BGS:<cert>" etc.
+function getCertCache() {
+  if (!cacheInstance) {
+    cacheInstance = new CertCache({
+      filePath: process.env.CERT_CACHE_PATH || path.join(__dirname, '..', '..', 'data', 'cert-cache.json'),
+      ttlMs: Number(process.env.CERT_CACHE_TTL_HOURS || 24 * 30) * 60 * 60 * 1000
+    });
+    cacheInstance.keys().filter(key => LOOKUP_KEY_PATTERN.test(key)).forEach(key => cacheInstance.delete(key));
+  }
+  return cacheInstance;
+}
+
+// Population reports ("pop:<SpecID>"), slab images ("images:<cert>") and price estimates ("price:<grader>:<cert>"),
+// kept apart from the cert cache so its hit rate and size only count cert lookups. Each entry sets its own TTL.
+function getLookupCache() {
+  if (!lookupCacheInstance) {
+    lookupCacheInstance = new CertCache({
+      filePath: process.env.LOOKUP_CACHE_PATH || path.join(__dirname, '..', '..', 'data', 'lookup-cache.json'),
+      ttlMs: Number(process.env.CERT_CACHE_TTL_HOURS || 24 * 30) * 60 * 60 * 1000
+    });
+  }
+  return lookupCacheInstance;
+}
+
+function getPSA() {
+  if (!psaInstance) {
+    const cache = getCertCache();
+    const scheduler = new PSAScheduler({
+      perMinute: process.env.PSA_RATE_PER_MINUTE,
+      dailyLimit: process.env.PSA_DAILY_LIMIT,
+      maxConcurrent: process.env.PSA_MAX_CONCURRENT,
+      maxRetries: process.env.PSA_MAX_RETRIES
+    });
+    psaInstance = new PSAService(process.env.PSA_API_KEY, {
+      cache,
+      lookupCache: getLookupCache(),
+      scheduler,
+      baseUrl: process.env.PSA_API_URL,
+      popBaseUrl: process.env.PSA_POP_API_URL,
+      popTtlMs: Number(process.env.PSA_POP_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000,
+      onRequest: observeGraderRequest
+    });
+  }
+  return psaInstance;
+}
+
+// Accepts ?fresh=1 / ?fresh=true (or the same in a JSON body) to bypass the cert cache
+function isFreshRequested(req) {
+  const value = req.query?.fresh ?? req.body?.fresh;
+  return value === true || value === '1' || value === 'true';
+}
+
+// Normalizes a cert list to trimmed strings, preserving order and duplicates
+function normalizeCertList(certNumbers) {
+  return (certNumbers || []).map(c => c?.toString().trim()).filter(Boolean);
+}
+
+module.exports = { getPSA, getCertCache, getLookupCache, isFreshRequested, normalizeCertList };
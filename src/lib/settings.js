@@ -0,0 +1,53 @@
+const path = require('path');
+const SettingsStore = require('../../services/settingsStore');
+const GoogleSheetsService = require('../../services/googleSheetsService');
+
+let settingsInstance = null;
+
+function getSettings() {
+  if (!settingsInstance) {
+    settingsInstance = new SettingsStore({
+      filePath: process.env.SETTINGS_PATH || path.join(__dirname, '..', '..', 'data', 'settings.json')
+    });
+  }
+  return settingsInstance;
+}
+
+/**
+ * Opens a spreadsheet with the service account and checks that the tab exists
+ * @param {Object} target - { spreadsheetId, sheetName? }
+ * @returns {Promise<Object>} - { title, sheets: tab names }
+ */
+async function verifySpreadsheetTab({ spreadsheetId, sheetName }) {
+  const probe = new GoogleSheetsService({ spreadsheetId, serviceAccountKeyPath: process.env.GOOGLE_SERVICE_ACCOUNT_KEY });
+  let info;
+  try {
+    await probe.initialize();
+    info = await probe.getSpreadsheetInfo();
+  } catch (error) {
+    throw new Error(`Invalid spreadsheetId: ${error.message}`);
+  }
+  if (sheetName && !info.sheets.includes(sheetName)) {
+    throw new Error(`Invalid sheetName: "${info.title}" has no tab "${sheetName}" (tabs: ${info.sheets.join(', ')})`);
+  }
+  return info;
+}
+
+/**
+ * Validates and saves a settings change; takes effect on the next request.
+ * A new spreadsheet or tab is opened first, so the app is never pointed at a sheet it can't write to.
+ * @param {Object} changes - { setting: value }, null resets a setting to its env var / default
+ * @returns {Promise<Object>} - { values, sources } after the change
+ */
+async function updateSettings(changes) {
+  const store = getSettings();
+  const normalized = store.validate(changes);
+  if ('spreadsheetId' in normalized || 'sheetName' in normalized) {
+    const next = store.preview(normalized);
+    await verifySpreadsheetTab({ spreadsheetId: next.spreadsheetId, sheetName: next.sheetName });
+  }
+  store.save(normalized);
+  return store.getAll();
+}
+
+module.exports = { getSettings, updateSettings, verifySpreadsheetTab };
@@ -1,24 +1,49 @@
 const GoogleSheetsService = require('../../services/googleSheetsService');
+const { getDestinations } = require('./destinations');
+const { observeSheetsCall } = require('./metrics');
 
-let sheetsInstance = null;
+// One initialized service per destination, so requests for different consignors never share a spreadsheet
+const pool = new Map(); // destination name -> { key, service }
 
-function getSheets() {
-  if (!sheetsInstance) {
-    sheetsInstance = new GoogleSheetsService({
-      spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID,
-      sheetName: process.env.GOOGLE_SHEET_NAME || 'Input Sheet',
-      serviceAccountKeyPath: process.env.GOOGLE_SERVICE_ACCOUNT_KEY
-    });
+/**
+ * @param {Object} [destination] - From the destination store; defaults to the "default" destination
+ * @returns {GoogleSheetsService}
+ */
+function getSheets(destination = getDestinations().get()) {
+  // A destination that was edited gets a fresh service (and a fresh sheet id cache)
+  const key = [destination.spreadsheetId, destination.sheetName, destination.soldSheetName].join('\n');
+  let entry = pool.get(destination.name);
+  if (!entry || entry.key !== key) {
+    entry = {
+      key,
+      service: new GoogleSheetsService({
+        spreadsheetId: destination.spreadsheetId,
+        sheetName: destination.sheetName,
+        soldSheetName: destination.soldSheetName,
+        serviceAccountKeyPath: process.env.GOOGLE_SERVICE_ACCOUNT_KEY,
+        onCall: observeSheetsCall
+      })
+    };
+    pool.set(destination.name, entry);
   }
-  return sheetsInstance;
+  return entry.service;
 }
 
-async function ensureInitialized() {
-  const svc = getSheets();
+async function ensureInitialized(destination) {
+  const svc = getSheets(destination);
   if (!svc.getStatus().initialized) {
     await svc.initialize();
   }
   return svc;
 }
 
-module.exports = { getSheets, ensureInitialized };
+// Drops a deleted destination's service
+function releaseSheets(name) {
+  pool.delete(name);
+}
+
+function getPoolStatus() {
+  return [...pool.entries()].map(([name, entry]) => ({ destination: name, initialized: entry.service.getStatus().initialized }));
+}
+
+module.exports = { getSheets, ensureInitialized, releaseSheets, getPoolStatus };
@@ -0,0 +1,49 @@
+const path = require('path');
+const { getSheets } = require('./sheets');
+const JsonFileStorage = require('../../services/storage/jsonFileStorage');
+const CsvFileStorage = require('../../services/storage/csvFileStorage');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+let storageInstance = null;
+
+// INVENTORY_STORAGE picks where scanned cards go: sheets (default), json or csv
+function getStorageBackend() {
+  return (process.env.INVENTORY_STORAGE || 'sheets').trim().toLowerCase();
+}
+
+/**
+ * @param {Object} [destination] - Spreadsheet target for the sheets backend (local backends have a single inventory)
+ */
+function getStorage(destination) {
+  const backend = getStorageBackend();
+  if (backend === 'sheets') {
+    return getSheets(destination);
+  }
+  if (!storageInstance) {
+    if (backend === 'json') {
+      storageInstance = new JsonFileStorage({
+        filePath: process.env.INVENTORY_JSON_PATH || path.join(DATA_DIR, 'inventory.json')
+      });
+    } else if (backend === 'csv') {
+      storageInstance = new CsvFileStorage({
+        filePath: process.env.INVENTORY_CSV_PATH || path.join(DATA_DIR, 'inventory.csv'),
+        historyPath: process.env.SCAN_HISTORY_CSV_PATH || path.join(DATA_DIR, 'scan-history.csv'),
+        soldPath: process.env.SOLD_CSV_PATH || path.join(DATA_DIR, 'sold.csv')
+      });
+    } else {
+      throw new Error(`Unknown INVENTORY_STORAGE backend "${backend}". Use sheets, json or csv.`);
+    }
+  }
+  return storageInstance;
+}
+
+async function ensureStorageReady(destination) {
+  const storage = getStorage(destination);
+  if (!storage.getStatus().initialized) {
+    await storage.initialize();
+  }
+  return storage;
+}
+
+module.exports = { getStorage, getStorageBackend, ensureStorageReady };
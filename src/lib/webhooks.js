@@ -0,0 +1,30 @@
+const path = require('path');
+const WebhookStore = require('../../services/webhookStore');
+const WebhookDispatcher = require('../../services/webhookDispatcher');
+
+let storeInstance = null;
+let dispatcherInstance = null;
+
+function getWebhooks() {
+  if (!storeInstance) {
+    storeInstance = new WebhookStore({
+      filePath: process.env.WEBHOOKS_PATH || path.join(__dirname, '..', '..', 'data', 'webhooks.json'),
+      maxDeliveries: Number(process.env.WEBHOOK_DELIVERY_LOG_MAX) || undefined
+    });
+  }
+  return storeInstance;
+}
+
+function getWebhookDispatcher() {
+  if (!dispatcherInstance) {
+    dispatcherInstance = new WebhookDispatcher({
+      store: getWebhooks(),
+      maxRetries: process.env.WEBHOOK_MAX_RETRIES,
+      baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 2) * 1000,
+      timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000
+    });
+  }
+  return dispatcherInstance;
+}
+
+module.exports = { getWebhooks, getWebhookDispatcher };
@@ -0,0 +1,47 @@
+const { getUsers, isAuthRequired, getRequestCredentials } = require('../lib/auth');
+
+/**
+ * Attaches the signed-in user (from an API token or the session cookie) as req.user.
+ * Never rejects; routes that need a login use requireRole().
+ */
+exports.authenticate = (req, res, next) => {
+  req.user = null;
+  const { token, sessionId } = getRequestCredentials(req);
+  const users = getUsers();
+  const user = token ? users.getTokenUser(token) : sessionId ? users.getSessionUser(sessionId) : null;
+  if (user) {
+    req.user = { id: user.id, username: user.username, role: user.role };
+    req.authMethod = token ? 'token' : 'session';
+  }
+  next();
+};
+
+/**
+ * Allows the request only for users with at least `role` (viewer < scanner < admin).
+ * With AUTH_REQUIRED=false every request is allowed.
+ * @param {string} role
+ */
+exports.requireRole = (role) => (req, res, next) => {
+  if (!isAuthRequired()) return next();
+  if (!req.user) {
+    const error = getUsers().count()
+      ? 'Authentication required'
+      : 'Authentication required: no accounts exist yet. Set ADMIN_USERNAME and ADMIN_PASSWORD and restart.';
+    return res.status(401).json({ success: false, error });
+  }
+  if (!getUsers().hasRole(req.user.role, role)) {
+    return res.status(403).json({ success: false, error: `Access denied: requires the ${role} role` });
+  }
+  next();
+};
+
+/**
+ * For per-account endpoints (own password, API tokens) that need an actual signed-in user,
+ * even when AUTH_REQUIRED=false
+ */
+exports.requireSignedIn = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  next();
+};
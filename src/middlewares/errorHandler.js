@@ -1,5 +1,6 @@
+const logger = require('../../services/logger');
+
 exports.errorHandler = (err, req, res, next) => {
-  // eslint-disable-next-line no-console
-  console.error('Unhandled error:', err);
-  res.status(500).json({ success: false, error: 'Internal server error', message: err.message });
+  logger.error('Unhandled error', { method: req.method, path: req.originalUrl, error: err });
+  res.status(500).json({ success: false, error: 'Internal server error', message: err.message, requestId: req.id });
 };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { getIdempotencyStore } = require('../lib/idempotency');
+const logger = require('../../services/logger');
+
+// Requests currently running per key, so a retry that races the original waits for it instead of running twice
+const inFlight = new Map();
+
+/**
+ * Honors an Idempotency-Key header: the first response for a key is saved and replayed for retries
+ * (with Idempotent-Replayed: true). Requests without the header pass straight through.
+ * 5xx responses are not saved, so a retry after a server failure runs again.
+ */
+exports.idempotent = (req, res, next) => {
+  const key = (req.get('Idempotency-Key') || '').trim();
+  if (!key) return next();
+  if (key.length > 128) {
+    return res.status(400).json({ success: false, error: 'Invalid Idempotency-Key: use at most 128 characters' });
+  }
+
+  // Keys are per user, so one account can never be handed another's saved response
+  const scope = `${req.user ? req.user.id : 'anonymous'} ${req.method} ${req.baseUrl}${req.path}`;
+  const id = `${scope} ${key}`;
+  const pending = inFlight.get(id);
+  if (pending) {
+    pending.then(() => exports.idempotent(req, res, next));
+    return;
+  }
+
+  const store = getIdempotencyStore();
+  // Everything that picks what the request does is part of it: method, path (e.g. which import), query options,
+  // the destination header (the same key sent to another sheet) and the body
+  const fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify([
+      req.method,
+      `${req.baseUrl}${req.path}`,
+      req.query ?? {},
+      req.get('X-QuickSlab-Destination') || null,
+      req.body ?? null
+    ]))
+    .digest('hex');
+  const saved = store.get(scope, key);
+  if (saved) {
+    if (saved.fingerprint !== fingerprint) {
+      return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(saved.status).json(saved.body);
+  }
+
+  let done;
+  inFlight.set(id, new Promise(resolve => { done = resolve; }));
+  res.on('close', () => {
+    inFlight.delete(id);
+    done();
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      try {
+        store.save(scope, key, { fingerprint, status: res.statusCode, body });
+      } catch (error) {
+        logger.error('Failed to save idempotent response', { error: error.message });
+      }
+    }
+    return json(body);
+  };
+  next();
+};
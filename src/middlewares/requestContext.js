@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const logger = require('../../services/logger');
+const { observeHttpRequest } = require('../lib/metrics');
+
+/**
+ * Gives each request an id (the caller's X-Request-Id when it sends a sane one) that is echoed back in the
+ * X-Request-Id response header and carried by every log line written while handling it. When the response
+ * is sent, one access log line is written and the request is counted in /metrics.
+ */
+exports.requestContext = (req, res, next) => {
+  const incoming = (req.get('X-Request-Id') || '').trim();
+  const requestId = /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const started = process.hrtime.bigint();
+  const baseUrl = req.baseUrl;
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    // The route pattern, not the path, so certs and ids don't each become a metric series
+    const route = req.route ? `${baseUrl}${req.route.path}` : 'unmatched';
+    observeHttpRequest(req.method, route, res.statusCode, durationMs / 1000);
+
+    const fields = {
+      method: req.method,
+      path: `${baseUrl}${req.path}`,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      user: req.user ? req.user.username : undefined,
+      station: req.get('X-QuickSlab-Station') || undefined
+    };
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger.runWithContext({ requestId }, () => logger.log(level, 'Request completed', fields));
+  });
+
+  logger.runWithContext({ requestId }, next);
+};
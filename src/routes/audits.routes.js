@@ -0,0 +1,25 @@
+const { Router } = require('express');
+const {
+  createAudit,
+  listAudits,
+  getAudit,
+  addScans,
+  removeScan,
+  closeAudit,
+  deleteAudit,
+  getReport
+} = require('../controllers/audits.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.post('/audits', requireRole('scanner'), createAudit);
+router.get('/audits', requireRole('viewer'), listAudits);
+router.get('/audits/:id', requireRole('viewer'), getAudit);
+router.delete('/audits/:id', requireRole('admin'), deleteAudit);
+router.post('/audits/:id/scans', requireRole('scanner'), addScans);
+router.delete('/audits/:id/scans/:certNumber', requireRole('scanner'), removeScan);
+router.post('/audits/:id/close', requireRole('scanner'), closeAudit);
+router.get('/audits/:id/report', requireRole('viewer'), getReport);
+
+module.exports = router;
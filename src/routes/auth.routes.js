@@ -0,0 +1,31 @@
+const { Router } = require('express');
+const {
+  login,
+  logout,
+  getCurrentUser,
+  changePassword,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  listTokens,
+  createToken,
+  revokeToken
+} = require('../controllers/auth.controller');
+const { requireRole, requireSignedIn } = require('../middlewares/auth');
+
+const router = Router();
+
+router.post('/auth/login', login);
+router.post('/auth/logout', logout);
+router.get('/auth/me', getCurrentUser);
+router.post('/auth/password', requireSignedIn, changePassword);
+router.get('/auth/tokens', requireSignedIn, listTokens);
+router.post('/auth/tokens', requireSignedIn, createToken);
+router.delete('/auth/tokens/:id', requireSignedIn, revokeToken);
+router.get('/users', requireRole('admin'), listUsers);
+router.post('/users', requireRole('admin'), createUser);
+router.patch('/users/:id', requireRole('admin'), updateUser);
+router.delete('/users/:id', requireRole('admin'), deleteUser);
+
+module.exports = router;
@@ -1,10 +1,16 @@
 const { Router } = require('express');
-const { getCertificate, batchGetCertificates } = require('../controllers/cert.controller');
+const { getCertificate, getPopulation, getImages, getPrice, batchGetCertificates, getCardSchema } = require('../controllers/cert.controller');
+const { idempotent } = require('../middlewares/idempotency');
+const { requireRole } = require('../middlewares/auth');
 
 const router = Router();
 
-router.get('/cert/:certNumber', getCertificate);
-router.post('/certs/lookup', batchGetCertificates);
-router.get('/certs', batchGetCertificates);
+router.get('/cert/:certNumber', requireRole('scanner'), getCertificate);
+router.get('/cert/:certNumber/pop', requireRole('scanner'), getPopulation);
+router.get('/cert/:certNumber/images', requireRole('scanner'), getImages);
+router.get('/cert/:certNumber/price', requireRole('scanner'), getPrice);
+router.post('/certs/lookup', requireRole('scanner'), idempotent, batchGetCertificates);
+router.get('/certs', requireRole('scanner'), batchGetCertificates);
+router.get('/card-schema', requireRole('viewer'), getCardSchema);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const { Router } = require('express');
+const {
+  listDestinations,
+  getDestination,
+  saveDestination,
+  deleteDestination
+} = require('../controllers/destinations.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/destinations', requireRole('viewer'), listDestinations);
+router.get('/destinations/:name', requireRole('viewer'), getDestination);
+router.put('/destinations/:name', requireRole('admin'), saveDestination);
+router.delete('/destinations/:name', requireRole('admin'), deleteDestination);
+
+module.exports = router;
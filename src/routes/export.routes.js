@@ -0,0 +1,9 @@
+const { Router } = require('express');
+const { exportScans } = require('../controllers/export.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/export', requireRole('viewer'), exportScans);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const { Router } = require('express');
+const {
+  saveScanHistory,
+  loadScanHistory
+} = require('../controllers/history.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.post('/scan-history', requireRole('scanner'), saveScanHistory);
+router.get('/scan-history', requireRole('viewer'), loadScanHistory);
+
+module.exports = router;
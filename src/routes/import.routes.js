@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  uploadImport,
+  downloadImport,
+  writeImport
+} = require('../controllers/import.controller');
+const { idempotent } = require('../middlewares/idempotency');
+const { requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// The file is the request body, whatever content type the client sends
+const rawUpload = express.raw({ type: () => true, limit: process.env.IMPORT_MAX_BYTES || '10mb' });
+
+router.post('/import', requireRole('scanner'), rawUpload, uploadImport);
+router.get('/import/:id/download', requireRole('viewer'), downloadImport);
+router.post('/import/:id/write', requireRole('scanner'), idempotent, writeImport);
+
+module.exports = router;
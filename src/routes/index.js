@@ -2,11 +2,41 @@ const { Router } = require('express');
 const certRoutes = require('./cert.routes');
 const sheetsRoutes = require('./sheets.routes');
 const statusRoutes = require('./status.routes');
+const jobsRoutes = require('./jobs.routes');
+const mappingRoutes = require('./mapping.routes');
+const inventoryRoutes = require('./inventory.routes');
+const auditsRoutes = require('./audits.routes');
+const historyRoutes = require('./history.routes');
+const destinationsRoutes = require('./destinations.routes');
+const settingsRoutes = require('./settings.routes');
+const exportRoutes = require('./export.routes');
+const importRoutes = require('./import.routes');
+const labelsRoutes = require('./labels.routes');
+const locationsRoutes = require('./locations.routes');
+const webhooksRoutes = require('./webhooks.routes');
+const authRoutes = require('./auth.routes');
+const { authenticate } = require('../middlewares/auth');
 
 const router = Router();
 
+// Who is calling; each route then checks the role it needs
+router.use(authenticate);
+router.use(authRoutes);
+
 router.use(certRoutes);
 router.use(sheetsRoutes);
 router.use(statusRoutes);
+router.use(jobsRoutes);
+router.use(mappingRoutes);
+router.use(inventoryRoutes);
+router.use(auditsRoutes);
+router.use(historyRoutes);
+router.use(destinationsRoutes);
+router.use(settingsRoutes);
+router.use(exportRoutes);
+router.use(importRoutes);
+router.use(labelsRoutes);
+router.use(locationsRoutes);
+router.use(webhooksRoutes);
 
 module.exports = router;
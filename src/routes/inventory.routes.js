@@ -0,0 +1,19 @@
+const { Router } = require('express');
+const {
+  listInventory,
+  getInventoryCard,
+  removeFromInventory,
+  markSold,
+  moveCard
+} = require('../controllers/inventory.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/inventory', requireRole('viewer'), listInventory);
+router.get('/inventory/:certNumber', requireRole('viewer'), getInventoryCard);
+router.delete('/inventory/:certNumber', requireRole('scanner'), removeFromInventory);
+router.post('/inventory/:certNumber/sold', requireRole('scanner'), markSold);
+router.post('/inventory/:certNumber/move', requireRole('scanner'), moveCard);
+
+module.exports = router;
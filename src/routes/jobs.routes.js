@@ -0,0 +1,18 @@
+const { Router } = require('express');
+const {
+  createLookupJob,
+  getJob,
+  cancelJob,
+  streamJobEvents
+} = require('../controllers/jobs.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.post('/jobs/lookup', requireRole('scanner'), createLookupJob);
+router.get('/jobs/:id', requireRole('viewer'), getJob);
+router.get('/jobs/:id/events', requireRole('viewer'), streamJobEvents);
+router.post('/jobs/:id/cancel', requireRole('scanner'), cancelJob);
+router.delete('/jobs/:id', requireRole('scanner'), cancelJob);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const { Router } = require('express');
+const { listTemplates, createLabels } = require('../controllers/labels.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/labels/templates', requireRole('viewer'), listTemplates);
+router.post('/labels', requireRole('scanner'), createLabels);
+
+module.exports = router;
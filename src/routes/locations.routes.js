@@ -0,0 +1,10 @@
+const { Router } = require('express');
+const { listLocations, getLocation } = require('../controllers/locations.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/locations', requireRole('viewer'), listLocations);
+router.get('/locations/:certNumber', requireRole('viewer'), getLocation);
+
+module.exports = router;
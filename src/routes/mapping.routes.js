@@ -0,0 +1,19 @@
+const { Router } = require('express');
+const {
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  activateProfile
+} = require('../controllers/mapping.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/mapping-profiles', requireRole('viewer'), listProfiles);
+router.get('/mapping-profiles/:name', requireRole('viewer'), getProfile);
+router.put('/mapping-profiles/:name', requireRole('admin'), saveProfile);
+router.delete('/mapping-profiles/:name', requireRole('admin'), deleteProfile);
+router.post('/mapping-profiles/:name/activate', requireRole('admin'), activateProfile);
+
+module.exports = router;
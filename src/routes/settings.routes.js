@@ -0,0 +1,15 @@
+const { Router } = require('express');
+const {
+  getSettings,
+  updateSettings,
+  listSheetTabs
+} = require('../controllers/settings.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/settings', requireRole('viewer'), getSettings);
+router.put('/settings', requireRole('admin'), updateSettings);
+router.get('/settings/sheet-tabs', requireRole('admin'), listSheetTabs);
+
+module.exports = router;
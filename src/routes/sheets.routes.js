@@ -1,16 +1,14 @@
 const { Router } = require('express');
 const {
   addToSheets,
-  updateSpreadsheetConfig,
-  saveScanHistory,
-  loadScanHistory
+  addManyToSheets
 } = require('../controllers/sheets.controller');
+const { idempotent } = require('../middlewares/idempotency');
+const { requireRole } = require('../middlewares/auth');
 
 const router = Router();
 
-router.post('/add-to-sheets', addToSheets);
-router.get('/update-spreadsheet-config', updateSpreadsheetConfig);
-router.post('/scan-history', saveScanHistory);
-router.get('/scan-history', loadScanHistory);
+router.post('/add-to-sheets', requireRole('scanner'), idempotent, addToSheets);
+router.post('/add-to-sheets/bulk', requireRole('scanner'), idempotent, addManyToSheets);
 
 module.exports = router;
@@ -1,8 +1,9 @@
 const { Router } = require('express');
 const { getStatus } = require('../controllers/status.controller');
+const { requireRole } = require('../middlewares/auth');
 
 const router = Router();
 
-router.get('/status', getStatus);
+router.get('/status', requireRole('viewer'), getStatus);
 
 module.exports = router;
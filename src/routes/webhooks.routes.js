@@ -0,0 +1,22 @@
+const { Router } = require('express');
+const {
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  deleteWebhook,
+  listDeliveries,
+  testWebhook
+} = require('../controllers/webhooks.controller');
+const { requireRole } = require('../middlewares/auth');
+
+const router = Router();
+
+router.get('/webhooks', requireRole('admin'), listWebhooks);
+router.post('/webhooks', requireRole('admin'), createWebhook);
+router.get('/webhooks/deliveries', requireRole('admin'), listDeliveries);
+router.get('/webhooks/:id', requireRole('admin'), getWebhook);
+router.delete('/webhooks/:id', requireRole('admin'), deleteWebhook);
+router.get('/webhooks/:id/deliveries', requireRole('admin'), listDeliveries);
+router.post('/webhooks/:id/test', requireRole('admin'), testWebhook);
+
+module.exports = router;
@@ -1,9 +1,8 @@
 const app = require('./app');
+const logger = require('../services/logger');
 
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
-  console.log('🚀 PSA Card Scanner - Inventory System');
-  console.log('='.repeat(50));
-  console.log(`📡 Server running on http://localhost:${PORT}`);
+  logger.info('PSA Card Scanner - Inventory System started', { port: Number(PORT), url: `http://localhost:${PORT}` });
 });
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const { ensureStorageReady } = require('../src/lib/storage');
+const PSAService = require('../services/psaService');
+const AuditStore = require('../services/auditStore');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+
+test.after(() => app.close());
+
+test('the report splits scans into matched, missing from the sheet and not scanned', async () => {
+  const storage = await ensureStorageReady();
+  await storage.addCardData(record('gem-mt-10'));
+  await storage.addCardData(record('half-grade'));
+
+  const created = await app.request('POST', '/api/audits', { body: { name: 'Show case' } });
+  assert.equal(created.status, 201);
+  const { id } = created.body.audit;
+
+  const scans = await app.request('POST', `/api/audits/${id}/scans`, { body: { certNumbers: ['48917521', '99999999', '48917521'] } });
+  assert.deepEqual(scans.body.added, ['48917521', '99999999']);
+  assert.deepEqual(scans.body.repeated, ['48917521']);
+  assert.equal((await app.request('POST', `/api/audits/${id}/scans`, { body: { certNumber: 'abc' } })).status, 400);
+
+  const { body } = await app.request('GET', `/api/audits/${id}/report?verify=0`);
+  assert.equal(body.report.totals.matched, 1);
+  assert.deepEqual(body.report.missingFromSheet.map(entry => entry.certNumber), ['99999999']);
+  assert.deepEqual(body.report.notScanned.map(entry => entry.certNumber), ['73625104']);
+
+  await app.request('POST', `/api/audits/${id}/close`);
+  assert.equal((await app.request('POST', `/api/audits/${id}/scans`, { body: { certNumber: '1' } })).status, 400);
+});
+
+test('audit ids that name Object members are unknown audits', async () => {
+  for (const id of ['__proto__', 'constructor', 'toString']) {
+    assert.equal((await app.request('GET', `/api/audits/${id}`)).status, 404, id);
+    assert.equal((await app.request('GET', `/api/audits/${id}/report`)).status, 404, id);
+    assert.equal((await app.request('POST', `/api/audits/${id}/scans`, { body: { certNumber: '1' } })).status, 404, id);
+    assert.equal((await app.request('DELETE', `/api/audits/${id}`)).status, 404, id);
+  }
+
+  const store = new AuditStore({ filePath: path.join(app.dir, 'other-audits.json') });
+  assert.equal(store.get('constructor'), null);
+  assert.equal(store.delete('__proto__'), false);
+});
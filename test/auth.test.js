@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quickslab-auth-'));
+Object.assign(process.env, {
+  USERS_PATH: path.join(tmpDir, 'users.json'),
+  ADMIN_USERNAME: 'owner',
+  ADMIN_PASSWORD: 'owner-password',
+  TRUST_PROXY: '1',
+  LOG_LEVEL: 'error'
+});
+delete process.env.AUTH_REQUIRED;
+
+const app = require('../src/app');
+const { getUsers } = require('../src/lib/auth');
+const UserStore = require('../services/userStore');
+
+const server = app.listen(0);
+const baseUrl = () => `http://localhost:${server.address().port}/api`;
+test.before(() => new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve)));
+test.after(() => server.close());
+
+async function call(method, url, { body, cookie, ip } = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (cookie) headers.cookie = cookie;
+  if (ip) headers['x-forwarded-for'] = ip;
+  const res = await fetch(`${baseUrl()}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json(), cookie: (res.headers.get('set-cookie') || '').split(';')[0] };
+}
+
+const login = (username, password, ip) => call('POST', '/auth/login', { body: { username, password }, ip });
+
+test('requireRole: signed-out callers get 401, lower roles 403', async () => {
+  getUsers().create({ username: 'viewer1', password: 'viewer-password', role: 'viewer' });
+  assert.equal((await call('GET', '/users')).status, 401);
+
+  const { cookie } = await login('viewer1', 'viewer-password', '10.0.0.1');
+  assert.equal((await call('GET', '/users', { cookie })).status, 403);
+  assert.equal((await call('GET', '/auth/me', { cookie })).body.user.role, 'viewer');
+
+  const admin = await login('owner', 'owner-password', '10.0.0.1');
+  assert.equal((await call('GET', '/users', { cookie: admin.cookie })).status, 200);
+});
+
+test('failed sign-ins are throttled per username and client address', async () => {
+  getUsers().create({ username: 'alice', password: 'alice-password', role: 'scanner' });
+  getUsers().create({ username: 'bob', password: 'bob-password', role: 'scanner' });
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await login('alice', 'wrong-password', '203.0.113.5')).status, 401);
+  }
+  assert.equal((await login('alice', 'alice-password', '203.0.113.5')).status, 429);
+  assert.equal((await login('bob', 'bob-password', '203.0.113.5')).status, 200, 'other users at that address still sign in');
+  assert.equal((await login('alice', 'alice-password', '198.51.100.7')).status, 200, 'other addresses still sign in');
+});
+
+test('changing the password without a new one answers 400 and keeps the old password', async () => {
+  getUsers().create({ username: 'carol', password: 'carol-password', role: 'scanner' });
+  const { cookie } = await login('carol', 'carol-password', '10.0.0.2');
+
+  const missing = await call('POST', '/auth/password', { cookie, body: { currentPassword: 'carol-password' } });
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /Invalid password/);
+  const short = await call('POST', '/auth/password', { cookie, body: { currentPassword: 'carol-password', newPassword: 'short' } });
+  assert.equal(short.status, 400);
+  assert.equal((await call('GET', '/auth/me', { cookie })).body.user.username, 'carol', 'the session is kept');
+
+  const changed = await call('POST', '/auth/password', { cookie, body: { currentPassword: 'carol-password', newPassword: 'carol-password-2' } });
+  assert.equal(changed.status, 200);
+  assert.equal((await login('carol', 'carol-password-2', '10.0.0.2')).status, 200);
+});
+
+test('user ids that name Object members are unknown users', async () => {
+  const admin = await login('owner', 'owner-password', '10.0.0.3');
+  for (const id of ['__proto__', 'constructor', 'toString']) {
+    const res = await call('PATCH', `/users/${id}`, { cookie: admin.cookie, body: { role: 'admin' } });
+    assert.equal(res.status, 404, id);
+    assert.equal((await call('DELETE', `/users/${id}`, { cookie: admin.cookie })).status, 404, id);
+  }
+  assert.equal(Object.prototype.role, undefined);
+
+  const store = new UserStore({ filePath: path.join(tmpDir, 'other-users.json') });
+  assert.equal(store.update('__proto__', { role: 'admin' }), null);
+  assert.equal(store.getSessionUser('missing'), null);
+  assert.equal(Object.prototype.role, undefined);
+});
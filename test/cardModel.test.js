@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseGrade, normalizeCard, CARD_SCHEMA_VERSION } = require('../services/cardModel');
+const PSAService = require('../services/psaService');
+
+// GetByCertNumber responses, as the PSA public API returns them
+const fixture = (name) => require(path.join(__dirname, 'fixtures', 'psa', `${name}.json`));
+const psa = new PSAService('test-key');
+const lookup = (name) => psa.processCertificateData(fixture(name));
+
+test('gem mint 10: whole grade, no qualifier, population and label', () => {
+  const record = lookup('gem-mt-10');
+  assert.deepEqual(record.Card.grade, {
+    numeric: 10,
+    label: 'GEM MT',
+    description: 'GEM MT 10',
+    qualifier: null,
+    qualifierName: null,
+    authentic: false,
+    halfGrade: false
+  });
+  assert.equal(record.Card.schemaVersion, CARD_SCHEMA_VERSION);
+  assert.equal(record.Card.year, '1999');
+  assert.equal(record.Card.set, 'POKEMON GAME');
+  assert.equal(record.Card.variety, '1ST EDITION');
+  assert.equal(record.Card.labelType, 'LighthouseLabel');
+  assert.deepEqual(record.Card.population, { total: 121, withQualifier: 0, higher: 0 });
+  assert.equal(record.NumericGrade, '10');
+  assert.equal(record.GoogleSheetsData.Grade, '10');
+});
+
+test('half grades keep their half', () => {
+  const high = lookup('half-grade');
+  assert.equal(high.Card.grade.numeric, 8.5);
+  assert.equal(high.Card.grade.label, 'NM-MT+');
+  assert.equal(high.Card.grade.halfGrade, true);
+  assert.equal(high.NumericGrade, '8.5');
+
+  const low = lookup('half-grade-low');
+  assert.equal(low.Card.grade.numeric, 1.5);
+  assert.equal(low.Card.grade.label, 'FR');
+  assert.equal(low.Card.grade.halfGrade, true);
+});
+
+test('a qualifier printed only in GradeDescription is kept', () => {
+  const record = lookup('qualifier-in-description');
+  assert.equal(record.Card.grade.numeric, 9);
+  assert.equal(record.Card.grade.qualifier, 'OC');
+  assert.equal(record.Card.grade.qualifierName, 'Off Center');
+  assert.equal(record.Card.grade.label, 'MINT');
+  assert.equal(record.GradeQualifier, 'OC');
+  assert.equal(record.GoogleSheetsData.Qualifier, 'OC');
+  assert.deepEqual(record.Card.population, { total: 9830, withQualifier: 412, higher: 318 });
+});
+
+test('a qualifier right after the number is read', () => {
+  const record = lookup('qualifier-after-grade');
+  assert.equal(record.Card.grade.numeric, 4);
+  assert.equal(record.Card.grade.qualifier, 'MK');
+  assert.equal(record.Card.grade.label, 'VG-EX');
+});
+
+test('authentic-only slabs with an autograph grade and a DNA label', () => {
+  const record = lookup('authentic-autograph');
+  assert.equal(record.Card.grade.numeric, null);
+  assert.equal(record.Card.grade.authentic, true);
+  assert.equal(record.Card.grade.qualifier, null);
+  assert.deepEqual(record.Card.autographGrade, { numeric: 10, label: 'GEM MT', description: 'GEM MT 10' });
+  assert.equal(record.Card.isDna, true);
+  assert.equal(record.Card.isDualCert, true);
+  assert.equal(record.NumericGrade, '');
+  assert.equal(record.GoogleSheetsData.Grade, 'AUTHENTIC');
+  assert.equal(record.GoogleSheetsData.AutographGrade, '10');
+});
+
+test('authentic altered is authentic without a grade; population counts with separators parse', () => {
+  const record = lookup('authentic-altered');
+  assert.equal(record.Card.grade.authentic, true);
+  assert.equal(record.Card.grade.numeric, null);
+  assert.equal(record.Card.grade.label, 'AUTHENTIC ALTERED');
+  assert.deepEqual(record.Card.population, { total: 1204, withQualifier: null, higher: null });
+});
+
+test('words that contain a qualifier code are not qualifiers', () => {
+  const record = lookup('evidence-of-trimming');
+  assert.equal(record.Card.grade.qualifier, null);
+  assert.equal(record.Card.grade.numeric, null);
+  assert.equal(record.Card.grade.authentic, false);
+  assert.equal(record.Card.grade.label, 'EVIDENCE OF TRIMMING');
+  assert.equal(record.Card.population, null);
+  assert.equal(record.GradeQualifier, '');
+});
+
+test('parseGrade: qualifiers only in parentheses or after the number', () => {
+  const cases = [
+    ['EVIDENCE OF TRIMMING', { numeric: null, qualifier: null, label: 'EVIDENCE OF TRIMMING' }],
+    ['MINT 9 (OC)', { numeric: 9, qualifier: 'OC', label: 'MINT' }],
+    ['EX-MT 6 ( mk )', { numeric: 6, qualifier: 'MK', label: 'EX-MT' }],
+    ['NM-MT 8 ST', { numeric: 8, qualifier: 'ST', label: 'NM-MT' }],
+    ['NM-MT 8PD', { numeric: 8, qualifier: 'PD', label: 'NM-MT' }],
+    ['MINT 9 STAINING', { numeric: 9, qualifier: null, label: 'MINT STAINING' }],
+    ['OC NM 7', { numeric: 7, qualifier: null, label: 'OC NM' }],
+    ['9.5 Gem Mint', { numeric: 9.5, qualifier: null, label: 'Gem Mint' }],
+    ['10.0', { numeric: 10, qualifier: null, label: '' }],
+    ['AUTH', { numeric: null, qualifier: null, label: 'AUTH' }],
+    ['', { numeric: null, qualifier: null, label: '' }]
+  ];
+  cases.forEach(([text, expected]) => {
+    const grade = parseGrade(text);
+    assert.deepEqual({ numeric: grade.numeric, qualifier: grade.qualifier, label: grade.label }, expected, text);
+  });
+});
+
+test('normalizeCard reads BGS sub-grades', () => {
+  const card = normalizeCard('BGS', {
+    CertNumber: '0012345678',
+    Subject: 'Charizard',
+    CardGrade: '9.5 Gem Mint',
+    Subgrades: { Centering: '9.5', Corners: '9.5', Edges: '10', Surface: '9' }
+  });
+  assert.deepEqual(card.subgrades, { centering: 9.5, corners: 9.5, edges: 10, surface: 9 });
+  assert.equal(card.grade.numeric, 9.5);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+const { startStub } = require('./helpers/stubServer');
+
+const app = startApp();
+const CertCache = require('../services/certCache');
+const PSAService = require('../services/psaService');
+
+const fixture = (name) => require(`./fixtures/psa/${name}.json`);
+const tmpFile = (name) => path.join(fs.mkdtempSync(path.join(app.dir, 'cache-')), name);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// PSA cert API stand-in: answers any cert with the gem mint fixture, relabelled
+let psaStub;
+test.before(async () => {
+  psaStub = await startStub((req, url) => {
+    const cert = url.pathname.match(/\/GetByCertNumber\/(\d+)$/)?.[1];
+    if (!cert) return { status: 404 };
+    const body = structuredClone(fixture('gem-mt-10'));
+    body.PSACert.CertNumber = cert;
+    return { body };
+  });
+  process.env.PSA_API_KEY = 'test-key';
+  process.env.PSA_API_URL = `${psaStub.url}/publicapi/cert`;
+});
+test.after(async () => {
+  await app.close();
+  await psaStub.close();
+});
+
+test('hits, misses and per-entry TTLs', async () => {
+  const cache = new CertCache({ filePath: tmpFile('cert-cache.json'), ttlMs: 60000 });
+  assert.equal(cache.get('1'), undefined);
+  cache.set('1', { a: 1 });
+  cache.set('2', { b: 2 }, 1);
+  assert.deepEqual(cache.get('1'), { a: 1 });
+  await sleep(5);
+  assert.equal(cache.get('2'), undefined, 'an entry past its own TTL is a miss');
+  assert.equal(cache.getStats().entries, 1);
+  assert.deepEqual([cache.getStats().hits, cache.getStats().misses, cache.getStats().hitRate], [1, 2, 0.333]);
+});
+
+test('writes are debounced and survive a restart; expired entries are dropped on load', async () => {
+  const filePath = tmpFile('cert-cache.json');
+  const cache = new CertCache({ filePath, flushDelayMs: 10 });
+  cache.set('12345678', { PSACert: { CertNumber: '12345678' } });
+  cache.set('87654321', { PSACert: { CertNumber: '87654321' } }, 1);
+  assert.equal(fs.existsSync(filePath), false);
+  await sleep(40);
+
+  const reloaded = new CertCache({ filePath });
+  assert.deepEqual(reloaded.keys(), ['12345678']);
+  assert.equal(reloaded.get('12345678').PSACert.CertNumber, '12345678');
+});
+
+test('PSAService serves repeat lookups from the cache unless fresh', async () => {
+  const cache = new CertCache({ filePath: tmpFile('cert-cache.json') });
+  const service = new PSAService('test-key', { baseUrl: `${psaStub.url}/publicapi/cert`, cache });
+  const before = psaStub.requests.length;
+
+  const first = await service.getCertificateData('11223344');
+  const second = await service.getCertificateData('11223344');
+  assert.equal(first.CertNumber, '11223344');
+  assert.deepEqual(second, first);
+  assert.equal(psaStub.requests.length - before, 1);
+
+  await service.getCertificateData('11223344', { fresh: true });
+  assert.equal(psaStub.requests.length - before, 2);
+  await assert.rejects(service.getCertificateData('12AB'), /Invalid certificate number format/);
+});
+
+test('GET /api/cert/:certNumber calls PSA once per cert and reports the cache in /api/status', async () => {
+  const before = psaStub.requests.length;
+  assert.equal((await app.request('GET', '/api/cert/55667788')).status, 200);
+  const cached = await app.request('GET', '/api/cert/55667788');
+  assert.equal(cached.status, 200);
+  assert.equal(cached.body.PSACert.CertNumber, '55667788');
+  assert.equal(psaStub.requests.length - before, 1);
+
+  await app.request('GET', '/api/cert/55667788?fresh=1');
+  assert.equal(psaStub.requests.length - before, 2);
+
+  const { body } = await app.request('GET', '/api/status');
+  assert.ok(body.services.psa.cache.hits >= 1);
+  assert.equal(body.services.psa.cache.entries, 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DestinationStore = require('../services/destinationStore');
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quickslab-destinations-')), 'destinations.json');
+const newStore = (filePath = tmpFile()) => new DestinationStore({
+  filePath,
+  getDefaults: () => ({ spreadsheetId: 'default-spreadsheet-id', sheetName: 'Input Sheet' })
+});
+
+test('"default" comes from the settings; others are saved and kept on reload', () => {
+  const filePath = tmpFile();
+  const store = newStore(filePath);
+  assert.equal(store.get().spreadsheetId, 'default-spreadsheet-id');
+  assert.throws(() => store.save({ name: 'default', spreadsheetId: 'another-spreadsheet' }), /changed through the settings/);
+  assert.throws(() => store.save({ name: 'jo', spreadsheetId: 'bad id' }), /Google Sheets ID/);
+
+  store.save({ name: 'jo', spreadsheetId: 'consignor-spreadsheet', profile: 'consignor' });
+  store.save({ name: 'jo', sheetName: 'Cards' });
+  const saved = newStore(filePath).get('jo');
+  assert.equal(saved.spreadsheetId, 'consignor-spreadsheet', 'fields left out keep their value');
+  assert.equal(saved.sheetName, 'Cards');
+  assert.deepEqual(newStore(filePath).list().map(d => d.name), ['default', 'jo']);
+});
+
+test('names of Object members are refused and never looked up on the prototype', () => {
+  const store = newStore();
+  ['constructor', '__proto__', 'toString', 'valueOf'].forEach(name => {
+    assert.throws(() => store.save({ name, spreadsheetId: 'consignor-spreadsheet' }), /reserved name/, name);
+    assert.equal(store.get(name), null, name);
+    assert.equal(store.delete(name), false, name);
+  });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const { buildExportTable, renderExport } = require('../services/exporter');
+const { DEFAULT_PROFILE, NESTED_FIELDS } = require('../services/columnMapping');
+const { parseCsv } = require('../services/csv');
+const { fromXlsx } = require('../services/xlsx');
+const PSAService = require('../services/psaService');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+const RECORDS = [
+  { certNumber: '48917521', status: 'success', psa: record('gem-mt-10'), user: 'ana' },
+  { certNumber: '12345678', status: 'error', error: 'Certificate not found' }
+];
+
+test.after(() => app.close());
+
+test('columns are the scan details, the sheet mapping, then every PSA field', () => {
+  const { columns, rows } = buildExportTable(RECORDS);
+  const headers = columns.map(col => col.header);
+  assert.deepEqual(headers.slice(0, 4), ['Scanned Cert', 'Status', 'Error', 'User'], 'optional scan columns only when used');
+  assert.deepEqual(headers.slice(4, 11), DEFAULT_PROFILE.columns.map(col => col.column));
+
+  const psaFields = Object.keys(RECORDS[0].psa).filter(field => !NESTED_FIELDS.includes(field));
+  assert.equal(headers.length, 11 + psaFields.length);
+  assert.ok(headers.includes('Subject') && headers.includes('CertNumber'));
+  assert.ok(!headers.includes('GoogleSheetsData'), 'nested copies are left out');
+
+  const [found, missing] = rows;
+  assert.deepEqual(found.slice(4, 11), ['CHARIZARD-HOLO', '4', 'Graded', 'Y', 'PSA', '10', '48917521']);
+  assert.deepEqual(missing.slice(0, 3), ['12345678', 'error', 'Certificate not found']);
+  assert.ok(missing.slice(4).every(cell => cell === ''));
+});
+
+test('a PSA field named like a mapped column is prefixed', () => {
+  const profile = { name: 'p', columns: [{ column: 'Subject', value: '{GoogleSheetsData.Subject}' }] };
+  const headers = buildExportTable(RECORDS.slice(0, 1), { profile }).columns.map(col => col.header);
+  assert.ok(headers.includes('Subject') && headers.includes('PSA Subject'));
+});
+
+test('CSV, XLSX and JSON carry the same table', () => {
+  const { columns, rows } = buildExportTable(RECORDS);
+  const header = columns.map(col => col.header);
+
+  const csv = renderExport(RECORDS, { format: 'csv' });
+  assert.equal(csv.extension, 'csv');
+  assert.ok(csv.body.startsWith('\uFEFF'), 'a BOM so Excel reads UTF-8');
+  assert.deepEqual(parseCsv(csv.body.slice(1)), [header, ...rows]);
+
+  const xlsx = renderExport(RECORDS, { format: 'xlsx', sheetName: 'Consignor' });
+  assert.deepEqual(fromXlsx(xlsx.body).slice(0, 3), [header, ...rows]);
+
+  const json = JSON.parse(renderExport(RECORDS, { format: 'json', meta: { source: 'test' } }).body);
+  assert.deepEqual([json.source, json.profile, json.count], ['test', 'default', 2]);
+  assert.deepEqual(json.columns, DEFAULT_PROFILE.columns.map(col => col.column));
+  assert.equal(json.items[0].mapped['Cert #'], '48917521');
+  assert.equal(json.items[0].psa.CertNumber, '48917521');
+  assert.equal(json.items[1].psa, null);
+
+  assert.throws(() => renderExport(RECORDS, { format: 'pdf' }), /Invalid format "pdf"/);
+});
+
+test('GET /api/export downloads scan history in the chosen format', async () => {
+  for (const [certNumber, cardData] of [['48917521', record('gem-mt-10')], ['73625104', record('half-grade')]]) {
+    await app.request('POST', '/api/scan-history', { body: { certNumber, status: 'success', cardData } });
+  }
+
+  const csv = await app.request('GET', '/api/export?format=csv');
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /^text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="quickslab-history-\d{4}-\d{2}-\d{2}\.csv"/);
+  assert.equal(csv.headers.get('x-export-count'), '2');
+  const [header, ...rows] = parseCsv(csv.text.replace(/^\uFEFF/, ''));
+  assert.deepEqual(rows.map(row => row[header.indexOf('Cert #')]), ['73625104', '48917521'], 'newest first');
+
+  const json = await app.request('GET', '/api/export?format=json&certNumber=48917521');
+  assert.deepEqual([json.body.source, json.body.count, json.body.truncated], ['history', 1, false]);
+
+  const xlsx = await app.request('GET', '/api/export?format=xlsx');
+  assert.match(xlsx.headers.get('content-type'), /spreadsheetml/);
+
+  assert.equal((await app.request('GET', '/api/export?format=pdf')).status, 400);
+  assert.equal((await app.request('GET', '/api/export?jobId=j1&certs=1')).status, 400);
+  assert.equal((await app.request('GET', '/api/export?status=maybe')).status, 400);
+  assert.equal((await app.request('GET', '/api/export?jobId=nope')).status, 404);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GoogleSheetsService = require('../services/googleSheetsService');
+
+const HEADERS = ['Card Name', 'Cert Number', 'Grade'];
+
+// In-memory stand-in for the googleapis sheets client; every call yields first, so requests can interleave
+function fakeSheetsClient(title, grid) {
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const col = (letters) => letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  const parse = (range) => {
+    const [, a1] = range.split('!');
+    const [, c1, r1, c2, r2] = a1.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d*))?$/);
+    return { c1: col(c1), r1: Number(r1), c2: col(c2 || c1), r2: r2 ? Number(r2) : grid.length };
+  };
+  return {
+    spreadsheets: {
+      get: async () => { await tick(); return { data: { properties: { title }, sheets: [{ properties: { title, sheetId: 0 } }] } }; },
+      batchUpdate: async () => { await tick(); return { data: {} }; },
+      values: {
+        get: async ({ range }) => {
+          await tick();
+          const { c1, r1, c2, r2 } = parse(range);
+          return { data: { values: grid.slice(r1 - 1, r2).map(row => (row || []).slice(c1, c2 + 1)) } };
+        },
+        batchGet: async ({ ranges }) => {
+          await tick();
+          return {
+            data: {
+              valueRanges: ranges.map(range => {
+                const { c1, r1, c2, r2 } = parse(range);
+                return { range, values: grid.slice(r1 - 1, r2).map(row => (row || []).slice(c1, c2 + 1)) };
+              })
+            }
+          };
+        },
+        clear: async ({ range }) => {
+          await tick();
+          const { c1, r1, c2 } = parse(range);
+          for (let c = c1; c <= c2; c++) if (grid[r1 - 1]) grid[r1 - 1][c] = '';
+          return { data: {} };
+        },
+        batchUpdate: async ({ resource }) => {
+          await tick();
+          resource.data.forEach(({ range, values }) => {
+            const { c1, r1 } = parse(range);
+            grid[r1 - 1] = grid[r1 - 1] || [];
+            values[0].forEach((value, i) => { grid[r1 - 1][c1 + i] = value; });
+          });
+          return { data: {} };
+        }
+      }
+    }
+  };
+}
+
+const card = (certNumber, subject) => ({
+  CertNumber: certNumber,
+  GoogleSheetsData: { Subject: subject, CertNumber: certNumber, Grade: '10' }
+});
+
+test('overlapping adds to one spreadsheet never claim the same row', async () => {
+  const grid = [HEADERS];
+  const profile = {
+    name: 'test',
+    columns: [
+      { column: 'Card Name', key: 'cardName', value: '{GoogleSheetsData.Subject}' },
+      { column: 'Cert Number', key: 'certNumber', value: '{GoogleSheetsData.CertNumber}' },
+      { column: 'Grade', key: 'grade', value: '{GoogleSheetsData.Grade}' }
+    ]
+  };
+  // Two instances, as two destinations pointing at the same spreadsheet would have
+  const services = [1, 2].map(() => {
+    const service = new GoogleSheetsService({ spreadsheetId: 'sheet-1', sheetName: 'Inventory' });
+    service.sheets = fakeSheetsClient('Inventory', grid);
+    return service;
+  });
+
+  const results = await Promise.all([
+    services[0].addCardData(card('11111111', 'Pikachu'), { profile }),
+    services[1].addCardData(card('22222222', 'Charizard'), { profile }),
+    services[0].addCardsData([card('33333333', 'Mew')], { profile })
+  ]);
+
+  const rows = [results[0].row, results[1].row, results[2].results[0].row];
+  assert.equal(new Set(rows).size, 3, `rows claimed: ${rows.join(', ')}`);
+  assert.deepEqual(grid.slice(1).map(row => row[1]).sort(), ['11111111', '22222222', '33333333']);
+});
+
+test('a failed write does not hold up the next one', async () => {
+  const service = new GoogleSheetsService({ spreadsheetId: 'sheet-2', sheetName: 'Inventory' });
+  service.sheets = fakeSheetsClient('Inventory', [HEADERS]);
+  const failing = service.withWriteLock(async () => { throw new Error('boom'); });
+  const next = service.withWriteLock(async () => 'ran');
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'ran');
+});
+
+test('a cert already on the sheet follows the onDuplicate policy and keeps hand-entered cells', async () => {
+  const grid = [[...HEADERS, 'Notes'], ['Pikachu', '11111111', '9', 'corner ding']];
+  const profile = {
+    name: 'test',
+    columns: [
+      { column: 'Card Name', key: 'cardName', value: '{GoogleSheetsData.Subject}' },
+      { column: 'Cert Number', key: 'certNumber', value: '{GoogleSheetsData.CertNumber}' },
+      { column: 'Grade', key: 'grade', value: '{GoogleSheetsData.Grade}' }
+    ]
+  };
+  const service = new GoogleSheetsService({ spreadsheetId: 'sheet-3', sheetName: 'Inventory' });
+  service.sheets = fakeSheetsClient('Inventory', grid);
+
+  const skipped = await service.addCardData(card('11111111', 'Pikachu'), { profile, onDuplicate: 'skip' });
+  assert.deepEqual([skipped.action, skipped.row], ['skipped', 2]);
+  assert.equal(grid[1][2], '9');
+
+  await assert.rejects(service.addCardData(card('11111111', 'Pikachu'), { profile, onDuplicate: 'error' }), (error) => {
+    assert.deepEqual([error.status, error.row], [409, 2]);
+    return true;
+  });
+
+  const updated = await service.addCardData(card('11111111', 'Pikachu'), { profile, onDuplicate: 'update' });
+  assert.deepEqual([updated.action, updated.row], ['updated', 2]);
+  assert.equal(updated.previousValues.Grade, '9');
+  assert.deepEqual(grid[1], ['Pikachu', '11111111', '10', 'corner ding']);
+
+  const appended = await service.addCardData(card('11111111', 'Pikachu'), { profile, onDuplicate: 'append-anyway' });
+  assert.deepEqual([appended.action, appended.row], ['inserted', 3]);
+});
+
+test('a sold card gets its sale columns filled and a removed card frees its row', async () => {
+  const grid = [
+    [...HEADERS, 'Sold Price', 'Sold Date', 'Sold Channel'],
+    ['Pikachu', '11111111', '9'],
+    ['Mew', '22222222', '10']
+  ];
+  const profile = {
+    name: 'test',
+    columns: [
+      { column: 'Card Name', key: 'cardName', value: '{GoogleSheetsData.Subject}' },
+      { column: 'Cert Number', key: 'certNumber', value: '{GoogleSheetsData.CertNumber}' },
+      { column: 'Grade', key: 'grade', value: '{GoogleSheetsData.Grade}' }
+    ]
+  };
+  const service = new GoogleSheetsService({ spreadsheetId: 'sheet-4', sheetName: 'Inventory' });
+  service.sheets = fakeSheetsClient('Inventory', grid);
+
+  const sold = await service.markCardSold('11111111', { price: '$45.50', date: '2026-03-01', channel: 'eBay' }, { profile, mode: 'columns' });
+  assert.deepEqual([sold.action, sold.mode, sold.row], ['sold', 'columns', 2]);
+  assert.deepEqual(grid[1], ['Pikachu', '11111111', '9', '45.50', '2026-03-01', 'eBay']);
+
+  const removed = await service.removeCard('22222222', { profile });
+  assert.deepEqual([removed.action, removed.row, removed.previousValues['Card Name']], ['removed', 3, 'Mew']);
+  assert.deepEqual(grid[2].filter(Boolean), []);
+  assert.equal((await service.addCardData(card('33333333', 'Eevee'), { profile })).row, 3, 'the cleared row is reused');
+
+  await assert.rejects(service.removeCard('44444444', { profile }), /Cert 44444444 not found in inventory/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { startStub } = require('./helpers/stubServer');
+
+const app = startApp();
+const GraderRegistry = require('../services/graders/graderRegistry');
+const BGSProvider = require('../services/graders/bgsProvider');
+const CGCProvider = require('../services/graders/cgcProvider');
+const SGCProvider = require('../services/graders/sgcProvider');
+const PSAService = require('../services/psaService');
+const { getCertCache } = require('../src/lib/psa');
+
+// One local stand-in for the three lookup services; each answers in its own documented shape
+const CARDS = {
+  '/bgs/cert/0012345678': {
+    data: {
+      serialNumber: '0012345678', cardName: 'Charizard', cardNumber: '4', year: '1999', setName: 'Base', finalGrade: '9.5',
+      subgrades: { centering: '9.5', corners: '9.5', edges: '10', surface: '9' }
+    }
+  },
+  '/cgc/certs/1234567001': { certNumber: '1234567-001', title: 'Pikachu', cardNumber: '58', year: '1999', grade: '10', game: 'Pokemon' },
+  '/sgc/cert/7654321': { certNumber: '7654321', description: 'Mickey Mantle', year: '1952', grade: '8' }
+};
+let stub;
+test.before(async () => {
+  stub = await startStub((req, url) => {
+    if (url.pathname === '/sgc/cert/5000000') return { status: 503 };
+    return CARDS[url.pathname] ? { body: CARDS[url.pathname] } : { status: 404 };
+  });
+  process.env.BGS_API_URL = `${stub.url}/bgs`;
+  process.env.BGS_API_KEY = 'bgs-key';
+  process.env.CGC_API_URL = `${stub.url}/cgc`;
+});
+test.after(async () => {
+  await app.close();
+  await stub.close();
+});
+
+const registry = (defaultGrader) => new GraderRegistry({
+  providers: {
+    PSA: () => new PSAService('test-key'),
+    BGS: () => new BGSProvider({ baseUrl: `${stub.url}/bgs` }),
+    CGC: () => new CGCProvider({ baseUrl: `${stub.url}/cgc` }),
+    SGC: () => new SGCProvider({ baseUrl: `${stub.url}/sgc` })
+  },
+  defaultGrader
+});
+const route = (graders, input, grader) => {
+  const { grader: name, certNumber } = graders.resolve(input, grader);
+  return [name, certNumber];
+};
+
+test('typed certs and slab QR codes are routed to their grader', () => {
+  const graders = registry();
+  assert.deepEqual(route(graders, '48917521'), ['PSA', '48917521'], 'bare numbers go to the default grader');
+  assert.deepEqual(route(graders, 'BGS 0012345678'), ['BGS', '0012345678']);
+  assert.deepEqual(route(graders, 'beckett#0012345678'), ['BGS', '0012345678']);
+  assert.deepEqual(route(graders, 'cgc-1234567-001'), ['CGC', '1234567001']);
+  assert.deepEqual(route(graders, 'sgc: 7654321'), ['SGC', '7654321']);
+  assert.deepEqual(route(graders, '7654321', 'sgc'), ['SGC', '7654321'], 'an explicit grader wins');
+  assert.deepEqual(route(registry('cgc'), '1234567001'), ['CGC', '1234567001']);
+
+  assert.deepEqual(route(graders, 'https://www.psacard.com/cert/48917521/psa'), ['PSA', '48917521']);
+  assert.deepEqual(route(graders, 'https://www.cgccards.com/certlookup/1234567-001/'), ['CGC', '1234567001']);
+  assert.deepEqual(route(graders, 'https://www.beckett.com/grading/card-lookup?item_id=0012345678'), ['BGS', '0012345678']);
+  assert.deepEqual(route(graders, 'https://gosgc.com/cert-code-lookup?certCode=7654321'), ['SGC', '7654321']);
+
+  assert.throws(() => graders.resolve('1234', 'TAG'), /Invalid grader "TAG"/);
+  assert.throws(() => graders.resolve('  '), /Invalid certificate number format/);
+});
+
+test('each provider reads its service into the common card record', async () => {
+  const bgs = await new BGSProvider({ baseUrl: `${stub.url}/bgs`, apiKey: 'bgs-key' }).getCertificateData('0012345678');
+  assert.deepEqual([bgs.Grader, bgs.CertNumber, bgs.Subject, bgs.GoogleSheetsData.Company], ['BGS', '0012345678', 'Charizard', 'BGS']);
+  assert.deepEqual(bgs.Card.subgrades, { centering: 9.5, corners: 9.5, edges: 10, surface: 9 });
+  assert.equal(bgs.Card.grade.numeric, 9.5);
+  assert.equal(stub.requests.at(-1).headers.authorization, 'Bearer bgs-key');
+
+  const cgc = await new CGCProvider({ baseUrl: `${stub.url}/cgc` }).getCertificateData('1234567-001');
+  assert.deepEqual([cgc.Grader, cgc.CertNumber, cgc.Subject, cgc.Category, cgc.Card.grade.numeric], ['CGC', '1234567001', 'Pikachu', 'Pokemon', 10]);
+
+  const sgc = await new SGCProvider({ baseUrl: `${stub.url}/sgc` }).getCertificateData('7654321');
+  assert.deepEqual([sgc.Grader, sgc.Subject, sgc.GoogleSheetsData.Grade], ['SGC', 'Mickey Mantle', '8']);
+});
+
+test('provider errors say what went wrong', async () => {
+  const sgc = new SGCProvider({ baseUrl: `${stub.url}/sgc` });
+  await assert.rejects(sgc.getCertificateData('1234567'), /SGC API error: Certificate not found/);
+  await assert.rejects(sgc.getCertificateData('5000000'), (error) => error.status === 503 && /SGC server error/.test(error.message));
+  await assert.rejects(sgc.getCertificateData('12'), /Invalid certificate number format. SGC cert numbers are 7-10 digits./);
+  await assert.rejects(new SGCProvider().getCertificateData('7654321'), /SGC lookups are not configured: set SGC_API_URL/);
+});
+
+test('GET /api/cert routes prefixed certs to their grader and caches them apart from PSA', async () => {
+  const before = stub.requests.length;
+  const bgs = await app.request('GET', `/api/cert/${encodeURIComponent('BGS 0012345678')}`);
+  assert.equal(bgs.status, 200);
+  assert.deepEqual([bgs.body.grader, bgs.body.certNumber, bgs.body.PSACert.Subject], ['BGS', '0012345678', 'Charizard']);
+  await app.request('GET', `/api/cert/${encodeURIComponent('BGS 0012345678')}`);
+  assert.equal(stub.requests.length - before, 1, 'the second lookup came from the cert cache');
+  assert.ok(getCertCache().keys().includes('BGS:0012345678'), 'non-PSA entries carry the grader in their key');
+
+  const cgc = await app.request('GET', '/api/cert/1234567001?grader=cgc');
+  assert.equal(cgc.body.grader, 'CGC');
+  assert.equal((await app.request('GET', '/api/cert/7654321?grader=sgc')).status, 503, 'SGC has no URL here');
+  assert.equal((await app.request('GET', '/api/cert/1234?grader=tag')).status, 400);
+});
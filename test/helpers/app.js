@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every data file the app writes, pointed into the test's own temp directory
+const DATA_FILES = {
+  AUDITS_PATH: 'audits.json',
+  CERT_CACHE_PATH: 'cert-cache.json',
+  DESTINATIONS_PATH: 'destinations.json',
+  IDEMPOTENCY_PATH: 'idempotency.json',
+  INVENTORY_CSV_PATH: 'inventory.csv',
+  INVENTORY_JSON_PATH: 'inventory.json',
+  LOCATIONS_PATH: 'locations.json',
+  LOOKUP_CACHE_PATH: 'lookup-cache.json',
+  MAPPING_PROFILES_PATH: 'mapping-profiles.json',
+  PRICE_COMPS_CSV_PATH: 'price-comps.csv',
+  SCAN_HISTORY_CSV_PATH: 'scan-history.csv',
+  SCAN_HISTORY_PATH: 'scan-history.jsonl',
+  SETTINGS_PATH: 'settings.json',
+  SOLD_CSV_PATH: 'sold.csv',
+  USERS_PATH: 'users.json',
+  WEBHOOKS_PATH: 'webhooks.json'
+};
+
+/**
+ * Starts the app on a free port with its data in a fresh temp directory, a JSON inventory and sign-in off.
+ * Call it before anything else requires src/: the lazy singletons read their env vars on first use.
+ * @param {Object} [env] - Extra or overriding env vars
+ * @returns {Object} - { dir, ready, request(method, url, { body?, raw?, headers? }), close }
+ */
+function startApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quickslab-test-'));
+  Object.assign(process.env, {
+    AUTH_REQUIRED: 'false',
+    INVENTORY_STORAGE: 'json',
+    LOG_LEVEL: 'error',
+    ...Object.fromEntries(Object.entries(DATA_FILES).map(([name, file]) => [name, path.join(dir, file)])),
+    ...env
+  });
+
+  const app = require('../../src/app');
+  const server = app.listen(0);
+  const ready = new Promise(resolve => server.once('listening', resolve));
+
+  // `body` is sent as JSON; `raw` (a string or Buffer, e.g. an uploaded file) is sent as is
+  async function request(method, url, { body, raw, headers = {} } = {}) {
+    await ready;
+    const res = await fetch(`http://localhost:${server.address().port}${url}`, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // not JSON (CSV, PDF, metrics text)
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  return { dir, ready, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,30 @@
+const http = require('http');
+
+/**
+ * Local HTTP stand-in for an upstream API (PSA, another grader, a price service)
+ * @param {Function} handler - (req, url: URL) => { status?, headers?, body? } | undefined (200 {}), may be async;
+ *   a body that isn't a string is sent as JSON
+ * @returns {Promise<Object>} - { url, requests: [{ method, path, headers }], close }
+ */
+async function startStub(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname + url.search, headers: req.headers });
+    const reply = (await handler(req, url)) || {};
+    const json = typeof reply.body !== 'string';
+    res.writeHead(reply.status || 200, { 'content-type': json ? 'application/json' : 'text/plain', ...reply.headers });
+    res.end(json ? JSON.stringify(reply.body ?? {}) : reply.body);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  return {
+    url: `http://localhost:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = { startStub };
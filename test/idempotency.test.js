@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const IdempotencyStore = require('../services/idempotencyStore');
+const PSAService = require('../services/psaService');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+const add = (key, body, query = '') => app.request('POST', `/api/add-to-sheets${query}`, {
+  body,
+  headers: key ? { 'Idempotency-Key': key } : {}
+});
+const inventoryRows = () => JSON.parse(fs.readFileSync(process.env.INVENTORY_JSON_PATH, 'utf8')).cards.length;
+
+test.after(() => app.close());
+
+test('a retried key replays the first response without writing again', async () => {
+  const body = { psaData: record('gem-mt-10') };
+  const first = await add('key-1', body);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+
+  const retry = await add('key-1', body);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(inventoryRows(), 1);
+
+  const again = await add(null, body);
+  assert.equal(again.headers.get('idempotent-replayed'), null, 'without a key the request runs again');
+  assert.equal(inventoryRows(), 1);
+});
+
+test('a retry racing the original waits for it and replays', async () => {
+  const body = { psaData: record('half-grade') };
+  const [a, b] = await Promise.all([add('key-race', body), add('key-race', body)]);
+  assert.deepEqual([a.status, b.status], [200, 200]);
+  assert.deepEqual(a.body, b.body);
+  assert.equal([a, b].filter(res => res.headers.get('idempotent-replayed') === 'true').length, 1);
+});
+
+test('reusing a key for a different request answers 422', async () => {
+  const body = { psaData: record('half-grade-low') };
+  assert.equal((await add('key-2', body)).status, 200);
+
+  const otherBody = await add('key-2', { psaData: record('authentic-altered') });
+  assert.equal(otherBody.status, 422);
+  const otherQuery = await add('key-2', body, '?onDuplicate=update');
+  assert.equal(otherQuery.status, 422);
+  assert.match(otherQuery.body.error, /already used for a different request/);
+  const otherDestination = await app.request('POST', '/api/add-to-sheets', {
+    body,
+    headers: { 'Idempotency-Key': 'key-2', 'X-QuickSlab-Destination': 'default' }
+  });
+  assert.equal(otherDestination.status, 422);
+});
+
+test('saves are written to disk once per flush', async () => {
+  const filePath = path.join(app.dir, 'idempotency-flush.json');
+  const store = new IdempotencyStore({ filePath, flushDelayMs: 20 });
+  for (let i = 0; i < 200; i++) {
+    store.save('user POST /api/add-to-sheets', `key-${i}`, { fingerprint: 'f', status: 200, body: { i } });
+  }
+  assert.equal(fs.existsSync(filePath), false, 'nothing is written synchronously');
+  assert.equal(store.get('user POST /api/add-to-sheets', 'key-7').body.i, 7);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  const reloaded = new IdempotencyStore({ filePath });
+  assert.equal(reloaded.getStats().entries, 200);
+  assert.equal(reloaded.get('user POST /api/add-to-sheets', 'key-199').body.i, 199);
+  assert.equal(reloaded.get('user POST /api/add-to-sheets', 'constructor'), null);
+});
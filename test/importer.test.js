@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { startStub } = require('./helpers/stubServer');
+
+const app = startApp();
+const { extractCert, detectCertColumn, parseImport, enrichRows } = require('../services/importer');
+const { toXlsx, fromXlsx } = require('../services/xlsx');
+const { parseCsv } = require('../services/csv');
+
+const fixture = require('./fixtures/psa/gem-mt-10.json');
+const csv = (text) => Buffer.from(text);
+const until = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// PSA stand-in: 7xxxxxxx certs don't exist, every other cert is the gem mint fixture relabelled
+let psaStub;
+test.before(async () => {
+  psaStub = await startStub((req, url) => {
+    const cert = url.pathname.match(/\/GetByCertNumber\/(\d+)$/)?.[1];
+    if (!cert || cert.startsWith('7')) return { status: 404 };
+    const body = structuredClone(fixture);
+    body.PSACert.CertNumber = cert;
+    return { body };
+  });
+  process.env.PSA_API_KEY = 'test-key';
+  process.env.PSA_API_URL = `${psaStub.url}/publicapi/cert`;
+});
+test.after(async () => {
+  await app.close();
+  await psaStub.close();
+});
+
+test('certs are read out of the ways spreadsheets hold them', () => {
+  assert.equal(extractCert('48917521'), '48917521');
+  assert.equal(extractCert(' PSA #48917521 '), '48917521');
+  assert.equal(extractCert('48917521.0'), '48917521', 'number-formatted cells');
+  assert.equal(extractCert('48,917,521'), '48917521');
+  assert.equal(extractCert('bgs 0012345678'), 'BGS 0012345678', 'other graders keep their prefix');
+  assert.equal(extractCert('SGC 1234567-001'), 'SGC 1234567-001');
+  assert.equal(extractCert('$125.00'), null);
+  assert.equal(extractCert('1234'), null);
+});
+
+test('the cert column is found by name, then by content, or as given', () => {
+  assert.deepEqual(detectCertColumn([['Name', 'Cert #', 'Paid'], ['Charizard', '48917521', '100']]), { index: 1, hasHeader: true });
+  assert.deepEqual(detectCertColumn([['Name', 'PSA Cert Number'], ['Charizard', '48917521']]), { index: 1, hasHeader: true });
+  assert.deepEqual(detectCertColumn([['Item', 'Number'], ['Charizard', '48917521'], ['Mew', '73625104']]), { index: 1, hasHeader: true });
+  assert.deepEqual(detectCertColumn([['Charizard', '48917521'], ['Mew', '73625104']]), { index: 1, hasHeader: false });
+  assert.deepEqual(detectCertColumn([['Slab', 'Paid'], ['48917521', '100']], 'paid'), { index: 1, hasHeader: true });
+  assert.deepEqual(detectCertColumn([['Slab', 'Paid'], ['48917521', '100']], 'A'), { index: 0, hasHeader: true });
+  assert.throws(() => detectCertColumn([['Name', 'Paid'], ['Charizard', '100']]), /could not find a cert number column/);
+  assert.throws(() => detectCertColumn([['Name']], 'Serial'), /Invalid certColumn "Serial"/);
+});
+
+test('uploads keep every column, and PSA fields are appended after them', () => {
+  const table = parseImport(csv('Name,Cert,Paid\nCharizard,48917521,100\n\nMystery,,5\n'));
+  assert.equal(table.format, 'csv');
+  assert.deepEqual(table.header, ['Name', 'Cert', 'Paid']);
+  assert.deepEqual(table.certs, ['48917521', null], 'blank rows are dropped');
+
+  const results = new Map([['48917521', { success: true, PSACert: { CertNumber: '48917521', Subject: 'CHARIZARD-HOLO', Paid: 'x' } }]]);
+  const { header, rows } = enrichRows(table, results);
+  assert.deepEqual(header, ['Name', 'Cert', 'Paid', 'PSA Status', 'PSA Error', 'CertNumber', 'Subject', 'PSA Paid']);
+  assert.deepEqual(rows[0], ['Charizard', '48917521', '100', 'found', '', '48917521', 'CHARIZARD-HOLO', 'x']);
+  assert.deepEqual(rows[1].slice(3, 5), ['no cert', '']);
+
+  const headless = parseImport(csv('48917521,100\n73625104,80\n'));
+  assert.deepEqual(headless.header, ['Column A', 'Column B']);
+  assert.equal(headless.rows.length, 2);
+  assert.throws(() => parseImport(csv('Cert\n1234567\n2345678\n'), { maxRows: 1 }), /2 rows is more than the 1 allowed/);
+  assert.throws(() => parseImport(Buffer.alloc(0)), /the file is empty/);
+});
+
+test('XLSX uploads are read, and a part that unpacks past the cap is refused', () => {
+  const xlsx = toXlsx([['Cert #', 'Paid'], ['48917521', '100']]);
+  const table = parseImport(xlsx);
+  assert.equal(table.format, 'xlsx');
+  assert.deepEqual(table.certs, ['48917521']);
+
+  // Highly compressible, so the file is small but its worksheet is not
+  const bomb = toXlsx([['Cert #', 'x'.repeat(2 * 1024 * 1024)]]);
+  assert.ok(bomb.length < 100 * 1024);
+  assert.throws(() => fromXlsx(bomb, { maxBytes: 1024 * 1024 }), /larger than 1 MB unpacked/);
+
+  // A zip directory that understates the size is caught while inflating
+  const lying = Buffer.from(bomb);
+  for (let i = lying.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])); i >= 0; i = lying.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), i + 4)) {
+    lying.writeUInt32LE(1, i + 24);
+  }
+  assert.throws(() => fromXlsx(lying, { maxBytes: 1024 * 1024 }), /larger than 1 MB unpacked/);
+});
+
+test('an uploaded file is looked up, downloaded enriched and written to inventory', async () => {
+  const upload = await app.request('POST', '/api/import?filename=consignor.csv', {
+    raw: 'Item,Cert Number,Price Paid\nCharizard,48917521,100\nGhost,71111111,5\nDupe,48917521,100\n',
+    headers: { 'content-type': 'text/csv' }
+  });
+  assert.equal(upload.status, 202);
+  assert.deepEqual([upload.body.import.rows, upload.body.import.certs, upload.body.import.certColumn.header], [3, 2, 'Cert Number']);
+  const id = upload.body.jobId;
+
+  await until(async () => (await app.request('GET', `/api/jobs/${id}`)).body.job.status === 'completed');
+  assert.equal(psaStub.requests.length, 2, 'each distinct cert is looked up once');
+
+  const download = await app.request('GET', `/api/import/${id}/download`);
+  assert.match(download.headers.get('content-disposition'), /filename="consignor-enriched\.csv"/);
+  const [header, ...rows] = parseCsv(download.text.replace(/^\uFEFF/, ''));
+  assert.deepEqual(header.slice(0, 5), ['Item', 'Cert Number', 'Price Paid', 'PSA Status', 'PSA Error']);
+  assert.deepEqual(rows.map(row => row[3]), ['found', 'error', 'found']);
+  assert.equal(rows[0][header.indexOf('Subject')], 'CHARIZARD-HOLO');
+
+  const asXlsx = await app.request('GET', `/api/import/${id}/download?format=xlsx`);
+  assert.match(asXlsx.headers.get('content-type'), /spreadsheetml/);
+
+  const written = await app.request('POST', `/api/import/${id}/write`, { body: { onDuplicate: 'skip' } });
+  assert.equal(written.status, 200);
+  assert.deepEqual(written.body.results.map(result => result.action), ['inserted', 'skipped']);
+  assert.deepEqual(written.body.skipped.map(entry => [entry.row, entry.certNumber]), [[2, '71111111']]);
+
+  assert.equal((await app.request('POST', '/api/import', { raw: 'Name,Paid\nCharizard,100\n' })).status, 400);
+  assert.equal((await app.request('GET', '/api/import/nope/download')).status, 404);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const PSAService = require('../services/psaService');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+const add = (name, body = {}) => app.request('POST', '/api/add-to-sheets', { body: { psaData: record(name), ...body } });
+
+test.after(() => app.close());
+
+test('adding a cert twice reports what happened to the existing row', async () => {
+  assert.equal((await add('gem-mt-10')).body.action, 'inserted');
+
+  const updated = await add('gem-mt-10');
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.action, 'updated', 'update is the default policy');
+  assert.equal(updated.body.previousValues.certNumber, '48917521');
+
+  const rejected = await add('gem-mt-10', { onDuplicate: 'error' });
+  assert.equal(rejected.status, 409);
+  assert.deepEqual(rejected.body, {
+    success: false,
+    duplicate: true,
+    row: 1,
+    error: 'Cert 48917521 is already in inventory at row 1'
+  });
+
+  assert.equal((await add('gem-mt-10', { onDuplicate: 'sometimes' })).status, 400);
+});
+
+test('the scanner can look a cert up before writing, and the default policy is a setting', async () => {
+  await add('half-grade');
+  const existing = await app.request('GET', '/api/inventory/73625104');
+  assert.equal(existing.status, 200);
+  assert.equal(existing.body.card.row, 2);
+  assert.equal((await app.request('GET', '/api/inventory/11111111')).status, 404);
+
+  assert.equal((await app.request('PUT', '/api/settings', { body: { duplicatePolicy: 'skip' } })).status, 200);
+  const skipped = await add('half-grade');
+  assert.equal(skipped.body.action, 'skipped');
+  assert.equal(skipped.body.inventory, null);
+  assert.equal((await add('half-grade', { onDuplicate: 'append-anyway' })).body.row, 3, 'the request overrides the default');
+
+  const bulk = await app.request('POST', '/api/add-to-sheets/bulk', { body: { psaData: [record('half-grade'), record('half-grade-low')] } });
+  assert.deepEqual(bulk.body.results.map(result => result.action), ['skipped', 'inserted']);
+});
+
+test('a card can be sold or removed through the API, which frees its storage slot', async () => {
+  await add('authentic-altered', { location: 'Case B / Box 1 / Slot 4' });
+  await add('qualifier-after-grade');
+  assert.equal((await app.request('GET', '/api/locations/45120938')).body.slab.location.slot, '4');
+
+  const sold = await app.request('POST', '/api/inventory/45120938/sold', { body: { price: 250, channel: 'show', mode: 'columns' } });
+  assert.equal(sold.status, 200);
+  assert.deepEqual([sold.body.action, sold.body.mode, sold.body.sale.soldPrice], ['sold', 'columns', '250']);
+  assert.equal((await app.request('GET', '/api/inventory/45120938')).body.card.soldChannel, 'show');
+  assert.equal((await app.request('GET', '/api/locations/45120938')).body.slab.location, null);
+
+  const removed = await app.request('DELETE', '/api/inventory/60318827');
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.action, 'removed');
+  assert.equal((await app.request('GET', '/api/inventory/60318827')).status, 404);
+  assert.equal((await app.request('DELETE', '/api/inventory/60318827')).status, 404);
+  assert.equal((await app.request('POST', '/api/inventory/45120938/sold', { body: { price: 'free' } })).status, 400);
+});
+
+test('GET /api/inventory searches, filters and pages what the backend holds', async () => {
+  const all = await app.request('GET', '/api/inventory?pageSize=200');
+  assert.equal(all.status, 200);
+  const rows = all.body.items;
+  assert.ok(rows.length >= 3);
+
+  const gengar = await app.request('GET', '/api/inventory?q=gengar&sold=false');
+  assert.ok(gengar.body.items.length >= 1);
+  assert.ok(gengar.body.items.every(card => card.certNumber === '73625104'));
+
+  const byGrade = await app.request('GET', '/api/inventory?minGrade=9&sort=grade&order=desc');
+  assert.deepEqual(byGrade.body.items.map(card => card.certNumber), ['48917521']);
+
+  const paged = await app.request('GET', '/api/inventory?pageSize=1&page=2');
+  assert.deepEqual([paged.body.total, paged.body.totalPages, paged.body.items[0].row], [rows.length, rows.length, rows[1].row]);
+
+  const invalid = await app.request('GET', '/api/inventory?sort=price');
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /Invalid sort field/);
+});
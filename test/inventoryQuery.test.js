@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseInventoryQuery, queryInventory, MAX_PAGE_SIZE } = require('../services/inventoryQuery');
+
+const CARDS = [
+  { row: 2, cardName: 'Charizard Holo', cardNumber: '4', company: 'PSA', grade: '10', certNumber: '48917521', sku: 'QS-00001', location: 'Case A / Box 3 / Slot 1' },
+  { row: 3, cardName: 'Charizard', cardNumber: '#4', company: 'BGS', grade: '9.5', certNumber: '0012345678', sku: 'QS-00002', location: 'Case A / Box 3 / Slot 2' },
+  { row: 4, cardName: 'Pikachu Illustrator', cardNumber: '', company: 'PSA', grade: 'Authentic', certNumber: '84012557', sku: '', location: 'Case B' },
+  { row: 5, cardName: 'Mew', cardNumber: '151', company: 'PSA', grade: '8', certNumber: '73625104', sku: 'QS-00004', location: 'on the desk', soldDate: '2026-03-01', soldPrice: '40' }
+];
+const find = (params) => queryInventory(CARDS, parseInventoryQuery(params));
+const certs = (result) => result.items.map(card => card.certNumber);
+
+test('every search word must appear in the name, cert or SKU', () => {
+  assert.deepEqual(certs(find({ q: 'charizard' })), ['48917521', '0012345678']);
+  assert.deepEqual(certs(find({ q: 'CHARIZARD holo' })), ['48917521']);
+  assert.deepEqual(certs(find({ q: '8917' })), ['48917521'], 'a partial cert finds its card');
+  assert.deepEqual(certs(find({ q: 'qs-00004' })), ['73625104']);
+  assert.equal(find({ q: 'blastoise' }).total, 0);
+});
+
+test('grade, company, card number, SKU, location and sold filters combine', () => {
+  assert.deepEqual(certs(find({ grade: '10,9.5' })), ['48917521', '0012345678']);
+  assert.deepEqual(certs(find({ minGrade: '9' })), ['48917521', '0012345678'], 'non-numeric grades are out of a range');
+  assert.deepEqual(certs(find({ maxGrade: '9' })), ['73625104']);
+  assert.deepEqual(certs(find({ company: 'psa', q: 'charizard' })), ['48917521']);
+  assert.deepEqual(certs(find({ cardNumber: '4' })), ['48917521', '0012345678'], 'a leading # is ignored');
+  assert.deepEqual(certs(find({ sku: 'QS-00002' })), ['0012345678']);
+  assert.deepEqual(certs(find({ location: 'Case A / Box 3' })), ['48917521', '0012345678']);
+  assert.deepEqual(certs(find({ location: 'Case B' })), ['84012557'], 'unparseable locations never match');
+  assert.deepEqual(certs(find({ sold: 'true' })), ['73625104']);
+  assert.deepEqual(certs(find({ sold: '0' })), ['48917521', '0012345678', '84012557']);
+});
+
+test('sorting is numeric where it should be and pages are counted', () => {
+  assert.deepEqual(certs(find({ sort: 'grade', order: 'desc' })), ['48917521', '0012345678', '73625104', '84012557']);
+  assert.deepEqual(certs(find({ sort: 'grade' })), ['73625104', '0012345678', '48917521', '84012557'], 'non-numeric grades sort last');
+  assert.deepEqual(certs(find({ sort: 'cardName' })), ['0012345678', '48917521', '73625104', '84012557']);
+
+  const page = find({ pageSize: '3', page: '2' });
+  assert.deepEqual([page.total, page.page, page.pageSize, page.totalPages], [4, 2, 3, 2]);
+  assert.deepEqual(certs(page), ['73625104']);
+  assert.deepEqual(find({ page: '9' }).items, []);
+  assert.equal(queryInventory([], parseInventoryQuery({})).totalPages, 1);
+});
+
+test('invalid parameters are rejected', () => {
+  assert.throws(() => parseInventoryQuery({ sort: 'price' }), /Invalid sort field "price"/);
+  assert.throws(() => parseInventoryQuery({ order: 'up' }), /Invalid sort order/);
+  assert.throws(() => parseInventoryQuery({ page: '0' }), /Invalid page/);
+  assert.throws(() => parseInventoryQuery({ page: '1.5' }), /Invalid page/);
+  assert.throws(() => parseInventoryQuery({ pageSize: String(MAX_PAGE_SIZE + 1) }), /Invalid pageSize/);
+  assert.throws(() => parseInventoryQuery({ minGrade: 'ten' }), /Invalid minGrade "ten"/);
+  assert.throws(() => parseInventoryQuery({ sold: 'maybe' }), /Invalid sold filter/);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStorage = require('../services/storage/jsonFileStorage');
+const CsvFileStorage = require('../services/storage/csvFileStorage');
+const PSAService = require('../services/psaService');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'quickslab-storage-'));
+
+// Every local backend has to behave the same, so the contract runs against each
+const BACKENDS = {
+  json: (dir) => new JsonFileStorage({ filePath: path.join(dir, 'inventory.json') }),
+  csv: (dir) => new CsvFileStorage({ filePath: path.join(dir, 'inventory.csv') })
+};
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`${name}: cards are added, listed and found by cert across restarts`, async () => {
+    const dir = tmpDir();
+    const storage = create(dir);
+    await storage.initialize();
+    assert.equal(storage.getStatus().backend, name);
+    assert.deepEqual(await storage.listCards(), []);
+
+    const added = await storage.addCardData(record('gem-mt-10'), { user: 'ana' });
+    assert.equal(added.action, 'inserted');
+    assert.equal(added.row, 1);
+    assert.equal(added.storage, name);
+    const { results } = await storage.addCardsData([record('half-grade'), { CertNumber: '1' }]);
+    assert.deepEqual(results.map(result => result.success), [true, false]);
+    assert.equal(results[1].error, 'Invalid PSA data format');
+
+    const reopened = create(dir);
+    const cards = await reopened.listCards();
+    assert.deepEqual(cards.map(card => [card.certNumber, card.row]), [['48917521', 1], ['73625104', 2]]);
+    const found = await reopened.findCardByCert(' 48917521 ');
+    assert.equal(found.addedBy, 'ana');
+    assert.equal(found.company, 'PSA');
+    assert.equal(await reopened.findCardByCert('99999999'), null);
+  });
+
+  test(`${name}: scan history loads newest first`, async () => {
+    const storage = create(tmpDir());
+    const card = record('gem-mt-10').GoogleSheetsData;
+    await storage.saveScanHistory('48917521', card, 'success', '2026-01-01T10:00:00.000Z', 'ana');
+    await storage.saveScanHistory('12345678', null, 'error', '2026-01-01T10:01:00.000Z');
+
+    const history = await storage.loadScanHistory(10);
+    assert.deepEqual(history.map(entry => [entry.certNumber, entry.status, entry.user]), [
+      ['12345678', 'error', null],
+      ['48917521', 'success', 'ana']
+    ]);
+    assert.equal(history[1].cardData.Subject, card.Subject);
+    assert.equal((await storage.loadScanHistory(1)).length, 1);
+  });
+}
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`${name}: a cert already in inventory follows the onDuplicate policy`, async () => {
+    const storage = create(tmpDir());
+    await storage.addCardData(record('gem-mt-10'));
+    await storage.updateCardFields('48917521', { location: 'Case A / Box 3' });
+
+    const updated = await storage.addCardData(record('gem-mt-10'), { onDuplicate: 'update', user: 'ben' });
+    assert.equal(updated.action, 'updated');
+    assert.equal(updated.row, 1);
+    assert.equal(updated.previousValues.location, 'Case A / Box 3');
+    const [card] = await storage.listCards();
+    assert.equal(card.addedBy, 'ben');
+    assert.equal(card.location, 'Case A / Box 3', 'fields the record does not carry are kept');
+
+    const skipped = await storage.addCardData(record('gem-mt-10'), { onDuplicate: 'skip' });
+    assert.deepEqual([skipped.action, skipped.row, skipped.updatedRows], ['skipped', 1, 0]);
+    assert.match(skipped.message, /already in .* inventory at row 1; skipped/);
+
+    await assert.rejects(storage.addCardData(record('gem-mt-10'), { onDuplicate: 'error' }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.row, 1);
+      assert.equal(error.message, 'Cert 48917521 is already in inventory at row 1');
+      return true;
+    });
+    const { results } = await storage.addCardsData([record('half-grade'), record('gem-mt-10')], { onDuplicate: 'error' });
+    assert.deepEqual(results.map(result => [result.success, result.action, result.duplicate]), [
+      [true, 'inserted', undefined],
+      [false, undefined, true]
+    ]);
+
+    const appended = await storage.addCardData(record('gem-mt-10'), { onDuplicate: 'append-anyway' });
+    assert.deepEqual([appended.action, appended.row], ['inserted', 3]);
+    assert.deepEqual((await storage.listCards()).map(card => card.certNumber), ['48917521', '73625104', '48917521']);
+
+    await assert.rejects(storage.addCardData(record('gem-mt-10'), { onDuplicate: 'merge' }), /Invalid onDuplicate policy "merge"/);
+  });
+}
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`${name}: cards leave inventory when removed or sold`, async () => {
+    const dir = tmpDir();
+    const storage = create(dir);
+    await storage.addCardsData(['gem-mt-10', 'half-grade', 'half-grade-low', 'authentic-altered'].map(record));
+
+    const removed = await storage.removeCard('48917521');
+    assert.deepEqual([removed.action, removed.row, removed.previousValues.certNumber], ['removed', 1, '48917521']);
+    await assert.rejects(storage.removeCard('48917521'), (error) => error.status === 404 && /not found in inventory/.test(error.message));
+
+    const moved = await storage.markCardSold('73625104', { price: '$120', date: '2026-03-01', channel: 'eBay', by: 'ana' }, { mode: 'move' });
+    assert.deepEqual(moved.sale, { soldPrice: '120', soldDate: '2026-03-01', soldChannel: 'eBay', soldBy: 'ana' });
+    const inPlace = await storage.markCardSold('52290013', { price: 80 }, { mode: 'columns' });
+    assert.equal(inPlace.sale.soldDate, new Date().toISOString().slice(0, 10), 'the date defaults to today');
+    await storage.markCardSold('45120938', {}, { mode: 'clear' });
+
+    const cards = await create(dir).listCards();
+    assert.deepEqual(cards.map(card => [card.certNumber, card.soldPrice]), [['52290013', '80']]);
+    const soldList = name === 'json'
+      ? JSON.parse(fs.readFileSync(path.join(dir, 'inventory.json'), 'utf8')).sold.map(card => [card.certNumber, card.soldChannel])
+      : fs.readFileSync(path.join(dir, 'sold.csv'), 'utf8').trim().split(/\r?\n/).slice(1).map(line => [line.split(',')[6], line.split(',')[12]]);
+    assert.deepEqual(soldList, [['73625104', 'eBay']], 'only a moved card lands on the sold list');
+
+    await assert.rejects(storage.markCardSold('52290013', { price: 'lots' }), /Invalid sale price "lots"/);
+    await assert.rejects(storage.markCardSold('52290013', { date: 'someday' }), /Invalid sale date "someday"/);
+    await assert.rejects(storage.markCardSold('52290013', {}, { mode: 'shred' }), /Invalid sold mode "shred"/);
+  });
+}
+
+test('json: concurrent adds are serialized rather than lost', async () => {
+  const storage = BACKENDS.json(tmpDir());
+  await Promise.all(['gem-mt-10', 'half-grade', 'half-grade-low', 'authentic-altered'].map(name => storage.addCardData(record(name))));
+  assert.equal((await storage.listCards()).length, 4);
+});
+
+test('csv: columns are matched by header so a hand-reordered file still reads', async () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'inventory.csv'), 'Cert #,Grade,Card Name\n48917521,10,Pikachu\n\n');
+  const storage = BACKENDS.csv(dir);
+  const [card] = await storage.listCards();
+  assert.equal(card.certNumber, '48917521');
+  assert.equal(card.grade, '10');
+  assert.equal(card.cardName, 'Pikachu');
+  assert.equal(card.sku, '');
+  assert.equal((await storage.listCards()).length, 1, 'blank lines are not cards');
+});
+
+test('INVENTORY_STORAGE picks the backend', (t) => {
+  const { getStorage } = require('../src/lib/storage');
+  const saved = { INVENTORY_STORAGE: process.env.INVENTORY_STORAGE, INVENTORY_CSV_PATH: process.env.INVENTORY_CSV_PATH };
+  t.after(() => Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }));
+
+  process.env.INVENTORY_STORAGE = 'floppy';
+  assert.throws(() => getStorage(), /Unknown INVENTORY_STORAGE backend "floppy"/);
+  process.env.INVENTORY_STORAGE = ' CSV ';
+  process.env.INVENTORY_CSV_PATH = path.join(tmpDir(), 'inventory.csv');
+  assert.equal(getStorage().backend, 'csv');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const { buildLabel, renderLabels, getTemplate } = require('../services/labels');
+const PSAService = require('../services/psaService');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type\s*\/Page\b/g) || []).length;
+
+test.after(() => app.close());
+
+test('a label carries the card, grade, scannable cert, SKU and price', () => {
+  const label = buildLabel(record('qualifier-in-description'), { sku: 'QS-00042', price: 125 });
+  assert.equal(label.certNumber, '21876430');
+  assert.equal(label.barcode, '21876430');
+  assert.match(label.grade, /^PSA 9 MINT \(OC\)$/);
+  assert.equal(label.sku, 'QS-00042');
+  assert.equal(label.price, '$125.00');
+
+  const bgs = buildLabel({ Grader: 'BGS', CertNumber: '0012345678', Subject: 'Charizard' }, { price: 'n/a' });
+  assert.equal(bgs.barcode, 'BGS 0012345678', 'other graders scan back with their prefix');
+  assert.equal(bgs.price, '');
+});
+
+test('labels fill sheets from startAt and spill onto new pages', () => {
+  const labels = Array.from({ length: 4 }, () => buildLabel(record('gem-mt-10')));
+  const pdf = renderLabels(labels, { template: 'avery5163' }); // 10 per sheet
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(pageCount(pdf), 1);
+  assert.equal(pageCount(renderLabels(labels, { template: 'avery5163', startAt: 9 })), 2);
+  assert.throws(() => renderLabels(labels, { template: 'avery5163', startAt: 11 }), /Invalid startAt: use 1-10/);
+});
+
+test('template names that are Object members are unknown templates', async () => {
+  ['constructor', '__proto__', 'toString'].forEach(name => {
+    assert.equal(getTemplate(name), null, name);
+    assert.throws(() => renderLabels([], { template: name }), /Invalid label template/, name);
+  });
+  assert.equal(getTemplate(), getTemplate('avery5160'));
+
+  const res = await app.request('POST', '/api/labels', { body: { certs: ['48917521'], template: 'constructor' } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Invalid label template "constructor"/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocationStore = require('../services/locationStore');
+
+const { parseLocation } = LocationStore;
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quickslab-locations-')), 'locations.json');
+const newStore = (filePath = tmpFile()) => new LocationStore({ filePath });
+
+test('reserve hands out SKUs; confirm saves written slabs and gives unused numbers back', () => {
+  const store = newStore();
+  const reservations = store.reserve([
+    { certNumber: '11111111', grader: 'PSA', location: parseLocation('A/1/1/1') },
+    { certNumber: '22222222', grader: 'PSA' }
+  ]);
+  assert.deepEqual(reservations.map(r => r.sku), ['QS-00001', 'QS-00002']);
+  assert.equal(store.get('11111111'), null, 'nothing is saved before the write');
+
+  const [saved, skipped] = store.confirm(reservations, [true, false], { user: 'ana' });
+  assert.equal(saved.sku, 'QS-00001');
+  assert.equal(LocationStore.formatLocation(saved.location), 'Case A / Box 1 / Row 1 / Slot 1');
+  assert.equal(skipped, null);
+  assert.equal(store.get('22222222'), null);
+  assert.equal(store.reserve([{ certNumber: '33333333' }])[0].sku, 'QS-00002', 'the unused number is handed out again');
+});
+
+test('a duplicate write leaves an existing slab where it is', () => {
+  const store = newStore();
+  store.confirm(store.reserve([{ certNumber: '777', location: parseLocation('A/1') }]), [true]);
+  store.confirm(store.reserve([{ certNumber: '777', location: parseLocation('Z/9') }]), [false]);
+  assert.equal(LocationStore.formatLocation(store.get('777').location), 'Case A / Box 1');
+});
+
+test('cert numbers that name Object members are refused and never read from the prototype', () => {
+  const store = newStore();
+  ['__proto__', 'constructor', 'toString', 'A1'].forEach(cert => {
+    assert.throws(() => store.move(cert, 'Z/9/9/9'), /Invalid slab/, cert);
+    assert.throws(() => store.reserve([{ certNumber: cert, location: parseLocation('Z/9/9/9') }]), /Invalid slab/, cert);
+    assert.equal(store.get(cert), null, cert);
+  });
+  assert.equal(Object.prototype.location, undefined);
+  assert.equal({}.location, undefined);
+
+  const [slab] = store.confirm(store.reserve([{ certNumber: '12345678' }]), [true]);
+  assert.equal(slab.location, null, 'a slab without a location does not pick one up');
+});
+
+test('a stored "__proto__" key loads as plain data', () => {
+  const filePath = tmpFile();
+  fs.writeFileSync(filePath, '{"sequence":1,"slabs":{"__proto__":{"location":{"case":"Z"}}}}');
+  const store = newStore(filePath);
+  assert.equal(store.get('constructor'), null);
+  assert.equal(store.listAt('Z').length, 1);
+  assert.equal(Object.prototype.location, undefined);
+});
+
+test('moving cert __proto__ over HTTP answers 400', async (t) => {
+  process.env.AUTH_REQUIRED = 'false';
+  process.env.LOCATIONS_PATH = tmpFile();
+  const app = require('../src/app');
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const res = await fetch(`http://localhost:${server.address().port}/api/inventory/__proto__/move`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ location: 'Case Z / Box 9 / Row 9 / Slot 9' })
+  });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Must contain only digits/);
+  assert.equal(Object.prototype.location, undefined);
+});
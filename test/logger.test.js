@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger } = require('../services/logger');
+
+// Collects what a logger writes, one parsed entry per line
+function capture(t) {
+  const lines = [];
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write;
+    stream.write = (chunk, ...rest) => {
+      if (!String(chunk).startsWith('{"time"') && !/^\d\d:\d\d/.test(chunk)) return write.call(stream, chunk, ...rest);
+      lines.push({ stream: stream === process.stderr ? 'stderr' : 'stdout', text: String(chunk) });
+      return true;
+    };
+    t.after(() => { stream.write = write; });
+  }
+  return lines;
+}
+
+test('lines are JSON with the level, message, fields and request id', (t) => {
+  const lines = capture(t);
+  const logger = new Logger({ level: 'info' }).child({ component: 'sheets' });
+  logger.debug('Not written');
+  logger.info('Outside a request', { skipped: undefined });
+  logger.runWithContext({ requestId: 'req-1' }, () => {
+    logger.warn('Row updated', { row: 4 });
+  });
+  logger.error('Write failed', { error: Object.assign(new Error('quota'), { status: 429 }) });
+
+  const entries = lines.map(line => JSON.parse(line.text));
+  assert.deepEqual(entries.map(entry => [entry.level, entry.msg]), [['info', 'Outside a request'], ['warn', 'Row updated'], ['error', 'Write failed']]);
+  assert.deepEqual(lines.map(line => line.stream), ['stdout', 'stderr', 'stderr']);
+  assert.ok(lines.every(line => line.text.endsWith('}\n')));
+  assert.equal(entries[0].requestId, undefined);
+  assert.ok(!('skipped' in entries[0]));
+  assert.deepEqual([entries[1].requestId, entries[1].component, entries[1].row], ['req-1', 'sheets', 4]);
+  assert.deepEqual([entries[2].error.message, entries[2].error.status], ['quota', 429]);
+  assert.match(entries[0].time, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('the request id follows awaits, and odd input never breaks a line', async (t) => {
+  const lines = capture(t);
+  const logger = new Logger({ level: 'debug' });
+  await logger.runWithContext({ requestId: 'req-2' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    logger.debug('After a timer');
+  });
+  const circular = {};
+  circular.self = circular;
+  logger.info('Circular', { circular });
+
+  const [after, broken] = lines.map(line => JSON.parse(line.text));
+  assert.equal(after.requestId, 'req-2');
+  assert.deepEqual([broken.msg, typeof broken.logError], ['Circular', 'string']);
+  assert.equal(new Logger({ level: 'loud' }).level, 'info', 'an unknown level falls back to info');
+});
+
+test('LOG_FORMAT=text prints one readable line', (t) => {
+  const lines = capture(t);
+  new Logger({ format: 'text' }).warn('Cert cache load skipped', { error: 'bad file', entries: 3 });
+  assert.match(lines[0].text, /^\d\d:\d\d:\d\d\.\d{3} WARN  Cert cache load skipped error="bad file" entries=3\n$/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MappingProfileStore = require('../services/mappingProfileStore');
+const { DEFAULT_PROFILE, validateProfile } = require('../services/columnMapping');
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quickslab-profiles-')), 'mapping-profiles.json');
+const consignor = {
+  name: 'consignor',
+  columns: [
+    { column: 'Item', key: 'cardName', value: '{GoogleSheetsData.Subject}' },
+    { column: 'Cert', key: 'certNumber', value: '{GoogleSheetsData.CertNumber}' }
+  ]
+};
+
+test('profiles are saved, made active and survive a reload', () => {
+  const filePath = tmpFile();
+  const store = new MappingProfileStore({ filePath });
+  assert.equal(store.get('consignor'), null);
+  assert.equal(store.get(), DEFAULT_PROFILE);
+
+  store.save(consignor);
+  assert.equal(store.setActive('consignor').name, 'consignor');
+  assert.equal(store.setActive('missing'), null);
+
+  const reloaded = new MappingProfileStore({ filePath });
+  assert.equal(reloaded.getActive().name, 'consignor');
+  assert.deepEqual(reloaded.list().map(p => [p.name, p.active]), [['default', false], ['consignor', true]]);
+  assert.equal(reloaded.delete('consignor'), true);
+  assert.equal(reloaded.getActiveName(), 'default');
+});
+
+test('the built-in default profile cannot be replaced or deleted', () => {
+  const store = new MappingProfileStore({ filePath: tmpFile() });
+  assert.throws(() => store.save({ ...consignor, name: 'default' }), /built in/);
+  assert.throws(() => store.delete('default'), /built in/);
+});
+
+test('names of Object members are refused and never looked up on the prototype', () => {
+  const store = new MappingProfileStore({ filePath: tmpFile() });
+  ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(name => {
+    assert.throws(() => validateProfile({ ...consignor, name }), /reserved name/, name);
+    assert.equal(store.get(name), null, name);
+    assert.equal(store.setActive(name), null, name);
+    assert.equal(store.delete(name), false, name);
+  });
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { startStub } = require('./helpers/stubServer');
+
+const app = startApp({ PSA_MAX_RETRIES: '0' });
+const MetricsRegistry = require('../services/metrics');
+
+const fixture = require('./fixtures/psa/gem-mt-10.json');
+// The value of one sample line, e.g. sample(text, 'quickslab_batch_size_count{kind="lookup"}')
+const sample = (text, series) => {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+// PSA stand-in: 5xxxxxxx certs and anything under /down fail with a server error, every other cert is the gem mint fixture relabelled
+let psaStub;
+test.before(async () => {
+  psaStub = await startStub((req, url) => {
+    const cert = url.pathname.match(/\/GetByCertNumber\/(\d+)$/)?.[1];
+    if (url.pathname.startsWith('/down')) return { status: 503 };
+    if (!cert) return { body: {} };
+    if (cert.startsWith('5')) return { status: 500 };
+    const body = structuredClone(fixture);
+    body.PSACert.CertNumber = cert;
+    return { body };
+  });
+  process.env.PSA_API_KEY = 'test-key';
+  process.env.PSA_API_URL = `${psaStub.url}/publicapi/cert`;
+});
+test.after(async () => {
+  await app.close();
+  await psaStub.close();
+});
+
+test('the registry renders counters, gauges and cumulative histograms in the Prometheus format', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('jobs_total', 'Jobs run', { labelNames: ['kind'] }).inc({ kind: 'say "hi"\n', extra: 'dropped' }, 2);
+  registry.gauge('queue_depth', 'Queued jobs', { collect: () => [{ value: 3 }] });
+  const latency = registry.histogram('latency_seconds', 'Latency', { buckets: [1, 0.1] });
+  [0.05, 0.5, 5].forEach(value => latency.observe({}, value));
+  registry.gauge('broken', 'Fails to collect', { collect: () => { throw new Error('cache gone'); } });
+
+  assert.equal(registry.render(), [
+    '# HELP jobs_total Jobs run',
+    '# TYPE jobs_total counter',
+    'jobs_total{kind="say \\"hi\\"\\n"} 2',
+    '# HELP queue_depth Queued jobs',
+    '# TYPE queue_depth gauge',
+    'queue_depth 3',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.1"} 1',
+    'latency_seconds_bucket{le="1"} 2',
+    'latency_seconds_bucket{le="+Inf"} 3',
+    'latency_seconds_sum 5.55',
+    'latency_seconds_count 3',
+    '# broken unavailable: cache gone',
+    ''
+  ].join('\n'));
+
+  assert.throws(() => registry.counter('jobs_total', 'Again'), /jobs_total is already registered/);
+  assert.throws(() => registry.counter('bad-name', 'x'), /Invalid metric name "bad-name"/);
+  assert.throws(() => registry.histogram('h', 'x', { labelNames: ['le'] }), /"le" is a reserved label/);
+  assert.throws(() => registry.metrics.get('jobs_total').inc({}, -1), /counters only go up/);
+});
+
+test('API responses carry a request id, which is forwarded to PSA', async () => {
+  const generated = await app.request('GET', '/api/cert/48917521');
+  assert.equal(generated.status, 200);
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const given = await app.request('GET', '/api/cert/48917522', { headers: { 'X-Request-Id': 'scanner-7:abc' } });
+  assert.equal(given.headers.get('x-request-id'), 'scanner-7:abc');
+  assert.equal(psaStub.requests.at(-1).headers['x-request-id'], 'scanner-7:abc');
+
+  const unsafe = await app.request('GET', '/api/cert/48917522', { headers: { 'X-Request-Id': 'has spaces' } });
+  assert.notEqual(unsafe.headers.get('x-request-id'), 'has spaces');
+});
+
+test('GET /metrics reports API, PSA, cache and batch figures', async () => {
+  await app.request('GET', '/api/cert/48917523');
+  await app.request('GET', '/api/cert/48917523');
+  assert.equal((await app.request('GET', '/api/cert/51111111')).status, 500);
+  await app.request('POST', '/api/certs/lookup', { body: { certNumbers: ['48917523', '48917524', '48917524'] } });
+
+  const res = await app.request('GET', '/metrics');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  const text = res.text;
+
+  assert.ok(sample(text, 'quickslab_http_requests_total{method="GET",route="/api/cert/:certNumber",status="200"}') >= 2,
+    'requests are counted by route pattern, not by cert');
+  assert.equal(sample(text, 'quickslab_http_requests_total{method="GET",route="/api/cert/:certNumber",status="500"}'), 1);
+  assert.equal(sample(text, 'quickslab_grader_requests_total{grader="PSA",status="500"}'), 1);
+  assert.ok(sample(text, 'quickslab_grader_request_duration_seconds_count{grader="PSA"}') >= 5);
+  assert.ok(sample(text, 'quickslab_cert_cache_lookups_total{result="hit"}') >= 2);
+  assert.ok(sample(text, 'quickslab_cert_cache_hit_ratio') > 0);
+  assert.equal(sample(text, 'quickslab_batch_size_count{kind="lookup"}'), 1);
+  assert.equal(sample(text, 'quickslab_batch_size_sum{kind="lookup"}'), 3);
+  assert.equal(sample(text, 'quickslab_batch_size_bucket{kind="lookup",le="1"}'), 0);
+});
+
+test('GET /metrics asks for the token when METRICS_TOKEN is set', async (t) => {
+  process.env.METRICS_TOKEN = 'scrape-me';
+  t.after(() => { delete process.env.METRICS_TOKEN; });
+  assert.equal((await app.request('GET', '/metrics')).status, 401);
+  assert.equal((await app.request('GET', '/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.equal((await app.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-me' } })).status, 200);
+});
+
+test('GET /health/ready checks PSA and the inventory, and says which one is down', async (t) => {
+  const ready = await app.request('GET', '/health/ready?fresh=1');
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.status, 'ready');
+  assert.deepEqual([ready.body.checks.psa.ok, ready.body.checks.storage.ok, ready.body.checks.storage.backend], [true, true, 'json']);
+
+  const pings = psaStub.requests.length;
+  await app.request('GET', '/health/ready');
+  assert.equal(psaStub.requests.length, pings, 'probes within 10 seconds reuse the last check');
+
+  const psa = require('../src/lib/psa').getPSA();
+  const { baseUrl } = psa;
+  psa.baseUrl = `${psaStub.url}/down`;
+  t.after(() => { psa.baseUrl = baseUrl; });
+  const down = await app.request('GET', '/health/ready?fresh=1');
+  assert.equal(down.status, 503);
+  assert.equal(down.body.status, 'not ready');
+  assert.deepEqual([down.body.checks.psa.ok, down.body.checks.psa.error, down.body.checks.storage.ok], [false, 'PSA server error', true]);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { startStub } = require('./helpers/stubServer');
+
+const app = startApp();
+const HttpPriceProvider = require('../services/pricing/httpPriceProvider');
+const PriceProvider = require('../services/pricing/priceProvider');
+const { renderTemplate } = require('../services/columnMapping');
+const PSAService = require('../services/psaService');
+
+const fixture = require('./fixtures/psa/gem-mt-10.json');
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+const QUERY = { subject: 'CHARIZARD-HOLO', cardNumber: '4', grade: 10, company: 'PSA', qualifier: null };
+
+// Price service stand-in, keyed by the subject asked for; PSA stand-in answering every cert with the gem mint fixture
+let priceStub;
+let psaStub;
+test.before(async () => {
+  priceStub = await startStub(async (req, url) => {
+    const subject = url.searchParams.get('subject');
+    if (subject === 'SLOW') {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { body: { price: 1 } };
+    }
+    if (subject === 'BROKEN') return { status: 500 };
+    if (subject === 'UNPRICED') return { body: { data: { price: null } } };
+    if (subject !== 'CHARIZARD-HOLO') return { status: 404 };
+    return { body: { data: { price: '$1,234.50', low: '1000', high: 1500, currency: 'usd', count: '7', asOf: '2026-03-01' } } };
+  });
+  psaStub = await startStub((req, url) => {
+    const body = structuredClone(fixture);
+    body.PSACert.CertNumber = url.pathname.split('/').pop();
+    if (body.PSACert.CertNumber.startsWith('9')) body.PSACert.Subject = 'BROKEN';
+    if (body.PSACert.CertNumber.startsWith('8')) body.PSACert.Subject = 'NO COMPS';
+    return { body };
+  });
+  process.env.PSA_API_KEY = 'test-key';
+  process.env.PSA_API_URL = `${psaStub.url}/publicapi/cert`;
+  process.env.PRICE_API_URL = `${priceStub.url}/estimate?market=us`;
+  process.env.PRICE_API_KEY = 'price-key';
+});
+test.after(async () => {
+  await app.close();
+  await priceStub.close();
+  await psaStub.close();
+});
+
+test('the HTTP provider sends the card as query parameters and reads the estimate', async () => {
+  const provider = new HttpPriceProvider({ baseUrl: `${priceStub.url}/estimate?market=us`, apiKey: 'price-key' });
+  const estimate = await provider.getPrice(QUERY);
+  assert.deepEqual(estimate, {
+    currency: 'USD', price: 1234.5, low: 1000, high: 1500, sampleSize: 7, asOf: '2026-03-01', source: 'http'
+  });
+
+  const { path: sent, headers } = priceStub.requests.at(-1);
+  const params = new URL(sent, 'http://localhost').searchParams;
+  assert.deepEqual(Object.fromEntries(params), { market: 'us', subject: 'CHARIZARD-HOLO', cardNumber: '4', grade: '10', company: 'PSA' });
+  assert.equal(headers.authorization, 'Bearer price-key');
+});
+
+test('no price is null; a failing or hanging service is a 502 or 504', async () => {
+  const provider = new HttpPriceProvider({ baseUrl: `${priceStub.url}/estimate`, timeoutMs: 50, currency: 'EUR' });
+  assert.equal(await provider.getPrice({ ...QUERY, subject: 'BLASTOISE' }), null, 'a 404 means no price');
+  assert.equal(await provider.getPrice({ ...QUERY, subject: 'UNPRICED' }), null);
+  await assert.rejects(provider.getPrice({ ...QUERY, subject: 'BROKEN' }), (error) => error.status === 502 && /HTTP 500/.test(error.message));
+  await assert.rejects(provider.getPrice({ ...QUERY, subject: 'SLOW' }), (error) => error.status === 504 && /within 50 ms/.test(error.message));
+  await assert.rejects(provider.getPrice({ ...QUERY, grade: null }), /Invalid price query/);
+  await assert.rejects(new HttpPriceProvider().getPrice(QUERY), /Pricing is not configured: set PRICE_API_URL/);
+});
+
+test('price queries come from the normalized card', () => {
+  assert.deepEqual(PriceProvider.queryFromCard(record('qualifier-in-description')).qualifier, 'OC');
+  assert.deepEqual(PriceProvider.queryFromCard(record('gem-mt-10')), QUERY);
+  assert.equal(PriceProvider.parsePrice('$1,234.567'), 1234.57);
+  assert.equal(PriceProvider.parsePrice('n/a'), null);
+});
+
+test('GET /api/cert/:certNumber/price prices the card once and maps upstream failures', async () => {
+  const first = await app.request('GET', '/api/cert/48917521/price');
+  assert.equal(first.status, 200);
+  assert.deepEqual([first.body.grader, first.body.certNumber, first.body.price.price, first.body.price.source], ['PSA', '48917521', 1234.5, 'http']);
+  assert.ok(first.body.price.pricedAt);
+
+  const before = priceStub.requests.length;
+  const cached = await app.request('GET', '/api/cert/48917521/price');
+  assert.deepEqual(cached.body.price, first.body.price);
+  assert.equal(priceStub.requests.length, before, 'served from the lookup cache');
+  await app.request('GET', '/api/cert/48917521/price?fresh=1');
+  assert.equal(priceStub.requests.length, before + 1);
+
+  const missing = await app.request('GET', '/api/cert/81111111/price');
+  assert.equal(missing.status, 404);
+  assert.match(missing.body.error, /Price not found: no comps for NO COMPS/);
+  assert.equal((await app.request('GET', '/api/cert/91111111/price')).status, 502);
+});
+
+test('a profile with price: true gets {Price.price} filled before the write', async () => {
+  const { enrichForProfile } = require('../src/lib/enrichment');
+  const profile = { name: 'priced', price: true, columns: [{ column: 'Market', value: '{Price.price}' }] };
+  const { cards: [card] } = await enrichForProfile([record('gem-mt-10')], profile);
+  assert.equal(renderTemplate(profile.columns[0].value, card), '1234.5');
+
+  const broken = record('gem-mt-10');
+  const { cards: [unpriced] } = await enrichForProfile([{ ...broken, CertNumber: '92222222', Card: { ...broken.Card, subject: 'BROKEN' } }], profile);
+  assert.equal(unpriced.Price, undefined, 'a card without a price is written without one');
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { startStub } = require('./helpers/stubServer');
+
+const app = startApp({ PSA_RATE_PER_MINUTE: '600', PSA_MAX_RETRIES: '1' });
+const PSAScheduler = require('../services/psaScheduler');
+const PSAService = require('../services/psaService');
+
+const fixture = require('./fixtures/psa/gem-mt-10.json');
+const httpError = (status, retryAfter = null) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+
+// PSA stand-in: each cert is throttled with a 429 on its first request, then answered; 9xxxxxxx certs always fail with a 500
+let psaStub;
+const seen = new Set();
+test.before(async () => {
+  psaStub = await startStub((req, url) => {
+    const cert = url.pathname.match(/\/GetByCertNumber\/(\d+)$/)?.[1];
+    if (!cert) return { status: 404 };
+    if (cert.startsWith('9')) return { status: 500 };
+    if (!seen.has(cert)) {
+      seen.add(cert);
+      return { status: 429, headers: { 'Retry-After': '0' } };
+    }
+    const body = structuredClone(fixture);
+    body.PSACert.CertNumber = cert;
+    return { body };
+  });
+  process.env.PSA_API_KEY = 'test-key';
+  process.env.PSA_API_URL = `${psaStub.url}/publicapi/cert`;
+});
+test.after(async () => {
+  await app.close();
+  await psaStub.close();
+});
+
+test('server errors are retried with backoff; other errors fail at once', async () => {
+  const scheduler = new PSAScheduler({ baseDelayMs: 5, maxRetries: 2 });
+  let calls = 0;
+  const result = await scheduler.schedule(async () => {
+    calls++;
+    if (calls < 3) throw httpError(503);
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(scheduler.getStatus().retries, 2);
+
+  let notFound = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    notFound++;
+    throw httpError(404);
+  }), /HTTP 404/);
+  assert.equal(notFound, 1);
+
+  let failing = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    failing++;
+    throw httpError(500);
+  }), /HTTP 500/);
+  assert.equal(failing, 3, 'the first attempt plus maxRetries');
+});
+
+test('a 429 pauses every queued call for its Retry-After', async () => {
+  const scheduler = new PSAScheduler({ maxConcurrent: 1, baseDelayMs: 60000 });
+  let throttledAt = 0;
+  const first = scheduler.schedule(async () => {
+    if (!throttledAt) {
+      throttledAt = Date.now();
+      throw httpError(429, '0.05');
+    }
+    return 'first';
+  });
+  const second = scheduler.schedule(async () => Date.now());
+
+  assert.equal(await first, 'first');
+  assert.ok(await second - throttledAt >= 45, 'the queued call waited out the pause');
+  assert.equal(scheduler.getStatus().retries, 1);
+});
+
+test('the per-minute bucket holds calls back and the daily budget fails them fast', async () => {
+  const scheduler = new PSAScheduler({ perMinute: 2 });
+  const results = [1, 2, 3].map(n => scheduler.schedule(async () => n));
+  assert.deepEqual(await Promise.all(results.slice(0, 2)), [1, 2]);
+  assert.equal(scheduler.getStatus().minuteRemaining, 0);
+  assert.equal(scheduler.getStatus().queued, 1);
+
+  // A minute later the bucket is full again
+  clearTimeout(scheduler._timer);
+  scheduler._timer = null;
+  scheduler.lastRefill -= 60000;
+  scheduler.drain();
+  assert.equal(await results[2], 3);
+
+  const budget = new PSAScheduler({ dailyLimit: 2 });
+  const calls = [1, 2, 3].map(n => budget.schedule(async () => n));
+  const settled = await Promise.allSettled(calls);
+  assert.deepEqual(settled.slice(0, 2).map(result => result.value), [1, 2]);
+  assert.match(settled[2].reason.message, /daily request budget exhausted/);
+  assert.equal(settled[2].reason.status, 429);
+  assert.equal(budget.getStatus().dailyRemaining, 0);
+});
+
+test('backoff uses equal jitter and Retry-After is honored up to the cap', () => {
+  const scheduler = new PSAScheduler({ baseDelayMs: 1000, maxDelayMs: 5000 });
+  for (let i = 0; i < 50; i++) {
+    const delay = scheduler.retryDelay({}, 1);
+    assert.ok(delay >= 1000 && delay <= 2000, `${delay} within 1000-2000`);
+    const capped = scheduler.retryDelay({}, 10);
+    assert.ok(capped >= 2500 && capped <= 5000, `${capped} within 2500-5000`);
+  }
+  assert.equal(scheduler.retryDelay({ retryAfter: '2' }, 0), 2000);
+  assert.equal(scheduler.retryDelay({ retryAfter: '600' }, 0), 5000);
+  const date = scheduler.parseRetryAfter(new Date(Date.now() + 3000).toUTCString());
+  assert.ok(date > 1000 && date <= 3000, `${date} from an HTTP date`);
+  assert.equal(scheduler.parseRetryAfter('soon'), null);
+});
+
+test('PSAService lookups ride out a 429 from PSA', async () => {
+  const scheduler = new PSAScheduler({ baseDelayMs: 5 });
+  const service = new PSAService('test-key', { baseUrl: `${psaStub.url}/publicapi/cert`, scheduler });
+  const card = await service.getCertificateData('31415926');
+  assert.equal(card.CertNumber, '31415926');
+  assert.equal(scheduler.getStatus().retries, 1);
+  assert.equal(scheduler.getStatus().dailyUsed, 2);
+});
+
+test('a batch lookup retries throttled certs and /api/status reports the budget', async () => {
+  const before = psaStub.requests.length;
+  const res = await app.request('POST', '/api/certs/lookup', { body: { certNumbers: ['11110001', '11110002', '11110003', '90000001'] } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(result => result.success), [true, true, true, false]);
+  assert.match(res.body.results[3].error, /PSA server error/);
+  assert.equal(psaStub.requests.length - before, 3 * 2 + 2, 'each cert throttled once, the failing one retried PSA_MAX_RETRIES times');
+
+  const { body } = await app.request('GET', '/api/status');
+  const rateLimit = body.services.psa.rateLimit;
+  assert.equal(rateLimit.perMinute, 600);
+  assert.equal(rateLimit.dailyUsed, 8);
+  assert.equal(rateLimit.retries, 4);
+  assert.equal(rateLimit.dailyRemaining, null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const ScanHistoryStore = require('../services/scanHistoryStore');
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(app.dir, 'history-')), 'scan-history.jsonl');
+const settle = (store) => store.enqueueWrite(() => {});
+
+test.after(() => app.close());
+
+test('queries filter by date, status, user and station, newest first', () => {
+  const store = new ScanHistoryStore({ filePath: tmpFile() });
+  store.record({ certNumber: '1', status: 'success', user: 'ana', station: 'desk-1', timestamp: '2026-03-01T09:00:00.000Z' });
+  store.record({ certNumber: '2', status: 'error', error: 'Certificate not found', user: 'ben', timestamp: '2026-03-01T23:30:00.000Z' });
+  store.record({ certNumber: '3', status: 'success', user: 'ana', station: 'desk-2', timestamp: '2026-03-02T08:00:00.000Z' });
+
+  const certs = (filters) => store.query(filters).history.map(entry => entry.certNumber);
+  assert.deepEqual(certs({}), ['3', '2', '1']);
+  assert.deepEqual(certs({ to: '2026-03-01' }), ['2', '1'], 'a bare "to" date covers the whole day');
+  assert.deepEqual(certs({ from: '2026-03-01T12:00:00Z' }), ['3', '2']);
+  assert.deepEqual(certs({ status: 'error' }), ['2']);
+  assert.deepEqual(certs({ user: 'ana' }), ['3', '1']);
+  assert.deepEqual(certs({ station: 'desk-2' }), ['3']);
+  assert.equal(store.query({ status: 'error' }).history[0].error, 'Certificate not found');
+});
+
+test('cursors page through history without repeats', () => {
+  const store = new ScanHistoryStore({ filePath: tmpFile() });
+  for (let i = 1; i <= 5; i++) store.record({ certNumber: String(i), status: 'success' });
+
+  const first = store.query({ limit: 2 });
+  assert.deepEqual(first.history.map(entry => entry.certNumber), ['5', '4']);
+  const second = store.query({ limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(second.history.map(entry => entry.certNumber), ['3', '2']);
+  const last = store.query({ limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(last.history.map(entry => entry.certNumber), ['1']);
+  assert.equal(last.nextCursor, null);
+});
+
+test('history survives a restart, a torn last line and compaction', async () => {
+  const filePath = tmpFile();
+  const store = new ScanHistoryStore({ filePath, maxEntries: 10 });
+  for (let i = 1; i <= 12; i++) store.record({ certNumber: String(i), status: 'success' });
+  await settle(store);
+  fs.appendFileSync(filePath, '{"seq":13,"certNu');
+
+  const reloaded = new ScanHistoryStore({ filePath });
+  assert.equal(reloaded.getStats().entries, 10, 'compacted to maxEntries once it grew past them');
+  assert.equal(reloaded.query({ limit: 1 }).history[0].certNumber, '12');
+  assert.equal(reloaded.record({ certNumber: '13', status: 'success' }).seq, 13, 'sequence numbers carry on');
+});
+
+test('lookups are recorded automatically and /api/scan-history restores them', async () => {
+  const lookup = await app.request('GET', '/api/cert/12AB', { headers: { 'X-QuickSlab-Station': 'tablet-3', 'X-QuickSlab-User': 'cam' } });
+  assert.notEqual(lookup.status, 200);
+  const posted = await app.request('POST', '/api/scan-history', { body: { certNumber: '48917521', status: 'success', cardData: { Subject: 'CHARIZARD-HOLO' } } });
+  assert.equal(posted.status, 201);
+  assert.equal(posted.body.entry.source, 'client');
+
+  const all = await app.request('GET', '/api/scan-history?limit=1');
+  assert.equal(all.status, 200);
+  assert.deepEqual(all.body.history.map(entry => entry.certNumber), ['48917521']);
+  const older = await app.request('GET', `/api/scan-history?cursor=${all.body.nextCursor}`);
+  assert.deepEqual(older.body.history.map(entry => [entry.certNumber, entry.status, entry.user, entry.station, entry.source]), [
+    ['12AB', 'error', 'cam', 'tablet-3', 'lookup']
+  ]);
+  assert.equal((await app.request('GET', '/api/scan-history?station=tablet-3&status=success')).body.history.length, 0);
+
+  for (const query of ['limit=0', 'limit=501', 'status=pending', 'from=yesterday', 'cursor=abc']) {
+    assert.equal((await app.request('GET', `/api/scan-history?${query}`)).status, 400, query);
+  }
+  assert.equal((await app.request('POST', '/api/scan-history', { body: { certNumber: '1' } })).status, 400);
+});
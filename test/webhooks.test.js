@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+const app = startApp();
+const WebhookStore = require('../services/webhookStore');
+const WebhookDispatcher = require('../services/webhookDispatcher');
+const EventBus = require('../services/eventBus');
+const PSAService = require('../services/psaService');
+
+const psa = new PSAService('test-key');
+const record = (name) => psa.processCertificateData(require(`./fixtures/psa/${name}.json`));
+
+/**
+ * Local receiver: answers each request with the next of `replies` (the last one repeats) and records what it got
+ * @param {Array<Object>} replies - { status, headers? }
+ */
+async function startReceiver(replies = [{ status: 200 }]) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+      const reply = replies[Math.min(received.length - 1, replies.length - 1)];
+      res.writeHead(reply.status, reply.headers || {});
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  return { url: `http://localhost:${server.address().port}/hook`, received, close: () => server.close() };
+}
+
+const newStore = () => new WebhookStore({ filePath: path.join(fs.mkdtempSync(path.join(app.dir, 'webhooks-')), 'webhooks.json') });
+const until = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test.after(() => app.close());
+
+test('deliveries are signed with an HMAC of the timestamp and raw body', async (t) => {
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const store = newStore();
+  const webhook = store.create({ url: receiver.url, secret: 'test-secret-0123456789' });
+  const dispatcher = new WebhookDispatcher({ store });
+
+  const event = EventBus.createEvent('card.added', { certNumber: '48917521' }, { user: 'ana' });
+  const delivery = await dispatcher.deliver(store.get(webhook.id), event);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+
+  const [{ headers, raw, body }] = receiver.received;
+  const expected = crypto.createHmac('sha256', 'test-secret-0123456789').update(`${headers['x-quickslab-timestamp']}.${raw}`).digest('hex');
+  assert.equal(headers['x-quickslab-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-quickslab-event'], 'card.added');
+  assert.equal(headers['x-quickslab-delivery'], delivery.id);
+  assert.equal(body.id, event.id);
+  assert.equal(body.data.certNumber, '48917521');
+});
+
+test('a 503 is retried after its Retry-After; a 400 fails at once', async (t) => {
+  const receiver = await startReceiver([{ status: 503, headers: { 'Retry-After': '0' } }, { status: 200 }]);
+  t.after(receiver.close);
+  const store = newStore();
+  const webhook = store.create({ url: receiver.url });
+  const dispatcher = new WebhookDispatcher({ store, baseDelayMs: 60000 });
+
+  const first = await dispatcher.deliver(store.get(webhook.id), EventBus.createEvent('card.scanned', {}));
+  assert.equal(first.status, 'pending');
+  assert.equal(first.responseStatus, 503);
+  await until(() => first.status !== 'pending');
+  assert.equal(first.status, 'delivered', 'the retry went out right away, not after the 60 s backoff');
+  assert.equal(first.attempts, 2);
+  assert.equal(receiver.received[0].headers['x-quickslab-delivery'], receiver.received[1].headers['x-quickslab-delivery']);
+
+  const rejecting = await startReceiver([{ status: 400 }]);
+  t.after(rejecting.close);
+  const other = store.create({ url: rejecting.url });
+  const failed = await dispatcher.deliver(store.get(other.id), EventBus.createEvent('card.scanned', {}));
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Receiver answered HTTP 400');
+  assert.equal(rejecting.received.length, 1);
+});
+
+test('retries stop after maxRetries', async (t) => {
+  const receiver = await startReceiver([{ status: 500 }]);
+  t.after(receiver.close);
+  const store = newStore();
+  const webhook = store.create({ url: receiver.url });
+  const dispatcher = new WebhookDispatcher({ store, maxRetries: 2, baseDelayMs: 5 });
+
+  const delivery = await dispatcher.deliver(store.get(webhook.id), EventBus.createEvent('card.scanned', {}));
+  await until(() => delivery.status !== 'pending');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(receiver.received.length, 3);
+});
+
+test('backoff uses equal jitter and Retry-After is capped', () => {
+  const dispatcher = new WebhookDispatcher({ store: null, baseDelayMs: 1000, maxDelayMs: 5000 });
+  for (let i = 0; i < 50; i++) {
+    const delay = dispatcher.retryDelay(2, null);
+    assert.ok(delay >= 2000 && delay <= 4000, `${delay} within 2000-4000`);
+    const capped = dispatcher.retryDelay(10, null);
+    assert.ok(capped >= 2500 && capped <= 5000, `${capped} within 2500-5000`);
+  }
+  assert.equal(dispatcher.retryDelay(0, '3'), 3000);
+  assert.equal(dispatcher.retryDelay(0, '86400'), 5000);
+});
+
+test('the webhooks file, which holds the signing secrets, is owner-only', { skip: process.platform === 'win32' }, () => {
+  const store = newStore();
+  store.create({ url: 'https://example.com/hook' });
+  assert.equal(fs.statSync(store.filePath).mode & 0o777, 0o600);
+});
+
+test('a card added through the API reaches a subscribed webhook', async (t) => {
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const created = await app.request('POST', '/api/webhooks', { body: { url: receiver.url, events: ['card.added'] } });
+  assert.equal(created.status, 201);
+  assert.match(created.body.webhook.secret, /^whsec_/);
+
+  assert.equal((await app.request('POST', '/api/add-to-sheets', { body: { psaData: record('gem-mt-10') } })).status, 200);
+  await until(() => receiver.received.length === 1);
+  assert.equal(receiver.received[0].body.type, 'card.added');
+
+  const tested = await app.request('POST', `/api/webhooks/${created.body.webhook.id}/test`);
+  assert.equal(tested.body.success, true);
+  assert.equal(receiver.received[1].body.type, 'webhook.test');
+});
+
+test('webhook ids that name Object members are unknown webhooks', async () => {
+  for (const id of ['__proto__', 'constructor', 'toString']) {
+    assert.equal((await app.request('GET', `/api/webhooks/${id}`)).status, 404, id);
+    assert.equal((await app.request('GET', `/api/webhooks/${id}/deliveries`)).status, 404, id);
+    assert.equal((await app.request('POST', `/api/webhooks/${id}/test`)).status, 404, id);
+    assert.equal((await app.request('DELETE', `/api/webhooks/${id}`)).status, 404, id);
+  }
+});